@@ -10,8 +10,13 @@ import {WorkboxError} from 'workbox-core/_private/WorkboxError.js';
 import {logger} from 'workbox-core/_private/logger.js';
 import {assert} from 'workbox-core/_private/assert.js';
 import {getFriendlyURL} from 'workbox-core/_private/getFriendlyURL.js';
-import {UnidentifiedQueueStoreEntry, QueueStore} from './lib/QueueStore.js';
-import {StorableRequest} from './lib/StorableRequest.js';
+import {
+  UnidentifiedQueueStoreEntry,
+  QueueStore,
+  QueueStoreEntry,
+} from './lib/QueueStore.js';
+import {RequestDataEncryptor} from './lib/RequestDataEncryptor.js';
+import {RequestData, StorableRequest} from './lib/StorableRequest.js';
 import './_version.js';
 
 
@@ -20,18 +25,68 @@ declare var self: ServiceWorkerGlobalScope;
 
 const TAG_PREFIX = 'workbox-background-sync';
 const MAX_RETENTION_TIME = 60 * 24 * 7; // 7 days in minutes
+const DEAD_LETTER_SUFFIX = ':dead-letter';
+const QUEUE_UPDATED_MESSAGE_TYPE = 'QUEUE_UPDATED';
+const QUEUE_UPDATED_MESSAGE_META = 'workbox-background-sync';
+const CLIENT_ONLINE_MESSAGE_TYPE = 'CLIENT_ONLINE';
+const FALLBACK_REPLAY_DELAY = 30; // 30 seconds
+const MAX_FALLBACK_REPLAY_DELAY = 60 * 30; // 30 minutes in seconds
 
 const queueNames = new Set();
 
+type StatusRange = number | [number, number];
+
+interface IsReplaySuccessfulCallbackParam {
+  request: Request;
+  response: Response;
+  metadata?: object;
+}
+
+interface IsReplaySuccessfulCallback {
+  (param: IsReplaySuccessfulCallbackParam): boolean | Promise<boolean>;
+}
+
+interface GetEntryKeyCallback {
+  (param: {request: Request, metadata?: object}): string;
+}
+
+type QueueOrdering = 'fifo' | 'fifo-per-key';
+
+interface PeriodicSyncEvent extends ExtendableEvent {
+  tag: string;
+}
+
 export interface QueueOptions {
   onSync?: Function;
   maxRetentionTime?: number;
+  successStatuses?: StatusRange[];
+  isReplaySuccessful?: IsReplaySuccessfulCallback;
+  maxAttempts?: number;
+  retryDelaySeconds?: number;
+  retryBackoffFactor?: number;
+  maxRetryDelaySeconds?: number;
+  coalesce?: boolean;
+  getEntryKey?: GetEntryKeyCallback;
+  ordering?: QueueOrdering;
+  periodicSyncMinInterval?: number;
+  encryptionKey?: CryptoKey;
+  previousEncryptionKeys?: CryptoKey[];
 }
 
 interface QueueEntry {
   request: Request;
   timestamp?: number;
   metadata?: object;
+  attempts?: number;
+  nextAttemptTime?: number;
+}
+
+interface QueueMessageData {
+  type: string;
+  payload: {
+    queueName: string;
+    id?: number;
+  };
 }
 
 /**
@@ -45,9 +100,26 @@ class Queue {
   private _name: string;
   private _onSync: Function;
   private _maxRetentionTime: number;
+  private _successStatuses?: StatusRange[];
+  private _isReplaySuccessful?: IsReplaySuccessfulCallback;
+  private _maxAttempts: number;
+  private _retryDelaySeconds: number;
+  private _retryBackoffFactor: number;
+  private _maxRetryDelaySeconds: number;
+  private _coalesce: boolean;
+  private _getEntryKey: GetEntryKeyCallback;
+  private _ordering: QueueOrdering;
   private _queueStore: QueueStore;
+  private _deadLetterStore: QueueStore;
   private _syncInProgress: boolean = false;
   private _requestsAddedDuringSync: boolean = false;
+  private _notifyClients: boolean = false;
+  private _periodicSyncMinInterval?: number;
+  private _replayPromise?: Promise<boolean>;
+  private _replayOnNextEvent: boolean = false;
+  private _fallbackReplayTimeout?: number;
+  private _fallbackReplayDelay: number = FALLBACK_REPLAY_DELAY;
+  private _encryptor?: RequestDataEncryptor;
 
   /**
    * Creates an instance of Queue with the given options
@@ -67,10 +139,68 @@ class Queue {
    * @param {number} [options.maxRetentionTime=7 days] The amount of time (in
    *     minutes) a request may be retried. After this amount of time has
    *     passed, the request will be deleted from the queue.
+   * @param {Array<number|Array<number>>} [options.successStatuses] The
+   *     response statuses that count as a successful replay, as numbers or
+   *     inclusive `[min, max]` ranges, e.g. `[[200, 299], 304]`. When neither
+   *     this nor `isReplaySuccessful` is set, any response counts as a
+   *     success, and only network errors are retried.
+   * @param {Function} [options.isReplaySuccessful] A function that's invoked
+   *     with an object containing the replayed `request`, the `response` and
+   *     the entry's `metadata`, and that returns (or resolves to) whether the
+   *     replay succeeded. When set, `successStatuses` is ignored.
+   * @param {number} [options.maxAttempts=Infinity] The number of times a
+   *     request may be replayed unsuccessfully before it's moved out of the
+   *     queue and into the queue's dead-letter store. See `getDeadLetters()`.
+   * @param {number} [options.retryDelaySeconds=0] How long to wait after a
+   *     failed replay before the request is replayed again. Requests that
+   *     aren't due yet are skipped when the queue is replayed.
+   * @param {number} [options.retryBackoffFactor=2] What `retryDelaySeconds`
+   *     is multiplied by after each failed replay of the same request.
+   * @param {number} [options.maxRetryDelaySeconds=Infinity] The maximum delay
+   *     between replays of the same request.
+   * @param {boolean} [options.coalesce=false] If true, adding a request to
+   *     the queue removes any queued entries with the same key (see
+   *     `getEntryKey`), so only the latest of them is replayed.
+   * @param {Function} [options.getEntryKey] A function that's invoked with an
+   *     object containing an entry's `request` and `metadata`, and that
+   *     returns the entry's key, which is used by the `coalesce` and
+   *     `ordering` options. By default the key is the request method and URL.
+   * @param {string} [options.ordering='fifo'] How `replayRequests()` orders
+   *     the requests in the queue. With `'fifo'`, all the requests are
+   *     replayed one after the other, in the order they were queued. With
+   *     `'fifo-per-key'`, requests with the same key are replayed in the
+   *     order they were queued, and a request isn't replayed until the
+   *     previous one with the same key has been replayed successfully, but
+   *     requests with different keys are replayed concurrently. Since the key
+   *     of a request that can't be decrypted isn't known, the requests queued
+   *     after it aren't replayed until it's been decrypted or purged.
+   * @param {number} [options.periodicSyncMinInterval] If set, and the
+   *     browser supports Periodic Background Sync, a periodic sync is
+   *     registered with this minimum interval (in minutes), and the queue is
+   *     replayed whenever the 'periodicsync' event fires.
+   * @param {CryptoKey} [options.encryptionKey] An AES-GCM key. If set, the
+   *     data of each request (including its URL, headers and body) is
+   *     encrypted with this key before it's stored in IndexedDB. See
+   *     `rotateEncryptionKey()`.
+   * @param {Array<CryptoKey>} [options.previousEncryptionKeys] Keys that
+   *     were previously used as the `encryptionKey`, which are tried in turn
+   *     when a stored request can't be decrypted with the current key.
    */
   constructor(name: string, {
     onSync,
-    maxRetentionTime
+    maxRetentionTime,
+    successStatuses,
+    isReplaySuccessful,
+    maxAttempts,
+    retryDelaySeconds,
+    retryBackoffFactor,
+    maxRetryDelaySeconds,
+    coalesce,
+    getEntryKey,
+    ordering,
+    periodicSyncMinInterval,
+    encryptionKey,
+    previousEncryptionKeys,
   }: QueueOptions = {}) {
     // Ensure the store name is not already being used
     if (queueNames.has(name)) {
@@ -79,10 +209,73 @@ class Queue {
       queueNames.add(name);
     }
 
+    if (process.env.NODE_ENV !== 'production') {
+      if (successStatuses !== undefined) {
+        assert!.isArray(successStatuses, {
+          moduleName: 'workbox-background-sync',
+          className: 'Queue',
+          funcName: 'constructor',
+          paramName: 'options.successStatuses',
+        });
+      }
+      if (isReplaySuccessful !== undefined) {
+        assert!.isType(isReplaySuccessful, 'function', {
+          moduleName: 'workbox-background-sync',
+          className: 'Queue',
+          funcName: 'constructor',
+          paramName: 'options.isReplaySuccessful',
+        });
+      }
+      if (getEntryKey !== undefined) {
+        assert!.isType(getEntryKey, 'function', {
+          moduleName: 'workbox-background-sync',
+          className: 'Queue',
+          funcName: 'constructor',
+          paramName: 'options.getEntryKey',
+        });
+      }
+      if (ordering !== undefined) {
+        assert!.isOneOf(ordering, ['fifo', 'fifo-per-key'], {
+          paramName: 'options.ordering',
+        });
+      }
+      if (encryptionKey !== undefined) {
+        assert!.isInstance(encryptionKey, CryptoKey, {
+          moduleName: 'workbox-background-sync',
+          className: 'Queue',
+          funcName: 'constructor',
+          paramName: 'options.encryptionKey',
+        });
+      }
+      if (previousEncryptionKeys !== undefined) {
+        assert!.isArray(previousEncryptionKeys, {
+          moduleName: 'workbox-background-sync',
+          className: 'Queue',
+          funcName: 'constructor',
+          paramName: 'options.previousEncryptionKeys',
+        });
+      }
+    }
+
     this._name = name;
     this._onSync = onSync || this.replayRequests;
     this._maxRetentionTime = maxRetentionTime || MAX_RETENTION_TIME;
+    this._successStatuses = successStatuses;
+    this._isReplaySuccessful = isReplaySuccessful;
+    this._maxAttempts = maxAttempts || Infinity;
+    this._retryDelaySeconds = retryDelaySeconds || 0;
+    this._retryBackoffFactor = retryBackoffFactor || 2;
+    this._maxRetryDelaySeconds = maxRetryDelaySeconds || Infinity;
+    this._coalesce = coalesce || false;
+    this._getEntryKey = getEntryKey || defaultGetEntryKey;
+    this._ordering = ordering || 'fifo';
+    this._periodicSyncMinInterval = periodicSyncMinInterval;
+    if (encryptionKey) {
+      this._encryptor =
+          new RequestDataEncryptor(encryptionKey, previousEncryptionKeys);
+    }
     this._queueStore = new QueueStore(this._name);
+    this._deadLetterStore = new QueueStore(this._name + DEAD_LETTER_SUFFIX);
 
     this._addSyncListener();
   }
@@ -144,6 +337,11 @@ class Queue {
    *     general you don't need to set this value, as it's automatically set
    *     for you (defaulting to `Date.now()`), but you can update it if you
    *     don't want particular requests to expire.
+   * @param {number} [entry.attempts] The number of failed replays so far.
+   *     This is set on entries returned by `shiftRequest()` and
+   *     `popRequest()`, so that putting one back keeps its retry state.
+   * @param {number} [entry.nextAttemptTime] The time (Epoch time in
+   *     milliseconds) before which the request won't be replayed again.
    */
   async unshiftRequest(entry: QueueEntry) {
     if (process.env.NODE_ENV !== 'production') {
@@ -167,7 +365,8 @@ class Queue {
   /**
    * Removes and returns the last request in the queue (along with its
    * timestamp and any metadata). The returned object takes the form:
-   * `{request, timestamp, metadata}`.
+   * `{request, timestamp, metadata}`, along with `attempts` and
+   * `nextAttemptTime` if its replay has failed before.
    *
    * @return {Promise<Object>}
    */
@@ -178,7 +377,8 @@ class Queue {
   /**
    * Removes and returns the first request in the queue (along with its
    * timestamp and any metadata). The returned object takes the form:
-   * `{request, timestamp, metadata}`.
+   * `{request, timestamp, metadata}`, along with `attempts` and
+   * `nextAttemptTime` if its replay has failed before.
    *
    * @return {Promise<Object>}
    */
@@ -193,24 +393,197 @@ class Queue {
    * @return {Promise<Array<Object>>}
    */
   async getAll() {
-    const allEntries = await this._queueStore.getAll();
+    const entries = await this._getUnexpiredEntries(this._queueStore);
+    return this._convertEntries(entries);
+  }
+
+  /**
+   * Returns all the entries that were moved out of the queue after failing
+   * to replay `maxAttempts` times, and that have not expired (per
+   * `maxRetentionTime`). Each entry's `attempts` property holds the number of
+   * replays that were made.
+   *
+   * @return {Promise<Array<Object>>}
+   */
+  async getDeadLetters() {
+    const entries = await this._getUnexpiredEntries(this._deadLetterStore);
+    return this._convertEntries(entries);
+  }
+
+  /**
+   * Deletes all the entries in the queue's dead-letter store.
+   */
+  async clearDeadLetters() {
+    for (const entry of await this._deadLetterStore.getAll()) {
+      await this._deadLetterStore.deleteEntry(entry.id);
+    }
+  }
+
+  /**
+   * Re-encrypts all the entries in the queue and its dead-letter store with
+   * a new key. Entries are decrypted with the current `encryptionKey` or any
+   * of the `previousEncryptionKeys`, and entries that were stored before
+   * encryption was enabled are encrypted for the first time. Entries that
+   * can't be decrypted are left as they are.
+   *
+   * Requests added to the queue afterwards are encrypted with the new key,
+   * and the old keys are still tried when decrypting entries.
+   *
+   * @param {CryptoKey} key An AES-GCM key.
+   */
+  async rotateEncryptionKey(key: CryptoKey) {
+    if (process.env.NODE_ENV !== 'production') {
+      assert!.isInstance(key, CryptoKey, {
+        moduleName: 'workbox-background-sync',
+        className: 'Queue',
+        funcName: 'rotateEncryptionKey',
+        paramName: 'key',
+      });
+    }
+
+    const previousKeys = this._encryptor ? this._encryptor.keys : [];
+    const encryptor = new RequestDataEncryptor(key, previousKeys);
+
+    for (const queueStore of [this._queueStore, this._deadLetterStore]) {
+      for (const storeEntry of await queueStore.getAll()) {
+        const requestData = await getRequestData(storeEntry, encryptor);
+        if (!requestData) {
+          continue;
+        }
+
+        storeEntry.encryptedRequestData = await encryptor.encrypt(requestData);
+        delete storeEntry.requestData;
+        await queueStore.updateEntry(storeEntry);
+      }
+    }
+
+    this._encryptor = encryptor;
+
+    if (process.env.NODE_ENV !== 'production') {
+      logger.log(`The requests in queue '${this._name}' have been ` +
+          `encrypted with a new key.`);
+    }
+  }
+
+  /**
+   * Deletes all the entries in the queue and its dead-letter store that
+   * can't be decrypted with the current `encryptionKey` or any of the
+   * `previousEncryptionKeys`, e.g. because the key they were encrypted with
+   * has been lost.
+   *
+   * @return {Promise<number>} The number of entries that were deleted.
+   */
+  async purgeUndecryptableEntries(): Promise<number> {
+    let purgedCount = 0;
+    for (const queueStore of [this._queueStore, this._deadLetterStore]) {
+      for (const storeEntry of await queueStore.getAll()) {
+        if (!(await this._getRequestData(storeEntry))) {
+          await queueStore.deleteEntry(storeEntry.id);
+          purgedCount++;
+        }
+      }
+    }
+
+    if (purgedCount > 0) {
+      await this._notifyQueueUpdated();
+    }
+
+    if (process.env.NODE_ENV !== 'production') {
+      logger.log(`${purgedCount} request(s) that couldn't be decrypted ` +
+          `have been deleted from queue '${this._name}'.`);
+    }
+    return purgedCount;
+  }
+
+  /**
+   * Returns all the entries in the given store that have not expired (per
+   * `maxRetentionTime`). Any expired entries are removed from the store.
+   *
+   * @param {QueueStore} queueStore
+   * @return {Promise<Array<Object>>}
+   * @private
+   */
+  async _getUnexpiredEntries(
+      queueStore: QueueStore): Promise<QueueStoreEntry[]> {
+    const allEntries = await queueStore.getAll();
     const now = Date.now();
 
     const unexpiredEntries = [];
     for (const entry of allEntries) {
-      // Ignore requests older than maxRetentionTime. Call this function
-      // recursively until an unexpired request is found.
-      const maxRetentionTimeInMs = this._maxRetentionTime * 60 * 1000;
-      if (now - entry.timestamp > maxRetentionTimeInMs) {
-        await this._queueStore.deleteEntry(entry.id);
+      if (this._isExpired(entry, now)) {
+        await queueStore.deleteEntry(entry.id);
       } else {
-        unexpiredEntries.push(convertEntry(entry));
+        unexpiredEntries.push(entry);
       }
     }
 
     return unexpiredEntries;
   }
 
+  /**
+   * @param {Object} storeEntry
+   * @return {Promise<Object|undefined>} The entry's request data, decrypted
+   *     if needed, or `undefined` if it can't be decrypted.
+   * @private
+   */
+  async _getRequestData(storeEntry: UnidentifiedQueueStoreEntry):
+      Promise<RequestData | undefined> {
+    return getRequestData(storeEntry, this._encryptor);
+  }
+
+  /**
+   * Converts a QueueStore entry into the format exposed by Queue, or returns
+   * `undefined` if its request data can't be decrypted.
+   *
+   * @param {Object} storeEntry
+   * @return {Promise<Object|undefined>}
+   * @private
+   */
+  async _convertEntry(storeEntry: UnidentifiedQueueStoreEntry):
+      Promise<QueueEntry | undefined> {
+    const requestData = await this._getRequestData(storeEntry);
+    if (!requestData) {
+      if (process.env.NODE_ENV !== 'production') {
+        logger.warn(`A request in queue '${this._name}' couldn't be ` +
+            `decrypted, and has been skipped. Use ` +
+            `'purgeUndecryptableEntries()' to delete it.`);
+      }
+      return undefined;
+    }
+    return convertEntry(storeEntry, requestData);
+  }
+
+  /**
+   * Converts QueueStore entries into the format exposed by Queue, skipping
+   * any entries that can't be decrypted.
+   *
+   * @param {Array<Object>} storeEntries
+   * @return {Promise<Array<Object>>}
+   * @private
+   */
+  async _convertEntries(
+      storeEntries: UnidentifiedQueueStoreEntry[]): Promise<QueueEntry[]> {
+    const entries = [];
+    for (const storeEntry of storeEntries) {
+      const entry = await this._convertEntry(storeEntry);
+      if (entry) {
+        entries.push(entry);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * @param {Object} entry
+   * @param {number} now
+   * @return {boolean} Whether the entry is older than `maxRetentionTime`.
+   * @private
+   */
+  _isExpired(entry: UnidentifiedQueueStoreEntry, now: number): boolean {
+    const maxRetentionTimeInMs = this._maxRetentionTime * 60 * 1000;
+    return now - entry.timestamp > maxRetentionTimeInMs;
+  }
+
 
   /**
    * Adds the entry to the QueueStore and registers for a sync event.
@@ -219,6 +592,8 @@ class Queue {
    * @param {Request} entry.request
    * @param {Object} [entry.metadata]
    * @param {number} [entry.timestamp=Date.now()]
+   * @param {number} [entry.attempts]
+   * @param {number} [entry.nextAttemptTime]
    * @param {string} operation ('push' or 'unshift')
    * @private
    */
@@ -226,20 +601,39 @@ class Queue {
     request,
     metadata,
     timestamp = Date.now(),
+    attempts,
+    nextAttemptTime,
   }: QueueEntry, operation: 'push' | 'unshift') {
     const storableRequest = await StorableRequest.fromRequest(request.clone());
-    const entry: UnidentifiedQueueStoreEntry = {
-      requestData: storableRequest.toObject(),
-      timestamp,
-    };
+    const entry: UnidentifiedQueueStoreEntry = {timestamp};
 
-    // Only include metadata if it's present.
+    if (this._encryptor) {
+      entry.encryptedRequestData =
+          await this._encryptor.encrypt(storableRequest.toObject());
+    } else {
+      entry.requestData = storableRequest.toObject();
+    }
+
+    // Only include metadata and retry state if they're present, e.g. when
+    // a shifted or popped entry is put back.
     if (metadata) {
       entry.metadata = metadata;
     }
+    if (attempts) {
+      entry.attempts = attempts;
+    }
+    if (nextAttemptTime) {
+      entry.nextAttemptTime = nextAttemptTime;
+    }
+
+    if (this._coalesce) {
+      await this._removeEntriesWithKey(
+          this._getEntryKey({request, metadata}));
+    }
 
     await this._queueStore[
         `${operation}Entry` as 'pushEntry' | 'unshiftEntry'](entry);
+    await this._notifyQueueUpdated();
 
     if (process.env.NODE_ENV !== 'production') {
       logger.log(`Request for '${getFriendlyURL(request.url)}' has ` +
@@ -256,9 +650,31 @@ class Queue {
     }
   }
 
+  /**
+   * Removes the entries in the QueueStore with the given key.
+   *
+   * @param {string} key
+   * @private
+   */
+  async _removeEntriesWithKey(key: string) {
+    for (const storeEntry of await this._queueStore.getAll()) {
+      const entry = await this._convertEntry(storeEntry);
+      if (entry && this._getEntryKey(entry) === key) {
+        await this._queueStore.deleteEntry(storeEntry.id);
+
+        if (process.env.NODE_ENV !== 'production') {
+          logger.log(`Request for '${getFriendlyURL(entry.request.url)}' ` +
+              `has been replaced by a newer request with the same key in ` +
+              `queue '${this._name}'.`);
+        }
+      }
+    }
+  }
+
   /**
    * Removes and returns the first or last (depending on `operation`) entry
-   * from the QueueStore that's not older than the `maxRetentionTime`.
+   * from the QueueStore that's not older than the `maxRetentionTime`, and
+   * that can be decrypted.
    *
    * @param {string} operation ('pop' or 'shift')
    * @return {Object|undefined}
@@ -266,56 +682,411 @@ class Queue {
    */
   async _removeRequest(operation: 'pop' | 'shift'): Promise<QueueEntry | undefined> {
     const now = Date.now();
-    const entry = await this._queueStore[
-        `${operation}Entry` as 'popEntry' | 'shiftEntry']();
+    const undecryptableEntries: QueueStoreEntry[] = [];
 
-    if (entry) {
-      // Ignore requests older than maxRetentionTime. Call this function
-      // recursively until an unexpired request is found.
-      const maxRetentionTimeInMs = this._maxRetentionTime * 60 * 1000;
-      if (now - entry.timestamp > maxRetentionTimeInMs) {
-        return this._removeRequest(operation);
+    let queueEntry: QueueEntry | undefined;
+    let entry: QueueStoreEntry | undefined;
+    while (!queueEntry && (entry = await this._queueStore[
+        `${operation}Entry` as 'popEntry' | 'shiftEntry']())) {
+      // Ignore (and drop) requests older than maxRetentionTime.
+      if (this._isExpired(entry, now)) {
+        continue;
       }
 
-      return convertEntry(entry);
-    } else {
-      return undefined;
+      queueEntry = await this._convertEntry(entry);
+      if (!queueEntry) {
+        undecryptableEntries.push(entry);
+      }
+    }
+
+    // Requests that can't be decrypted are skipped, but put back with their
+    // original IDs, so they keep their place in the queue.
+    for (const undecryptableEntry of undecryptableEntries) {
+      await this._queueStore.updateEntry(undecryptableEntry);
     }
+
+    if (queueEntry) {
+      await this._notifyQueueUpdated();
+    }
+    return queueEntry;
   }
 
   /**
    * Loops through each request in the queue and attempts to re-fetch it.
-   * If any request fails to re-fetch, it's put back in the same position in
-   * the queue (which registers a retry for the next sync event).
+   * Requests that replay successfully (per `successStatuses` or
+   * `isReplaySuccessful`) are removed from the queue. Requests that fail to
+   * replay stay in the same position in the queue, with their attempt count
+   * incremented, or are moved to the dead-letter store once they've reached
+   * `maxAttempts`. A failure doesn't stop the remaining requests from being
+   * replayed, but if any request is left in the queue once all of them have
+   * been tried, an error is thrown (which registers a retry for the next
+   * sync event).
    */
   async replayRequests() {
-    let entry;
-    while (entry = await this.shiftRequest()) {
-      try {
-        await fetch(entry.request.clone());
+    const now = Date.now();
+    const storeEntries = await this._queueStore.getAll();
+    let requestsRemaining = false;
 
-        if (process.env.NODE_ENV !== 'production') {
-          logger.log(`Request for '${getFriendlyURL(entry.request.url)}'` +
-             `has been replayed in queue '${this._name}'`);
+    if (this._ordering === 'fifo-per-key') {
+      const entriesByKey: Map<string, QueueStoreEntry[]> = new Map();
+      for (const storeEntry of storeEntries) {
+        if (this._isExpired(storeEntry, now)) {
+          await this._queueStore.deleteEntry(storeEntry.id);
+          continue;
         }
-      } catch (error) {
-        await this.unshiftRequest(entry);
 
-        if (process.env.NODE_ENV !== 'production') {
-          logger.log(`Request for '${getFriendlyURL(entry.request.url)}'` +
-             `failed to replay, putting it back in queue '${this._name}'`);
+        // The key of an entry that can't be decrypted isn't known, so the
+        // entries after it are left in the queue, in case they share it.
+        const entry = await this._convertEntry(storeEntry);
+        if (!entry) {
+          requestsRemaining = true;
+          break;
+        }
+        const key = this._getEntryKey(entry);
+        entriesByKey.set(key, (entriesByKey.get(key) || []).concat(storeEntry));
+      }
+
+      // Each key's entries are replayed in order, and stop at the first one
+      // that's still in the queue afterwards. Keys are replayed concurrently.
+      const results = await Promise.all(
+          [...entriesByKey.values()].map(async (entries) => {
+            for (const storeEntry of entries) {
+              if (await this._replayStoreEntry(storeEntry, now)) {
+                return true;
+              }
+            }
+            return false;
+          }));
+      requestsRemaining = requestsRemaining || results.includes(true);
+    } else {
+      for (const storeEntry of storeEntries) {
+        if (await this._replayStoreEntry(storeEntry, now)) {
+          requestsRemaining = true;
         }
-        throw new WorkboxError('queue-replay-failed', {name: this._name});
       }
     }
+    await this._notifyQueueUpdated();
+
+    if (requestsRemaining) {
+      throw new WorkboxError('queue-replay-failed', {name: this._name});
+    }
+
     if (process.env.NODE_ENV !== 'production') {
-      logger.log(`All requests in queue '${this.name}' have successfully ` +
+      logger.log(`All requests in queue '${this.name}' have been ` +
           `replayed; the queue is now empty!`);
     }
   }
 
+  /**
+   * Replays a single entry from the QueueStore, and then removes it from the
+   * store, moves it to the dead-letter store, or updates its attempt count.
+   *
+   * @param {Object} storeEntry
+   * @param {number} now
+   * @param {boolean} [ignoreBackoff=false] Whether to replay the entry even if
+   *     it isn't due yet.
+   * @return {Promise<boolean>} Whether the entry is still in the queue.
+   * @private
+   */
+  async _replayStoreEntry(storeEntry: QueueStoreEntry, now: number,
+      ignoreBackoff = false): Promise<boolean> {
+    if (this._isExpired(storeEntry, now)) {
+      await this._queueStore.deleteEntry(storeEntry.id);
+      return false;
+    }
+
+    // Entries that can't be decrypted are left in the queue, to be removed by
+    // `purgeUndecryptableEntries()`.
+    const entry = await this._convertEntry(storeEntry);
+    if (!entry) {
+      return true;
+    }
+    const friendlyURL = getFriendlyURL(entry.request.url);
+
+    if (!ignoreBackoff && storeEntry.nextAttemptTime &&
+        storeEntry.nextAttemptTime > now) {
+      if (process.env.NODE_ENV !== 'production') {
+        logger.log(`Request for '${friendlyURL}' isn't due to be ` +
+            `replayed yet, leaving it in queue '${this._name}'`);
+      }
+      return true;
+    }
+
+    if (await this._replayEntry(entry)) {
+      await this._queueStore.deleteEntry(storeEntry.id);
+
+      if (process.env.NODE_ENV !== 'production') {
+        logger.log(`Request for '${friendlyURL}' ` +
+           `has been replayed in queue '${this._name}'`);
+      }
+      return false;
+    }
+
+    const attempts = (storeEntry.attempts || 0) + 1;
+    if (attempts >= this._maxAttempts) {
+      await this._queueStore.deleteEntry(storeEntry.id);
+      await this._deadLetterStore.pushEntry({...storeEntry, attempts});
+
+      if (process.env.NODE_ENV !== 'production') {
+        logger.warn(`Request for '${friendlyURL}' failed to replay ` +
+            `${attempts} times, moving it out of queue '${this._name}' ` +
+            `and into its dead-letter store`);
+      }
+      return false;
+    }
+
+    storeEntry.attempts = attempts;
+    storeEntry.nextAttemptTime = now + this._getRetryDelay(attempts);
+    await this._queueStore.updateEntry(storeEntry);
+
+    if (process.env.NODE_ENV !== 'production') {
+      logger.log(`Request for '${friendlyURL}' ` +
+         `failed to replay, leaving it in queue '${this._name}'`);
+    }
+    return true;
+  }
+
+  /**
+   * Re-fetches the entry's request, and checks whether the response counts
+   * as a success.
+   *
+   * @param {Object} entry
+   * @return {Promise<boolean>}
+   * @private
+   */
+  async _replayEntry({request, metadata}: QueueEntry): Promise<boolean> {
+    let response;
+    try {
+      response = await fetch(request.clone());
+    } catch (error) {
+      return false;
+    }
+
+    if (this._isReplaySuccessful) {
+      // An error thrown by the callback counts as a failed attempt, so that
+      // it doesn't stop the remaining requests from being replayed.
+      try {
+        return await this._isReplaySuccessful({request, response, metadata});
+      } catch (error) {
+        if (process.env.NODE_ENV !== 'production') {
+          logger.warn(`isReplaySuccessful threw an error for ` +
+              `'${getFriendlyURL(request.url)}' in queue '${this._name}', ` +
+              `so the replay counts as a failure.`, error);
+        }
+        return false;
+      }
+    }
+    if (this._successStatuses) {
+      const {status} = response;
+      return this._successStatuses.some((statusOrRange) => {
+        return Array.isArray(statusOrRange) ?
+            status >= statusOrRange[0] && status <= statusOrRange[1] :
+            status === statusOrRange;
+      });
+    }
+    return true;
+  }
+
+  /**
+   * @param {number} attempts The number of failed replays so far.
+   * @return {number} The delay, in milliseconds, before the next replay.
+   * @private
+   */
+  _getRetryDelay(attempts: number): number {
+    const delaySeconds = Math.min(this._maxRetryDelaySeconds,
+        this._retryDelaySeconds * Math.pow(this._retryBackoffFactor,
+            attempts - 1));
+    return delaySeconds * 1000;
+  }
+
+  /**
+   * Adds a message event listener that lets the window inspect and manage
+   * this queue, e.g. via the `BackgroundSyncQueue` class from
+   * `workbox-window`. Each message has a `payload` with a `queueName`
+   * property, and messages for other queues are ignored. The following
+   * message types are supported:
+   *
+   * - `'GET_QUEUE_ENTRIES'`: replies with an array of the entries in the
+   *   queue, each with `id`, `url`, `method`, `timestamp`, `metadata` and
+   *   `attempts` properties.
+   * - `'DELETE_QUEUE_ENTRY'`: deletes the entry with the `id` in the payload.
+   * - `'REPLAY_QUEUE_ENTRY'`: replays the entry with the `id` in the payload
+   *   straight away, even if it isn't due yet.
+   * - `'REPLAY_QUEUE'`: replays the queue, in the same way as a sync event.
+   * - `'CLEAR_QUEUE'`: deletes all the entries in the queue.
+   *
+   * Other than for `'GET_QUEUE_ENTRIES'`, the reply is `true` on success,
+   * and `false` otherwise. A `MessageChannel` must be used to get a reply.
+   *
+   * Once this listener is added, the queue also posts a message to all
+   * window clients whenever its contents change:
+   *
+   * ```
+   * {
+   *   type: 'QUEUE_UPDATED',
+   *   meta: 'workbox-background-sync',
+   *   payload: {
+   *     queueName: 'my-queue',
+   *     size: 3,
+   *   }
+   * }
+   * ```
+   */
+  addMessageListener() {
+    this._notifyClients = true;
+
+    self.addEventListener('message', (event: ExtendableMessageEvent) => {
+      const data: QueueMessageData = event.data;
+      if (!data || !data.payload || data.payload.queueName !== this._name) {
+        return;
+      }
+
+      let replyPromise;
+      switch (data.type) {
+        case 'GET_QUEUE_ENTRIES':
+          replyPromise = this._getEntriesForMessage();
+          break;
+        case 'DELETE_QUEUE_ENTRY':
+          replyPromise = this._deleteEntryById(data.payload.id!);
+          break;
+        case 'REPLAY_QUEUE_ENTRY':
+          replyPromise = this._replayEntryById(data.payload.id!);
+          break;
+        case 'REPLAY_QUEUE':
+          replyPromise = this._replay('message');
+          break;
+        case 'CLEAR_QUEUE':
+          replyPromise = this._clear().then(() => true);
+          break;
+        default:
+          return;
+      }
+
+      if (process.env.NODE_ENV !== 'production') {
+        logger.debug(`Received a '${data.type}' message for queue ` +
+            `'${this._name}'.`);
+      }
+
+      event.waitUntil((async () => {
+        const reply = await replyPromise;
+        if (event.ports && event.ports[0]) {
+          event.ports[0].postMessage(reply);
+        }
+      })());
+    });
+  }
+
+  /**
+   * @return {Promise<Array<Object>>} The entries in the queue, in a format
+   *     that can be sent via `postMessage()`.
+   * @private
+   */
+  async _getEntriesForMessage() {
+    const messageEntries = [];
+    for (const storeEntry of
+        await this._getUnexpiredEntries(this._queueStore)) {
+      const requestData = await this._getRequestData(storeEntry);
+      if (requestData) {
+        messageEntries.push({
+          id: storeEntry.id,
+          url: requestData.url,
+          method: requestData.method || 'GET',
+          timestamp: storeEntry.timestamp,
+          metadata: storeEntry.metadata,
+          attempts: storeEntry.attempts || 0,
+        });
+      }
+    }
+    return messageEntries;
+  }
+
+  /**
+   * Returns the entry with the given ID, checking that it belongs to this
+   * queue.
+   *
+   * @param {number} id
+   * @return {Promise<Object|undefined>}
+   * @private
+   */
+  async _getEntryById(id: number): Promise<QueueStoreEntry | undefined> {
+    const entries = await this._queueStore.getAll();
+    return entries.find((entry) => entry.id === id);
+  }
+
+  /**
+   * @param {number} id
+   * @return {Promise<boolean>} Whether an entry was deleted.
+   * @private
+   */
+  async _deleteEntryById(id: number): Promise<boolean> {
+    const entry = await this._getEntryById(id);
+    if (!entry) {
+      return false;
+    }
+
+    await this._queueStore.deleteEntry(id);
+    await this._notifyQueueUpdated();
+    return true;
+  }
+
+  /**
+   * @param {number} id
+   * @return {Promise<boolean>} Whether the entry was replayed successfully.
+   * @private
+   */
+  async _replayEntryById(id: number): Promise<boolean> {
+    const entry = await this._getEntryById(id);
+    if (!entry) {
+      return false;
+    }
+
+    const requestRemaining =
+        await this._replayStoreEntry(entry, Date.now(), true);
+    await this._notifyQueueUpdated();
+    return !requestRemaining;
+  }
+
+  /**
+   * Deletes all the entries in the queue.
+   *
+   * @private
+   */
+  async _clear() {
+    for (const entry of await this._queueStore.getAll()) {
+      await this._queueStore.deleteEntry(entry.id);
+    }
+    await this._notifyQueueUpdated();
+  }
+
+  /**
+   * Posts a message with the queue's size to all window clients, if
+   * `addMessageListener()` has been called.
+   *
+   * @private
+   */
+  async _notifyQueueUpdated() {
+    if (!this._notifyClients) {
+      return;
+    }
+
+    const size = await this._queueStore.count();
+    const windows = await self.clients.matchAll({type: 'window'});
+    for (const win of windows) {
+      win.postMessage({
+        type: QUEUE_UPDATED_MESSAGE_TYPE,
+        meta: QUEUE_UPDATED_MESSAGE_META,
+        payload: {queueName: this._name, size},
+      });
+    }
+  }
+
   /**
    * Registers a sync event with a tag unique to this instance.
+   *
+   * In browsers that don't support background sync, this instead schedules
+   * a replay for the next fetch or message event the service worker
+   * receives, or for when a timer fires, whichever happens first. The timer's
+   * delay is doubled after each failed replay.
    */
   async registerSync() {
     if ('sync' in self.registration) {
@@ -329,7 +1100,97 @@ class Queue {
               `Unable to register sync event for '${this._name}'.`, err);
         }
       }
+    } else {
+      this._replayOnNextEvent = true;
+
+      if (this._fallbackReplayTimeout === undefined) {
+        this._fallbackReplayTimeout = self.setTimeout(() => {
+          this._fallbackReplayTimeout = undefined;
+          this._replay('timer');
+        }, this._fallbackReplayDelay * 1000);
+      }
+    }
+  }
+
+  /**
+   * Registers a periodic sync event with a tag unique to this instance, if
+   * the `periodicSyncMinInterval` option was set and the browser supports
+   * Periodic Background Sync.
+   *
+   * @private
+   */
+  async _registerPeriodicSync() {
+    const {periodicSync} = self.registration as any;
+    if (!this._periodicSyncMinInterval || !periodicSync) {
+      return;
     }
+
+    try {
+      await periodicSync.register(`${TAG_PREFIX}:${this._name}`, {
+        minInterval: this._periodicSyncMinInterval * 60 * 1000,
+      });
+    } catch (err) {
+      // This means the registration failed for some reason, possibly due to
+      // the permission not being granted.
+      if (process.env.NODE_ENV !== 'production') {
+        logger.warn(`Unable to register periodic sync event for ` +
+            `'${this._name}'.`, err);
+      }
+    }
+  }
+
+  /**
+   * Replays the queue via the `onSync` callback, in response to a trigger
+   * other than a sync event. If a replay is already in progress, another
+   * one isn't started.
+   *
+   * @param {string} trigger What triggered the replay, for logging.
+   * @return {Promise<boolean>} Whether the replay ran and succeeded.
+   * @private
+   */
+  async _replay(trigger: string): Promise<boolean> {
+    if (this._syncInProgress) {
+      if (process.env.NODE_ENV !== 'production') {
+        logger.debug(`Not replaying queue '${this._name}' on ${trigger}, ` +
+            `since a replay is already in progress.`);
+      }
+      return false;
+    }
+
+    if (process.env.NODE_ENV !== 'production') {
+      logger.log(`Replaying queue '${this._name}' on ${trigger}.`);
+    }
+
+    this._syncInProgress = true;
+    this._replayOnNextEvent = false;
+    clearTimeout(this._fallbackReplayTimeout);
+    this._fallbackReplayTimeout = undefined;
+
+    const replayComplete = async () => {
+      let replayFailed = false;
+      try {
+        await this._onSync({queue: this});
+      } catch (error) {
+        replayFailed = true;
+      }
+
+      this._syncInProgress = false;
+
+      // Register for another replay if this one failed, or if new items were
+      // added to the queue during it.
+      if (replayFailed || this._requestsAddedDuringSync) {
+        this._requestsAddedDuringSync = false;
+        await this.registerSync();
+      }
+      this._fallbackReplayDelay = replayFailed ?
+          Math.min(this._fallbackReplayDelay * 2, MAX_FALLBACK_REPLAY_DELAY) :
+          FALLBACK_REPLAY_DELAY;
+
+      return !replayFailed;
+    };
+
+    this._replayPromise = replayComplete();
+    return this._replayPromise;
   }
 
   /**
@@ -349,6 +1210,8 @@ class Queue {
           }
 
           const syncComplete = async () => {
+            // Wait for any replay started by another trigger to finish.
+            await this._replayPromise;
             this._syncInProgress = true;
 
             let syncError;
@@ -384,10 +1247,46 @@ class Queue {
       }
       // If the browser doesn't support background sync, retry
       // every time the service worker starts up as a fallback.
-      this._onSync({queue: this});
+      this._replay('startup');
+
+      this._addFallbackListeners();
+    }
+
+    if (this._periodicSyncMinInterval) {
+      self.addEventListener('periodicsync', (event: PeriodicSyncEvent) => {
+        if (event.tag === `${TAG_PREFIX}:${this._name}`) {
+          event.waitUntil(this._replay('periodicsync'));
+        }
+      });
+      this._registerPeriodicSync();
     }
   }
 
+  /**
+   * In non-sync-supporting browsers, adds listeners that replay the queue
+   * when a window client relays that it's come back online (by sending a
+   * message with a `type` of `'CLIENT_ONLINE'`), and on the first fetch or
+   * message event after `registerSync()` has been called.
+   *
+   * @private
+   */
+  _addFallbackListeners() {
+    const onEvent = (event: ExtendableEvent) => {
+      if (this._replayOnNextEvent) {
+        event.waitUntil(this._replay(event.type));
+      }
+    };
+
+    self.addEventListener('fetch', onEvent);
+    self.addEventListener('message', (event: ExtendableMessageEvent) => {
+      if (event.data && event.data.type === CLIENT_ONLINE_MESSAGE_TYPE) {
+        event.waitUntil(this._replay('online'));
+      } else {
+        onEvent(event);
+      }
+    });
+  }
+
   /**
    * Returns the set of queue names. This is primarily used to reset the list
    * of queue names in tests.
@@ -402,23 +1301,63 @@ class Queue {
 }
 
 
+/**
+ * The default key for queue entries, used by the `coalesce` and `ordering`
+ * options.
+ *
+ * @param {Object} entry
+ * @return {string}
+ * @private
+ */
+const defaultGetEntryKey: GetEntryKeyCallback = ({request}) => {
+  return `${request.method} ${request.url}`;
+};
+
+/**
+ * Returns a QueueStore entry's request data, decrypting it if it's encrypted.
+ *
+ * @param {Object} queueStoreEntry
+ * @param {RequestDataEncryptor} [encryptor]
+ * @return {Promise<Object|undefined>} The request data, or `undefined` if
+ *     it's encrypted and can't be decrypted.
+ * @private
+ */
+const getRequestData = async (queueStoreEntry: UnidentifiedQueueStoreEntry,
+    encryptor?: RequestDataEncryptor): Promise<RequestData | undefined> => {
+  if (queueStoreEntry.requestData) {
+    return queueStoreEntry.requestData;
+  }
+  if (queueStoreEntry.encryptedRequestData && encryptor) {
+    return encryptor.decrypt(queueStoreEntry.encryptedRequestData);
+  }
+  return undefined;
+};
+
 /**
  * Converts a QueueStore entry into the format exposed by Queue. This entails
- * converting the request data into a real request and omitting the `id` and
- * `queueName` properties.
+ * converting the (decrypted) request data into a real request and omitting
+ * the `id` and `queueName` properties.
  *
  * @param {Object} queueStoreEntry
+ * @param {Object} requestData The entry's decrypted request data.
  * @return {Object}
  * @private
  */
-const convertEntry = (queueStoreEntry: UnidentifiedQueueStoreEntry): QueueEntry => {
+const convertEntry = (queueStoreEntry: UnidentifiedQueueStoreEntry,
+    requestData: RequestData): QueueEntry => {
   const queueEntry: QueueEntry = {
-    request: new StorableRequest(queueStoreEntry.requestData).toRequest(),
+    request: new StorableRequest(requestData).toRequest(),
     timestamp: queueStoreEntry.timestamp,
   };
   if (queueStoreEntry.metadata) {
     queueEntry.metadata = queueStoreEntry.metadata;
   }
+  if (queueStoreEntry.attempts) {
+    queueEntry.attempts = queueStoreEntry.attempts;
+  }
+  if (queueStoreEntry.nextAttemptTime) {
+    queueEntry.nextAttemptTime = queueStoreEntry.nextAttemptTime;
+  }
   return queueEntry;
 };
 
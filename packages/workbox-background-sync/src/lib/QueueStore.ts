@@ -8,6 +8,7 @@
 
 import {assert} from 'workbox-core/_private/assert.js';
 import {DBWrapper} from 'workbox-core/_private/DBWrapper.js';
+import {EncryptedRequestData} from './RequestDataEncryptor.js';
 import {RequestData} from './StorableRequest.js';
 import '../_version.js';
 
@@ -18,11 +19,14 @@ const OBJECT_STORE_NAME = 'requests';
 const INDEXED_PROP = 'queueName';
 
 export interface UnidentifiedQueueStoreEntry {
-  requestData: RequestData;
+  requestData?: RequestData;
+  encryptedRequestData?: EncryptedRequestData;
   timestamp: number;
   id?: number;
   queueName?: string;
   metadata?: object;
+  attempts?: number;
+  nextAttemptTime?: number;
 }
 
 export interface QueueStoreEntry extends UnidentifiedQueueStoreEntry {
@@ -57,7 +61,9 @@ export class QueueStore {
    * Append an entry last in the queue.
    *
    * @param {Object} entry
-   * @param {Object} entry.requestData
+   * @param {Object} [entry.requestData]
+   * @param {Object} [entry.encryptedRequestData] Set instead of
+   *     `requestData` when the queue is encrypted.
    * @param {number} [entry.timestamp]
    * @param {Object} [entry.metadata]
    * @private
@@ -70,7 +76,8 @@ export class QueueStore {
         funcName: 'pushEntry',
         paramName: 'entry',
       });
-      assert!.isType(entry.requestData, 'object', {
+      const requestData = entry.requestData || entry.encryptedRequestData!;
+      assert!.isType(requestData, 'object', {
         moduleName: 'workbox-background-sync',
         className: 'QueueStore',
         funcName: 'pushEntry',
@@ -89,7 +96,9 @@ export class QueueStore {
    * Preppend an entry first in the queue.
    *
    * @param {Object} entry
-   * @param {Object} entry.requestData
+   * @param {Object} [entry.requestData]
+   * @param {Object} [entry.encryptedRequestData] Set instead of
+   *     `requestData` when the queue is encrypted.
    * @param {number} [entry.timestamp]
    * @param {Object} [entry.metadata]
    * @private
@@ -102,7 +111,8 @@ export class QueueStore {
         funcName: 'unshiftEntry',
         paramName: 'entry',
       });
-      assert!.isType(entry.requestData, 'object', {
+      const requestData = entry.requestData || entry.encryptedRequestData!;
+      assert!.isType(requestData, 'object', {
         moduleName: 'workbox-background-sync',
         className: 'QueueStore',
         funcName: 'unshiftEntry',
@@ -160,6 +170,46 @@ export class QueueStore {
     });
   }
 
+  /**
+   * Returns the number of entries in the store matching the `queueName`,
+   * without reading them.
+   *
+   * @return {Promise<number>}
+   * @private
+   */
+  async count(): Promise<number> {
+    return await this._db.transaction([OBJECT_STORE_NAME], 'readonly',
+        (txn, done) => {
+          const request = txn.objectStore(OBJECT_STORE_NAME)
+              .index(INDEXED_PROP)
+              .count(IDBKeyRange.only(this._queueName));
+
+          request.onsuccess = () => done(request.result);
+        });
+  }
+
+  /**
+   * Replaces the stored entry with the same ID as the passed entry, e.g. to
+   * save its updated `attempts` count.
+   *
+   * @param {Object} entry
+   * @private
+   */
+  async updateEntry(entry: QueueStoreEntry) {
+    if (process.env.NODE_ENV !== 'production') {
+      assert!.isType(entry.id, 'number', {
+        moduleName: 'workbox-background-sync',
+        className: 'QueueStore',
+        funcName: 'updateEntry',
+        paramName: 'entry.id',
+      });
+    }
+
+    entry.queueName = this._queueName;
+
+    await this._db.put(OBJECT_STORE_NAME, entry);
+  }
+
   /**
    * Deletes the entry for the given ID.
    *
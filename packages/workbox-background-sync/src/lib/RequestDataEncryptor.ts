@@ -0,0 +1,131 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {RequestData} from './StorableRequest.js';
+import '../_version.js';
+
+
+// The recommended IV length for AES-GCM, in bytes.
+const IV_LENGTH = 12;
+// The number of bytes used to store the length of the serialized JSON.
+const HEADER_LENGTH = 4;
+
+export interface EncryptedRequestData {
+  iv: Uint8Array;
+  data: ArrayBuffer;
+}
+
+/**
+ * Serializes request data, including its (binary) body, into an
+ * `ArrayBuffer`, laid out as the length of the JSON part, the JSON part, and
+ * the body.
+ *
+ * @param {Object} requestData
+ * @return {ArrayBuffer}
+ * @private
+ */
+const serialize = (requestData: RequestData): ArrayBuffer => {
+  const {body, ...otherData} = requestData;
+  const json = new TextEncoder().encode(JSON.stringify({
+    requestData: otherData,
+    hasBody: body !== undefined,
+  }));
+  const bodyBytes = new Uint8Array(body || new ArrayBuffer(0));
+
+  const bytes = new Uint8Array(HEADER_LENGTH + json.length + bodyBytes.length);
+  new DataView(bytes.buffer).setUint32(0, json.length);
+  bytes.set(json, HEADER_LENGTH);
+  bytes.set(bodyBytes, HEADER_LENGTH + json.length);
+
+  return bytes.buffer;
+};
+
+/**
+ * The inverse of `serialize()`.
+ *
+ * @param {ArrayBuffer} buffer
+ * @return {Object}
+ * @private
+ */
+const deserialize = (buffer: ArrayBuffer): RequestData => {
+  const jsonLength = new DataView(buffer).getUint32(0);
+  const jsonEnd = HEADER_LENGTH + jsonLength;
+  const {requestData, hasBody} = JSON.parse(new TextDecoder().decode(
+      new Uint8Array(buffer, HEADER_LENGTH, jsonLength)));
+
+  if (hasBody) {
+    requestData.body = buffer.slice(jsonEnd);
+  }
+  return requestData;
+};
+
+/**
+ * Encrypts and decrypts the request data stored in the QueueStore, using
+ * AES-GCM with keys supplied by the app.
+ *
+ * @private
+ */
+class RequestDataEncryptor {
+  private _keys: CryptoKey[];
+
+  /**
+   * @param {CryptoKey} key The key used to encrypt request data.
+   * @param {Array<CryptoKey>} [previousKeys=[]] Other keys to try when
+   *     decrypting request data, e.g. keys that were rotated out.
+   * @private
+   */
+  constructor(key: CryptoKey, previousKeys: CryptoKey[] = []) {
+    this._keys = [key, ...previousKeys];
+  }
+
+  /**
+   * @return {Array<CryptoKey>} All the keys, starting with the one used to
+   *     encrypt request data.
+   * @private
+   */
+  get keys() {
+    return this._keys;
+  }
+
+  /**
+   * @param {Object} requestData
+   * @return {Promise<Object>}
+   * @private
+   */
+  async encrypt(requestData: RequestData): Promise<EncryptedRequestData> {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const data = await crypto.subtle.encrypt(
+        {name: 'AES-GCM', iv}, this._keys[0], serialize(requestData));
+
+    return {iv, data};
+  }
+
+  /**
+   * Tries to decrypt the data with each of the keys in turn.
+   *
+   * @param {Object} encryptedRequestData
+   * @return {Promise<Object|undefined>} The request data, or `undefined` if
+   *     none of the keys could decrypt it.
+   * @private
+   */
+  async decrypt({iv, data}: EncryptedRequestData):
+      Promise<RequestData | undefined> {
+    for (const key of this._keys) {
+      try {
+        return deserialize(
+            await crypto.subtle.decrypt({name: 'AES-GCM', iv}, key, data));
+      } catch (error) {
+        // The data was encrypted with a different key (or has been tampered
+        // with), so try the next one.
+      }
+    }
+    return undefined;
+  }
+}
+
+export {RequestDataEncryptor};
@@ -17,6 +17,9 @@ import {executeQuotaErrorCallbacks} from './_private/executeQuotaErrorCallbacks.
 import {fetchWrapper} from './_private/fetchWrapper.js';
 import {getFriendlyURL} from './_private/getFriendlyURL.js';
 import {logger} from './_private/logger.js';
+import {networkStatus} from './_private/networkStatus.js';
+import {ResponseDeduplicator} from './_private/ResponseDeduplicator.js';
+import {responseSources} from './_private/responseSources.js';
 import {WorkboxError} from './_private/WorkboxError.js';
 
 import './_version.js';
@@ -32,5 +35,8 @@ export {
   fetchWrapper,
   getFriendlyURL,
   logger,
+  networkStatus,
+  ResponseDeduplicator,
+  responseSources,
   WorkboxError,
 };
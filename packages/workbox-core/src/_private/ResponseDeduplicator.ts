@@ -0,0 +1,87 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {getFriendlyURL} from './getFriendlyURL.js';
+import {logger} from './logger.js';
+import '../_version.js';
+
+
+/**
+ * Requests can only share a response if everything the response may depend
+ * on matches, so the key includes the method, the credentials mode and all
+ * the headers, as well as the URL.
+ *
+ * @param {Request} request
+ * @return {string}
+ *
+ * @private
+ */
+const getDeduplicationKey = (request: Request): string => {
+  return JSON.stringify([
+    request.method,
+    request.url,
+    request.credentials,
+    [...request.headers],
+  ]);
+};
+
+/**
+ * Shares a single in-flight response between concurrent requests for the
+ * same URL, with the same method, credentials mode and headers (such as
+ * `Accept` or `Authorization`).
+ *
+ * @private
+ */
+class ResponseDeduplicator {
+  private _inflightResponses: Map<string, Promise<Response>>;
+
+  /**
+   * Creates a new deduplicator, with no requests in flight.
+   */
+  constructor() {
+    this._inflightResponses = new Map();
+  }
+
+  /**
+   * Calls `getResponse()`, unless it's already in progress for an equivalent
+   * request, in which case the in-flight response is shared. Each caller
+   * receives its own clone of the response.
+   *
+   * @param {Request} request
+   * @param {Function} getResponse A function that responds to the request.
+   * @return {Promise<Response>}
+   */
+  deduplicate(request: Request,
+      getResponse: () => Promise<Response> | undefined): Promise<Response> {
+    const key = getDeduplicationKey(request);
+    let inflightPromise = this._inflightResponses.get(key);
+
+    if (inflightPromise) {
+      if (process.env.NODE_ENV !== 'production') {
+        logger.debug(`Sharing the in-flight response for ` +
+            `'${getFriendlyURL(request.url)}' with a concurrent request.`);
+      }
+    } else {
+      // Wrap in a promise so that synchronous errors are also shared.
+      inflightPromise =
+          new Promise<Response>((resolve) => resolve(getResponse()));
+      this._inflightResponses.set(key, inflightPromise);
+
+      const cleanup = () => {
+        this._inflightResponses.delete(key);
+      };
+      inflightPromise.then(cleanup, cleanup);
+    }
+
+    // The original response is never handed out, so that one caller reading
+    // the body can't prevent another from cloning it.
+    return inflightPromise.then((response) => response && response.clone());
+  }
+}
+
+export {ResponseDeduplicator};
@@ -10,6 +10,7 @@ import {WorkboxError} from './WorkboxError.js';
 import {logger} from './logger.js';
 import {assert} from './assert.js';
 import {getFriendlyURL} from '../_private/getFriendlyURL.js';
+import {networkStatus} from '../_private/networkStatus.js';
 import {pluginEvents} from '../models/pluginEvents.js';
 import {WorkboxPlugin} from '../types.js';
 import {pluginUtils} from '../utils/pluginUtils.js';
@@ -118,11 +119,19 @@ const wrappedFetch = async ({
   try {
     let fetchResponse;
 
-    // See https://github.com/GoogleChrome/workbox/issues/1796
-    if (request.mode === 'navigate') {
-      fetchResponse = await fetch(request);
-    } else {
-      fetchResponse = await fetch(request, fetchOptions);
+    try {
+      // See https://github.com/GoogleChrome/workbox/issues/1796
+      if (request.mode === 'navigate') {
+        fetchResponse = await fetch(request);
+      } else {
+        fetchResponse = await fetch(request, fetchOptions);
+      }
+      networkStatus.recordFetch(true);
+    } catch (error) {
+      // Only errors thrown by fetch() itself (rather than by plugins) say
+      // anything about the state of the network.
+      networkStatus.recordFetch(false);
+      throw error;
     }
 
     if (process.env.NODE_ENV !== 'production') {
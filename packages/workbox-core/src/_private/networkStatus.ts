@@ -0,0 +1,87 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import '../_version.js';
+
+
+// Only the outcomes of the most recent requests are considered, so that the
+// failure rate reflects the current state of the network.
+const MAX_OUTCOMES = 20;
+
+// Outcomes older than this are forgotten, so that a failure rate recorded
+// while the network was down doesn't outlive the outage when few requests are
+// made afterwards (e.g. because a strategy switched to the cache).
+const MAX_OUTCOME_AGE = 2 * 60 * 1000; // 2 minutes in milliseconds
+
+// Below this many outcomes, the failure rate isn't meaningful (e.g. a single
+// failed request would be a 100% failure rate).
+const MIN_OUTCOMES = 5;
+
+interface Outcome {
+  succeeded: boolean;
+  time: number;
+}
+
+const _outcomes: Outcome[] = [];
+
+/**
+ * Removes the outcomes that are older than `MAX_OUTCOME_AGE`.
+ *
+ * @private
+ */
+const removeExpiredOutcomes = () => {
+  const minTime = Date.now() - MAX_OUTCOME_AGE;
+  while (_outcomes.length > 0 && _outcomes[0].time < minTime) {
+    _outcomes.shift();
+  }
+};
+
+/**
+ * Tracks whether recent network requests made via `fetchWrapper` succeeded,
+ * so that strategies can adapt to an unreliable network.
+ *
+ * @private
+ */
+export const networkStatus = {
+  /**
+   * @param {boolean} succeeded Whether `fetch()` resolved with a response.
+   *
+   * @private
+   */
+  recordFetch: (succeeded: boolean) => {
+    _outcomes.push({succeeded, time: Date.now()});
+    if (_outcomes.length > MAX_OUTCOMES) {
+      _outcomes.shift();
+    }
+  },
+
+  /**
+   * @return {number|undefined} The fraction (between 0 and 1) of recent
+   *     network requests that failed, or `undefined` if too few requests have
+   *     been made recently to tell.
+   *
+   * @private
+   */
+  getFailureRate: (): number | undefined => {
+    removeExpiredOutcomes();
+    if (_outcomes.length < MIN_OUTCOMES) {
+      return;
+    }
+    const failures = _outcomes.filter(({succeeded}) => !succeeded).length;
+    return failures / _outcomes.length;
+  },
+
+  /**
+   * Forgets all recorded outcomes.
+   *
+   * @private
+   */
+  reset: () => {
+    _outcomes.length = 0;
+  },
+};
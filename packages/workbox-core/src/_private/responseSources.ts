@@ -0,0 +1,48 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import '../_version.js';
+
+
+export type ResponseSource = 'cache' | 'network';
+
+const _sources: WeakMap<Response, ResponseSource> = new WeakMap();
+
+/**
+ * Keeps track of where a strategy got the response it responded with, so
+ * that other modules (e.g. the workbox-routing Router) can report on it
+ * without depending on a specific strategy.
+ *
+ * @private
+ */
+export const responseSources = {
+  /**
+   * @param {Response} response
+   * @param {string} source Either 'cache' or 'network'.
+   * @return {Response} The same response, for convenience.
+   *
+   * @private
+   */
+  set: <T extends Response | undefined>(response: T,
+      source: ResponseSource): T => {
+    if (response) {
+      _sources.set(response as Response, source);
+    }
+    return response;
+  },
+
+  /**
+   * @param {Response} response
+   * @return {string|undefined} The source recorded for the response, if any.
+   *
+   * @private
+   */
+  get: (response: Response): ResponseSource | undefined => {
+    return _sources.get(response);
+  },
+};
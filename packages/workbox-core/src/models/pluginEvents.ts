@@ -16,5 +16,9 @@ export const enum pluginEvents {
   CACHED_RESPONSE_WILL_BE_USED = 'cachedResponseWillBeUsed',
   FETCH_DID_FAIL = 'fetchDidFail',
   FETCH_DID_SUCCEED = 'fetchDidSucceed',
+  HANDLER_DID_COMPLETE = 'handlerDidComplete',
+  HANDLER_DID_ERROR = 'handlerDidError',
+  HANDLER_WILL_RESPOND = 'handlerWillRespond',
+  HANDLER_WILL_START = 'handlerWillStart',
   REQUEST_WILL_FETCH = 'requestWillFetch',
 };
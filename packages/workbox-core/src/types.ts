@@ -61,6 +61,7 @@ export interface RouteHandlerCallback {
  */
 export interface RouteHandler {
   handle(opts: RouteHandlerCallbackOptions): Promise<Response>;
+  mayCacheOpaqueResponses?(): boolean;
 }
 
 interface CacheDidUpdateCallback {
@@ -114,6 +115,38 @@ interface FetchDidSucceedCallback {
   }): Promise<Response>
 }
 
+interface HandlerWillStartCallback {
+  ({request, event}: {
+    request: Request,
+    event?: ExtendableEvent,
+  }): Promise<void | null | undefined>;
+}
+
+interface HandlerWillRespondCallback {
+  ({request, response, event}: {
+    request: Request,
+    response: Response,
+    event?: ExtendableEvent,
+  }): Promise<Response>;
+}
+
+interface HandlerDidErrorCallback {
+  ({request, error, event}: {
+    request: Request,
+    error: Error,
+    event?: ExtendableEvent,
+  }): Promise<Response | void | null | undefined>;
+}
+
+interface HandlerDidCompleteCallback {
+  ({request, response, error, event}: {
+    request: Request,
+    response?: Response,
+    error?: Error,
+    event?: ExtendableEvent,
+  }): Promise<void | null | undefined>;
+}
+
 interface RequestWillFetchCallback {
   ({request}: {
     request: Request
@@ -131,5 +164,9 @@ export interface WorkboxPlugin {
   cachedResponseWillBeUsed?: CachedResponseWillBeUsedCallback;
   fetchDidFail?: FetchDidFailCallback;
   fetchDidSucceed?: FetchDidSucceedCallback;
+  handlerDidComplete?: HandlerDidCompleteCallback;
+  handlerDidError?: HandlerDidErrorCallback;
+  handlerWillRespond?: HandlerWillRespondCallback;
+  handlerWillStart?: HandlerWillStartCallback;
   requestWillFetch?: RequestWillFetchCallback;
 }
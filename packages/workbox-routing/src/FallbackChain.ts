@@ -0,0 +1,131 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {assert} from 'workbox-core/_private/assert.js';
+import {getFriendlyURL} from 'workbox-core/_private/getFriendlyURL.js';
+import {logger} from 'workbox-core/_private/logger.js';
+import {WorkboxError} from 'workbox-core/_private/WorkboxError.js';
+import {normalizeHandler} from './utils/normalizeHandler.js';
+import {
+  Handler,
+  HandlerCallback,
+  HandlerCallbackOptions,
+  MatchCallback,
+} from './_types.js';
+import './_version.js';
+
+
+type FallbackStepHandler = Handler | HandlerCallback | string;
+
+export type FallbackStep = FallbackStepHandler | {
+  match: MatchCallback,
+  handler: FallbackStepHandler,
+};
+
+interface NormalizedFallbackStep {
+  match?: MatchCallback;
+  handler: Handler;
+}
+
+/**
+ * A FallbackChain is a handler that tries a list of handlers in order, and
+ * responds with the first one that resolves with a `Response`. A step that
+ * throws, rejects or resolves without a response is skipped.
+ *
+ * Each step can be one of:
+ *
+ * - A [handler callback]{@link workbox.routing.Route~handlerCallback} or an
+ *   object with a `handle` method, such as a `workbox.strategies` instance.
+ * - A URL string, which will be looked up with `caches.match()`. For
+ *   precached URLs, pass the value returned by
+ *   `workbox.precaching.getCacheKeyForURL()`.
+ * - An object with `match` and `handler` properties, where `handler` is one
+ *   of the above and is only tried when the
+ *   [match callback]{@link workbox.routing.Route~matchCallback} returns a
+ *   truthy value (e.g. `({request}) => request.destination === 'image'`).
+ *
+ * A FallbackChain can be used as a route's handler, a route's
+ * `catchHandler`, or the Router's catch handler.
+ *
+ * @memberof workbox.routing
+ */
+class FallbackChain implements Handler {
+  private _steps: NormalizedFallbackStep[];
+
+  /**
+   * @param {Array<*>} steps The handlers to try, in order.
+   */
+  constructor(steps: FallbackStep[]) {
+    if (process.env.NODE_ENV !== 'production') {
+      assert!.isArray(steps, {
+        moduleName: 'workbox-routing',
+        className: 'FallbackChain',
+        funcName: 'constructor',
+        paramName: 'steps',
+      });
+    }
+
+    this._steps = steps.map((step) => {
+      if (step && typeof step === 'object' && 'match' in step) {
+        return {match: step.match, handler: normalizeStepHandler(step.handler)};
+      }
+      return {handler: normalizeStepHandler(step)};
+    });
+  }
+
+  /**
+   * Tries each step in order, and resolves with the first response.
+   *
+   * @param {Object} options The same options passed to a
+   *     [handler callback]{@link workbox.routing.Route~handlerCallback}.
+   * @return {Promise<Response>}
+   */
+  async handle(options: HandlerCallbackOptions): Promise<Response> {
+    let error;
+
+    for (const {match, handler} of this._steps) {
+      if (match && !match(options)) {
+        continue;
+      }
+
+      try {
+        const response = await handler.handle(options);
+        if (response) {
+          return response;
+        }
+      } catch (err) {
+        error = err;
+        if (process.env.NODE_ENV !== 'production') {
+          logger.debug(`A fallback step for ` +
+              `'${getFriendlyURL(options.url)}' threw an error. ` +
+              `Trying the next step.`, err);
+        }
+      }
+    }
+
+    throw new WorkboxError('no-response', {url: options.url.href, error});
+  }
+}
+
+/**
+ * @param {*} handler A handler callback, a handler object or a URL string.
+ * @return {Object} An object with a handle method.
+ *
+ * @private
+ */
+const normalizeStepHandler = (handler: FallbackStepHandler): Handler => {
+  if (typeof handler === 'string') {
+    const url = handler;
+    return {
+      handle: () => caches.match(url) as Promise<Response>,
+    };
+  }
+  return normalizeHandler(handler);
+};
+
+export {FallbackChain};
@@ -0,0 +1,138 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {assert} from 'workbox-core/_private/assert.js';
+import {logger} from 'workbox-core/_private/logger.js';
+import {WorkboxError} from 'workbox-core/_private/WorkboxError.js';
+import {HTTPMethod} from './utils/constants.js';
+import {compilePathPattern} from './utils/compilePathPattern.js';
+import {Route, RouteOptions} from './Route.js';
+import {
+  Handler,
+  HandlerCallback,
+  MatchCallback,
+  MatchCallbackOptions,
+} from './_types.js';
+import './_version.js';
+
+
+/**
+ * PathRoute makes it easy to create a [Route]{@link workbox.routing.Route}
+ * from an Express-style path pattern, e.g. `/api/users/:id/posts/:postId?`.
+ *
+ * The following tokens are supported in the pathname portion of the pattern:
+ *
+ * - `:name` matches a single path segment and exposes it as `params.name`.
+ * - `:name?` makes the segment (and its leading `/`) optional.
+ * - `*` matches any number of characters (including `/`), and exposes them
+ *   as `params[0]`, `params[1]`, etc. in the order they appear.
+ *
+ * Patterns starting with `/` only match same-origin requests. Patterns
+ * starting with `http` are scoped to the given origin, which may itself
+ * contain `*` wildcards (e.g. `https://*.example.com/images/*`).
+ *
+ * The query string of the request URL is ignored when matching.
+ *
+ * @memberof workbox.routing
+ * @extends workbox.routing.Route
+ */
+class PathRoute extends Route {
+  /**
+   * Any named or wildcard parameters matched in the URL will be passed, URL
+   * decoded, to the [handler's]{@link workbox.routing.Route~handlerCallback}
+   * `params` argument as an object.
+   *
+   * @param {string} pattern The path pattern to match against URLs.
+   * @param {workbox.routing.Route~handlerCallback} handler A callback
+   * function that returns a Promise resulting in a Response.
+   * @param {string} [method='GET'] The HTTP method to match the Route
+   * against.
+   * @param {Object} [options]
+   * @param {number} [options.priority=0] The priority of the route relative
+   * to other routes registered for the same method.
+   */
+  constructor(pattern: string, handler: HandlerCallback | Handler,
+      method?: HTTPMethod, options?: RouteOptions) {
+    if (process.env.NODE_ENV !== 'production') {
+      assert!.isType(pattern, 'string', {
+        moduleName: 'workbox-routing',
+        className: 'PathRoute',
+        funcName: 'constructor',
+        paramName: 'pattern',
+      });
+
+      if (!(pattern.startsWith('/') || pattern.startsWith('http'))) {
+        throw new WorkboxError('invalid-string', {
+          moduleName: 'workbox-routing',
+          funcName: 'PathRoute',
+          paramName: 'pattern',
+        });
+      }
+    }
+
+    const {originRegExp, pathRegExp, keys} = compilePathPattern(pattern);
+
+    const match: MatchCallback = ({url}: MatchCallbackOptions) => {
+      const originMatches = originRegExp ?
+          originRegExp.test(url.origin) : url.origin === location.origin;
+
+      const result = pathRegExp.exec(url.pathname);
+
+      if (!result) {
+        return;
+      }
+
+      if (!originMatches) {
+        if (process.env.NODE_ENV !== 'production') {
+          logger.debug(
+              `The path pattern '${pattern}' matched the pathname of ` +
+              `'${url}', but not its origin. Use a pattern starting with ` +
+              `'http' to match cross-origin requests.`);
+        }
+        return;
+      }
+
+      const params: {[paramName: string]: string} = {};
+      keys.forEach((key, i) => {
+        const value = result[i + 1];
+        if (value !== undefined) {
+          params[key] = decodeParam(value);
+        }
+      });
+
+      // An empty object is still truthy, so patterns without parameters
+      // will match without passing `params` to the handler.
+      return params;
+    };
+
+    const crossOrigin = Boolean(originRegExp) &&
+        !originRegExp!.test(location.origin);
+
+    super(match, handler, method,
+        Object.assign({name: pattern, crossOrigin}, options));
+  }
+}
+
+/**
+ * Decodes a matched URL segment, falling back to the raw value if the
+ * segment contains malformed percent-encoding.
+ *
+ * @param {string} value
+ * @return {string}
+ *
+ * @private
+ */
+const decodeParam = (value: string): string => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+export {PathRoute};
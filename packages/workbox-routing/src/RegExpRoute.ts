@@ -9,8 +9,13 @@
 import {assert} from 'workbox-core/_private/assert.js';
 import {logger} from 'workbox-core/_private/logger.js';
 import {HTTPMethod} from './utils/constants.js';
-import {Route} from './Route.js';
-import {MatchCallbackOptions, HandlerCallback, MatchCallback} from './_types.js';
+import {Route, RouteOptions} from './Route.js';
+import {
+  Handler,
+  HandlerCallback,
+  MatchCallback,
+  MatchCallbackOptions,
+} from './_types.js';
 import './_version.js';
 
 
@@ -40,8 +45,12 @@ class RegExpRoute extends Route {
    * function that returns a Promise resulting in a Response.
    * @param {string} [method='GET'] The HTTP method to match the Route
    * against.
+   * @param {Object} [options]
+   * @param {number} [options.priority=0] The priority of the route relative
+   * to other routes registered for the same method.
    */
-  constructor(regExp: RegExp, handler: HandlerCallback, method?: HTTPMethod) {
+  constructor(regExp: RegExp, handler: HandlerCallback | Handler,
+      method?: HTTPMethod, options?: RouteOptions) {
     if (process.env.NODE_ENV !== 'production') {
       assert!.isInstance(regExp, RegExp, {
         moduleName: 'workbox-routing',
@@ -82,7 +91,12 @@ class RegExpRoute extends Route {
       return result.slice(1);
     };
 
-    super(match, handler, method);
+    // A RegExp can only match cross-origin requests from the start of the
+    // URL, so one that starts with 'http' is assumed to be cross-origin.
+    const crossOrigin = /^\^?https?/.test(regExp.source);
+
+    super(match, handler, method,
+        Object.assign({name: String(regExp), crossOrigin}, options));
   }
 }
 
@@ -9,10 +9,40 @@
 import {assert} from 'workbox-core/_private/assert.js';
 import {HTTPMethod, defaultMethod, validMethods} from './utils/constants.js';
 import {normalizeHandler} from './utils/normalizeHandler.js';
-import {Handler, HandlerCallback, MatchCallback} from './_types.js';
+import {
+  Handler,
+  HandlerCallback,
+  MatchCallback,
+  MatchCallbackOptions,
+} from './_types.js';
 import './_version.js';
 
 
+export interface RouteOptions {
+  priority?: number;
+  catchHandler?: HandlerCallback | Handler;
+  deduplicate?: boolean;
+  name?: string;
+  activeFrom?: Date | number;
+  activeUntil?: Date | number;
+  activeWhen?: ActiveWhenCallback;
+  crossOrigin?: boolean;
+}
+
+export interface ActiveWhenCallback {
+  (options: MatchCallbackOptions): boolean;
+}
+
+/**
+ * @param {Date|number} [time]
+ * @return {number|undefined} The time as a timestamp in milliseconds.
+ *
+ * @private
+ */
+const toTimestamp = (time?: Date | number): number | undefined => {
+  return time instanceof Date ? time.getTime() : time;
+};
+
 /**
  * A `Route` consists of a pair of callback functions, "match" and "handler".
  * The "match" callback determine if a route should be used to "handle" a
@@ -20,12 +50,29 @@ import './_version.js';
  * is called when there is a match and should return a Promise that resolves
  * to a `Response`.
  *
+ * A route can optionally be given a numeric `priority`. When multiple routes
+ * match a request, the [Router]{@link workbox.routing.Router} will use the
+ * one with the highest priority, and fall back to registration order for
+ * routes with equal priority.
+ *
+ * A route can also have its own "catch" handler, which is called if the
+ * "handler" callback throws or rejects, before falling back to the Router's
+ * catch handler.
+ *
  * @memberof workbox.routing
  */
 class Route {
   handler: Handler;
   match: MatchCallback;
   method: HTTPMethod;
+  priority: number;
+  catchHandler?: Handler;
+  deduplicate: boolean;
+  name?: string;
+  activeFrom?: number;
+  activeUntil?: number;
+  activeWhen?: ActiveWhenCallback;
+  crossOrigin: boolean;
 
   /**
    * Constructor for Route class.
@@ -37,11 +84,45 @@ class Route {
    * function that returns a Promise resolving to a Response.
    * @param {string} [method='GET'] The HTTP method to match the Route
    * against.
+   * @param {Object} [options]
+   * @param {number} [options.priority=0] Routes with a higher priority are
+   * matched before routes with a lower priority, regardless of the order in
+   * which they were registered.
+   * @param {workbox.routing.Route~handlerCallback} [options.catchHandler] A
+   * callback function that returns a Promise resulting in a Response, used if
+   * `handler` throws or rejects.
+   * @param {boolean} [options.deduplicate=false] If true, concurrent `GET`
+   * requests for the same URL, with the same headers and credentials mode,
+   * will share a single call to `handler`.
+   * @param {string} [options.name] A name used to identify the route, e.g. in
+   * [Router.getStats()]{@link workbox.routing.Router#getStats}.
+   * @param {Date|number} [options.activeFrom] If set, the route won't match
+   * any requests before this time.
+   * @param {Date|number} [options.activeUntil] If set, the route won't match
+   * any requests from this time onwards.
+   * @param {Function} [options.activeWhen] A function that's passed the same
+   * arguments as `match`, and returns whether the route is active for that
+   * request, e.g. to only use a route during a maintenance window.
+   * @param {boolean} [options.crossOrigin=false] Whether the route matches
+   * cross-origin requests. In development builds, the
+   * [Router]{@link workbox.routing.Router} warns when such a route's handler
+   * may cache opaque responses. This is set automatically for string,
+   * `RegExp` and path captures that start with `http`.
    */
   constructor(
       match: MatchCallback,
       handler: HandlerCallback | Handler,
-      method: HTTPMethod = defaultMethod) {
+      method: HTTPMethod = defaultMethod,
+      {
+        priority = 0,
+        catchHandler,
+        deduplicate = false,
+        name,
+        activeFrom,
+        activeUntil,
+        activeWhen,
+        crossOrigin = false,
+      }: RouteOptions = {}) {
     if (process.env.NODE_ENV !== 'production') {
       assert!.isType(match, 'function', {
         moduleName: 'workbox-routing',
@@ -53,6 +134,35 @@ class Route {
       if (method) {
         assert!.isOneOf(method, validMethods, {paramName: 'method'});
       }
+
+      assert!.isType(priority, 'number', {
+        moduleName: 'workbox-routing',
+        className: 'Route',
+        funcName: 'constructor',
+        paramName: 'options.priority',
+      });
+
+      const times: {[paramName: string]: Date | number | undefined} =
+          {activeFrom, activeUntil};
+      for (const paramName of Object.keys(times)) {
+        if (times[paramName] !== undefined) {
+          assert!.isType(toTimestamp(times[paramName])!, 'number', {
+            moduleName: 'workbox-routing',
+            className: 'Route',
+            funcName: 'constructor',
+            paramName: `options.${paramName}`,
+          });
+        }
+      }
+
+      if (activeWhen !== undefined) {
+        assert!.isType(activeWhen, 'function', {
+          moduleName: 'workbox-routing',
+          className: 'Route',
+          funcName: 'constructor',
+          paramName: 'options.activeWhen',
+        });
+      }
     }
 
     // These values are referenced directly by Router so cannot be
@@ -60,6 +170,34 @@ class Route {
     this.handler = normalizeHandler(handler);
     this.match = match;
     this.method = method;
+    this.priority = priority;
+    this.deduplicate = deduplicate;
+    this.name = name;
+    this.activeFrom = toTimestamp(activeFrom);
+    this.activeUntil = toTimestamp(activeUntil);
+    this.activeWhen = activeWhen;
+    this.crossOrigin = crossOrigin;
+    if (catchHandler) {
+      this.catchHandler = normalizeHandler(catchHandler);
+    }
+  }
+
+  /**
+   * Checks the route's `activeFrom`, `activeUntil` and `activeWhen` options.
+   * The Router only calls `match` for routes that are active.
+   *
+   * @param {Object} options The same options passed to `match`.
+   * @return {boolean} Whether the route is active for the request.
+   */
+  isActive(options: MatchCallbackOptions): boolean {
+    const now = Date.now();
+    if (this.activeFrom !== undefined && now < this.activeFrom) {
+      return false;
+    }
+    if (this.activeUntil !== undefined && now >= this.activeUntil) {
+      return false;
+    }
+    return this.activeWhen ? Boolean(this.activeWhen(options)) : true;
   }
 }
 
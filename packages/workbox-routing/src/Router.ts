@@ -7,13 +7,24 @@
 */
 
 import {assert} from 'workbox-core/_private/assert.js';
+import {fetchWrapper} from 'workbox-core/_private/fetchWrapper.js';
 import {logger} from 'workbox-core/_private/logger.js';
 import {WorkboxError} from 'workbox-core/_private/WorkboxError.js';
 import {getFriendlyURL} from 'workbox-core/_private/getFriendlyURL.js';
+import {ResponseDeduplicator} from 'workbox-core/_private/ResponseDeduplicator.js';
+import {responseSources} from 'workbox-core/_private/responseSources.js';
 import {Route} from './Route.js';
-import {HTTPMethod} from './utils/constants.js';
+import {MatchRequestCallback} from './matchRequest.js';
+import {HTTPMethod, defaultMethod} from './utils/constants.js';
+import {createRoute} from './utils/createRoute.js';
 import {normalizeHandler} from './utils/normalizeHandler.js';
-import {Handler, HandlerCallback, HandlerCallbackOptions} from './_types.js';
+import {RouteStats, RouteStatsRecord} from './utils/RouteStatsRecord.js';
+import {
+  Handler,
+  HandlerCallback,
+  HandlerCallbackOptions,
+  MatchCallbackOptions,
+} from './_types.js';
 import './_version.js';
 
 
@@ -27,6 +38,84 @@ interface CacheURLsMessageData {
   };
 }
 
+export interface RouterMiddlewareCallbackOptions extends HandlerCallbackOptions {
+  route?: Route;
+}
+
+export interface RequestWillBeHandledCallback {
+  (options: RouterMiddlewareCallbackOptions):
+      Promise<Request | Response | void> | Request | Response | void;
+}
+
+export interface ResponseWillBeReturnedCallback {
+  (options: RouterMiddlewareCallbackOptions & {response: Response}):
+      Promise<Response | void> | Response | void;
+}
+
+interface RemoteRouteMessageData {
+  type: string;
+  payload: {
+    name: string;
+    capture?: string | RegExp;
+    handler?: string;
+    method?: HTTPMethod;
+    priority?: number;
+    activeFrom?: Date | number;
+    activeUntil?: Date | number;
+  };
+}
+
+export interface RemoteRouteHandlers {
+  [handlerName: string]: Handler | HandlerCallback;
+}
+
+export interface RouterMiddleware {
+  requestWillBeHandled?: RequestWillBeHandledCallback;
+  responseWillBeReturned?: ResponseWillBeReturnedCallback;
+}
+
+export interface RouterMiddlewareOptions {
+  routes?: Route[];
+  methods?: HTTPMethod[];
+}
+
+export type OpaqueRequestPolicy =
+    'allow' | 'ignore' | 'network-only' | Handler | HandlerCallback;
+
+export interface RouterOptions {
+  deduplicate?: boolean;
+  schemes?: string[];
+  allowedOrigins?: Array<string | RegExp>;
+  deniedOrigins?: Array<string | RegExp>;
+  opaqueRequests?: OpaqueRequestPolicy;
+}
+
+interface RouterMiddlewareEntry extends RouterMiddlewareOptions {
+  middleware: RouterMiddleware;
+}
+
+// Used when the `opaqueRequests` option is 'network-only', so that responses
+// to opaque requests are never cached.
+const networkOnlyHandler: Handler = {
+  handle: async ({request, event}) => {
+    const response = await fetchWrapper.fetch({request, event});
+    return responseSources.set(response, 'network');
+  },
+};
+
+/**
+ * @param {string} origin
+ * @param {Array<string|RegExp>} patterns
+ * @return {boolean} Whether the origin equals or matches any of the patterns.
+ *
+ * @private
+ */
+const originMatches = (origin: string,
+    patterns: Array<string | RegExp>): boolean => {
+  return patterns.some((pattern) => pattern instanceof RegExp ?
+      pattern.test(origin) : pattern === origin);
+};
+
 /**
  * The Router can be used to process a FetchEvent through one or more
  * [Routes]{@link workbox.routing.Route} responding  with a Request if
@@ -35,12 +124,13 @@ interface CacheURLsMessageData {
  * If no route matches a given a request, the Router will use a "default"
  * handler if one is defined.
  *
- * Should the matching Route throw an error, the Router will use a "catch"
- * handler if one is defined to gracefully deal with issues and respond with a
- * Request.
+ * Should the matching Route throw an error, the Router will use the Route's
+ * "catch" handler, followed by the Router's "catch" handler, if they are
+ * defined to gracefully deal with issues and respond with a Request.
  *
- * If a request matches multiple routes, the **earliest** registered route will
- * be used to respond to the request.
+ * If a request matches multiple routes, the route with the **highest**
+ * priority will be used to respond to the request. Among routes with the same
+ * priority, the **earliest** registered route will be used.
  *
  * @memberof workbox.routing
  */
@@ -48,12 +138,93 @@ class Router {
   private _routes: Map<HTTPMethod, Route[]>;
   private _defaultHandler: Handler;
   private _catchHandler: Handler;
+  private _middleware: RouterMiddlewareEntry[];
+  private _deduplicate: boolean;
+  private _responseDeduplicator: ResponseDeduplicator;
+  private _stats: Map<Route | Handler, RouteStatsRecord>;
+  private _schemes: string[];
+  private _allowedOrigins?: Array<string | RegExp>;
+  private _deniedOrigins: Array<string | RegExp>;
+  private _opaqueRequests: 'allow' | 'ignore' | Handler;
+  private _remoteRoutes: Map<string, Route>;
 
   /**
    * Initializes a new Router.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.deduplicate=false] If true, concurrent `GET`
+   *     requests for the same URL, with the same headers and credentials
+   *     mode, will share a single call to the matching handler, with each
+   *     request receiving its own clone of the response.
+   *     Deduplication can also be enabled for individual routes via the
+   *     `deduplicate` route option.
+   * @param {Array<string>} [options.schemes=['http', 'https']] The URL
+   *     schemes of the requests the router will handle. Requests for other
+   *     schemes are ignored.
+   * @param {Array<string|RegExp>} [options.allowedOrigins] If set,
+   *     cross-origin requests are only handled if their origin equals one of
+   *     the strings or matches one of the RegExps. Same-origin requests are
+   *     always allowed, unless they're denied.
+   * @param {Array<string|RegExp>} [options.deniedOrigins=[]] Requests whose
+   *     origin equals one of the strings or matches one of the RegExps are
+   *     never handled, and are left to the browser.
+   * @param {string|Object|Function} [options.opaqueRequests='allow'] How to
+   *     handle cross-origin `no-cors` requests, whose responses are opaque.
+   *     `'allow'` handles them like any other request. `'ignore'` leaves them
+   *     to the browser. `'network-only'` responds from the network instead of
+   *     using the matching route, so their responses are never cached.
+   *     Alternatively, a handler can be passed to respond to all of them, e.g.
+   *     a strategy that's been configured to cache opaque responses safely.
    */
-  constructor() {
+  constructor({
+    deduplicate = false,
+    schemes = ['http', 'https'],
+    allowedOrigins,
+    deniedOrigins = [],
+    opaqueRequests = 'allow',
+  }: RouterOptions = {}) {
+    if (process.env.NODE_ENV !== 'production') {
+      assert!.isArray(schemes, {
+        moduleName: 'workbox-routing',
+        className: 'Router',
+        funcName: 'constructor',
+        paramName: 'options.schemes',
+      });
+
+      if (allowedOrigins !== undefined) {
+        assert!.isArray(allowedOrigins, {
+          moduleName: 'workbox-routing',
+          className: 'Router',
+          funcName: 'constructor',
+          paramName: 'options.allowedOrigins',
+        });
+      }
+
+      assert!.isArray(deniedOrigins, {
+        moduleName: 'workbox-routing',
+        className: 'Router',
+        funcName: 'constructor',
+        paramName: 'options.deniedOrigins',
+      });
+    }
+
     this._routes = new Map();
+    this._middleware = [];
+    this._deduplicate = deduplicate;
+    this._responseDeduplicator = new ResponseDeduplicator();
+    this._stats = new Map();
+    this._schemes = schemes.map((scheme) => scheme.replace(/:$/, ''));
+    this._allowedOrigins = allowedOrigins;
+    this._deniedOrigins = deniedOrigins;
+    this._remoteRoutes = new Map();
+
+    if (opaqueRequests === 'allow' || opaqueRequests === 'ignore') {
+      this._opaqueRequests = opaqueRequests;
+    } else if (opaqueRequests === 'network-only') {
+      this._opaqueRequests = networkOnlyHandler;
+    } else {
+      this._opaqueRequests = normalizeHandler(opaqueRequests);
+    }
   }
 
   /**
@@ -65,6 +236,18 @@ class Router {
     return this._routes;
   }
 
+  /**
+   * Returns the effective route table for the given HTTP method, i.e. the
+   * routes in the order they will be checked when matching a request.
+   *
+   * @param {string} [method='GET'] The HTTP method to get the routes for.
+   * @return {Array<workbox.routing.Route>} A copy of the registered routes,
+   *     sorted by priority and then registration order.
+   */
+  getRoutes(method: HTTPMethod = defaultMethod): Route[] {
+    return (this._routes.get(method) || []).slice();
+  }
+
   /**
    * Adds a fetch event listener to respond to events when a route matches
    * the event's request.
@@ -135,6 +318,189 @@ class Router {
     });
   }
 
+  /**
+   * Adds a message event listener that replies with the result of
+   * [getStats()]{@link workbox.routing.Router#getStats} when the window
+   * sends a message with a `type` of `'GET_ROUTER_STATS'` over a
+   * `MessageChannel`. This is how `messageSW()` from `workbox-window` sends
+   * messages.
+   */
+  addStatsListener() {
+    self.addEventListener('message', (event: ExtendableMessageEvent) => {
+      if (event.data && event.data.type === 'GET_ROUTER_STATS') {
+        if (process.env.NODE_ENV !== 'production') {
+          logger.debug(`Sending router stats to the window.`);
+        }
+
+        if (event.ports && event.ports[0]) {
+          event.ports[0].postMessage(this.getStats());
+        }
+      }
+    });
+  }
+
+  /**
+   * Adds a message event listener that lets the window register and
+   * unregister routes, e.g. to show a maintenance page during a deploy, or to
+   * start or stop a promotion without deploying a new service worker.
+   *
+   * To register a route, send a message with a `type` of `'REGISTER_ROUTE'`
+   * and a `payload` with the following properties:
+   *
+   * - `name`: identifies the route. Registering another route with the same
+   *   name replaces it.
+   * - `capture`: a string or RegExp, used the same way as by
+   *   [registerRoute()]{@link workbox.routing.registerRoute}.
+   * - `handler`: the name of one of the `handlers` passed to this method.
+   * - `method`, `priority`, `activeFrom` and `activeUntil` (optional): passed
+   *   to the [Route]{@link workbox.routing.Route}.
+   *
+   * To unregister a route, send a message with a `type` of
+   * `'UNREGISTER_ROUTE'` and a `payload` of `{name}`. Only routes registered
+   * via a message can be unregistered this way.
+   *
+   * If a `MessageChannel` was used, the reply is `true` on success, and
+   * `false` otherwise.
+   *
+   * @param {Object} handlers A mapping of names to the handlers that remotely
+   *     registered routes can use. Functions can't be sent via
+   *     `postMessage()`, so handlers must be referenced by name.
+   */
+  addRemoteRouteListener(handlers: RemoteRouteHandlers) {
+    if (process.env.NODE_ENV !== 'production') {
+      assert!.isType(handlers, 'object', {
+        moduleName: 'workbox-routing',
+        className: 'Router',
+        funcName: 'addRemoteRouteListener',
+        paramName: 'handlers',
+      });
+    }
+
+    self.addEventListener('message', (event: ExtendableMessageEvent) => {
+      const data: RemoteRouteMessageData = event.data;
+      if (!data ||
+          (data.type !== 'REGISTER_ROUTE' && data.type !== 'UNREGISTER_ROUTE')) {
+        return;
+      }
+
+      let success;
+      try {
+        success = data.type === 'REGISTER_ROUTE' ?
+            this._registerRemoteRoute(data.payload, handlers) :
+            this._unregisterRemoteRoute(data.payload);
+      } catch (error) {
+        if (process.env.NODE_ENV !== 'production') {
+          logger.warn(`Unable to handle the '${data.type}' message from ` +
+              `the window.`, error);
+        }
+        success = false;
+      }
+
+      if (event.ports && event.ports[0]) {
+        event.ports[0].postMessage(success);
+      }
+    });
+  }
+
+  /**
+   * @param {Object} payload The payload of a `'REGISTER_ROUTE'` message.
+   * @param {Object} handlers The handlers that can be used by the route.
+   * @return {boolean} Whether the route was registered.
+   *
+   * @private
+   */
+  private _registerRemoteRoute(payload: RemoteRouteMessageData['payload'],
+      handlers: RemoteRouteHandlers): boolean {
+    const {
+      name,
+      capture,
+      handler,
+      method,
+      priority,
+      activeFrom,
+      activeUntil,
+    } = payload || {} as RemoteRouteMessageData['payload'];
+
+    if (typeof name !== 'string' ||
+        !(typeof capture === 'string' || capture instanceof RegExp) ||
+        typeof handler !== 'string' ||
+        !Object.prototype.hasOwnProperty.call(handlers, handler)) {
+      if (process.env.NODE_ENV !== 'production') {
+        logger.warn(`Unable to register the route from the window. The ` +
+            `payload must include a 'name', a string or RegExp 'capture', ` +
+            `and the name of one of the handlers passed to ` +
+            `addRemoteRouteListener().`, payload);
+      }
+      return false;
+    }
+
+    const route = createRoute(capture, handlers[handler], method,
+        {name, priority, activeFrom, activeUntil});
+
+    this._unregisterRemoteRoute({name});
+    this.registerRoute(route);
+    this._remoteRoutes.set(name, route);
+
+    if (process.env.NODE_ENV !== 'production') {
+      logger.debug(`Registered the route '${name}' from the window.`);
+    }
+    return true;
+  }
+
+  /**
+   * @param {Object} payload The payload of an `'UNREGISTER_ROUTE'` message.
+   * @return {boolean} Whether a route was unregistered.
+   *
+   * @private
+   */
+  private _unregisterRemoteRoute({name}: {name: string}): boolean {
+    const route = this._remoteRoutes.get(name);
+    if (!route) {
+      return false;
+    }
+
+    this.unregisterRoute(route);
+    this._remoteRoutes.delete(name);
+    // The route can't be registered again, so its stats would never be
+    // cleaned up.
+    this._stats.delete(route);
+
+    if (process.env.NODE_ENV !== 'production') {
+      logger.debug(`Unregistered the route '${name}'.`);
+    }
+    return true;
+  }
+
+  /**
+   * Returns the counters and response times recorded for each route that has
+   * handled a request. Requests handled by the default handler are reported
+   * under the name `'defaultHandler'`.
+   *
+   * Each entry has the following properties:
+   *
+   * - `name`: the route's `name` option, or a description of its method.
+   * - `method`: the route's HTTP method.
+   * - `matches`: the number of requests the route handled.
+   * - `cacheHits` and `networkResponses`: the number of responses a
+   *   `workbox.strategies` handler got from the cache or the network.
+   * - `errors`: the number of times the handler threw or rejected.
+   * - `catchHandlerResponses`: the number of times a catch handler was used.
+   * - `timing`: the 50th, 90th and 99th percentile response times, in
+   *   milliseconds, over the most recent requests.
+   *
+   * @return {Array<Object>}
+   */
+  getStats(): RouteStats[] {
+    return Array.from(this._stats.values()).map((stats) => stats.toObject());
+  }
+
+  /**
+   * Clears all recorded stats.
+   */
+  resetStats() {
+    this._stats.clear();
+  }
+
   /**
    * Apply the routing rules to a FetchEvent object to get a Response from an
    * appropriate Route's handler.
@@ -162,10 +528,19 @@ class Router {
     }
 
     const url = new URL(request.url, location.href);
-    if (!url.protocol.startsWith('http')) {
+    if (!this._schemes.includes(url.protocol.slice(0, -1))) {
+      if (process.env.NODE_ENV !== 'production') {
+        logger.debug(`The Router is not handling '${getFriendlyURL(url)}', ` +
+            `since its scheme isn't one of: ${this._schemes.join(', ')}. ` +
+            `Use the 'schemes' option to handle other schemes.`);
+      }
+      return;
+    }
+
+    if (!this._isOriginAllowed(url)) {
       if (process.env.NODE_ENV !== 'production') {
-        logger.debug(
-            `Workbox Router only supports URLs that start with 'http'.`);
+        logger.debug(`The Router is not handling '${getFriendlyURL(url)}', ` +
+            `since its origin isn't allowed.`);
       }
       return;
     }
@@ -207,6 +582,25 @@ class Router {
       return;
     }
 
+    const isOpaqueRequest = url.origin !== location.origin &&
+        request.mode === 'no-cors';
+    if (isOpaqueRequest && this._opaqueRequests !== 'allow') {
+      if (this._opaqueRequests === 'ignore') {
+        if (process.env.NODE_ENV !== 'production') {
+          logger.debug(`The Router is not handling the opaque request for ` +
+              `'${getFriendlyURL(url)}', since the 'opaqueRequests' option ` +
+              `is 'ignore'.`);
+        }
+        return;
+      }
+
+      if (process.env.NODE_ENV !== 'production') {
+        debugMessages.push(`This is an opaque request, so it will be ` +
+            `handled according to the 'opaqueRequests' option.`);
+      }
+      handler = this._opaqueRequests;
+    }
+
     if (process.env.NODE_ENV !== 'production') {
       // We have a handler, meaning Workbox is going to handle the route.
       // print the routing details to the console.
@@ -228,15 +622,170 @@ class Router {
       logger.groupEnd();
     }
 
+    const middleware = this._middleware.filter(({routes, methods}) => {
+      return (!routes || (route !== undefined && routes.includes(route))) &&
+          (!methods || methods.includes(request.method as HTTPMethod));
+    }).map((entry) => entry.middleware);
+
+    const stats = this._getStatsRecord(route, handler);
+    stats.matches++;
+    const startTime = performance.now();
+
+    const respond = () => {
+      if (middleware.length > 0) {
+        return this._handleWithMiddleware(middleware, handler!,
+            {url, request, event, params, route}, stats);
+      }
+      return this._handleWithCatchHandlers(handler!,
+          {url, request, event, params, route}, stats);
+    };
+
+    let responsePromise;
+    const deduplicate = (route && route.deduplicate) || this._deduplicate;
+    if (deduplicate && isDeduplicatable(request)) {
+      responsePromise =
+          this._responseDeduplicator.deduplicate(request, respond);
+    } else {
+      responsePromise = respond();
+    }
+
+    if (responsePromise) {
+      const recordDuration = () => {
+        stats.addDuration(performance.now() - startTime);
+      };
+      responsePromise.then(recordDuration, recordDuration);
+    }
+
+    return responsePromise;
+  }
+
+  /**
+   * @param {URL} url
+   * @return {boolean} Whether requests for the URL's origin may be handled.
+   *
+   * @private
+   */
+  private _isOriginAllowed(url: URL): boolean {
+    if (originMatches(url.origin, this._deniedOrigins)) {
+      return false;
+    }
+    if (this._allowedOrigins && url.origin !== location.origin) {
+      return originMatches(url.origin, this._allowedOrigins);
+    }
+    return true;
+  }
+
+  /**
+   * Warns when a handler that may respond to cross-origin `no-cors` requests
+   * may also cache their opaque responses, according to its
+   * `mayCacheOpaqueResponses()` method.
+   *
+   * @param {Object} handler
+   * @param {string} name How to refer to the route in the warning.
+   *
+   * @private
+   */
+  private _warnAboutOpaqueCaching(handler: Handler, name: string) {
+    if (this._opaqueRequests !== 'allow' ||
+        !handler.mayCacheOpaqueResponses ||
+        !handler.mayCacheOpaqueResponses()) {
+      return;
+    }
+
+    logger.warn(`${name} handles cross-origin requests with a strategy that ` +
+        `may cache opaque responses. Opaque responses hide their status, so ` +
+        `errors can end up cached, and they can use a lot of storage quota. ` +
+        `Consider using the Router's 'opaqueRequests' option, or only caching ` +
+        `responses with a status of 200.`);
+  }
+
+  /**
+   * @param {workbox.routing.Route} [route] The matching route, if any.
+   * @param {Object} handler The handler that will respond.
+   * @return {RouteStatsRecord} The stats record for the route, or for the
+   *     default handler if there was no matching route.
+   *
+   * @private
+   */
+  private _getStatsRecord(route: Route | undefined,
+      handler: Handler): RouteStatsRecord {
+    const key = route || handler;
+    let stats = this._stats.get(key);
+    if (!stats) {
+      stats = route ?
+          new RouteStatsRecord(route.name || `${route.method} route`,
+              route.method) :
+          new RouteStatsRecord('defaultHandler');
+      this._stats.set(key, stats);
+    }
+    return stats;
+  }
+
+  /**
+   * Calls the handler, and falls back to the route's catch handler and then
+   * the router's catch handler if the handler throws or rejects.
+   *
+   * @param {Object} handler The handler to respond with.
+   * @param {Object} options
+   * @param {RouteStatsRecord} stats The stats record to update.
+   * @param {Function} [respond] Called instead of the handler, e.g. to run
+   *     middleware around it. Errors it throws also fall back to the catch
+   *     handlers.
+   * @return {Promise<Response>|undefined}
+   *
+   * @private
+   */
+  private _handleWithCatchHandlers(handler: Handler, {
+    url,
+    request,
+    event,
+    params,
+    route,
+  }: RouterMiddlewareCallbackOptions,
+  stats: RouteStatsRecord,
+  respond?: () => Promise<Response>): Promise<Response> | undefined {
     // Wrap in try and catch in case the handle method throws a synchronous
     // error. It should still callback to the catch handler.
     let responsePromise;
     try {
-      responsePromise = handler.handle({url, request, event, params});
+      responsePromise = respond ?
+          respond() : handler.handle({url, request, event, params});
     } catch (err) {
       responsePromise = Promise.reject(err);
     }
 
+    if (responsePromise) {
+      responsePromise = responsePromise.then((response) => {
+        const source = response && responseSources.get(response);
+        if (source === 'cache') {
+          stats.cacheHits++;
+        } else if (source === 'network') {
+          stats.networkResponses++;
+        }
+
+        return response;
+      }, (err) => {
+        stats.errors++;
+        throw err;
+      });
+    }
+
+    const routeCatchHandler = route && route.catchHandler;
+    if (responsePromise && routeCatchHandler) {
+      responsePromise = responsePromise.catch((err) => {
+        if (process.env.NODE_ENV !== 'production') {
+          logger.groupCollapsed(`Error thrown when responding to: ` +
+            ` ${getFriendlyURL(url)}. Falling back to the route's Catch ` +
+            `Handler.`);
+          logger.error(`Error thrown by:`, route);
+          logger.error(err);
+          logger.groupEnd();
+        }
+        stats.catchHandlerResponses++;
+        return routeCatchHandler.handle({url, request, event, params});
+      });
+    }
+
     if (responsePromise && this._catchHandler) {
       responsePromise = responsePromise.catch((err) => {
         if (process.env.NODE_ENV !== 'production') {
@@ -248,6 +797,7 @@ class Router {
           logger.error(err);
           logger.groupEnd();
         }
+        stats.catchHandlerResponses++;
         return this._catchHandler.handle({url, request, event});
       });
     }
@@ -255,6 +805,74 @@ class Router {
     return responsePromise;
   }
 
+  /**
+   * Runs the `requestWillBeHandled` callbacks of the middleware in the order
+   * they were added, then the handler (unless a middleware responded), and
+   * finally the `responseWillBeReturned` callbacks in reverse order. If a
+   * `requestWillBeHandled` callback throws, the catch handlers respond, as
+   * they would if the handler threw.
+   *
+   * @param {Array<Object>} middleware The middleware that apply to the request.
+   * @param {Object} handler The handler to respond with.
+   * @param {Object} options
+   * @param {RouteStatsRecord} stats The stats record to update.
+   * @return {Promise<Response>}
+   *
+   * @private
+   */
+  private async _handleWithMiddleware(
+      middleware: RouterMiddleware[],
+      handler: Handler,
+      options: RouterMiddlewareCallbackOptions,
+      stats: RouteStatsRecord): Promise<Response> {
+    const respond = async () => {
+      for (const entry of middleware) {
+        if (!entry.requestWillBeHandled) {
+          continue;
+        }
+
+        const result = await entry.requestWillBeHandled.call(entry, options);
+
+        if (result instanceof Response) {
+          if (process.env.NODE_ENV !== 'production') {
+            logger.debug(`A middleware responded to ` +
+                `'${getFriendlyURL(options.url)}' without calling the ` +
+                `route's handler.`);
+          }
+          return result;
+        }
+
+        if (result instanceof Request) {
+          options = Object.assign({}, options, {
+            request: result,
+            url: new URL(result.url, location.href),
+          });
+        }
+      }
+
+      const {url, request, event, params} = options;
+      return handler.handle({url, request, event, params});
+    };
+
+    let response =
+        await this._handleWithCatchHandlers(handler, options, stats, respond);
+
+    for (const entry of middleware.slice().reverse()) {
+      if (!entry.responseWillBeReturned) {
+        continue;
+      }
+
+      const result = await entry.responseWillBeReturned.call(entry,
+          Object.assign({}, options, {response: response!}));
+
+      if (result) {
+        response = result;
+      }
+    }
+
+    return response!;
+  }
+
   /**
    * Checks a request and URL (and optionally an event) against the list of
    * registered routes, and if there's a match, returns the corresponding
@@ -290,6 +908,15 @@ class Router {
 
     const routes = this._routes.get(request.method as HTTPMethod) || [];
     for (const route of routes) {
+      if (!isActive(route, {url, request, event})) {
+        if (process.env.NODE_ENV !== 'production') {
+          logger.debug(`Skipping the inactive route ` +
+              `${route.name ? `'${route.name}' ` : ''}for ` +
+              `'${getFriendlyURL(url)}'.`);
+        }
+        continue;
+      }
+
       let params;
       let matchResult = route.match({url, request, event});
       if (matchResult) {
@@ -322,11 +949,19 @@ class Router {
    */
   setDefaultHandler(handler: HandlerCallback) {
     this._defaultHandler = normalizeHandler(handler);
+
+    if (process.env.NODE_ENV !== 'production') {
+      // The default handler responds to requests for any origin.
+      this._warnAboutOpaqueCaching(this._defaultHandler,
+          `The default handler`);
+    }
   }
 
   /**
    * If a Route throws an error while handling a request, this `handler`
-   * will be called and given a chance to provide a response.
+   * will be called and given a chance to provide a response. Routes with their
+   * own `catchHandler` will only fall back to this handler if their catch
+   * handler also throws.
    *
    * @param {workbox.routing.Route~handlerCallback} handler A callback
    * function that returns a Promise resulting in a Response.
@@ -335,6 +970,76 @@ class Router {
     this._catchHandler = normalizeHandler(handler);
   }
 
+  /**
+   * Adds a middleware that runs around the handler of every request the
+   * router responds to (including requests handled by the default handler).
+   *
+   * A middleware is an object with optional lifecycle callbacks:
+   *
+   * - `requestWillBeHandled` is called before the handler. It can return a
+   *   `Request` to use in place of the original one, or a `Response` to skip
+   *   the handler (and any later middleware's `requestWillBeHandled`).
+   * - `responseWillBeReturned` is called with the final response, including
+   *   responses from catch handlers. It can return a `Response` to use in
+   *   its place.
+   *
+   * `requestWillBeHandled` callbacks run in the order the middleware were
+   * added, and `responseWillBeReturned` callbacks in the reverse order.
+   * Passing a function is the same as passing an object with only a
+   * `requestWillBeHandled` callback.
+   *
+   * @param {Object|Function} middleware The middleware to add.
+   * @param {Object} [options]
+   * @param {Array<workbox.routing.Route>} [options.routes] If set, only run
+   *     the middleware when one of these routes matches the request.
+   * @param {Array<string>} [options.methods] If set, only run the middleware
+   *     for requests with one of these HTTP methods.
+   * @return {Function} A function that removes the middleware.
+   */
+  use(middleware: RouterMiddleware | RequestWillBeHandledCallback,
+      {routes, methods}: RouterMiddlewareOptions = {}): () => void {
+    if (process.env.NODE_ENV !== 'production') {
+      if (typeof middleware !== 'function') {
+        assert!.isType(middleware, 'object', {
+          moduleName: 'workbox-routing',
+          className: 'Router',
+          funcName: 'use',
+          paramName: 'middleware',
+        });
+      }
+      if (routes) {
+        assert!.isArray(routes, {
+          moduleName: 'workbox-routing',
+          className: 'Router',
+          funcName: 'use',
+          paramName: 'options.routes',
+        });
+      }
+      if (methods) {
+        assert!.isArray(methods, {
+          moduleName: 'workbox-routing',
+          className: 'Router',
+          funcName: 'use',
+          paramName: 'options.methods',
+        });
+      }
+    }
+
+    if (typeof middleware === 'function') {
+      middleware = {requestWillBeHandled: middleware};
+    }
+
+    const entry = {middleware, routes, methods};
+    this._middleware.push(entry);
+
+    return () => {
+      const index = this._middleware.indexOf(entry);
+      if (index > -1) {
+        this._middleware.splice(index, 1);
+      }
+    };
+  }
+
   /**
    * Registers a route with the router.
    *
@@ -376,15 +1081,53 @@ class Router {
         funcName: 'registerRoute',
         paramName: 'route.method',
       });
+
+      if (route.crossOrigin) {
+        this._warnAboutOpaqueCaching(route.handler,
+            route.name ? `The route '${route.name}'` : `A route`);
+      }
     }
 
-    if (!this._routes.has(route.method)) {
-      this._routes.set(route.method, []);
+    const priority = getPriority(route);
+    for (const method of getMethods(route)) {
+      if (!this._routes.has(method)) {
+        this._routes.set(method, []);
+      }
+
+      // Give precedence to all of the earlier routes with the same or a
+      // higher priority by adding this route after them, but ahead of any
+      // route with a lower priority.
+      const routes = this._routes.get(method)!;
+      const index = routes.findIndex((r) => getPriority(r) < priority);
+      if (index > -1) {
+        routes.splice(index, 0, route);
+      } else {
+        routes.push(route);
+      }
     }
+  }
 
-    // Give precedence to all of the earlier routes by adding this additional
-    // route to the end of the array.
-    this._routes.get(route.method)!.push(route);
+  /**
+   * Changes the priority of a registered route, and moves it to its new
+   * position in the route table. The route will be placed after any other
+   * routes with the same priority.
+   *
+   * @param {workbox.routing.Route} route The registered route to reorder.
+   * @param {number} priority The route's new priority.
+   */
+  setRoutePriority(route: Route, priority: number) {
+    if (process.env.NODE_ENV !== 'production') {
+      assert!.isType(priority, 'number', {
+        moduleName: 'workbox-routing',
+        className: 'Router',
+        funcName: 'setRoutePriority',
+        paramName: 'priority',
+      });
+    }
+
+    this.unregisterRoute(route);
+    route.priority = priority;
+    this.registerRoute(route);
   }
 
   /**
@@ -393,21 +1136,78 @@ class Router {
    * @param {workbox.routing.Route} route The route to unregister.
    */
   unregisterRoute(route: Route) {
-    if (!this._routes.has(route.method)) {
-      throw new WorkboxError(
-          'unregister-route-but-not-found-with-method', {
-            method: route.method,
-          }
-      );
-    }
+    // Check that the route is registered for all of its methods before
+    // removing it from any of them.
+    const methodRoutes = getMethods(route).map((method) => {
+      if (!this._routes.has(method)) {
+        throw new WorkboxError(
+            'unregister-route-but-not-found-with-method', {method}
+        );
+      }
 
-    const routeIndex = this._routes.get(route.method)!.indexOf(route);
-    if (routeIndex > -1) {
-      this._routes.get(route.method)!.splice(routeIndex, 1);
-    } else {
-      throw new WorkboxError('unregister-route-route-not-registered');
+      const routes = this._routes.get(method)!;
+      if (!routes.includes(route)) {
+        throw new WorkboxError('unregister-route-route-not-registered');
+      }
+      return routes;
+    });
+
+    for (const routes of methodRoutes) {
+      routes.splice(routes.indexOf(route), 1);
     }
   }
 }
 
+/**
+ * Only `GET` requests without a `Range` header can safely share a response,
+ * since the response to any other request may depend on more than its URL.
+ *
+ * @param {Request} request
+ * @return {boolean}
+ *
+ * @private
+ */
+const isDeduplicatable = (request: Request): boolean => {
+  return request.method === 'GET' && !request.headers.has('range');
+};
+
+/**
+ * Routes may be plain objects implementing the `Route` interface, so treat a
+ * missing priority as the default of `0`.
+ *
+ * @param {workbox.routing.Route} route
+ * @return {number}
+ *
+ * @private
+ */
+const getPriority = (route: Route): number => route.priority || 0;
+
+/**
+ * A route whose match callback was created by
+ * [matchRequest()]{@link workbox.routing.matchRequest} with a `method`
+ * criterion is registered for each of those methods, rather than for
+ * `route.method`, so that it's considered for requests with any of them.
+ *
+ * @param {workbox.routing.Route} route
+ * @return {Array<string>}
+ *
+ * @private
+ */
+const getMethods = (route: Route): HTTPMethod[] => {
+  return (route.match as MatchRequestCallback).methods || [route.method];
+};
+
+/**
+ * Likewise, treat a route without an `isActive()` method as always active.
+ *
+ * @param {workbox.routing.Route} route
+ * @param {Object} options The same options passed to `match`.
+ * @return {boolean}
+ *
+ * @private
+ */
+const isActive = (route: Route, options: MatchCallbackOptions): boolean => {
+  return !route.isActive || route.isActive(options);
+};
+
 export {Router};
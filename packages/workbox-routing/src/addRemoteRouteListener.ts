@@ -0,0 +1,28 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {getOrCreateDefaultRouter} from './utils/getOrCreateDefaultRouter.js';
+import {RemoteRouteHandlers} from './Router.js';
+import './_version.js';
+
+
+/**
+ * Lets the window register and unregister routes on the default Router
+ * instance via `postMessage()`. See
+ * [Router.addRemoteRouteListener()]{@link workbox.routing.Router#addRemoteRouteListener}
+ * for details.
+ *
+ * @param {Object} handlers A mapping of names to the handlers that remotely
+ *     registered routes can use.
+ *
+ * @alias workbox.routing.addRemoteRouteListener
+ */
+export const addRemoteRouteListener = (handlers: RemoteRouteHandlers) => {
+  const defaultRouter = getOrCreateDefaultRouter();
+  defaultRouter.addRemoteRouteListener(handlers);
+};
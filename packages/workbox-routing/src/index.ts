@@ -8,7 +8,11 @@
 
 import {assert} from 'workbox-core/_private/assert.js';
 
+import {addRemoteRouteListener} from './addRemoteRouteListener.js';
+import {FallbackChain} from './FallbackChain.js';
+import {matchRequest} from './matchRequest.js';
 import {NavigationRoute} from './NavigationRoute.js';
+import {PathRoute} from './PathRoute.js';
 import {RegExpRoute} from './RegExpRoute.js';
 import {registerNavigationRoute} from './registerNavigationRoute.js';
 import {registerRoute} from './registerRoute.js';
@@ -16,6 +20,7 @@ import {Route} from './Route.js';
 import {Router} from './Router.js';
 import {setCatchHandler} from './setCatchHandler.js';
 import {setDefaultHandler} from './setDefaultHandler.js';
+import {useMiddleware} from './useMiddleware.js';
 
 import './_version.js';
 
@@ -28,7 +33,11 @@ if (process.env.NODE_ENV !== 'production') {
  */
 
 export {
+  addRemoteRouteListener,
+  FallbackChain,
+  matchRequest,
   NavigationRoute,
+  PathRoute,
   RegExpRoute,
   registerNavigationRoute,
   registerRoute,
@@ -36,4 +45,5 @@ export {
   Router,
   setCatchHandler,
   setDefaultHandler,
+  useMiddleware,
 };
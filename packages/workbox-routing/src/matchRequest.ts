@@ -0,0 +1,214 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {assert} from 'workbox-core/_private/assert.js';
+import {getFriendlyURL} from 'workbox-core/_private/getFriendlyURL.js';
+import {logger} from 'workbox-core/_private/logger.js';
+import {HTTPMethod} from './utils/constants.js';
+import {MatchCallback, MatchCallbackOptions} from './_types.js';
+import './_version.js';
+
+
+export interface MatchRequestCriteria {
+  sameOrigin?: boolean;
+  origin?: string | RegExp;
+  pathname?: string | RegExp;
+  destination?: RequestDestination | RequestDestination[];
+  mode?: RequestMode | RequestMode[];
+  method?: HTTPMethod | HTTPMethod[];
+  headers?: {[headerName: string]: string | RegExp | boolean};
+}
+
+export interface MatchRequestCallback extends MatchCallback {
+  methods?: HTTPMethod[];
+}
+
+// Each check returns a description of why the request didn't match, or
+// `undefined` if it did.
+interface MatchCheck {
+  (options: MatchCallbackOptions): string | undefined;
+}
+
+/**
+ * @param {string} value
+ * @param {string|RegExp} expected
+ * @return {boolean}
+ *
+ * @private
+ */
+const valueMatches = (value: string, expected: string | RegExp): boolean => {
+  return expected instanceof RegExp ? expected.test(value) : value === expected;
+};
+
+/**
+ * Creates a check for a request property that must equal one of the
+ * expected values.
+ *
+ * @param {string} property
+ * @param {string|Array<string>} expected
+ * @return {Function}
+ *
+ * @private
+ */
+const oneOfCheck = (property: 'destination' | 'mode' | 'method',
+    expected: string | string[]): MatchCheck => {
+  const values = Array.isArray(expected) ? expected : [expected];
+
+  return ({request}) => {
+    const value = request && request[property];
+    if (value !== undefined && values.includes(value)) {
+      return;
+    }
+    return `its ${property} was ${JSON.stringify(value)}, rather than ` +
+        values.map((v) => JSON.stringify(v)).join(' or ');
+  };
+};
+
+/**
+ * Creates a [match callback]{@link workbox.routing.Route~matchCallback} from
+ * a declarative description of the requests it should match. All of the
+ * given criteria must be met for the request to match.
+ *
+ * The returned callback can be used anywhere a match callback is accepted,
+ * e.g. as the `capture` argument of
+ * [registerRoute()]{@link workbox.routing.registerRoute}. If the `method`
+ * criterion is used, the Router registers the route for each of those
+ * methods, in place of the route's own `method`.
+ *
+ * In development builds, the reason a request did or didn't match is logged.
+ *
+ * @param {Object} criteria
+ * @param {boolean} [criteria.sameOrigin] Whether the request URL must (or
+ *     must not) be same-origin.
+ * @param {string|RegExp} [criteria.origin] The origin of the request URL.
+ * @param {string|RegExp} [criteria.pathname] The pathname of the request URL.
+ * @param {string|Array<string>} [criteria.destination] One or more allowed
+ *     values of `request.destination`, e.g. `'image'`.
+ * @param {string|Array<string>} [criteria.mode] One or more allowed values
+ *     of `request.mode`, e.g. `'navigate'`.
+ * @param {string|Array<string>} [criteria.method] One or more allowed HTTP
+ *     methods.
+ * @param {Object} [criteria.headers] A mapping of request header names to
+ *     the expected value. A string must equal the header value, a RegExp must
+ *     match it, and `true` or `false` require the header to be present or
+ *     absent.
+ * @return {workbox.routing.Route~matchCallback}
+ *
+ * @alias workbox.routing.matchRequest
+ */
+export const matchRequest =
+    (criteria: MatchRequestCriteria): MatchRequestCallback => {
+  if (process.env.NODE_ENV !== 'production') {
+    assert!.isType(criteria, 'object', {
+      moduleName: 'workbox-routing',
+      funcName: 'matchRequest',
+      paramName: 'criteria',
+    });
+  }
+
+  const checks: MatchCheck[] = [];
+  const {
+    sameOrigin,
+    origin,
+    pathname,
+    destination,
+    mode,
+    method,
+    headers,
+  } = criteria;
+
+  if (sameOrigin !== undefined) {
+    checks.push(({url}) => {
+      if ((url.origin === location.origin) === sameOrigin) {
+        return;
+      }
+      return `its origin '${url.origin}' is ` +
+          `${sameOrigin ? 'cross-origin' : 'same-origin'}`;
+    });
+  }
+
+  if (origin !== undefined) {
+    checks.push(({url}) => {
+      if (valueMatches(url.origin, origin)) {
+        return;
+      }
+      return `its origin '${url.origin}' didn't match '${origin}'`;
+    });
+  }
+
+  if (pathname !== undefined) {
+    checks.push(({url}) => {
+      if (valueMatches(url.pathname, pathname)) {
+        return;
+      }
+      return `its pathname '${url.pathname}' didn't match '${pathname}'`;
+    });
+  }
+
+  if (destination !== undefined) {
+    checks.push(oneOfCheck('destination', destination));
+  }
+
+  if (mode !== undefined) {
+    checks.push(oneOfCheck('mode', mode));
+  }
+
+  if (method !== undefined) {
+    checks.push(oneOfCheck('method', method));
+  }
+
+  if (headers !== undefined) {
+    for (const headerName of Object.keys(headers)) {
+      const expected = headers[headerName];
+
+      checks.push(({request}) => {
+        const value = request ? request.headers.get(headerName) : null;
+
+        if (typeof expected === 'boolean') {
+          if ((value !== null) === expected) {
+            return;
+          }
+          return `the '${headerName}' header was ` +
+              `${expected ? 'missing' : 'present'}`;
+        }
+
+        if (value !== null && valueMatches(value, expected)) {
+          return;
+        }
+        return `its '${headerName}' header was ${JSON.stringify(value)}, ` +
+            `which didn't match '${expected}'`;
+      });
+    }
+  }
+
+  const matchCallback: MatchRequestCallback = (options) => {
+    for (const check of checks) {
+      const reason = check(options);
+      if (reason) {
+        if (process.env.NODE_ENV !== 'production') {
+          logger.debug(`The request for '${getFriendlyURL(options.url)}' ` +
+              `did not match, since ${reason}.`);
+        }
+        return false;
+      }
+    }
+
+    if (process.env.NODE_ENV !== 'production') {
+      logger.debug(`The request for '${getFriendlyURL(options.url)}' ` +
+          `matched all of the criteria:`, criteria);
+    }
+    return true;
+  };
+
+  // Lets the Router consider the route for requests with any of the methods.
+  if (method !== undefined) {
+    matchCallback.methods = Array.isArray(method) ? method : [method];
+  }
+
+  return matchCallback;
+};
@@ -6,11 +6,9 @@
   https://opensource.org/licenses/MIT.
 */
 
-import {logger} from 'workbox-core/_private/logger.js';
-import {WorkboxError} from 'workbox-core/_private/WorkboxError.js';
-import {Route} from './Route.js';
-import {RegExpRoute} from './RegExpRoute.js';
+import {Route, RouteOptions} from './Route.js';
 import {HTTPMethod} from './utils/constants.js';
+import {createRoute} from './utils/createRoute.js';
 import {getOrCreateDefaultRouter} from './utils/getOrCreateDefaultRouter.js';
 import {MatchCallback, HandlerCallback} from './_types.js';
 import './_version.js';
@@ -31,11 +29,34 @@ import './_version.js';
  * workbox.routing.Route
  * } capture
  * If the capture param is a `Route`, all other arguments will be ignored.
+ * Strings containing Express-style named parameters (`:id`) or wildcards
+ * (`*`) in their pathname will create a
+ * [PathRoute]{@link workbox.routing.PathRoute}; all other strings are
+ * matched exactly against the request URL.
  * @param {workbox.routing.Route~handlerCallback} [handler] A callback
  * function that returns a Promise resulting in a Response. This parameter
  * is required if `capture` is not a `Route` object.
  * @param {string} [method='GET'] The HTTP method to match the Route
  * against.
+ * @param {Object} [options]
+ * @param {number} [options.priority=0] Routes with a higher priority are
+ * matched before routes with a lower priority, regardless of the order in
+ * which they were registered.
+ * @param {workbox.routing.Route~handlerCallback} [options.catchHandler] A
+ * callback function that returns a Promise resulting in a Response, used if
+ * `handler` throws or rejects.
+ * @param {boolean} [options.deduplicate=false] If true, concurrent `GET`
+ * requests for the same URL will share a single call to `handler`.
+ * @param {string} [options.name] A name used to identify the route, e.g. in
+ * [Router.getStats()]{@link workbox.routing.Router#getStats}. Defaults to
+ * `capture` when it's a string or RegExp.
+ * @param {Date|number} [options.activeFrom] If set, the route won't match
+ * any requests before this time.
+ * @param {Date|number} [options.activeUntil] If set, the route won't match
+ * any requests from this time onwards.
+ * @param {Function} [options.activeWhen] A function that's passed the same
+ * arguments as a match callback, and returns whether the route is active for
+ * that request.
  * @return {workbox.routing.Route} The generated `Route`(Useful for
  * unregistering).
  *
@@ -44,68 +65,9 @@ import './_version.js';
 export const registerRoute = (
     capture: RegExp | string | MatchCallback | Route,
     handler?: HandlerCallback,
-    method?: HTTPMethod): Route => {
-  let route;
-
-  if (typeof capture === 'string') {
-    const captureUrl = new URL(capture, location.href);
-
-    if (process.env.NODE_ENV !== 'production') {
-      if (!(capture.startsWith('/') || capture.startsWith('http'))) {
-        throw new WorkboxError('invalid-string', {
-          moduleName: 'workbox-routing',
-          funcName: 'registerRoute',
-          paramName: 'capture',
-        });
-      }
-
-      // We want to check if Express-style wildcards are in the pathname only.
-      // TODO: Remove this log message in v4.
-      const valueToCheck = capture.startsWith('http') ?
-          captureUrl.pathname : capture;
-
-      // See https://github.com/pillarjs/path-to-regexp#parameters
-      const wildcards = '[*:?+]';
-      if (valueToCheck.match(new RegExp(`${wildcards}`))) {
-        logger.debug(
-            `The '$capture' parameter contains an Express-style wildcard ` +
-          `character (${wildcards}). Strings are now always interpreted as ` +
-          `exact matches; use a RegExp for partial or wildcard matches.`
-        );
-      }
-    }
-
-    const matchCallback: MatchCallback = ({url}) => {
-      if (process.env.NODE_ENV !== 'production') {
-        if ((url.pathname === captureUrl.pathname) &&
-            (url.origin !== captureUrl.origin)) {
-          logger.debug(
-              `${capture} only partially matches the cross-origin URL ` +
-              `${url}. This route will only handle cross-origin requests ` +
-              `if they match the entire URL.`);
-        }
-      }
-
-      return url.href === captureUrl.href;
-    };
-
-    // If `capture` is a string then `handler` and `method` must be present.
-    route = new Route(matchCallback, handler!, method);
-  } else if (capture instanceof RegExp) {
-    // If `capture` is a `RegExp` then `handler` and `method` must be present.
-    route = new RegExpRoute(capture, handler!, method);
-  } else if (typeof capture === 'function') {
-    // If `capture` is a function then `handler` and `method` must be present.
-    route = new Route(capture, handler!, method);
-  } else if (capture instanceof Route) {
-    route = capture;
-  } else {
-    throw new WorkboxError('unsupported-route-type', {
-      moduleName: 'workbox-routing',
-      funcName: 'registerRoute',
-      paramName: 'capture',
-    });
-  }
+    method?: HTTPMethod,
+    options?: RouteOptions): Route => {
+  const route = createRoute(capture, handler, method, options);
 
   const defaultRouter = getOrCreateDefaultRouter();
   defaultRouter.registerRoute(route);
@@ -0,0 +1,37 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {getOrCreateDefaultRouter} from './utils/getOrCreateDefaultRouter.js';
+import {
+  RequestWillBeHandledCallback,
+  RouterMiddleware,
+  RouterMiddlewareOptions,
+} from './Router.js';
+import './_version.js';
+
+
+/**
+ * Adds a middleware to the default Router instance. See
+ * [Router.use()]{@link workbox.routing.Router#use} for details.
+ *
+ * @param {Object|Function} middleware The middleware to add.
+ * @param {Object} [options]
+ * @param {Array<workbox.routing.Route>} [options.routes] If set, only run
+ *     the middleware when one of these routes matches the request.
+ * @param {Array<string>} [options.methods] If set, only run the middleware
+ *     for requests with one of these HTTP methods.
+ * @return {Function} A function that removes the middleware.
+ *
+ * @alias workbox.routing.useMiddleware
+ */
+export const useMiddleware = (
+    middleware: RouterMiddleware | RequestWillBeHandledCallback,
+    options?: RouterMiddlewareOptions) => {
+  const defaultRouter = getOrCreateDefaultRouter();
+  return defaultRouter.use(middleware, options);
+};
@@ -0,0 +1,98 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {HTTPMethod} from './constants.js';
+import '../_version.js';
+
+
+// Only the most recent durations are kept, to bound memory use.
+const MAX_DURATION_SAMPLES = 100;
+
+export interface RouteStats {
+  name: string;
+  method?: HTTPMethod;
+  matches: number;
+  cacheHits: number;
+  networkResponses: number;
+  errors: number;
+  catchHandlerResponses: number;
+  timing: {
+    samples: number;
+    p50?: number;
+    p90?: number;
+    p99?: number;
+  };
+}
+
+/**
+ * Accumulates the counters and response times for a single route.
+ *
+ * @private
+ */
+class RouteStatsRecord {
+  matches: number;
+  cacheHits: number;
+  networkResponses: number;
+  errors: number;
+  catchHandlerResponses: number;
+  private _name: string;
+  private _method?: HTTPMethod;
+  private _durations: number[];
+
+  /**
+   * @param {string} name The name to report the stats under.
+   * @param {string} [method] The HTTP method of the route.
+   */
+  constructor(name: string, method?: HTTPMethod) {
+    this.matches = 0;
+    this.cacheHits = 0;
+    this.networkResponses = 0;
+    this.errors = 0;
+    this.catchHandlerResponses = 0;
+    this._name = name;
+    this._method = method;
+    this._durations = [];
+  }
+
+  /**
+   * @param {number} duration The time in milliseconds it took to respond.
+   */
+  addDuration(duration: number) {
+    this._durations.push(duration);
+    if (this._durations.length > MAX_DURATION_SAMPLES) {
+      this._durations.shift();
+    }
+  }
+
+  /**
+   * @return {Object} A structured-cloneable snapshot of the stats.
+   */
+  toObject(): RouteStats {
+    const sorted = this._durations.slice().sort((a, b) => a - b);
+    const percentile = (p: number) => sorted.length > 0 ?
+        sorted[Math.ceil((p / 100) * sorted.length) - 1] : undefined;
+
+    return {
+      name: this._name,
+      method: this._method,
+      matches: this.matches,
+      cacheHits: this.cacheHits,
+      networkResponses: this.networkResponses,
+      errors: this.errors,
+      catchHandlerResponses: this.catchHandlerResponses,
+      timing: {
+        samples: sorted.length,
+        p50: percentile(50),
+        p90: percentile(90),
+        p99: percentile(99),
+      },
+    };
+  }
+}
+
+export {RouteStatsRecord};
@@ -0,0 +1,137 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import '../_version.js';
+
+
+export interface CompiledPathPattern {
+  originRegExp?: RegExp;
+  pathRegExp: RegExp;
+  keys: string[];
+}
+
+// Splits `https://example.com/path` into its origin and path portions.
+const ORIGIN_AND_PATH = /^(https?:\/\/[^/]*)(.*)$/;
+
+// Matches `:name`, `/:name`, `/:name?` and `*` tokens in a path.
+const PATH_TOKEN = /(\/?):(\w+)(\?)?|\*/g;
+
+// Matches the start of a query string or hash, skipping the `?` that marks
+// a named parameter as optional.
+const QUERY_OR_HASH = /:\w+\?|[?#]/g;
+
+/**
+ * @param {string} value
+ * @return {string} The value with all RegExp special characters escaped.
+ *
+ * @private
+ */
+const escapeRegExp = (value: string): string => {
+  return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+};
+
+/**
+ * @param {string} pattern A pattern as passed to `registerRoute()`.
+ * @return {string} The pathname portion of the pattern.
+ *
+ * @private
+ */
+const getPathPortion = (pattern: string): string => {
+  const result = ORIGIN_AND_PATH.exec(pattern);
+  return result ? result[2] : pattern;
+};
+
+/**
+ * @param {string} path The pathname portion of a pattern.
+ * @return {string} The path with any query string or hash removed.
+ *
+ * @private
+ */
+const stripQueryAndHash = (path: string): string => {
+  let match;
+  QUERY_OR_HASH.lastIndex = 0;
+  while ((match = QUERY_OR_HASH.exec(path))) {
+    if (match[0].length === 1) {
+      return path.slice(0, match.index);
+    }
+  }
+  return path;
+};
+
+/**
+ * Returns true if the pathname portion of the string contains named
+ * parameters or wildcards, and should be treated as a path pattern rather
+ * than an exact URL. The query string and hash are ignored, so that
+ * `/search?q=a:b` is treated as an exact URL.
+ *
+ * @param {string} pattern
+ * @return {boolean}
+ *
+ * @private
+ */
+export const isPathPattern = (pattern: string): boolean => {
+  const path = stripQueryAndHash(getPathPortion(pattern));
+  PATH_TOKEN.lastIndex = 0;
+  return PATH_TOKEN.test(path);
+};
+
+/**
+ * Converts an Express-style path pattern into regular expressions that can
+ * be tested against a URL's origin and pathname, along with the list of
+ * parameter names in the order of their capture groups.
+ *
+ * @param {string} pattern
+ * @return {Object}
+ *
+ * @private
+ */
+export const compilePathPattern = (pattern: string): CompiledPathPattern => {
+  let originRegExp;
+  let path = pattern;
+
+  const originAndPath = ORIGIN_AND_PATH.exec(pattern);
+  if (originAndPath) {
+    const origin = originAndPath[1].split('*').map(escapeRegExp).join('[^/]*');
+    originRegExp = new RegExp(`^${origin}$`);
+    path = originAndPath[2] || '/';
+  }
+
+  const keys: string[] = [];
+  let wildcardCount = 0;
+  let source = '';
+  let lastIndex = 0;
+  let token;
+
+  PATH_TOKEN.lastIndex = 0;
+  while ((token = PATH_TOKEN.exec(path))) {
+    const [, slash, name, optional] = token;
+    source += escapeRegExp(path.slice(lastIndex, token.index));
+    lastIndex = PATH_TOKEN.lastIndex;
+
+    if (name) {
+      keys.push(name);
+      const group = `${slash ? '\\/' : ''}([^\\/]+?)`;
+      source += optional ? `(?:${group})?` : group;
+    } else {
+      keys.push(String(wildcardCount++));
+      source += '(.*)';
+    }
+  }
+  source += escapeRegExp(path.slice(lastIndex));
+
+  // Like Express, allow an optional trailing slash.
+  if (!source.endsWith('\\/')) {
+    source += '\\/?';
+  }
+
+  return {
+    originRegExp,
+    pathRegExp: new RegExp(`^${source}$`),
+    keys,
+  };
+};
@@ -0,0 +1,92 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {logger} from 'workbox-core/_private/logger.js';
+import {WorkboxError} from 'workbox-core/_private/WorkboxError.js';
+import {Route, RouteOptions} from '../Route.js';
+import {PathRoute} from '../PathRoute.js';
+import {RegExpRoute} from '../RegExpRoute.js';
+import {HTTPMethod} from './constants.js';
+import {isPathPattern} from './compilePathPattern.js';
+import {MatchCallback, Handler, HandlerCallback} from '../_types.js';
+import '../_version.js';
+
+
+/**
+ * Creates a Route from the `capture` argument of
+ * [registerRoute()]{@link workbox.routing.registerRoute}.
+ *
+ * @param {RegExp|string|Function|workbox.routing.Route} capture
+ * @param {Function|Object} [handler]
+ * @param {string} [method]
+ * @param {Object} [options]
+ * @return {workbox.routing.Route}
+ *
+ * @private
+ */
+export const createRoute = (
+    capture: RegExp | string | MatchCallback | Route,
+    handler?: HandlerCallback | Handler,
+    method?: HTTPMethod,
+    options?: RouteOptions): Route => {
+  let route;
+
+  if (typeof capture === 'string' && isPathPattern(capture)) {
+    // Strings with named parameters or wildcards in their pathname are
+    // treated as Express-style path patterns.
+    route = new PathRoute(capture, handler!, method, options);
+  } else if (typeof capture === 'string') {
+    const captureUrl = new URL(capture, location.href);
+
+    if (process.env.NODE_ENV !== 'production') {
+      if (!(capture.startsWith('/') || capture.startsWith('http'))) {
+        throw new WorkboxError('invalid-string', {
+          moduleName: 'workbox-routing',
+          funcName: 'registerRoute',
+          paramName: 'capture',
+        });
+      }
+    }
+
+    const matchCallback: MatchCallback = ({url}) => {
+      if (process.env.NODE_ENV !== 'production') {
+        if ((url.pathname === captureUrl.pathname) &&
+            (url.origin !== captureUrl.origin)) {
+          logger.debug(
+              `${capture} only partially matches the cross-origin URL ` +
+              `${url}. This route will only handle cross-origin requests ` +
+              `if they match the entire URL.`);
+        }
+      }
+
+      return url.href === captureUrl.href;
+    };
+
+    // If `capture` is a string then `handler` and `method` must be present.
+    route = new Route(matchCallback, handler!, method, Object.assign({
+      name: capture,
+      crossOrigin: captureUrl.origin !== location.origin,
+    }, options));
+  } else if (capture instanceof RegExp) {
+    // If `capture` is a `RegExp` then `handler` and `method` must be present.
+    route = new RegExpRoute(capture, handler!, method, options);
+  } else if (typeof capture === 'function') {
+    // If `capture` is a function then `handler` and `method` must be present.
+    route = new Route(capture, handler!, method, options);
+  } else if (capture instanceof Route) {
+    route = capture;
+  } else {
+    throw new WorkboxError('unsupported-route-type', {
+      moduleName: 'workbox-routing',
+      funcName: 'registerRoute',
+      paramName: 'capture',
+    });
+  }
+
+  return route;
+};
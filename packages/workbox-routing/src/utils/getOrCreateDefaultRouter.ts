@@ -25,6 +25,7 @@ export const getOrCreateDefaultRouter = (): Router => {
     // The helpers that use the default Router assume these listeners exist.
     defaultRouter.addFetchListener();
     defaultRouter.addCacheListener();
+    defaultRouter.addStatsListener();
   }
   return defaultRouter;
 };
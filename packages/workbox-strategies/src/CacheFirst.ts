@@ -6,23 +6,18 @@
   https://opensource.org/licenses/MIT.
 */
 
-import {assert} from 'workbox-core/_private/assert.js';
-import {cacheNames} from 'workbox-core/_private/cacheNames.js';
-import {cacheWrapper} from 'workbox-core/_private/cacheWrapper.js';
-import {fetchWrapper} from 'workbox-core/_private/fetchWrapper.js';
-import {getFriendlyURL} from 'workbox-core/_private/getFriendlyURL.js';
 import {logger} from 'workbox-core/_private/logger.js';
+import {ResponseDeduplicator} from 'workbox-core/_private/ResponseDeduplicator.js';
+import {responseSources} from 'workbox-core/_private/responseSources.js';
 import {WorkboxError} from 'workbox-core/_private/WorkboxError.js';
-import {RouteHandler, RouteHandlerCallbackOptions, WorkboxPlugin} from 'workbox-core/types.js';
+import {Strategy, StrategyOptions} from './Strategy.js';
+import {StrategyHandler} from './StrategyHandler.js';
 import {messages} from './utils/messages.js';
 import './_version.js';
 
 
-interface CacheFirstOptions {
-  cacheName?: string;
-  plugins?: WorkboxPlugin[];
-  fetchOptions?: RequestInit;
-  matchOptions?: CacheQueryOptions;
+interface CacheFirstOptions extends StrategyOptions {
+  collapseRequests?: boolean;
 }
 
 /**
@@ -37,90 +32,40 @@ interface CacheFirstOptions {
  * a `WorkboxError` exception.
  *
  * @memberof workbox.strategies
+ * @extends workbox.strategies.Strategy
  */
-class CacheFirst implements RouteHandler {
-  private _cacheName: string;
-  private _plugins: WorkboxPlugin[];
-  private _fetchOptions?: RequestInit;
-  private _matchOptions?: CacheQueryOptions;
+class CacheFirst extends Strategy {
+  private _responseDeduplicator?: ResponseDeduplicator;
 
   /**
-   * @param {Object} options
-   * @param {string} options.cacheName Cache name to store and retrieve
-   * requests. Defaults to cache names provided by
-   * [workbox-core]{@link workbox.core.cacheNames}.
-   * @param {Array<Object>} options.plugins [Plugins]{@link https://developers.google.com/web/tools/workbox/guides/using-plugins}
-   * to use in conjunction with this caching strategy.
-   * @param {Object} options.fetchOptions Values passed along to the
-   * [`init`](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch#Parameters)
-   * of all fetch() requests made by this strategy.
-   * @param {Object} options.matchOptions [`CacheQueryOptions`](https://w3c.github.io/ServiceWorker/#dictdef-cachequeryoptions)
+   * @param {Object} options See the
+   * [Strategy]{@link workbox.strategies.Strategy} constructor for the options
+   * shared by all strategies.
+   * @param {boolean} [options.collapseRequests=false] If `true`, concurrent
+   * cache misses for the same URL (with the same headers and credentials
+   * mode) share a single network request and cache update (so
+   * `cacheDidUpdate` plugin callbacks are only called once), and each
+   * receives a clone of the network response.
    */
   constructor(options: CacheFirstOptions = {}) {
-    this._cacheName = cacheNames.getRuntimeName(options.cacheName);
-    this._plugins = options.plugins || [];
-    this._fetchOptions = options.fetchOptions;
-    this._matchOptions = options.matchOptions;
-  }
+    super(options);
 
-  /**
-   * This method will perform a request strategy and follows an API that
-   * will work with the
-   * [Workbox Router]{@link workbox.routing.Router}.
-   *
-   * @param {Object} options
-   * @param {Request} options.request The request to run this strategy for.
-   * @param {Event} [options.event] The event that triggered the request.
-   * @return {Promise<Response>}
-   */
-  async handle({event, request}: RouteHandlerCallbackOptions): Promise<Response> {
-    return this.makeRequest({
-      event,
-      request: request || (event as FetchEvent).request,
-    });
+    if (options.collapseRequests) {
+      this._responseDeduplicator = new ResponseDeduplicator();
+    }
   }
 
   /**
-   * This method can be used to perform a make a standalone request outside the
-   * context of the [Workbox Router]{@link workbox.routing.Router}.
-   *
-   * See "[Advanced Recipes](https://developers.google.com/web/tools/workbox/guides/advanced-recipes#make-requests)"
-   * for more usage information.
-   *
-   * @param {Object} options
-   * @param {Request|string} options.request Either a
-   *     [`Request`]{@link https://developer.mozilla.org/en-US/docs/Web/API/Request}
-   *     object, or a string URL, corresponding to the request to be made.
-   * @param {Event} [options.event] If provided, `event.waitUntil()` will
-         be called automatically to extend the service worker's lifetime.
+   * @param {Request} request
+   * @param {workbox.strategies.StrategyHandler} handler
    * @return {Promise<Response>}
+   *
+   * @private
    */
-  async makeRequest({event, request}: {
-    request: Request,
-    event?: ExtendableEvent
-  }): Promise<Response> {
+  async _handle(request: Request, handler: StrategyHandler): Promise<Response> {
     const logs = [];
 
-    if (typeof request === 'string') {
-      request = new Request(request);
-    }
-
-    if (process.env.NODE_ENV !== 'production') {
-      assert!.isInstance(request, Request, {
-        moduleName: 'workbox-strategies',
-        className: 'CacheFirst',
-        funcName: 'makeRequest',
-        paramName: 'request',
-      });
-    }
-
-    let response = await cacheWrapper.match({
-      cacheName: this._cacheName,
-      request,
-      event,
-      matchOptions: this._matchOptions,
-      plugins: this._plugins,
-    });
+    let response = await handler.cacheMatch(request);
 
     let error;
     if (!response) {
@@ -130,7 +75,11 @@ class CacheFirst implements RouteHandler {
           `Will respond with a network request.`);
       }
       try {
-        response = await this._getFromNetwork(request, event);
+        response = this._responseDeduplicator ?
+            responseSources.set(await this._responseDeduplicator.deduplicate(
+                request, () => this._getFromNetwork(request, handler)),
+            'network') :
+            await this._getFromNetwork(request, handler);
       } catch (err) {
         error = err;
       }
@@ -143,6 +92,7 @@ class CacheFirst implements RouteHandler {
         }
       }
     } else {
+      responseSources.set(response, 'cache');
       if (process.env.NODE_ENV !== 'production') {
         logs.push(
             `Found a cached response in the '${this._cacheName}' cache.`);
@@ -169,41 +119,18 @@ class CacheFirst implements RouteHandler {
    * Handles the network and cache part of CacheFirst.
    *
    * @param {Request} request
-   * @param {Event} [event]
+   * @param {workbox.strategies.StrategyHandler} handler
    * @return {Promise<Response>}
    *
    * @private
    */
-  async _getFromNetwork(request: Request, event?: ExtendableEvent) {
-    const response = await fetchWrapper.fetch({
-      request,
-      event,
-      fetchOptions: this._fetchOptions,
-      plugins: this._plugins,
-    });
+  async _getFromNetwork(request: Request, handler: StrategyHandler) {
+    const response = await handler.fetch(request);
 
     // Keep the service worker while we put the request to the cache
-    const responseClone = response.clone();
-    const cachePutPromise = cacheWrapper.put({
-      cacheName: this._cacheName,
-      request,
-      response: responseClone,
-      event,
-      plugins: this._plugins,
-    });
-
-    if (event) {
-      try {
-        event.waitUntil(cachePutPromise);
-      } catch (error) {
-        if (process.env.NODE_ENV !== 'production') {
-          logger.warn(`Unable to ensure service worker stays alive when ` +
-            `updating cache for '${getFriendlyURL(request.url)}'.`);
-        }
-      }
-    }
+    handler.cachePut(request, response.clone());
 
-    return response;
+    return responseSources.set(response, 'network');
   }
 }
 
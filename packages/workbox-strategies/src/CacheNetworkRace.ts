@@ -0,0 +1,160 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {logger} from 'workbox-core/_private/logger.js';
+import {responseSources} from 'workbox-core/_private/responseSources.js';
+import {WorkboxError} from 'workbox-core/_private/WorkboxError.js';
+import {Strategy, StrategyOptions} from './Strategy.js';
+import {StrategyHandler} from './StrategyHandler.js';
+import {messages} from './utils/messages.js';
+import {cacheOkAndOpaquePlugin} from './plugins/cacheOkAndOpaquePlugin.js';
+import './_version.js';
+
+
+/**
+ * An implementation of a cache and network race request strategy.
+ *
+ * The cache lookup and the network request are started at the same time, and
+ * the strategy responds with whichever one provides a response first. If the
+ * cache doesn't have a match, or the network request fails, it waits for the
+ * other one instead. The cache is updated with the network response
+ * with each successful request, even if the cached response was used.
+ *
+ * This is useful on devices where reading from the cache can be slower than
+ * a fast network, without the added latency of waiting out a
+ * `NetworkFirst` timeout.
+ *
+ * By default, this strategy will cache responses with a 200 status code as
+ * well as [opaque responses]{@link https://developers.google.com/web/tools/workbox/guides/handle-third-party-requests}.
+ * Opaque responses are are cross-origin requests where the response doesn't
+ * support [CORS]{@link https://enable-cors.org/}.
+ *
+ * If the network request fails, and there is no cache match, this will throw
+ * a `WorkboxError` exception.
+ *
+ * @memberof workbox.strategies
+ * @extends workbox.strategies.Strategy
+ */
+class CacheNetworkRace extends Strategy {
+  /**
+   * @param {Object} options
+   * @param {string} options.cacheName Cache name to store and retrieve
+   * requests. Defaults to cache names provided by
+   * [workbox-core]{@link workbox.core.cacheNames}.
+   * @param {Array<Object>} options.plugins [Plugins]{@link https://developers.google.com/web/tools/workbox/guides/using-plugins}
+   * to use in conjunction with this caching strategy.
+   * @param {Object} options.fetchOptions Values passed along to the
+   * [`init`](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch#Parameters)
+   * of all fetch() requests made by this strategy.
+   * @param {Object} options.matchOptions [`CacheQueryOptions`](https://w3c.github.io/ServiceWorker/#dictdef-cachequeryoptions)
+   */
+  constructor(options: StrategyOptions = {}) {
+    super(options);
+
+    if (options.plugins) {
+      let isUsingCacheWillUpdate =
+        options.plugins.some((plugin) => !!plugin.cacheWillUpdate);
+      this._plugins = isUsingCacheWillUpdate ?
+        options.plugins : [cacheOkAndOpaquePlugin, ...options.plugins];
+    } else {
+      // No plugins passed in, use the default plugin.
+      this._plugins = [cacheOkAndOpaquePlugin];
+    }
+  }
+
+  /**
+   * @param {Request} request
+   * @param {workbox.strategies.StrategyHandler} handler
+   * @return {Promise<Response>}
+   *
+   * @private
+   */
+  async _handle(request: Request, handler: StrategyHandler): Promise<Response> {
+    const logs: any[] = [];
+
+    const networkPromise = this._getFromNetwork(request, handler);
+    const cachePromise = handler.cacheMatch(request);
+
+    // Keep the service worker alive until the cache has been updated, even if
+    // the cached response wins.
+    handler.waitUntil(networkPromise);
+
+    let error;
+    const response = await new Promise<Response | undefined>((resolve) => {
+      let pending = 2;
+      const settle = (response?: Response) => {
+        pending--;
+        if (response || pending === 0) {
+          resolve(response);
+        }
+      };
+
+      networkPromise.then((response) => {
+        if (process.env.NODE_ENV !== 'production') {
+          logs.push(`Got response from network.`);
+        }
+        settle(response);
+      }, (err) => {
+        error = err;
+        if (process.env.NODE_ENV !== 'production') {
+          logs.push(`Unable to get a response from the network.`);
+        }
+        settle();
+      });
+
+      cachePromise.then((response) => {
+        if (process.env.NODE_ENV !== 'production') {
+          if (response) {
+            logs.push(`Found a cached response in the '${this._cacheName}' ` +
+              `cache.`);
+          } else {
+            logs.push(`No response found in the '${this._cacheName}' cache.`);
+          }
+        }
+        settle(responseSources.set(response, 'cache'));
+      }, () => settle());
+    });
+
+    if (process.env.NODE_ENV !== 'production') {
+      if (response) {
+        logs.push(`Responding with the ${responseSources.get(response)} ` +
+          `response.`);
+      }
+      logger.groupCollapsed(
+          messages.strategyStart('CacheNetworkRace', request));
+      for (let log of logs) {
+        logger.log(log);
+      }
+      messages.printFinalResponse(response);
+      logger.groupEnd();
+    }
+
+    if (!response) {
+      throw new WorkboxError('no-response', {url: request.url, error});
+    }
+    return response;
+  }
+
+  /**
+   * @param {Request} request
+   * @param {workbox.strategies.StrategyHandler} handler
+   * @return {Promise<Response>}
+   *
+   * @private
+   */
+  async _getFromNetwork(request: Request,
+      handler: StrategyHandler): Promise<Response> {
+    const response = await handler.fetch(request);
+
+    handler.cachePut(request, response.clone());
+
+    return responseSources.set(response, 'network');
+  }
+}
+
+export {CacheNetworkRace};
@@ -0,0 +1,245 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {assert} from 'workbox-core/_private/assert.js';
+import {getFriendlyURL} from 'workbox-core/_private/getFriendlyURL.js';
+import {logger} from 'workbox-core/_private/logger.js';
+import {responseSources} from 'workbox-core/_private/responseSources.js';
+import {WorkboxError} from 'workbox-core/_private/WorkboxError.js';
+import {responsesAreSame} from 'workbox-broadcast-update/responsesAreSame.js';
+import {Strategy, StrategyOptions} from './Strategy.js';
+import {StrategyHandler} from './StrategyHandler.js';
+import {messages} from './utils/messages.js';
+import './_version.js';
+
+
+// Give TypeScript the correct global.
+declare var self: ServiceWorkerGlobalScope;
+
+interface CacheThenNetworkOptions extends StrategyOptions {
+  headersToCheck?: string[];
+}
+
+const RESPONSE_UPDATED_MESSAGE_TYPE = 'RESPONSE_UPDATED';
+const RESPONSE_UPDATED_MESSAGE_META = 'workbox-strategies';
+const DEFAULT_HEADERS_TO_CHECK = ['content-length', 'etag', 'last-modified'];
+
+/**
+ * An implementation of a
+ * [cache then network]{@link https://developers.google.com/web/fundamentals/instant-and-offline/offline-cookbook/#cache-then-network}
+ * request strategy, for data that's rendered straight away from the cache
+ * and then updated once the network responds.
+ *
+ * The strategy responds with the cached response if there is one, and
+ * fetches and caches the network response in the background. If the network
+ * response differs from the cached one, as determined by
+ * [`responsesAreSame()`]{@link workbox.broadcastUpdate.responsesAreSame},
+ * it's posted to the client that made the request, as a message like:
+ *
+ * ```
+ * {
+ *   type: 'RESPONSE_UPDATED',
+ *   meta: 'workbox-strategies',
+ *   payload: {
+ *     cacheName: 'the-cache-name',
+ *     url: 'https://example.com/api/data',
+ *     status: 200,
+ *     statusText: 'OK',
+ *     headers: [['content-type', 'application/json'], ...],
+ *     body: ArrayBuffer,
+ *   }
+ * }
+ * ```
+ *
+ * In the page, `onResponseUpdate()` from `workbox-window` can be used to
+ * receive these messages as `Response` objects.
+ *
+ * If there's no cached response, the strategy waits for the network response
+ * instead, and if that fails, this will throw a `WorkboxError` exception.
+ *
+ * @memberof workbox.strategies
+ * @extends workbox.strategies.Strategy
+ */
+class CacheThenNetwork extends Strategy {
+  private _headersToCheck: string[];
+
+  /**
+   * @param {Object} options
+   * @param {string} options.cacheName Cache name to store and retrieve
+   * requests. Defaults to cache names provided by
+   * [workbox-core]{@link workbox.core.cacheNames}.
+   * @param {Array<Object>} options.plugins [Plugins]{@link https://developers.google.com/web/tools/workbox/guides/using-plugins}
+   * to use in conjunction with this caching strategy.
+   * @param {Object} options.fetchOptions Values passed along to the
+   * [`init`](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch#Parameters)
+   * of all fetch() requests made by this strategy.
+   * @param {Object} options.matchOptions [`CacheQueryOptions`](https://w3c.github.io/ServiceWorker/#dictdef-cachequeryoptions)
+   * @param {Array<string>}
+   *     [options.headersToCheck=['content-length', 'etag', 'last-modified']]
+   *     The headers that are compared to determine whether the network
+   *     response differs from the cached one.
+   */
+  constructor(options: CacheThenNetworkOptions = {}) {
+    super(options);
+
+    if (process.env.NODE_ENV !== 'production') {
+      if (options.headersToCheck !== undefined) {
+        assert!.isArray(options.headersToCheck, {
+          moduleName: 'workbox-strategies',
+          className: 'CacheThenNetwork',
+          funcName: 'constructor',
+          paramName: 'headersToCheck',
+        });
+      }
+    }
+
+    this._headersToCheck = options.headersToCheck || DEFAULT_HEADERS_TO_CHECK;
+  }
+
+  /**
+   * @param {Request} request
+   * @param {workbox.strategies.StrategyHandler} handler
+   * @return {Promise<Response>}
+   *
+   * @private
+   */
+  async _handle(request: Request, handler: StrategyHandler): Promise<Response> {
+    const logs: any[] = [];
+
+    const fetchAndCachePromise = this._getFromNetwork(request, handler);
+
+    let response = await handler.cacheMatch(request);
+    let error;
+    if (response) {
+      if (process.env.NODE_ENV !== 'production') {
+        logs.push(`Found a cached response in the '${this._cacheName}' ` +
+          `cache. Will send the network response to the client if it's ` +
+          `different.`);
+      }
+
+      handler.waitUntil(this._updateClient({
+        request,
+        cachedResponse: response.clone(),
+        fetchAndCachePromise,
+        event: handler.event,
+      }));
+      responseSources.set(response, 'cache');
+    } else {
+      if (process.env.NODE_ENV !== 'production') {
+        logs.push(`No response found in the '${this._cacheName}' cache. ` +
+          `Will wait for the network response.`);
+      }
+      try {
+        response = await fetchAndCachePromise;
+      } catch (err) {
+        error = err;
+      }
+    }
+
+    if (process.env.NODE_ENV !== 'production') {
+      logger.groupCollapsed(
+          messages.strategyStart('CacheThenNetwork', request));
+      for (let log of logs) {
+        logger.log(log);
+      }
+      messages.printFinalResponse(response);
+      logger.groupEnd();
+    }
+
+    if (!response) {
+      throw new WorkboxError('no-response', {url: request.url, error});
+    }
+    return response;
+  }
+
+  /**
+   * @param {Request} request
+   * @param {workbox.strategies.StrategyHandler} handler
+   * @return {Promise<Response>}
+   *
+   * @private
+   */
+  async _getFromNetwork(request: Request,
+      handler: StrategyHandler): Promise<Response> {
+    const response = await handler.fetch(request);
+
+    handler.cachePut(request, response.clone());
+
+    return responseSources.set(response, 'network');
+  }
+
+  /**
+   * Waits for the network response, and posts it to the client that made the
+   * request if it differs from the cached response.
+   *
+   * @param {Object} options
+   * @param {Request} options.request
+   * @param {Response} options.cachedResponse
+   * @param {Promise<Response>} options.fetchAndCachePromise
+   * @param {Event} [options.event]
+   * @return {Promise<void>}
+   *
+   * @private
+   */
+  async _updateClient({request, cachedResponse, fetchAndCachePromise, event}: {
+    request: Request,
+    cachedResponse: Response,
+    fetchAndCachePromise: Promise<Response>,
+    event?: ExtendableEvent,
+  }): Promise<void> {
+    const friendlyURL = getFriendlyURL(request.url);
+
+    let networkResponse;
+    try {
+      networkResponse = await fetchAndCachePromise;
+    } catch (error) {
+      if (process.env.NODE_ENV !== 'production') {
+        logger.debug(`Unable to get a network response for ` +
+            `'${friendlyURL}', so the client keeps the cached response.`);
+      }
+      return;
+    }
+
+    if (responsesAreSame(cachedResponse, networkResponse,
+        this._headersToCheck)) {
+      return;
+    }
+
+    const clientId = event && (event as FetchEvent).clientId;
+    const client = clientId && await self.clients.get(clientId);
+    if (!client) {
+      if (process.env.NODE_ENV !== 'production') {
+        logger.debug(`The network response for '${friendlyURL}' differs ` +
+            `from the cached response, but the client that requested it ` +
+            `couldn't be found.`);
+      }
+      return;
+    }
+
+    const body = await networkResponse.arrayBuffer();
+    client.postMessage({
+      type: RESPONSE_UPDATED_MESSAGE_TYPE,
+      meta: RESPONSE_UPDATED_MESSAGE_META,
+      payload: {
+        cacheName: this._cacheName,
+        url: request.url,
+        status: networkResponse.status,
+        statusText: networkResponse.statusText,
+        headers: [...networkResponse.headers],
+        body,
+      },
+    }, [body]);
+
+    if (process.env.NODE_ENV !== 'production') {
+      logger.log(`Sent the updated response for '${friendlyURL}' to the ` +
+          `client.`);
+    }
+  }
+}
+
+export {CacheThenNetwork};
@@ -0,0 +1,259 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {assert} from 'workbox-core/_private/assert.js';
+import {logger} from 'workbox-core/_private/logger.js';
+import {networkStatus} from 'workbox-core/_private/networkStatus.js';
+import {RouteHandler} from 'workbox-core/types.js';
+import {Strategy, StrategyOptions} from './Strategy.js';
+import {StrategyHandler} from './StrategyHandler.js';
+import {messages} from './utils/messages.js';
+import './_version.js';
+
+
+// The subset of the Network Information API that's used. It isn't included
+// in TypeScript's lib files, and isn't available in all browsers.
+interface NetworkInformation {
+  effectiveType?: string;
+  saveData?: boolean;
+}
+
+export interface NetworkConditions {
+  effectiveType?: string;
+  saveData?: boolean;
+  failureRate?: number;
+}
+
+export interface ConditionalStrategyPredicateOptions extends NetworkConditions {
+  request: Request;
+  event?: ExtendableEvent;
+  isConstrained: boolean;
+}
+
+export interface ConditionalStrategyPredicate {
+  (options: ConditionalStrategyPredicateOptions): boolean | undefined;
+}
+
+interface ConditionalStrategyOptions extends StrategyOptions {
+  strategy: RouteHandler;
+  constrainedStrategy: RouteHandler;
+  constrainedEffectiveTypes?: string[];
+  respectSaveData?: boolean;
+  maxFailureRate?: number;
+  predicate?: ConditionalStrategyPredicate;
+}
+
+/**
+ * @return {Object} The current network conditions, as far as they're known.
+ *
+ * @private
+ */
+const getNetworkConditions = (): NetworkConditions => {
+  const connection: NetworkInformation | undefined =
+      (navigator as any).connection;
+
+  return {
+    effectiveType: connection && connection.effectiveType,
+    saveData: connection && connection.saveData,
+    failureRate: networkStatus.getFailureRate(),
+  };
+};
+
+/**
+ * A strategy that delegates to one of two other strategies, based on the
+ * quality of the network at the time of the request. This makes it possible
+ * to, e.g., use `NetworkFirst` on good connections but `CacheFirst` on slow
+ * ones, so that users on 2G don't wait out `networkTimeoutSeconds` on every
+ * request.
+ *
+ * The network is considered constrained if any of the following are true:
+ *
+ * - `navigator.connection.effectiveType` is one of
+ *   `constrainedEffectiveTypes`.
+ * - `navigator.connection.saveData` is `true`, and `respectSaveData` is
+ *   enabled.
+ * - More than `maxFailureRate` of the network requests made by Workbox in
+ *   the last couple of minutes failed.
+ *
+ * If a `predicate` is provided, it's passed the request, the conditions
+ * above, and the resulting `isConstrained` value. If it returns a boolean,
+ * that decides whether the network is constrained; otherwise the conditions
+ * above decide.
+ *
+ * @memberof workbox.strategies
+ * @extends workbox.strategies.Strategy
+ */
+class ConditionalStrategy extends Strategy {
+  private _strategy: RouteHandler;
+  private _constrainedStrategy: RouteHandler;
+  private _constrainedEffectiveTypes: string[];
+  private _respectSaveData: boolean;
+  private _maxFailureRate: number;
+  private _predicate?: ConditionalStrategyPredicate;
+
+  /**
+   * @param {Object} options See the
+   * [Strategy]{@link workbox.strategies.Strategy} constructor for the options
+   * shared by all strategies. Plugins passed here run around whichever
+   * strategy is chosen, which runs its own plugins.
+   * @param {Object} options.strategy The strategy (or any object with a
+   * `handle()` method) to use when the network isn't constrained.
+   * @param {Object} options.constrainedStrategy The strategy to use when the
+   * network is constrained.
+   * @param {Array<string>} [options.constrainedEffectiveTypes=['slow-2g', '2g']]
+   * The values of `navigator.connection.effectiveType` that are considered
+   * constrained.
+   * @param {boolean} [options.respectSaveData=true] Whether to treat the
+   * network as constrained when the user has requested reduced data usage.
+   * @param {number} [options.maxFailureRate=0.5] The fraction (between 0 and
+   * 1) of recent network requests that may fail before the network is
+   * considered constrained.
+   * @param {Function} [options.predicate] A function that's passed the
+   * request and network conditions, and can return `true` or `false` to
+   * override whether the network is considered constrained.
+   */
+  constructor(options: ConditionalStrategyOptions) {
+    if (process.env.NODE_ENV !== 'production') {
+      assert!.isType(options, 'object', {
+        moduleName: 'workbox-strategies',
+        className: 'ConditionalStrategy',
+        funcName: 'constructor',
+        paramName: 'options',
+      });
+
+      for (const paramName of ['strategy', 'constrainedStrategy']) {
+        assert!.hasMethod((options as any)[paramName], 'handle', {
+          moduleName: 'workbox-strategies',
+          className: 'ConditionalStrategy',
+          funcName: 'constructor',
+          paramName: `options.${paramName}`,
+        });
+      }
+
+      if (options.maxFailureRate !== undefined) {
+        assert!.isType(options.maxFailureRate, 'number', {
+          moduleName: 'workbox-strategies',
+          className: 'ConditionalStrategy',
+          funcName: 'constructor',
+          paramName: 'options.maxFailureRate',
+        });
+      }
+
+      if (options.predicate !== undefined) {
+        assert!.isType(options.predicate, 'function', {
+          moduleName: 'workbox-strategies',
+          className: 'ConditionalStrategy',
+          funcName: 'constructor',
+          paramName: 'options.predicate',
+        });
+      }
+    }
+
+    super(options);
+
+    this._strategy = options.strategy;
+    this._constrainedStrategy = options.constrainedStrategy;
+    this._constrainedEffectiveTypes =
+        options.constrainedEffectiveTypes || ['slow-2g', '2g'];
+    this._respectSaveData = options.respectSaveData !== false;
+    this._maxFailureRate = options.maxFailureRate === undefined ?
+        0.5 : options.maxFailureRate;
+    this._predicate = options.predicate;
+  }
+
+  /**
+   * @return {boolean} Whether either of the strategies may write opaque
+   *     responses to the cache.
+   */
+  mayCacheOpaqueResponses(): boolean {
+    return [this._strategy, this._constrainedStrategy].some((strategy) => {
+      return strategy.mayCacheOpaqueResponses ?
+          strategy.mayCacheOpaqueResponses() : false;
+    });
+  }
+
+  /**
+   * @param {Request} request
+   * @param {workbox.strategies.StrategyHandler} handler
+   * @return {Promise<Response>}
+   *
+   * @private
+   */
+  async _handle(request: Request, handler: StrategyHandler): Promise<Response> {
+    const strategy = this._chooseStrategy(request, handler.event);
+
+    return strategy.handle({
+      request,
+      event: handler.event,
+      params: handler.params,
+      url: new URL(request.url, location.href),
+    });
+  }
+
+  /**
+   * @param {Request} request
+   * @param {Event} [event]
+   * @return {Object} The strategy to respond with.
+   *
+   * @private
+   */
+  private _chooseStrategy(request: Request,
+      event?: ExtendableEvent): RouteHandler {
+    const conditions = getNetworkConditions();
+    const {effectiveType, saveData, failureRate} = conditions;
+
+    let reasons: string[] = [];
+    if (effectiveType &&
+        this._constrainedEffectiveTypes.includes(effectiveType)) {
+      reasons.push(`the effective connection type is '${effectiveType}'`);
+    }
+    if (saveData && this._respectSaveData) {
+      reasons.push(`the user has requested reduced data usage`);
+    }
+    if (failureRate !== undefined && failureRate > this._maxFailureRate) {
+      reasons.push(`${Math.round(failureRate * 100)}% of recent network ` +
+          `requests failed`);
+    }
+
+    let isConstrained = reasons.length > 0;
+    if (this._predicate) {
+      const result = this._predicate(Object.assign({
+        request,
+        event,
+        isConstrained,
+      }, conditions));
+
+      if (typeof result === 'boolean') {
+        if (result !== isConstrained) {
+          reasons = [`the predicate returned ${result}`];
+        }
+        isConstrained = result;
+      }
+    }
+
+    if (process.env.NODE_ENV !== 'production') {
+      logger.groupCollapsed(
+          messages.strategyStart('ConditionalStrategy', request));
+      if (isConstrained) {
+        logger.log(`Using the constrained strategy, since ` +
+            `${reasons.join(' and ')}.`);
+      } else if (reasons.length > 0) {
+        logger.log(`Using the default strategy, since ` +
+            `${reasons.join(' and ')}.`);
+      } else {
+        logger.log(`Using the default strategy.`);
+      }
+      logger.log(`Network conditions:`, conditions);
+      logger.groupEnd();
+    }
+
+    return isConstrained ? this._constrainedStrategy : this._strategy;
+  }
+}
+
+export {ConditionalStrategy};
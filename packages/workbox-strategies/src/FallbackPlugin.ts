@@ -0,0 +1,127 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {assert} from 'workbox-core/_private/assert.js';
+import {getFriendlyURL} from 'workbox-core/_private/getFriendlyURL.js';
+import {logger} from 'workbox-core/_private/logger.js';
+import {WorkboxPlugin} from 'workbox-core/types.js';
+import {getCacheKeyForURL} from 'workbox-precaching/getCacheKeyForURL.js';
+import './_version.js';
+
+
+export interface Fallbacks {
+  document?: string;
+  image?: string;
+  font?: string;
+  json?: string;
+  [destination: string]: string | undefined;
+}
+
+// Used to pick a fallback for requests without a destination (e.g. ones made
+// with fetch()), based on their Accept header.
+const ACCEPT_TYPES: [string, RegExp][] = [
+  ['json', /application\/(.+\+)?json/],
+  ['document', /text\/html/],
+  ['image', /image\//],
+  ['font', /font\//],
+];
+
+/**
+ * This plugin responds with a precached fallback, such as an offline page or
+ * a placeholder image, when the strategy it's used with is unable to respond.
+ *
+ * The fallback is chosen by the request's
+ * [`destination`](https://developer.mozilla.org/en-US/docs/Web/API/Request/destination),
+ * or, for requests without one, by their `Accept` header. Fallback URLs are
+ * looked up with
+ * [`getCacheKeyForURL()`]{@link workbox.precaching.getCacheKeyForURL}, so
+ * precached URLs with revision info can be used as is.
+ *
+ * @memberof workbox.strategies
+ */
+class FallbackPlugin implements WorkboxPlugin {
+  private _fallbacks: Fallbacks;
+
+  /**
+   * @param {Object} fallbacks The fallback URLs to use, keyed by request
+   * destination.
+   * @param {string} [fallbacks.document] Used for navigations, and for
+   * requests that accept HTML.
+   * @param {string} [fallbacks.image] Used for images.
+   * @param {string} [fallbacks.font] Used for fonts.
+   * @param {string} [fallbacks.json] Used for requests that accept JSON.
+   * Any other request destination (e.g. `'style'`) can also be used as a key.
+   */
+  constructor(fallbacks: Fallbacks) {
+    if (process.env.NODE_ENV !== 'production') {
+      assert!.isType(fallbacks, 'object', {
+        moduleName: 'workbox-strategies',
+        className: 'FallbackPlugin',
+        funcName: 'constructor',
+        paramName: 'fallbacks',
+      });
+    }
+
+    this._fallbacks = fallbacks;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {Request} options.request
+   * @return {Promise<Response|undefined>}
+   *
+   * @private
+   */
+  handlerDidError: WorkboxPlugin['handlerDidError'] = async ({request}) => {
+    const fallbackURL = this._getFallbackURL(request);
+    if (!fallbackURL) {
+      return;
+    }
+
+    const cacheKey = getCacheKeyForURL(fallbackURL) || fallbackURL;
+    const response = await caches.match(cacheKey);
+
+    if (process.env.NODE_ENV !== 'production') {
+      if (response) {
+        logger.debug(`Responding to '${getFriendlyURL(request.url)}' with ` +
+            `the fallback '${getFriendlyURL(fallbackURL)}'.`);
+      } else {
+        logger.warn(`The fallback '${getFriendlyURL(fallbackURL)}' for ` +
+            `'${getFriendlyURL(request.url)}' wasn't found in the cache. ` +
+            `Make sure it's precached.`);
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * @param {Request} request
+   * @return {string|undefined} The URL of the fallback for the request.
+   *
+   * @private
+   */
+  _getFallbackURL(request: Request): string | undefined {
+    if (request.mode === 'navigate') {
+      return this._fallbacks.document;
+    }
+    if (request.destination) {
+      return this._fallbacks[request.destination];
+    }
+
+    const accept = request.headers.get('accept') || '';
+    for (const [type, regExp] of ACCEPT_TYPES) {
+      if (this._fallbacks[type] && regExp.test(accept)) {
+        return this._fallbacks[type];
+      }
+    }
+    return undefined;
+  }
+}
+
+export {FallbackPlugin};
@@ -0,0 +1,326 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {logger} from 'workbox-core/_private/logger.js';
+import {responseSources} from 'workbox-core/_private/responseSources.js';
+import {WorkboxError} from 'workbox-core/_private/WorkboxError.js';
+import {Strategy} from './Strategy.js';
+import {StrategyHandler} from './StrategyHandler.js';
+import {CacheControlDirectives, getCurrentAge, getFreshnessLifetime,
+  parseCacheControl, parseSeconds} from './utils/cacheControl.js';
+import {copyResponse} from './utils/copyResponse.js';
+import {ensureDateHeader} from './utils/ensureDateHeader.js';
+import {markResponseAsStale} from './utils/markResponseAsStale.js';
+import {messages} from './utils/messages.js';
+import './_version.js';
+
+
+/**
+ * Conditional headers can't be added to `no-cors` requests, and would make
+ * cross-origin requests need a preflight request, so those are revalidated
+ * with an unconditional request instead.
+ *
+ * @param {Request} request
+ * @return {boolean}
+ *
+ * @private
+ */
+const canMakeConditionalRequest = (request: Request): boolean => {
+  return request.mode !== 'no-cors' &&
+      new URL(request.url, location.href).origin === location.origin;
+};
+
+/**
+ * @param {Request} request
+ * @param {Response} cachedResponse
+ * @return {Request} A copy of the request, with `If-None-Match` and
+ *     `If-Modified-Since` headers based on the cached response's validators.
+ *
+ * @private
+ */
+const createConditionalRequest = (request: Request,
+    cachedResponse: Response): Request => {
+  const headers = new Headers(request.headers);
+
+  const etag = cachedResponse.headers.get('etag');
+  if (etag) {
+    headers.set('if-none-match', etag);
+  }
+  const lastModified = cachedResponse.headers.get('last-modified');
+  if (lastModified) {
+    headers.set('if-modified-since', lastModified);
+  }
+
+  // Navigation requests can't be used to construct a new request, so only
+  // the relevant properties are copied. A mode of `navigate` can't be set
+  // either, so those use `same-origin` instead.
+  return new Request(request.url, {
+    headers,
+    mode: request.mode === 'navigate' ? 'same-origin' : request.mode,
+    credentials: request.credentials,
+    redirect: request.redirect,
+  });
+};
+
+/**
+ * @param {Response} response
+ * @param {Object} directives The response's `Cache-Control` directives.
+ * @return {boolean} Whether the response may be stored in the cache.
+ *
+ * @private
+ */
+const isStorable = (response: Response,
+    directives: CacheControlDirectives): boolean => {
+  // Opaque responses can't be revalidated, and partial responses can't be
+  // stored using the Cache Storage API.
+  if (response.status === 0 || response.status === 206) {
+    return false;
+  }
+
+  // A response that varies on `*` can never be matched.
+  const vary = (response.headers.get('vary') || '').split(',');
+  if (vary.some((field) => field.trim() === '*')) {
+    return false;
+  }
+
+  return !('no-store' in directives);
+};
+
+/**
+ * An implementation of a caching strategy that follows the freshness and
+ * validation rules of [RFC 7234]{@link https://tools.ietf.org/html/rfc7234},
+ * similar to the browser's HTTP cache.
+ *
+ * - Cached responses are used while they're fresh, based on their
+ *   `Cache-Control: max-age`, `Expires` or `Last-Modified` headers.
+ * - Stale responses are revalidated with a conditional request, using
+ *   `If-None-Match` and `If-Modified-Since`. A `304` response updates the
+ *   cached response's headers.
+ * - Within a response's `stale-while-revalidate` window, the stale response
+ *   is used while it's revalidated in the background.
+ * - If revalidation fails due to a network error, the stale response is used
+ *   (with a `Warning: 110` header), unless it has `must-revalidate`.
+ * - `no-cache` (on the request or response) forces revalidation, and
+ *   `no-store` prevents caching.
+ * - Cached responses are matched on their `Vary` headers by the Cache Storage
+ *   API, and responses that vary on `*` aren't cached.
+ *
+ * As with the other strategies, only responses with a status of 200 are
+ * cached by default. A plugin with a `cacheWillUpdate` callback can be used
+ * to cache other responses.
+ *
+ * If the network request fails, and there is no cache match, this will throw
+ * a `WorkboxError` exception.
+ *
+ * @memberof workbox.strategies
+ * @extends workbox.strategies.Strategy
+ */
+class HTTPCache extends Strategy {
+  /**
+   * @param {Request} request
+   * @param {workbox.strategies.StrategyHandler} handler
+   * @return {Promise<Response>}
+   *
+   * @private
+   */
+  async _handle(request: Request, handler: StrategyHandler): Promise<Response> {
+    const logs: any[] = [];
+    const requestDirectives =
+        parseCacheControl(request.headers.get('cache-control'));
+
+    let response;
+    let error;
+    try {
+      if ('no-store' in requestDirectives) {
+        if (process.env.NODE_ENV !== 'production') {
+          logs.push(`The request has 'Cache-Control: no-store', so the ` +
+            `cache won't be used.`);
+        }
+        response = responseSources.set(
+            await handler.fetch(request), 'network');
+      } else {
+        response = await this._respond(request, requestDirectives,
+            handler, logs);
+      }
+    } catch (err) {
+      error = err;
+    }
+
+    if (process.env.NODE_ENV !== 'production') {
+      logger.groupCollapsed(
+          messages.strategyStart('HTTPCache', request));
+      for (let log of logs) {
+        logger.log(log);
+      }
+      messages.printFinalResponse(response);
+      logger.groupEnd();
+    }
+
+    if (!response) {
+      throw new WorkboxError('no-response', {url: request.url, error});
+    }
+    return response;
+  }
+
+  /**
+   * @param {Request} request
+   * @param {Object} requestDirectives The request's `Cache-Control`
+   *     directives.
+   * @param {workbox.strategies.StrategyHandler} handler
+   * @param {Array} logs A reference to the logs Array.
+   * @return {Promise<Response>}
+   *
+   * @private
+   */
+  async _respond(request: Request, requestDirectives: CacheControlDirectives,
+      handler: StrategyHandler, logs: any[]): Promise<Response> {
+    const cachedResponse = await handler.cacheMatch(request);
+    if (!cachedResponse) {
+      if (process.env.NODE_ENV !== 'production') {
+        logs.push(`No response found in the '${this._cacheName}' cache. ` +
+          `Will respond with a network request.`);
+      }
+      return this._updateCache(request, await handler.fetch(request),
+          handler, logs);
+    }
+
+    const directives =
+        parseCacheControl(cachedResponse.headers.get('cache-control'));
+    const age = getCurrentAge(cachedResponse);
+
+    let lifetime = getFreshnessLifetime(cachedResponse, directives);
+    const requestMaxAge = parseSeconds(requestDirectives['max-age']);
+    if (requestMaxAge !== null) {
+      lifetime = Math.min(lifetime, requestMaxAge);
+    }
+    const staleWhileRevalidate =
+        parseSeconds(directives['stale-while-revalidate']) || 0;
+    const mustRevalidate =
+        'no-cache' in directives || 'no-cache' in requestDirectives;
+
+    if (!mustRevalidate && age < lifetime) {
+      if (process.env.NODE_ENV !== 'production') {
+        logs.push(`Found a fresh response in the '${this._cacheName}' ` +
+          `cache. It's ${Math.round(age)} seconds old, and is fresh for ` +
+          `${Math.round(lifetime)} seconds.`);
+      }
+      return responseSources.set(cachedResponse, 'cache');
+    }
+
+    if (!mustRevalidate && age < lifetime + staleWhileRevalidate) {
+      if (process.env.NODE_ENV !== 'production') {
+        logs.push(`Found a stale response in the '${this._cacheName}' ` +
+          `cache, within its stale-while-revalidate window. It will be ` +
+          `revalidated in the background.`);
+      }
+      handler.waitUntil(this._revalidate(request, cachedResponse.clone(),
+          directives, handler, []));
+      return responseSources.set(cachedResponse, 'cache');
+    }
+
+    if (process.env.NODE_ENV !== 'production') {
+      logs.push(`Found a response in the '${this._cacheName}' cache that ` +
+        `needs to be revalidated.`);
+    }
+    return this._revalidate(request, cachedResponse, directives,
+        handler, logs);
+  }
+
+  /**
+   * Makes a conditional request for a cached response (or an unconditional
+   * one, if the request doesn't allow it), and updates the cache with the
+   * result.
+   *
+   * @param {Request} request
+   * @param {Response} cachedResponse
+   * @param {Object} directives The cached response's `Cache-Control`
+   *     directives.
+   * @param {workbox.strategies.StrategyHandler} handler
+   * @param {Array} logs A reference to the logs Array.
+   * @return {Promise<Response>}
+   *
+   * @private
+   */
+  async _revalidate(request: Request, cachedResponse: Response,
+      directives: CacheControlDirectives, handler: StrategyHandler,
+      logs: any[]): Promise<Response> {
+    const revalidationRequest = canMakeConditionalRequest(request) ?
+        createConditionalRequest(request, cachedResponse) : request;
+
+    let networkResponse: Response;
+    try {
+      networkResponse = await handler.fetch(revalidationRequest);
+    } catch (error) {
+      if ('must-revalidate' in directives) {
+        throw error;
+      }
+
+      if (process.env.NODE_ENV !== 'production') {
+        logs.push(`Unable to revalidate the cached response, so the stale ` +
+          `response will be used.`);
+      }
+      return responseSources.set(
+          await markResponseAsStale(cachedResponse), 'cache');
+    }
+
+    if (networkResponse.status !== 304) {
+      return this._updateCache(request, networkResponse, handler, logs);
+    }
+
+    if (process.env.NODE_ENV !== 'production') {
+      logs.push(`The cached response is still valid, so its headers will ` +
+        `be updated.`);
+    }
+
+    // See https://tools.ietf.org/html/rfc7234#section-4.3.4
+    const updatedResponse = await copyResponse(cachedResponse, (headers) => {
+      networkResponse.headers.forEach((value, name) => {
+        if (name !== 'content-length') {
+          headers.set(name, value);
+        }
+      });
+      if (!networkResponse.headers.has('date')) {
+        headers.set('date', new Date().toUTCString());
+      }
+    });
+
+    handler.cachePut(request, updatedResponse.clone());
+    return responseSources.set(updatedResponse, 'cache');
+  }
+
+  /**
+   * Caches a network response, if it's storable.
+   *
+   * @param {Request} request The request to use as the cache key.
+   * @param {Response} response The network response.
+   * @param {workbox.strategies.StrategyHandler} handler
+   * @param {Array} logs A reference to the logs Array.
+   * @return {Promise<Response>}
+   *
+   * @private
+   */
+  async _updateCache(request: Request, response: Response,
+      handler: StrategyHandler, logs: any[]): Promise<Response> {
+    const directives = parseCacheControl(response.headers.get('cache-control'));
+    if (isStorable(response, directives)) {
+      // The age of the cached response is based on its Date header, so make
+      // sure it has one.
+      handler.cachePut(request, await ensureDateHeader(response.clone()));
+    } else if (process.env.NODE_ENV !== 'production') {
+      logs.push(`The network response can't be stored, so the cache won't ` +
+        `be updated.`);
+    }
+
+    if (process.env.NODE_ENV !== 'production') {
+      logs.push(`Got response from network.`);
+    }
+    return responseSources.set(response, 'network');
+  }
+}
+
+export {HTTPCache};
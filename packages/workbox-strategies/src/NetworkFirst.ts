@@ -7,24 +7,22 @@
 */
 
 import {assert} from 'workbox-core/_private/assert.js';
-import {cacheNames} from 'workbox-core/_private/cacheNames.js';
-import {cacheWrapper} from 'workbox-core/_private/cacheWrapper.js';
-import {fetchWrapper} from 'workbox-core/_private/fetchWrapper.js';
-import {getFriendlyURL} from 'workbox-core/_private/getFriendlyURL.js';
 import {logger} from 'workbox-core/_private/logger.js';
+import {responseSources} from 'workbox-core/_private/responseSources.js';
 import {WorkboxError} from 'workbox-core/_private/WorkboxError.js';
-import {RouteHandler, RouteHandlerCallbackOptions, WorkboxPlugin} from 'workbox-core/types.js';
+import {Strategy, StrategyOptions} from './Strategy.js';
+import {StrategyHandler} from './StrategyHandler.js';
+import {getTimestampHeader} from './utils/cacheControl.js';
+import {markResponseAsStale} from './utils/markResponseAsStale.js';
 import {messages} from './utils/messages.js';
 import {cacheOkAndOpaquePlugin} from './plugins/cacheOkAndOpaquePlugin.js';
 import './_version.js';
 
 
-interface NetworkFirstOptions {
-  cacheName?: string;
-  plugins?: WorkboxPlugin[];
-  fetchOptions?: RequestInit;
-  matchOptions?: CacheQueryOptions;
+interface NetworkFirstOptions extends StrategyOptions {
   networkTimeoutSeconds?: number;
+  failureStatuses?: number[];
+  maxStaleSeconds?: number;
 }
 
 /**
@@ -40,14 +38,17 @@ interface NetworkFirstOptions {
  * If the network request fails, and there is no cache match, this will throw
  * a `WorkboxError` exception.
  *
+ * When `maxStaleSeconds` is set, responses served from the cache in place of
+ * a network response are given a `Warning: 110 - "Response is Stale"` header
+ * (unless they're opaque).
+ *
  * @memberof workbox.strategies
+ * @extends workbox.strategies.Strategy
  */
-class NetworkFirst implements RouteHandler {
-  private _cacheName: string;
-  private _plugins: WorkboxPlugin[];
-  private _fetchOptions?: RequestInit;
-  private _matchOptions?: CacheQueryOptions;
+class NetworkFirst extends Strategy {
   private _networkTimeoutSeconds: number;
+  private _failureStatuses: number[];
+  private _maxStaleSeconds: number;
 
   /**
    * @param {Object} options
@@ -66,9 +67,19 @@ class NetworkFirst implements RouteHandler {
    * This option can be used to combat
    * "[lie-fi]{@link https://developers.google.com/web/fundamentals/performance/poor-connectivity/#lie-fi}"
    * scenarios.
+   * @param {Array<number>} [options.failureStatuses] Network responses with
+   * any of these status codes (e.g. `[500, 503]`) are treated like a network
+   * failure, and the cached response is used instead, if there is one.
+   * @param {number} [options.maxStaleSeconds] If set, cached responses whose
+   * `Date` header is older than this won't be used in place of a network
+   * response, and the cached responses that are used get a
+   * `Warning: 110 - "Response is Stale"` header.
+   * @param {Object} [options.retry] See the
+   * [Strategy]{@link workbox.strategies.Strategy} constructor. When used with
+   * `networkTimeoutSeconds`, no retries are started after the timeout.
    */
   constructor(options: NetworkFirstOptions = {}) {
-    this._cacheName = cacheNames.getRuntimeName(options.cacheName);
+    super(options);
 
     if (options.plugins) {
       let isUsingCacheWillUpdate =
@@ -81,6 +92,8 @@ class NetworkFirst implements RouteHandler {
     }
 
     this._networkTimeoutSeconds = options.networkTimeoutSeconds || 0;
+    this._failureStatuses = options.failureStatuses || [];
+    this._maxStaleSeconds = options.maxStaleSeconds || 0;
     if (process.env.NODE_ENV !== 'production') {
       if (this._networkTimeoutSeconds) {
         assert!.isType(this._networkTimeoutSeconds, 'number', {
@@ -90,74 +103,50 @@ class NetworkFirst implements RouteHandler {
           paramName: 'networkTimeoutSeconds',
         });
       }
+      assert!.isArray(this._failureStatuses, {
+        moduleName: 'workbox-strategies',
+        className: 'NetworkFirst',
+        funcName: 'constructor',
+        paramName: 'failureStatuses',
+      });
+      if (this._maxStaleSeconds) {
+        assert!.isType(this._maxStaleSeconds, 'number', {
+          moduleName: 'workbox-strategies',
+          className: 'NetworkFirst',
+          funcName: 'constructor',
+          paramName: 'maxStaleSeconds',
+        });
+      }
     }
-
-    this._fetchOptions = options.fetchOptions;
-    this._matchOptions = options.matchOptions;
   }
 
   /**
-   * This method will perform a request strategy and follows an API that
-   * will work with the
-   * [Workbox Router]{@link workbox.routing.Router}.
-   *
-   * @param {Object} options
-   * @param {Request} options.request The request to run this strategy for.
-   * @param {Event} [options.event] The event that triggered the request.
+   * @param {Request} request
+   * @param {workbox.strategies.StrategyHandler} handler
    * @return {Promise<Response>}
-   */
-  async handle({event, request}: RouteHandlerCallbackOptions): Promise<Response> {
-    return this.makeRequest({
-      event,
-      request: request || (event as FetchEvent).request,
-    });
-  }
-
-  /**
-   * This method can be used to perform a make a standalone request outside the
-   * context of the [Workbox Router]{@link workbox.routing.Router}.
-   *
-   * See "[Advanced Recipes](https://developers.google.com/web/tools/workbox/guides/advanced-recipes#make-requests)"
-   * for more usage information.
    *
-   * @param {Object} options
-   * @param {Request|string} options.request Either a
-   *     [`Request`]{@link https://developer.mozilla.org/en-US/docs/Web/API/Request}
-   *     object, or a string URL, corresponding to the request to be made.
-   * @param {FetchEvent} [options.event] If provided, `event.waitUntil()` will
-   *     be called automatically to extend the service worker's lifetime.
-   * @return {Promise<Response>}
+   * @private
    */
-  async makeRequest({event, request}: {
-    request: Request,
-    event?: ExtendableEvent
-  }): Promise<Response> {
-   const logs: any[] = [];
-
-    if (typeof request === 'string') {
-      request = new Request(request);
-    }
-
-    if (process.env.NODE_ENV !== 'production') {
-      assert!.isInstance(request, Request, {
-        moduleName: 'workbox-strategies',
-        className: 'NetworkFirst',
-        funcName: 'handle',
-        paramName: 'makeRequest',
-      });
-    }
+  async _handle(request: Request, handler: StrategyHandler): Promise<Response> {
+    const logs: any[] = [];
+    const {event} = handler;
 
     const promises = [];
     let timeoutId: number | undefined;
 
     if (this._networkTimeoutSeconds) {
-      const {id, promise} = this._getTimeoutPromise({request, event, logs});
+      // Retries mustn't be started once the network has timed out.
+      handler.retryDeadline =
+          Date.now() + (this._networkTimeoutSeconds * 1000);
+
+      const {id, promise} =
+          this._getTimeoutPromise({request, event, handler, logs});
       timeoutId = id;
       promises.push(promise);
     }
 
     const networkPromise =
-        this._getNetworkPromise({timeoutId, request, event, logs});
+        this._getNetworkPromise({timeoutId, request, event, handler, logs});
     promises.push(networkPromise);
 
     // Promise.race() will resolve as soon as the first promise resolves.
@@ -191,14 +180,16 @@ class NetworkFirst implements RouteHandler {
    * @param {Object} options
    * @param {Request} options.request
    * @param {Array} options.logs A reference to the logs array
+   * @param {workbox.strategies.StrategyHandler} options.handler
    * @param {Event} [options.event]
    * @return {Promise<Response>}
    *
    * @private
    */
-  _getTimeoutPromise({request, logs, event}: {
+  _getTimeoutPromise({request, logs, handler, event}: {
     request: Request,
     logs: any[],
+    handler: StrategyHandler,
     event?: ExtendableEvent,
   }): {promise: Promise<Response | undefined>, id?: number} {
     let timeoutId;
@@ -209,7 +200,7 @@ class NetworkFirst implements RouteHandler {
             `${this._networkTimeoutSeconds} seconds.`);
         }
 
-        resolve(await this._respondFromCache({request, event}));
+        resolve(await this._respondFromCache({request, logs, handler, event}));
       };
 
       timeoutId = setTimeout(
@@ -229,26 +220,23 @@ class NetworkFirst implements RouteHandler {
    * @param {number|undefined} options.timeoutId
    * @param {Request} options.request
    * @param {Array} options.logs A reference to the logs Array.
+   * @param {workbox.strategies.StrategyHandler} options.handler
    * @param {Event} [options.event]
    * @return {Promise<Response>}
    *
    * @private
    */
-  async _getNetworkPromise({timeoutId, request, logs, event}: {
+  async _getNetworkPromise({timeoutId, request, logs, handler, event}: {
     request: Request,
     logs: any[],
+    handler: StrategyHandler,
     timeoutId?: number,
     event?: ExtendableEvent,
-  }): Promise<Response> {
+  }): Promise<Response | undefined> {
     let error;
-    let response;
+    let response: Response | undefined;
     try {
-      response = await fetchWrapper.fetch({
-        request,
-        event,
-        fetchOptions: this._fetchOptions,
-        plugins: this._plugins,
-      });
+      response = await handler.fetch(request);
     } catch (err) {
       error = err;
     }
@@ -257,48 +245,44 @@ class NetworkFirst implements RouteHandler {
       clearTimeout(timeoutId);
     }
 
+    const isFailure = Boolean(error || !response ||
+        this._failureStatuses.includes(response.status));
+
     if (process.env.NODE_ENV !== 'production') {
-      if (response) {
-        logs.push(`Got response from network.`);
-      } else {
+      if (!response) {
         logs.push(`Unable to get a response from the network. Will respond ` +
           `with a cached response.`);
+      } else if (isFailure) {
+        logs.push(`Got a response with a ${response.status} status from the ` +
+          `network, which is treated as a failure. Will respond with a ` +
+          `cached response, if there is one.`);
+      } else {
+        logs.push(`Got response from network.`);
       }
     }
 
-    if (error || !response) {
-      response = await this._respondFromCache({request, event});
+    if (isFailure) {
+      const cachedResponse =
+          await this._respondFromCache({request, logs, handler, event});
       if (process.env.NODE_ENV !== 'production') {
-        if (response) {
+        if (cachedResponse) {
           logs.push(`Found a cached response in the '${this._cacheName}'` +
             ` cache.`);
         } else {
-          logs.push(`No response found in the '${this._cacheName}' cache.`);
+          logs.push(`No usable response found in the '${this._cacheName}' ` +
+            `cache.`);
         }
       }
+
+      // Failing that, use the network response, even though its status is
+      // one of the failure statuses.
+      response = cachedResponse ||
+          (response && responseSources.set(response, 'network'));
     } else {
-      // Keep the service worker alive while we put the request in the cache
-      const responseClone = response.clone();
-      const cachePut = cacheWrapper.put({
-        cacheName: this._cacheName,
-        request,
-        response: responseClone,
-        event,
-        plugins: this._plugins,
-      });
+      responseSources.set(response, 'network');
 
-      if (event) {
-        try {
-          // The event has been responded to so we can keep the SW alive to
-          // respond to the request
-          event.waitUntil(cachePut);
-        } catch (err) {
-          if (process.env.NODE_ENV !== 'production') {
-            logger.warn(`Unable to ensure service worker stays alive when ` +
-              `updating cache for '${getFriendlyURL(request.url)}'.`);
-          }
-        }
-      }
+      // Keep the service worker alive while we put the request in the cache
+      handler.cachePut(request, response!.clone());
     }
 
     return response;
@@ -308,23 +292,43 @@ class NetworkFirst implements RouteHandler {
    * Used if the network timeouts or fails to make the request.
    *
    * @param {Object} options
-   * @param {Request} request The request to match in the cache
+   * @param {Request} options.request The request to match in the cache
+   * @param {Array} options.logs A reference to the logs Array.
+   * @param {workbox.strategies.StrategyHandler} options.handler
    * @param {Event} [options.event]
    * @return {Promise<Object>}
    *
    * @private
    */
-  _respondFromCache({event, request}: {
+  async _respondFromCache({request, logs, handler}: {
     request: Request,
+    logs: any[],
+    handler: StrategyHandler,
     event?: ExtendableEvent,
   }): Promise<Response | undefined> {
-    return cacheWrapper.match({
-      cacheName: this._cacheName,
-      request,
-      event,
-      matchOptions: this._matchOptions,
-      plugins: this._plugins,
-    });
+    const response = await handler.cacheMatch(request);
+    if (!response) {
+      return;
+    }
+
+    if (this._maxStaleSeconds) {
+      // Cached responses without a valid Date header can't be checked, so
+      // they're assumed to be recent enough.
+      const dateHeaderTimestamp =
+          getTimestampHeader(response.headers, 'date');
+      if (dateHeaderTimestamp !== null &&
+          dateHeaderTimestamp < Date.now() - (this._maxStaleSeconds * 1000)) {
+        if (process.env.NODE_ENV !== 'production') {
+          logs.push(`The cached response is older than ` +
+            `${this._maxStaleSeconds} seconds, so it won't be used.`);
+        }
+        return;
+      }
+
+      return responseSources.set(await markResponseAsStale(response), 'cache');
+    }
+
+    return responseSources.set(response, 'cache');
   }
 }
 
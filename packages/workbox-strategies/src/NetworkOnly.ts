@@ -6,20 +6,15 @@
   https://opensource.org/licenses/MIT.
 */
 
-import {assert} from 'workbox-core/_private/assert.js';
-import {fetchWrapper} from 'workbox-core/_private/fetchWrapper.js';
 import {logger} from 'workbox-core/_private/logger.js';
+import {responseSources} from 'workbox-core/_private/responseSources.js';
 import {WorkboxError} from 'workbox-core/_private/WorkboxError.js';
-import {RouteHandler, RouteHandlerCallbackOptions, WorkboxPlugin} from 'workbox-core/types.js';
+import {Strategy} from './Strategy.js';
+import {StrategyHandler} from './StrategyHandler.js';
 import {messages} from './utils/messages.js';
 import './_version.js';
 
 
-interface NetworkFirstOptions {
-  plugins?: WorkboxPlugin[];
-  fetchOptions?: RequestInit;
-}
-
 /**
  * An implementation of a
  * [network-only]{@link https://developers.google.com/web/fundamentals/instant-and-offline/offline-cookbook/#network-only}
@@ -31,85 +26,29 @@ interface NetworkFirstOptions {
  * If the network request fails, this will throw a `WorkboxError` exception.
  *
  * @memberof workbox.strategies
+ * @extends workbox.strategies.Strategy
  */
-class NetworkOnly implements RouteHandler {
-  private _plugins: WorkboxPlugin[];
-  private _fetchOptions?: RequestInit;
-
+class NetworkOnly extends Strategy {
   /**
-   * @param {Object} options
-   * @param {string} options.cacheName Cache name to store and retrieve
-   * requests. Defaults to cache names provided by
-   * [workbox-core]{@link workbox.core.cacheNames}.
-   * @param {Array<Object>} options.plugins [Plugins]{@link https://developers.google.com/web/tools/workbox/guides/using-plugins}
-   * to use in conjunction with this caching strategy.
-   * @param {Object} options.fetchOptions Values passed along to the
-   * [`init`](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch#Parameters)
-   * of all fetch() requests made by this strategy.
+   * @return {boolean} `false`, since this strategy never writes to the
+   *     cache.
    */
-  constructor(options: NetworkFirstOptions = {}) {
-    this._plugins = options.plugins || [];
-    this._fetchOptions = options.fetchOptions;
+  mayCacheOpaqueResponses(): boolean {
+    return false;
   }
 
   /**
-   * This method will perform a request strategy and follows an API that
-   * will work with the
-   * [Workbox Router]{@link workbox.routing.Router}.
-   *
-   * @param {Object} options
-   * @param {Request} options.request The request to run this strategy for.
-   * @param {Event} [options.event] The event that triggered the request.
+   * @param {Request} request
+   * @param {workbox.strategies.StrategyHandler} handler
    * @return {Promise<Response>}
-   */
-  async handle({event, request}: RouteHandlerCallbackOptions): Promise<Response> {
-    return this.makeRequest({
-      event,
-      request: request || (event as FetchEvent).request,
-    });
-  }
-
-  /**
-   * This method can be used to perform a make a standalone request outside the
-   * context of the [Workbox Router]{@link workbox.routing.Router}.
    *
-   * See "[Advanced Recipes](https://developers.google.com/web/tools/workbox/guides/advanced-recipes#make-requests)"
-   * for more usage information.
-   *
-   * @param {Object} options
-   * @param {Request|string} options.request Either a
-   *     [`Request`]{@link https://developer.mozilla.org/en-US/docs/Web/API/Request}
-   *     object, or a string URL, corresponding to the request to be made.
-   * @param {FetchEvent} [options.event] If provided, `event.waitUntil()` will
-   *     be called automatically to extend the service worker's lifetime.
-   * @return {Promise<Response>}
+   * @private
    */
-  async makeRequest({event, request}: {
-    request: Request,
-    event?: ExtendableEvent
-  }): Promise<Response> {
-   if (typeof request === 'string') {
-      request = new Request(request);
-    }
-
-    if (process.env.NODE_ENV !== 'production') {
-      assert!.isInstance(request, Request, {
-        moduleName: 'workbox-strategies',
-        className: 'NetworkOnly',
-        funcName: 'handle',
-        paramName: 'request',
-      });
-    }
-
+  async _handle(request: Request, handler: StrategyHandler): Promise<Response> {
     let error;
     let response;
     try {
-      response = await fetchWrapper.fetch({
-        request,
-        event,
-        fetchOptions: this._fetchOptions,
-        plugins: this._plugins,
-      });
+      response = await handler.fetch(request);
     } catch (err) {
       error = err;
     }
@@ -129,7 +68,7 @@ class NetworkOnly implements RouteHandler {
     if (!response) {
       throw new WorkboxError('no-response', {url: request.url, error});
     }
-    return response;
+    return responseSources.set(response, 'network');
   }
 }
 
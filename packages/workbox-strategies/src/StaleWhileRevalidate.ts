@@ -7,23 +7,23 @@
 */
 
 import {assert} from 'workbox-core/_private/assert.js';
-import {cacheNames} from 'workbox-core/_private/cacheNames.js';
-import {cacheWrapper} from 'workbox-core/_private/cacheWrapper.js';
-import {fetchWrapper} from 'workbox-core/_private/fetchWrapper.js';
-import {getFriendlyURL} from 'workbox-core/_private/getFriendlyURL.js';
 import {logger} from 'workbox-core/_private/logger.js';
+import {ResponseDeduplicator} from 'workbox-core/_private/ResponseDeduplicator.js';
+import {responseSources} from 'workbox-core/_private/responseSources.js';
 import {WorkboxError} from 'workbox-core/_private/WorkboxError.js';
-import {RouteHandler, RouteHandlerCallbackOptions, WorkboxPlugin} from 'workbox-core/types.js';
+import {Strategy, StrategyOptions} from './Strategy.js';
+import {StrategyHandler} from './StrategyHandler.js';
+import {getTimestampHeader} from './utils/cacheControl.js';
+import {ensureDateHeader} from './utils/ensureDateHeader.js';
 import {messages} from './utils/messages.js';
 import {cacheOkAndOpaquePlugin} from './plugins/cacheOkAndOpaquePlugin.js';
 import './_version.js';
 
 
-interface StaleWhileRevalidateOptions {
-  cacheName?: string;
-  plugins?: WorkboxPlugin[];
-  fetchOptions?: RequestInit;
-  matchOptions?: CacheQueryOptions;
+interface StaleWhileRevalidateOptions extends StrategyOptions {
+  revalidateAfterSeconds?: number;
+  throttleRevalidations?: boolean;
+  collapseRequests?: boolean;
 }
 
 /**
@@ -44,13 +44,21 @@ interface StaleWhileRevalidateOptions {
  * If the network request fails, and there is no cache match, this will throw
  * a `WorkboxError` exception.
  *
+ * By default, every request triggers a background update. The
+ * `revalidateAfterSeconds` and `throttleRevalidations` options can be used to
+ * reduce the number of updates for frequently requested URLs, and
+ * `collapseRequests` to share network requests between concurrent cache
+ * misses. When any of these are set, the network request only starts once
+ * the cache lookup has finished.
+ *
  * @memberof workbox.strategies
+ * @extends workbox.strategies.Strategy
  */
-class StaleWhileRevalidate implements RouteHandler {
-  private _cacheName: string;
-  private _plugins: WorkboxPlugin[];
-  private _fetchOptions?: RequestInit;
-  private _matchOptions?: CacheQueryOptions;
+class StaleWhileRevalidate extends Strategy {
+  private _revalidateAfterSeconds: number;
+  private _throttleRevalidations: boolean;
+  private _revalidations: Map<string, Promise<Response>>;
+  private _responseDeduplicator?: ResponseDeduplicator;
 
   /**
    * @param {Object} options
@@ -63,10 +71,21 @@ class StaleWhileRevalidate implements RouteHandler {
    * [`init`](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch#Parameters)
    * of all fetch() requests made by this strategy.
    * @param {Object} options.matchOptions [`CacheQueryOptions`](https://w3c.github.io/ServiceWorker/#dictdef-cachequeryoptions)
+   * @param {number} [options.revalidateAfterSeconds] If set, cached responses
+   * whose `Date` header is more recent than this aren't updated in the
+   * background. Network responses without a `Date` header are given one when
+   * they're cached.
+   * @param {boolean} [options.throttleRevalidations=false] If `true`, a
+   * background update isn't started for a URL while another one is still in
+   * progress.
+   * @param {boolean} [options.collapseRequests=false] If `true`, concurrent
+   * cache misses for the same URL (with the same headers and credentials
+   * mode) share a single network request and cache update (so
+   * `cacheDidUpdate` plugin callbacks are only called once), and each
+   * receives a clone of the network response.
    */
   constructor(options: StaleWhileRevalidateOptions = {}) {
-    this._cacheName = cacheNames.getRuntimeName(options.cacheName);
-    this._plugins = options.plugins || [];
+    super(options);
 
     if (options.plugins) {
       let isUsingCacheWillUpdate =
@@ -78,85 +97,58 @@ class StaleWhileRevalidate implements RouteHandler {
       this._plugins = [cacheOkAndOpaquePlugin];
     }
 
-    this._fetchOptions = options.fetchOptions;
-    this._matchOptions = options.matchOptions;
+    this._revalidateAfterSeconds = options.revalidateAfterSeconds || 0;
+    this._throttleRevalidations = Boolean(options.throttleRevalidations);
+    this._revalidations = new Map();
+    if (options.collapseRequests) {
+      this._responseDeduplicator = new ResponseDeduplicator();
+    }
+    if (process.env.NODE_ENV !== 'production') {
+      if (this._revalidateAfterSeconds) {
+        assert!.isType(this._revalidateAfterSeconds, 'number', {
+          moduleName: 'workbox-strategies',
+          className: 'StaleWhileRevalidate',
+          funcName: 'constructor',
+          paramName: 'revalidateAfterSeconds',
+        });
+      }
+    }
   }
 
   /**
-   * This method will perform a request strategy and follows an API that
-   * will work with the
-   * [Workbox Router]{@link workbox.routing.Router}.
-   *
-   * @param {Object} options
-   * @param {Request} options.request The request to run this strategy for.
-   * @param {Event} [options.event] The event that triggered the request.
+   * @param {Request} request
+   * @param {workbox.strategies.StrategyHandler} handler
    * @return {Promise<Response>}
-   */
-  async handle({event, request}: RouteHandlerCallbackOptions): Promise<Response> {
-    return this.makeRequest({
-      event,
-      request: request || (event as FetchEvent).request,
-    });
-  }
-  /**
-   * This method can be used to perform a make a standalone request outside the
-   * context of the [Workbox Router]{@link workbox.routing.Router}.
    *
-   * See "[Advanced Recipes](https://developers.google.com/web/tools/workbox/guides/advanced-recipes#make-requests)"
-   * for more usage information.
-   *
-   * @param {Object} options
-   * @param {Request|string} options.request Either a
-   *     [`Request`]{@link https://developer.mozilla.org/en-US/docs/Web/API/Request}
-   *     object, or a string URL, corresponding to the request to be made.
-   * @param {FetchEvent} [options.event] If provided, `event.waitUntil()` will
-   *     be called automatically to extend the service worker's lifetime.
-   * @return {Promise<Response>}
+   * @private
    */
-  async makeRequest({event, request}: {
-    request: Request,
-    event?: ExtendableEvent
-  }): Promise<Response> {
-   const logs = [];
+  async _handle(request: Request, handler: StrategyHandler): Promise<Response> {
+    const logs: any[] = [];
 
-    if (typeof request === 'string') {
-      request = new Request(request);
-    }
-
-    if (process.env.NODE_ENV !== 'production') {
-      assert!.isInstance(request, Request, {
-        moduleName: 'workbox-strategies',
-        className: 'StaleWhileRevalidate',
-        funcName: 'handle',
-        paramName: 'request',
-      });
-    }
+    // Unless the cached response determines whether to update it, the network
+    // request is started straight away.
+    const isGated = Boolean(this._revalidateAfterSeconds ||
+        this._throttleRevalidations || this._responseDeduplicator);
+    let fetchAndCachePromise = isGated ?
+        undefined : this._getFromNetwork({request, handler});
 
-    const fetchAndCachePromise = this._getFromNetwork({request, event});
-
-    let response = await cacheWrapper.match({
-      cacheName: this._cacheName,
-      request,
-      event,
-      matchOptions: this._matchOptions,
-      plugins: this._plugins,
-    });
+    let response = await handler.cacheMatch(request);
     let error;
     if (response) {
+      responseSources.set(response, 'cache');
+      if (isGated) {
+        fetchAndCachePromise =
+            this._revalidate({request, response, handler, logs});
+      }
+
       if (process.env.NODE_ENV !== 'production') {
-        logs.push(`Found a cached response in the '${this._cacheName}'` +
-          ` cache. Will update with the network response in the background.`);
+        logs.unshift(`Found a cached response in the '${this._cacheName}'` +
+          ` cache.` + (fetchAndCachePromise ? ` Will update with the ` +
+          `network response in the background.` : ``));
       }
 
-      if (event) {
-        try {
-          event.waitUntil(fetchAndCachePromise);
-        } catch (error) {
-          if (process.env.NODE_ENV !== 'production') {
-            logger.warn(`Unable to ensure service worker stays alive when ` +
-              `updating cache for '${getFriendlyURL(request.url)}'.`);
-          }
-        }
+      if (fetchAndCachePromise) {
+        handler.waitUntil(fetchAndCachePromise);
       }
     } else {
       if (process.env.NODE_ENV !== 'production') {
@@ -164,7 +156,16 @@ class StaleWhileRevalidate implements RouteHandler {
           `Will wait for the network response.`);
       }
       try {
-        response = await fetchAndCachePromise;
+        if (fetchAndCachePromise) {
+          response = await fetchAndCachePromise;
+        } else if (this._responseDeduplicator) {
+          response = responseSources.set(
+              await this._responseDeduplicator.deduplicate(request,
+                  () => this._getFromNetwork({request, handler})),
+              'network');
+        } else {
+          response = await this._getFromNetwork({request, handler});
+        }
       } catch (err) {
         error = err;
       }
@@ -187,44 +188,76 @@ class StaleWhileRevalidate implements RouteHandler {
   }
 
   /**
+   * Starts a background update of a cached response, unless it's recent
+   * enough or is already being updated.
+   *
    * @param {Object} options
    * @param {Request} options.request
-   * @param {Event} [options.event]
-   * @return {Promise<Response>}
+   * @param {Response} options.response The cached response.
+   * @param {workbox.strategies.StrategyHandler} options.handler
+   * @param {Array} options.logs A reference to the logs Array.
+   * @return {Promise<Response>|undefined} The update, if one was started.
    *
    * @private
    */
-  async _getFromNetwork({request, event}: {
+  _revalidate({request, response, handler, logs}: {
     request: Request,
-    event?: ExtendableEvent,
-  }): Promise<Response> {
-    const response = await fetchWrapper.fetch({
-      request,
-      event,
-      fetchOptions: this._fetchOptions,
-      plugins: this._plugins,
-    });
-
-    const cachePutPromise = cacheWrapper.put({
-      cacheName: this._cacheName,
-      request,
-      response: response.clone(),
-      event,
-      plugins: this._plugins,
-    });
-
-    if (event) {
-      try {
-        event.waitUntil(cachePutPromise);
-      } catch (error) {
+    response: Response,
+    handler: StrategyHandler,
+    logs: any[],
+  }): Promise<Response> | undefined {
+    if (this._revalidateAfterSeconds) {
+      const dateHeaderTimestamp = getTimestampHeader(response.headers, 'date');
+      if (dateHeaderTimestamp !== null && dateHeaderTimestamp >=
+          Date.now() - (this._revalidateAfterSeconds * 1000)) {
         if (process.env.NODE_ENV !== 'production') {
-          logger.warn(`Unable to ensure service worker stays alive when ` +
-            `updating cache for '${getFriendlyURL(request.url)}'.`);
+          logs.push(`The cached response is less than ` +
+            `${this._revalidateAfterSeconds} seconds old, so it won't be ` +
+            `updated.`);
         }
+        return;
       }
     }
 
-    return response;
+    if (!this._throttleRevalidations) {
+      return this._getFromNetwork({request, handler});
+    }
+
+    if (this._revalidations.has(request.url)) {
+      if (process.env.NODE_ENV !== 'production') {
+        logs.push(`The cached response is already being updated.`);
+      }
+      return;
+    }
+
+    const revalidation = this._getFromNetwork({request, handler});
+    this._revalidations.set(request.url, revalidation);
+
+    const onRevalidated = () => this._revalidations.delete(request.url);
+    revalidation.then(onRevalidated, onRevalidated);
+
+    return revalidation;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {Request} options.request
+   * @param {workbox.strategies.StrategyHandler} options.handler
+   * @return {Promise<Response>}
+   *
+   * @private
+   */
+  async _getFromNetwork({request, handler}: {
+    request: Request,
+    handler: StrategyHandler,
+  }): Promise<Response> {
+    const response = await handler.fetch(request);
+
+    // The age of the cached response is needed by revalidateAfterSeconds.
+    handler.cachePut(request, this._revalidateAfterSeconds ?
+        await ensureDateHeader(response.clone()) : response.clone());
+
+    return responseSources.set(response, 'network');
   }
 }
 
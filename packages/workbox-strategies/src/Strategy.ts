@@ -0,0 +1,332 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {assert} from 'workbox-core/_private/assert.js';
+import {cacheNames} from 'workbox-core/_private/cacheNames.js';
+import {getFriendlyURL} from 'workbox-core/_private/getFriendlyURL.js';
+import {logger} from 'workbox-core/_private/logger.js';
+import {responseSources} from 'workbox-core/_private/responseSources.js';
+import {WorkboxError} from 'workbox-core/_private/WorkboxError.js';
+import {pluginEvents} from 'workbox-core/models/pluginEvents.js';
+import {RouteHandler, RouteHandlerCallbackOptions, WorkboxPlugin} from 'workbox-core/types.js';
+import {StrategyHandler} from './StrategyHandler.js';
+import {RetryOptions, RetryPolicy} from './utils/RetryPolicy.js';
+import './_version.js';
+
+
+export interface StrategyOptions {
+  cacheName?: string;
+  cacheNames?: string[];
+  promoteToFirstCache?: boolean;
+  plugins?: WorkboxPlugin[];
+  fetchOptions?: RequestInit;
+  matchOptions?: CacheQueryOptions;
+  retry?: RetryOptions;
+}
+
+/**
+ * An abstract base class that all other strategy classes extend. It handles
+ * the options shared by all strategies, the `handle()` and `makeRequest()`
+ * methods, and the `handlerWillStart`, `handlerWillRespond`,
+ * `handlerDidError` and `handlerDidComplete` plugin callbacks.
+ *
+ * To write a custom strategy, extend this class and implement `_handle()`,
+ * using the [StrategyHandler]{@link workbox.strategies.StrategyHandler} it's
+ * passed to fetch from the network and to read from and write to the cache.
+ *
+ * @memberof workbox.strategies
+ */
+abstract class Strategy implements RouteHandler {
+  protected _cacheName: string;
+  protected _cacheNames: string[];
+  protected _promoteToFirstCache: boolean;
+  protected _plugins: WorkboxPlugin[];
+  protected _fetchOptions?: RequestInit;
+  protected _matchOptions?: CacheQueryOptions;
+  protected _retryPolicy?: RetryPolicy;
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.cacheName] Cache name to store and retrieve
+   * requests. Defaults to cache names provided by
+   * [workbox-core]{@link workbox.core.cacheNames}.
+   * @param {Array<string>} [options.cacheNames] If set, responses are looked
+   * up in each of these caches in turn (e.g. a small cache of frequently
+   * used responses, followed by a larger cache and the precache), and written
+   * to the first one. This takes the place of `cacheName`.
+   * @param {boolean} [options.promoteToFirstCache=false] If `true`, responses
+   * found in any of the `cacheNames` but the first are copied to the first.
+   * @param {Array<Object>} [options.plugins] [Plugins]{@link https://developers.google.com/web/tools/workbox/guides/using-plugins}
+   * to use in conjunction with this caching strategy.
+   * @param {Object} [options.fetchOptions] Values passed along to the
+   * [`init`](https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch#Parameters)
+   * of all fetch() requests made by this strategy.
+   * @param {Object} [options.matchOptions] [`CacheQueryOptions`](https://w3c.github.io/ServiceWorker/#dictdef-cachequeryoptions)
+   * @param {Object} [options.retry] If set, failed network requests are
+   * retried with exponential backoff and jitter.
+   * @param {number} [options.retry.maxAttempts=3] The maximum number of times
+   * to make a request, including the first attempt.
+   * @param {number} [options.retry.delaySeconds=1] The delay before the first
+   * retry.
+   * @param {number} [options.retry.backoffFactor=2] What the delay is
+   * multiplied by after each retry.
+   * @param {number} [options.retry.maxDelaySeconds=30] The maximum delay
+   * between attempts.
+   * @param {number} [options.retry.jitter=0.5] The fraction (between 0 and 1)
+   * by which each delay is randomly reduced.
+   * @param {Array<number>} [options.retry.retryStatuses=[408, 429, 500, 502, 503, 504]]
+   * Response statuses that are retried, in addition to network errors.
+   * @param {Array<string>} [options.retry.retryMethods=['GET', 'HEAD']] The
+   * request methods that are retried.
+   * @param {number} [options.retry.maxRetryTimeSeconds] If set, retries
+   * aren't made more than this long after the first attempt started.
+   */
+  constructor(options: StrategyOptions = {}) {
+    if (process.env.NODE_ENV !== 'production') {
+      if (options.cacheNames !== undefined) {
+        assert!.isArray(options.cacheNames, {
+          moduleName: 'workbox-strategies',
+          className: this.constructor.name,
+          funcName: 'constructor',
+          paramName: 'cacheNames',
+        });
+        if (options.cacheNames.length === 0) {
+          throw new WorkboxError('invalid-value', {
+            paramName: 'cacheNames',
+            validValueDescription: 'A non-empty array of cache names.',
+            value: options.cacheNames,
+          });
+        }
+      }
+    }
+
+    this._cacheNames = options.cacheNames ?
+        options.cacheNames.slice() :
+        [cacheNames.getRuntimeName(options.cacheName)];
+    this._cacheName = this._cacheNames[0];
+    this._promoteToFirstCache = Boolean(options.promoteToFirstCache);
+    this._plugins = options.plugins || [];
+    this._fetchOptions = options.fetchOptions;
+    this._matchOptions = options.matchOptions;
+    if (options.retry) {
+      this._retryPolicy = new RetryPolicy(options.retry);
+    }
+  }
+
+  /**
+   * This method will perform a request strategy and follows an API that
+   * will work with the
+   * [Workbox Router]{@link workbox.routing.Router}.
+   *
+   * @param {Object} options
+   * @param {Request} options.request The request to run this strategy for.
+   * @param {Event} [options.event] The event that triggered the request.
+   * @return {Promise<Response>}
+   */
+  async handle({event, request, params}: RouteHandlerCallbackOptions):
+      Promise<Response> {
+    return this.makeRequest({
+      event,
+      request: request || (event as FetchEvent).request,
+      params,
+    });
+  }
+
+  /**
+   * This method can be used to perform a make a standalone request outside the
+   * context of the [Workbox Router]{@link workbox.routing.Router}.
+   *
+   * See "[Advanced Recipes](https://developers.google.com/web/tools/workbox/guides/advanced-recipes#make-requests)"
+   * for more usage information.
+   *
+   * @param {Object} options
+   * @param {Request|string} options.request Either a
+   *     [`Request`]{@link https://developer.mozilla.org/en-US/docs/Web/API/Request}
+   *     object, or a string URL, corresponding to the request to be made.
+   * @param {FetchEvent} [options.event] If provided, `event.waitUntil()` will
+   *     be called automatically to extend the service worker's lifetime.
+   * @return {Promise<Response>}
+   */
+  async makeRequest({event, request, params}: {
+    request: Request | string,
+    event?: ExtendableEvent,
+    params?: any,
+  }): Promise<Response> {
+    if (typeof request === 'string') {
+      request = new Request(request);
+    }
+
+    if (process.env.NODE_ENV !== 'production') {
+      assert!.isInstance(request, Request, {
+        moduleName: 'workbox-strategies',
+        className: this.constructor.name,
+        funcName: 'makeRequest',
+        paramName: 'request',
+      });
+    }
+
+    const handler = new StrategyHandler({
+      request,
+      event,
+      params,
+      cacheName: this._cacheName,
+      cacheNames: this._cacheNames,
+      promoteToFirstCache: this._promoteToFirstCache,
+      plugins: this._plugins,
+      fetchOptions: this._fetchOptions,
+      matchOptions: this._matchOptions,
+      retryPolicy: this._retryPolicy,
+    });
+
+    const responseDone = this._getResponse(handler);
+    const completeDone = this._awaitComplete(responseDone, handler);
+
+    // Only extend the event's lifetime for the completion callbacks when
+    // they're used, since each fetch and cache operation already extends it.
+    // This can't use handler.waitUntil(), since completeDone waits for all of
+    // the promises passed to it.
+    if (event && handler.hasCallback(pluginEvents.HANDLER_DID_COMPLETE)) {
+      try {
+        event.waitUntil(completeDone);
+      } catch (error) {
+        if (process.env.NODE_ENV !== 'production') {
+          logger.warn(`Unable to ensure service worker stays alive until ` +
+              `'${getFriendlyURL(request.url)}' has been handled.`);
+        }
+      }
+    }
+
+    return responseDone;
+  }
+
+  /**
+   * Returns whether this strategy may write opaque responses (to cross-origin
+   * `no-cors` requests) to the cache. Without a `cacheWillUpdate` plugin,
+   * only responses with a status of `200` are cached, so opaque responses
+   * (which have a status of `0`) never are. The Router uses this to warn
+   * about routes that may cache opaque responses.
+   *
+   * @return {boolean}
+   */
+  mayCacheOpaqueResponses(): boolean {
+    return this._plugins.some((plugin) => !!plugin.cacheWillUpdate);
+  }
+
+  /**
+   * Implemented by each strategy to respond to a request, using the methods of
+   * the given [StrategyHandler]{@link workbox.strategies.StrategyHandler} to
+   * fetch and cache responses.
+   *
+   * @param {Request} request
+   * @param {workbox.strategies.StrategyHandler} handler
+   * @return {Promise<Response|undefined>}
+   */
+  protected abstract _handle(request: Request, handler: StrategyHandler):
+      Promise<Response | undefined>;
+
+  /**
+   * @param {workbox.strategies.StrategyHandler} handler
+   * @return {Promise<Response>}
+   *
+   * @private
+   */
+  private async _getResponse(handler: StrategyHandler): Promise<Response> {
+    const {request, event} = handler;
+
+    // Only await the callbacks if there are any, so that strategies start
+    // handling the request synchronously (e.g. so that NetworkFirst's timeout
+    // starts as soon as the request does).
+    if (handler.hasCallback(pluginEvents.HANDLER_WILL_START)) {
+      await handler.runCallbacks(pluginEvents.HANDLER_WILL_START,
+          {request, event});
+    }
+
+    let response;
+    try {
+      response = await this._handle(request, handler);
+      if (!response) {
+        throw new WorkboxError('no-response', {url: request.url});
+      }
+    } catch (error) {
+      for (const callback of
+          handler.iterateCallbacks(pluginEvents.HANDLER_DID_ERROR)) {
+        response = await callback({request, error, event});
+        if (response) {
+          break;
+        }
+      }
+
+      if (!response) {
+        throw error;
+      }
+
+      if (process.env.NODE_ENV !== 'production') {
+        logger.log(`While responding to '${getFriendlyURL(request.url)}', ` +
+            `an error was thrown. A 'handlerDidError' plugin callback ` +
+            `provided a response instead.`, error);
+      }
+    }
+
+    if (handler.hasCallback(pluginEvents.HANDLER_WILL_RESPOND)) {
+      // Keep track of where the response came from (e.g. for the Router's
+      // stats), even if a callback replaces it.
+      const source = responseSources.get(response);
+
+      for (const callback of
+          handler.iterateCallbacks(pluginEvents.HANDLER_WILL_RESPOND)) {
+        response = await callback({request, response, event});
+      }
+
+      if (source && !responseSources.get(response)) {
+        responseSources.set(response, source);
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Waits for the response and any work passed to `waitUntil()`, and then
+   * calls the `handlerDidComplete` plugin callbacks.
+   *
+   * @param {Promise<Response>} responseDone
+   * @param {workbox.strategies.StrategyHandler} handler
+   * @return {Promise<void>}
+   *
+   * @private
+   */
+  private async _awaitComplete(responseDone: Promise<Response>,
+      handler: StrategyHandler): Promise<void> {
+    let response;
+    let error;
+
+    try {
+      response = await responseDone;
+    } catch (err) {
+      error = err;
+    }
+
+    await handler.doneWaiting();
+
+    try {
+      await handler.runCallbacks(pluginEvents.HANDLER_DID_COMPLETE, {
+        request: handler.request,
+        event: handler.event,
+        response,
+        error,
+      });
+    } catch (err) {
+      if (process.env.NODE_ENV !== 'production') {
+        logger.warn(`A 'handlerDidComplete' plugin callback threw an error.`,
+            err);
+      }
+    }
+  }
+}
+
+export {Strategy};
@@ -0,0 +1,327 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {cacheWrapper} from 'workbox-core/_private/cacheWrapper.js';
+import {fetchWrapper} from 'workbox-core/_private/fetchWrapper.js';
+import {getFriendlyURL} from 'workbox-core/_private/getFriendlyURL.js';
+import {logger} from 'workbox-core/_private/logger.js';
+import {WorkboxPlugin} from 'workbox-core/types.js';
+import {RetryPolicy} from './utils/RetryPolicy.js';
+import './_version.js';
+
+
+export interface StrategyHandlerOptions {
+  request: Request;
+  event?: ExtendableEvent;
+  params?: any;
+  cacheName: string;
+  cacheNames?: string[];
+  promoteToFirstCache?: boolean;
+  plugins: WorkboxPlugin[];
+  fetchOptions?: RequestInit;
+  matchOptions?: CacheQueryOptions;
+  retryPolicy?: RetryPolicy;
+}
+
+type PluginCallbackName = keyof WorkboxPlugin;
+
+/**
+ * A StrategyHandler is created each time a
+ * [Strategy]{@link workbox.strategies.Strategy} handles a request, and is
+ * passed to the strategy's `_handle()` method. It wraps the fetch and cache
+ * operations with the strategy's plugins and options, and keeps track of any
+ * work that needs to finish before the request is complete.
+ *
+ * @memberof workbox.strategies
+ */
+class StrategyHandler {
+  request: Request;
+  event?: ExtendableEvent;
+  params?: any;
+  cacheName: string;
+  cacheNames: string[];
+  promoteToFirstCache: boolean;
+  plugins: WorkboxPlugin[];
+  fetchOptions?: RequestInit;
+  matchOptions?: CacheQueryOptions;
+  retryPolicy?: RetryPolicy;
+  retryDeadline?: number;
+  private _extendLifetimePromises: Promise<any>[];
+
+  /**
+   * @param {Object} options
+   * @param {Request} options.request The request being handled.
+   * @param {ExtendableEvent} [options.event] The event that triggered the
+   *     request, if any.
+   * @param {*} [options.params] The params passed by the Router, if any.
+   * @param {string} options.cacheName The strategy's cache name, which
+   *     responses are written to.
+   * @param {Array<string>} [options.cacheNames=[options.cacheName]] The
+   *     caches to look up responses in, in order.
+   * @param {boolean} [options.promoteToFirstCache=false] Whether responses
+   *     found in a cache other than the first are copied to the first cache.
+   * @param {Array<Object>} options.plugins The strategy's plugins.
+   * @param {Object} [options.fetchOptions] The strategy's fetch options.
+   * @param {Object} [options.matchOptions] The strategy's match options.
+   * @param {RetryPolicy} [options.retryPolicy] The strategy's retry policy.
+   */
+  constructor(options: StrategyHandlerOptions) {
+    this.request = options.request;
+    this.event = options.event;
+    this.params = options.params;
+    this.cacheName = options.cacheName;
+    this.cacheNames = options.cacheNames || [options.cacheName];
+    this.promoteToFirstCache = Boolean(options.promoteToFirstCache);
+    this.plugins = options.plugins;
+    this.fetchOptions = options.fetchOptions;
+    this.matchOptions = options.matchOptions;
+    this.retryPolicy = options.retryPolicy;
+    this._extendLifetimePromises = [];
+  }
+
+  /**
+   * Fetches a request from the network, running the strategy's
+   * `requestWillFetch`, `fetchDidSucceed` and `fetchDidFail` plugin
+   * callbacks.
+   *
+   * If the strategy has a retry policy, network errors and retryable
+   * statuses are retried, with an increasing delay between attempts. No
+   * retries are started after `retryDeadline` (a timestamp), if it's set.
+   *
+   * @param {Request|string} [input=this.request] The request to fetch.
+   * @return {Promise<Response>}
+   */
+  fetch(input: Request | string = this.request): Promise<Response> {
+    const request = typeof input === 'string' ? new Request(input) : input;
+    if (!this.retryPolicy || !this.retryPolicy.isRetryable(request)) {
+      return this._fetchOnce(request);
+    }
+    return this._fetchWithRetries(request, this.retryPolicy);
+  }
+
+  /**
+   * @param {Request} request
+   * @return {Promise<Response>}
+   *
+   * @private
+   */
+  private _fetchOnce(request: Request): Promise<Response> {
+    return fetchWrapper.fetch({
+      request,
+      event: this.event,
+      fetchOptions: this.fetchOptions,
+      plugins: this.plugins,
+    });
+  }
+
+  /**
+   * @param {Request} request
+   * @param {RetryPolicy} retryPolicy
+   * @return {Promise<Response>}
+   *
+   * @private
+   */
+  private async _fetchWithRetries(request: Request,
+      retryPolicy: RetryPolicy): Promise<Response> {
+    let deadline = this.retryDeadline || Infinity;
+    if (retryPolicy.maxRetryTimeSeconds) {
+      deadline = Math.min(deadline,
+          Date.now() + (retryPolicy.maxRetryTimeSeconds * 1000));
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const isLastAttempt = attempt >= retryPolicy.maxAttempts;
+
+      let response;
+      let error;
+      try {
+        // Keep the original request intact, in case its body is needed for
+        // the next attempt.
+        response = await this._fetchOnce(
+            isLastAttempt ? request : request.clone());
+        if (isLastAttempt || !retryPolicy.shouldRetryResponse(response)) {
+          return response;
+        }
+      } catch (err) {
+        if (isLastAttempt) {
+          throw err;
+        }
+        error = err;
+      }
+
+      const delay = retryPolicy.getDelay(attempt);
+      if (Date.now() + delay >= deadline) {
+        if (process.env.NODE_ENV !== 'production') {
+          logger.debug(`Not retrying '${getFriendlyURL(request.url)}', ` +
+              `since the retry deadline would be exceeded.`);
+        }
+        if (response) {
+          return response;
+        }
+        throw error;
+      }
+
+      if (process.env.NODE_ENV !== 'production') {
+        logger.debug(`Retrying '${getFriendlyURL(request.url)}' in ` +
+            `${Math.round(delay)}ms` + (response ?
+            `, since the response's status was ${response.status}.` :
+            `, since the network request failed.`));
+      }
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Looks up a request in each of the strategy's caches in turn, running the
+   * strategy's `cacheKeyWillBeUsed` and `cachedResponseWillBeUsed` plugin
+   * callbacks for each one.
+   *
+   * If `promoteToFirstCache` is set, a response found in any cache but the
+   * first is also put in the first cache.
+   *
+   * @param {Request|string} [key=this.request] The request to look up.
+   * @return {Promise<Response|undefined>}
+   */
+  async cacheMatch(key: Request | string = this.request):
+      Promise<Response | undefined> {
+    const request = typeof key === 'string' ? new Request(key) : key;
+
+    for (const [index, cacheName] of this.cacheNames.entries()) {
+      const response = await cacheWrapper.match({
+        cacheName,
+        request,
+        event: this.event,
+        matchOptions: this.matchOptions,
+        plugins: this.plugins,
+      });
+      if (!response) {
+        continue;
+      }
+
+      if (index > 0 && this.promoteToFirstCache) {
+        if (process.env.NODE_ENV !== 'production') {
+          logger.debug(`Promoting the response for ` +
+              `'${getFriendlyURL(request.url)}' from the '${cacheName}' ` +
+              `cache to the '${this.cacheName}' cache.`);
+        }
+        // Failing to promote the response shouldn't affect the response
+        // that's returned.
+        this.cachePut(request, response.clone()).catch((error) => {
+          if (process.env.NODE_ENV !== 'production') {
+            logger.warn(`Unable to promote the response for ` +
+                `'${getFriendlyURL(request.url)}' to the ` +
+                `'${this.cacheName}' cache.`, error);
+          }
+        });
+      }
+      return response;
+    }
+    return undefined;
+  }
+
+  /**
+   * Puts a response in the strategy's cache, running the strategy's
+   * `cacheKeyWillBeUsed`, `cacheWillUpdate` and `cacheDidUpdate` plugin
+   * callbacks. The returned promise is also passed to
+   * [waitUntil()]{@link workbox.strategies.StrategyHandler#waitUntil}.
+   *
+   * @param {Request|string} key The request to use as the cache key.
+   * @param {Response} response The response to cache. It shouldn't be used
+   *     again, so pass a clone if the response is also being returned.
+   * @return {Promise<void>}
+   */
+  cachePut(key: Request | string, response: Response): Promise<void> {
+    return this.waitUntil(cacheWrapper.put({
+      cacheName: this.cacheName,
+      request: typeof key === 'string' ? new Request(key) : key,
+      response,
+      event: this.event,
+      plugins: this.plugins,
+    }));
+  }
+
+  /**
+   * Extends the lifetime of the event that triggered the request (if there is
+   * one) until the promise settles. The request isn't considered complete
+   * until all of these promises have settled.
+   *
+   * @param {Promise} promise
+   * @return {Promise} The same promise.
+   */
+  waitUntil<T>(promise: Promise<T>): Promise<T> {
+    this._extendLifetimePromises.push(promise);
+
+    if (this.event) {
+      try {
+        this.event.waitUntil(promise);
+      } catch (error) {
+        if (process.env.NODE_ENV !== 'production') {
+          logger.warn(`Unable to ensure service worker stays alive when ` +
+              `handling '${getFriendlyURL(this.request.url)}'.`);
+        }
+      }
+    }
+    return promise;
+  }
+
+  /**
+   * @return {Promise<void>} A promise that resolves once all of the promises
+   *     passed to `waitUntil()` have settled, including any passed while
+   *     waiting.
+   */
+  async doneWaiting(): Promise<void> {
+    let promise;
+    while (promise = this._extendLifetimePromises.shift()) {
+      await promise.catch(() => {});
+    }
+  }
+
+  /**
+   * @param {string} name The name of a plugin callback.
+   * @return {boolean} Whether any of the strategy's plugins has the callback.
+   */
+  hasCallback(name: PluginCallbackName): boolean {
+    return this.plugins.some((plugin) => name in plugin);
+  }
+
+  /**
+   * Calls the named callback on each of the strategy's plugins that has it,
+   * in order.
+   *
+   * @param {string} name The name of a plugin callback.
+   * @param {Object} param The argument passed to each callback.
+   * @return {Promise<Array<*>>} The values returned by the callbacks.
+   */
+  async runCallbacks(name: PluginCallbackName, param: object): Promise<any[]> {
+    const results = [];
+    for (const callback of this.iterateCallbacks(name)) {
+      results.push(await callback(param));
+    }
+    return results;
+  }
+
+  /**
+   * Yields the named callback of each of the strategy's plugins that has it,
+   * in order, bound to its plugin. This is useful when each callback's
+   * argument depends on the result of the previous one, or when the
+   * remaining callbacks shouldn't be called.
+   *
+   * @param {string} name The name of a plugin callback.
+   * @return {Iterable<Function>}
+   */
+  * iterateCallbacks(name: PluginCallbackName):
+      IterableIterator<(param: object) => any> {
+    for (const plugin of this.plugins) {
+      if (name in plugin) {
+        yield (param: object) => (plugin[name] as Function).call(plugin, param);
+      }
+    }
+  }
+}
+
+export {StrategyHandler};
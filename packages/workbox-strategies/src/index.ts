@@ -9,10 +9,18 @@
 import {logger} from 'workbox-core/_private/logger.js';
 import {RouteHandler} from 'workbox-core/types.js';
 import {CacheFirst} from './CacheFirst.js';
+import {CacheNetworkRace} from './CacheNetworkRace.js';
 import {CacheOnly} from './CacheOnly.js';
+import {CacheThenNetwork} from './CacheThenNetwork.js';
+import {ConditionalStrategy} from './ConditionalStrategy.js';
+import {FallbackPlugin} from './FallbackPlugin.js';
+import {HTTPCache} from './HTTPCache.js';
 import {NetworkFirst} from './NetworkFirst.js';
 import {NetworkOnly} from './NetworkOnly.js';
 import {StaleWhileRevalidate} from './StaleWhileRevalidate.js';
+import {Strategy} from './Strategy.js';
+import {StrategyHandler} from './StrategyHandler.js';
+import {withFallback} from './withFallback.js';
 import './_version.js';
 
 
@@ -95,10 +103,18 @@ const staleWhileRevalidate = deprecate('staleWhileRevalidate');
 
 export {
   CacheFirst,
+  CacheNetworkRace,
   CacheOnly,
+  CacheThenNetwork,
+  ConditionalStrategy,
+  FallbackPlugin,
+  HTTPCache,
   NetworkFirst,
   NetworkOnly,
   StaleWhileRevalidate,
+  Strategy,
+  StrategyHandler,
+  withFallback,
 
   // Deprecated...
   cacheFirst,
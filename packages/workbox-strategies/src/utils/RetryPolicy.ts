@@ -0,0 +1,127 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {assert} from 'workbox-core/_private/assert.js';
+import '../_version.js';
+
+
+export interface RetryOptions {
+  maxAttempts?: number;
+  delaySeconds?: number;
+  backoffFactor?: number;
+  maxDelaySeconds?: number;
+  jitter?: number;
+  retryStatuses?: number[];
+  retryMethods?: string[];
+  maxRetryTimeSeconds?: number;
+}
+
+/**
+ * Decides whether, and after how long, a failed network request made by a
+ * strategy should be retried.
+ *
+ * @private
+ */
+class RetryPolicy {
+  maxAttempts: number;
+  maxRetryTimeSeconds: number;
+  private _delaySeconds: number;
+  private _backoffFactor: number;
+  private _maxDelaySeconds: number;
+  private _jitter: number;
+  private _retryStatuses: number[];
+  private _retryMethods: string[];
+
+  /**
+   * @param {Object} options
+   * @param {number} [options.maxAttempts=3] The maximum number of times to
+   * make the request, including the first attempt.
+   * @param {number} [options.delaySeconds=1] The delay before the first
+   * retry.
+   * @param {number} [options.backoffFactor=2] What the delay is multiplied by
+   * after each retry.
+   * @param {number} [options.maxDelaySeconds=30] The maximum delay between
+   * attempts.
+   * @param {number} [options.jitter=0.5] The fraction (between 0 and 1) by
+   * which each delay is randomly reduced, so that clients don't retry in
+   * lockstep.
+   * @param {Array<number>} [options.retryStatuses=[408, 429, 500, 502, 503, 504]]
+   * Response statuses that are retried, in addition to network errors.
+   * @param {Array<string>} [options.retryMethods=['GET', 'HEAD']] The request
+   * methods that are retried.
+   * @param {number} [options.maxRetryTimeSeconds] If set, retries aren't
+   * made more than this long after the first attempt started.
+   */
+  constructor(options: RetryOptions) {
+    if (process.env.NODE_ENV !== 'production') {
+      const numberOptions: (keyof RetryOptions)[] = ['maxAttempts',
+        'delaySeconds', 'backoffFactor', 'maxDelaySeconds', 'jitter',
+        'maxRetryTimeSeconds'];
+      for (const paramName of numberOptions) {
+        if (options[paramName] !== undefined) {
+          assert!.isType(options[paramName]!, 'number', {
+            moduleName: 'workbox-strategies',
+            className: 'RetryPolicy',
+            funcName: 'constructor',
+            paramName: `retry.${paramName}`,
+          });
+        }
+      }
+      for (const paramName of ['retryStatuses', 'retryMethods']) {
+        if ((options as any)[paramName] !== undefined) {
+          assert!.isArray((options as any)[paramName], {
+            moduleName: 'workbox-strategies',
+            className: 'RetryPolicy',
+            funcName: 'constructor',
+            paramName: `retry.${paramName}`,
+          });
+        }
+      }
+    }
+
+    this.maxAttempts = options.maxAttempts || 3;
+    this.maxRetryTimeSeconds = options.maxRetryTimeSeconds || 0;
+    this._delaySeconds = options.delaySeconds === undefined ?
+        1 : options.delaySeconds;
+    this._backoffFactor = options.backoffFactor || 2;
+    this._maxDelaySeconds = options.maxDelaySeconds || 30;
+    this._jitter = options.jitter === undefined ? 0.5 : options.jitter;
+    this._retryStatuses =
+        options.retryStatuses || [408, 429, 500, 502, 503, 504];
+    this._retryMethods = (options.retryMethods || ['GET', 'HEAD'])
+        .map((method) => method.toUpperCase());
+  }
+
+  /**
+   * @param {Request} request
+   * @return {boolean} Whether the request's method may be retried.
+   */
+  isRetryable(request: Request): boolean {
+    return this._retryMethods.includes(request.method);
+  }
+
+  /**
+   * @param {Response} response
+   * @return {boolean} Whether the response's status should be retried.
+   */
+  shouldRetryResponse(response: Response): boolean {
+    return this._retryStatuses.includes(response.status);
+  }
+
+  /**
+   * @param {number} attempt The number of attempts made so far.
+   * @return {number} The delay, in milliseconds, before the next attempt.
+   */
+  getDelay(attempt: number): number {
+    const delaySeconds = Math.min(this._maxDelaySeconds,
+        this._delaySeconds * Math.pow(this._backoffFactor, attempt - 1));
+    return delaySeconds * 1000 * (1 - (this._jitter * Math.random()));
+  }
+}
+
+export {RetryPolicy};
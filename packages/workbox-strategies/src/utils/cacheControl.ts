@@ -0,0 +1,144 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import '../_version.js';
+
+
+// The fraction of the time since a response was last modified that it's
+// considered fresh for, if it doesn't specify a lifetime.
+// See https://tools.ietf.org/html/rfc7234#section-4.2.2
+const HEURISTIC_FRACTION = 0.1;
+
+// Matches a directive name, followed by an optional value that's either a
+// token or a quoted string (which may contain commas and escaped quotes).
+// See https://tools.ietf.org/html/rfc7234#section-5.2
+const DIRECTIVE_REGEXP =
+    /([^\s,=]+)\s*(?:=\s*(?:"((?:[^"\\]|\\.)*)"?|([^,]*)))?/g;
+
+export interface CacheControlDirectives {
+  [directive: string]: string;
+}
+
+/**
+ * Parses a `Cache-Control` header. Directives without a value (e.g.
+ * `no-cache`) are mapped to an empty string, so use the `in` operator to
+ * check for them.
+ *
+ * @param {string|null} header
+ * @return {Object} The directives, keyed by their lowercase names.
+ *
+ * @private
+ */
+export const parseCacheControl =
+    (header: string | null): CacheControlDirectives => {
+  const directives: CacheControlDirectives = {};
+  if (!header) {
+    return directives;
+  }
+
+  DIRECTIVE_REGEXP.lastIndex = 0;
+  let match;
+  while ((match = DIRECTIVE_REGEXP.exec(header))) {
+    const [, name, quotedValue, tokenValue] = match;
+    directives[name.toLowerCase()] = quotedValue !== undefined ?
+        quotedValue.replace(/\\(.)/g, '$1') : (tokenValue || '').trim();
+  }
+  return directives;
+};
+
+/**
+ * @param {Headers} headers
+ * @param {string} name
+ * @return {number|null} The header's value as a timestamp, or `null` if it's
+ *     missing or invalid.
+ *
+ * @private
+ */
+export const getTimestampHeader = (headers: Headers,
+    name: string): number | null => {
+  const value = headers.get(name);
+  if (!value) {
+    return null;
+  }
+
+  // If the header was invalid for some reason, getTime() will return NaN.
+  const timestamp = new Date(value).getTime();
+  return isNaN(timestamp) ? null : timestamp;
+};
+
+/**
+ * @param {string|undefined} value
+ * @return {number|null} The value as a number of seconds, or `null` if it
+ *     isn't a valid delta-seconds value.
+ *
+ * @private
+ */
+export const parseSeconds = (value: string | undefined): number | null => {
+  if (value === undefined || !/^\d+$/.test(value)) {
+    return null;
+  }
+  return Number(value);
+};
+
+/**
+ * Calculates how long, in seconds, a response is fresh for after it was
+ * generated, following https://tools.ietf.org/html/rfc7234#section-4.2.1.
+ * Since this is a private cache, `s-maxage` is ignored.
+ *
+ * @param {Response} response
+ * @param {Object} directives The response's `Cache-Control` directives.
+ * @return {number}
+ *
+ * @private
+ */
+export const getFreshnessLifetime = (response: Response,
+    directives: CacheControlDirectives): number => {
+  const maxAge = parseSeconds(directives['max-age']);
+  if (maxAge !== null) {
+    return maxAge;
+  }
+
+  const date = getTimestampHeader(response.headers, 'date');
+  if (date === null) {
+    return 0;
+  }
+
+  if (response.headers.has('expires')) {
+    // Invalid dates (e.g. `Expires: 0`) mean the response has already expired.
+    const expires = getTimestampHeader(response.headers, 'expires');
+    return expires === null ? 0 : Math.max(0, (expires - date) / 1000);
+  }
+
+  const lastModified = getTimestampHeader(response.headers, 'last-modified');
+  if (lastModified !== null && response.status === 200) {
+    return Math.max(0, (date - lastModified) / 1000) * HEURISTIC_FRACTION;
+  }
+
+  return 0;
+};
+
+/**
+ * Calculates the current age, in seconds, of a response, following
+ * https://tools.ietf.org/html/rfc7234#section-4.2.3. Since the time the
+ * response was received isn't stored, its `Date` header is used instead.
+ *
+ * @param {Response} response
+ * @return {number} The age, or `Infinity` if the response has no `Date`
+ *     header.
+ *
+ * @private
+ */
+export const getCurrentAge = (response: Response): number => {
+  const date = getTimestampHeader(response.headers, 'date');
+  if (date === null) {
+    return Infinity;
+  }
+
+  const ageValue = parseSeconds(response.headers.get('age') || undefined) || 0;
+  return ageValue + Math.max(0, (Date.now() - date) / 1000);
+};
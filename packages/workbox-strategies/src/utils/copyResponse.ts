@@ -0,0 +1,41 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import '../_version.js';
+
+
+/**
+ * Returns a copy of a (non-opaque) response, whose headers can be changed by
+ * the `modifyHeaders` callback. The response's body is moved to the copy, so
+ * pass a clone if the original will be used again.
+ *
+ * @param {Response} response
+ * @param {Function} modifyHeaders Passed the copy's `Headers`.
+ * @return {Promise<Response>}
+ *
+ * @private
+ */
+export async function copyResponse(response: Response,
+    modifyHeaders: (headers: Headers) => void): Promise<Response> {
+  // Not all browsers support the Response.body stream, so fall back
+  // to reading the entire body into memory as a blob.
+  const bodyPromise = 'body' in response ?
+    Promise.resolve(response.body) :
+    response!.blob();
+
+  const body = await bodyPromise;
+
+  const headers = new Headers(response.headers);
+  modifyHeaders(headers);
+
+  return new Response(body, {
+    headers,
+    status: response.status,
+    statusText: response.statusText,
+  });
+}
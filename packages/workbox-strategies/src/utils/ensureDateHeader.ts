@@ -0,0 +1,32 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {copyResponse} from './copyResponse.js';
+import '../_version.js';
+
+
+/**
+ * Returns the response if it has a `Date` header, or otherwise a copy of it
+ * with the current date added, so that its age can be determined once it's
+ * been cached. Opaque responses are returned unchanged.
+ *
+ * @param {Response} response
+ * @return {Promise<Response>}
+ *
+ * @private
+ */
+export async function ensureDateHeader(response: Response):
+    Promise<Response> {
+  if (response.status === 0 || response.headers.has('date')) {
+    return response;
+  }
+
+  return copyResponse(response, (headers) => {
+    headers.set('date', new Date().toUTCString());
+  });
+}
@@ -0,0 +1,37 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {copyResponse} from './copyResponse.js';
+import '../_version.js';
+
+
+// See https://tools.ietf.org/html/rfc7234#section-5.5.1
+const STALE_WARNING = '110 - "Response is Stale"';
+
+/**
+ * Returns a copy of the response with a `Warning: 110` header, so that the
+ * page can tell it was served from the cache in place of a fresh response.
+ *
+ * Opaque responses (which have a status of 0) can't be copied, so they're
+ * returned unchanged.
+ *
+ * @param {Response} response
+ * @return {Promise<Response>}
+ *
+ * @private
+ */
+export async function markResponseAsStale(response: Response):
+    Promise<Response> {
+  if (response.status === 0) {
+    return response;
+  }
+
+  return copyResponse(response, (headers) => {
+    headers.append('Warning', STALE_WARNING);
+  });
+}
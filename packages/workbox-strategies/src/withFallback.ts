@@ -0,0 +1,73 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {WorkboxError} from 'workbox-core/_private/WorkboxError.js';
+import {
+  RouteHandler,
+  RouteHandlerCallback,
+  RouteHandlerCallbackOptions,
+} from 'workbox-core/types.js';
+import {Fallbacks, FallbackPlugin} from './FallbackPlugin.js';
+import './_version.js';
+
+
+/**
+ * Wraps a strategy (or any other route handler) so that when it rejects, or
+ * resolves without a response, a precached fallback is used instead. See
+ * [FallbackPlugin]{@link workbox.strategies.FallbackPlugin} for how the
+ * fallback is chosen.
+ *
+ * For strategies that extend
+ * [Strategy]{@link workbox.strategies.Strategy}, passing a `FallbackPlugin`
+ * in `plugins` has the same effect.
+ *
+ * @param {Object|Function} handler A strategy instance, or a
+ * [handler callback]{@link workbox.routing.Route~handlerCallback}.
+ * @param {Object} fallbacks The fallback URLs to use, keyed by request
+ * destination. See the
+ * [FallbackPlugin]{@link workbox.strategies.FallbackPlugin} constructor.
+ * @return {Object} A handler that can be used in place of `handler`.
+ *
+ * @memberof workbox.strategies
+ */
+const withFallback = (handler: RouteHandler | RouteHandlerCallback,
+    fallbacks: Fallbacks): RouteHandler => {
+  const fallbackPlugin = new FallbackPlugin(fallbacks);
+  const handle: RouteHandlerCallback = 'handle' in handler ?
+      handler.handle.bind(handler) : handler;
+
+  return {
+    handle: async (options: RouteHandlerCallbackOptions) => {
+      const request = options.request ||
+          (options.event as FetchEvent).request;
+
+      let error;
+      try {
+        const response = await handle(options);
+        if (response) {
+          return response;
+        }
+        error = new WorkboxError('no-response', {url: request.url});
+      } catch (err) {
+        error = err;
+      }
+
+      const response = await fallbackPlugin.handlerDidError!({
+        request,
+        error,
+        event: options.event,
+      });
+      if (!response) {
+        throw error;
+      }
+      return response;
+    },
+  };
+};
+
+export {withFallback};
@@ -0,0 +1,216 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {logger} from 'workbox-core/_private/logger.js';
+import {messageSW} from './messageSW.js';
+import {WorkboxEventTarget} from './utils/WorkboxEventTarget.js';
+import {WorkboxEvent} from './utils/WorkboxEvent.js';
+import './_version.js';
+
+
+export interface BackgroundSyncQueueEntry {
+  id: number;
+  url: string;
+  method: string;
+  timestamp: number;
+  metadata?: object;
+  attempts: number;
+}
+
+/**
+ * A class to inspect and manage a background sync queue in the service
+ * worker from the page, e.g. to show how many changes are pending sync, or
+ * to let users discard or retry them.
+ *
+ * The `Queue` in the service worker must have called
+ * `addMessageListener()`, or messages sent by this class will never get a
+ * reply.
+ *
+ * Instances also relay the window's `online` events to the service worker,
+ * which lets queues in browsers without background sync support replay as
+ * soon as the network is back. Call `removeListeners()` once the instance
+ * is no longer needed, so that it stops doing this.
+ *
+ * @fires [updated]{@link module:workbox-window.BackgroundSyncQueue#updated}
+ *
+ * @memberof module:workbox-window
+ */
+class BackgroundSyncQueue extends WorkboxEventTarget {
+  private _queueName: string;
+  private _sw?: ServiceWorker;
+
+  /**
+   * @param {string} queueName The name of the `Queue` in the service worker.
+   * @param {Object} [options]
+   * @param {ServiceWorker} [options.sw] The service worker to send messages
+   *     to. Defaults to the active service worker of the registration that
+   *     controls the page, once it's ready.
+   */
+  constructor(queueName: string, {sw}: {sw?: ServiceWorker} = {}) {
+    super();
+
+    this._queueName = queueName;
+    this._sw = sw;
+
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', this._onMessage);
+      addEventListener('online', this._onOnline);
+    }
+  }
+
+  /**
+   * @return {string}
+   */
+  get queueName() {
+    return this._queueName;
+  }
+
+  /**
+   * Resolves with the entries in the queue. Each entry has `id`, `url`,
+   * `method`, `timestamp`, `metadata` and `attempts` properties.
+   *
+   * @return {Promise<Array<Object>>}
+   */
+  async getEntries(): Promise<BackgroundSyncQueueEntry[]> {
+    return this._message('GET_QUEUE_ENTRIES');
+  }
+
+  /**
+   * Deletes the entry with the given ID from the queue.
+   *
+   * @param {number} id
+   * @return {Promise<boolean>} Whether the entry was deleted.
+   */
+  async deleteEntry(id: number): Promise<boolean> {
+    return this._message('DELETE_QUEUE_ENTRY', {id});
+  }
+
+  /**
+   * Replays the entry with the given ID straight away.
+   *
+   * @param {number} id
+   * @return {Promise<boolean>} Whether the entry was replayed successfully.
+   */
+  async replayEntry(id: number): Promise<boolean> {
+    return this._message('REPLAY_QUEUE_ENTRY', {id});
+  }
+
+  /**
+   * Replays all the entries in the queue straight away, rather than waiting
+   * for the next sync event.
+   *
+   * @return {Promise<boolean>} Whether the replay succeeded.
+   */
+  async replay(): Promise<boolean> {
+    return this._message('REPLAY_QUEUE');
+  }
+
+  /**
+   * Deletes all the entries in the queue.
+   *
+   * @return {Promise<boolean>}
+   */
+  async clear(): Promise<boolean> {
+    return this._message('CLEAR_QUEUE');
+  }
+
+  /**
+   * Removes the `message` and `online` listeners added by the constructor,
+   * after which no more `updated` events are dispatched and `online` events
+   * are no longer relayed to the service worker.
+   */
+  removeListeners() {
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.removeEventListener('message', this._onMessage);
+      removeEventListener('online', this._onOnline);
+    }
+  }
+
+  /**
+   * @param {string} type
+   * @param {Object} [payload]
+   * @return {Promise<*>}
+   *
+   * @private
+   */
+  async _message(type: string, payload: {} = {}) {
+    const sw = await this._getSW();
+    if (!sw) {
+      throw new Error(`There's no active service worker to send the ` +
+          `'${type}' message to.`);
+    }
+    return messageSW(sw, {
+      type,
+      payload: Object.assign({queueName: this._queueName}, payload),
+    });
+  }
+
+  /**
+   * @return {Promise<ServiceWorker|null>} The service worker to message, or
+   *     `null` if the registration's active worker has gone away (e.g. it
+   *     became redundant).
+   *
+   * @private
+   */
+  async _getSW(): Promise<ServiceWorker | null> {
+    return this._sw || (await navigator.serviceWorker.ready).active;
+  }
+
+  /**
+   * @private
+   */
+  _onOnline = async () => {
+    // This runs as an event listener, so errors are logged rather than
+    // left as unhandled rejections.
+    try {
+      const sw = await this._getSW();
+      if (sw) {
+        sw.postMessage({type: 'CLIENT_ONLINE'});
+      }
+    } catch (error) {
+      if (process.env.NODE_ENV !== 'production') {
+        logger.warn(`Unable to tell the service worker that the page is ` +
+            `back online.`, error);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {Event} originalEvent
+   */
+  _onMessage = (originalEvent: MessageEvent) => {
+    const {data} = originalEvent;
+    if (data && data.type === 'QUEUE_UPDATED' &&
+        data.meta === 'workbox-background-sync' &&
+        data.payload.queueName === this._queueName) {
+      this.dispatchEvent(new WorkboxEvent('updated', {
+        data: data.payload,
+        originalEvent,
+      }));
+    }
+  }
+}
+
+// The jsdoc comments below outline the events this instance may dispatch:
+// -----------------------------------------------------------------------
+
+/**
+ * The `updated` event is dispatched whenever the contents of the queue in
+ * the service worker change.
+ *
+ * @event module:workbox-window.BackgroundSyncQueue#updated
+ * @type {WorkboxEvent}
+ * @property {Object} data The `queueName` and the new `size` of the queue.
+ * @property {Event} originalEvent The original [`message`]{@link https://developer.mozilla.org/en-US/docs/Web/API/MessageEvent}
+ *     event.
+ * @property {string} type `updated`.
+ * @property {BackgroundSyncQueue} target The `BackgroundSyncQueue` instance.
+ */
+
+export {BackgroundSyncQueue};
@@ -6,7 +6,9 @@
   https://opensource.org/licenses/MIT.
 */
 
+import {BackgroundSyncQueue} from './BackgroundSyncQueue.js';
 import {messageSW} from './messageSW.js';
+import {onResponseUpdate} from './onResponseUpdate.js';
 import {Workbox} from './Workbox.js';
 import './_version.js';
 
@@ -15,6 +17,8 @@ import './_version.js';
  * @module workbox-window
  */
 export {
+  BackgroundSyncQueue,
   Workbox,
   messageSW,
+  onResponseUpdate,
 };
@@ -0,0 +1,55 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {urlsMatch} from './utils/urlsMatch.js';
+import './_version.js';
+
+
+// Responses with these statuses can't be constructed with a body.
+// See https://fetch.spec.whatwg.org/#null-body-status
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/**
+ * Listens for the updated responses that the `CacheThenNetwork` strategy in
+ * `workbox-strategies` posts to the page after responding from the cache,
+ * and calls `callback` with each one for the given URL.
+ *
+ * The callback should be added before the request is made, e.g.:
+ *
+ * ```
+ * const render = async (response) => renderData(await response.json());
+ *
+ * onResponseUpdate('/api/data', render);
+ * render(await fetch('/api/data'));
+ * ```
+ *
+ * @param {string} url The URL of the requests whose updates to listen for.
+ *     Relative URLs are resolved against the current location.
+ * @param {Function} callback Called with a `Response` for each update.
+ * @return {Function} A function that removes the listener.
+ *
+ * @memberof module:workbox-window
+ */
+export function onResponseUpdate(url: string,
+    callback: (response: Response) => void): () => void {
+  const onMessage = (event: MessageEvent) => {
+    const {data} = event;
+    if (data && data.type === 'RESPONSE_UPDATED' &&
+        data.meta === 'workbox-strategies' &&
+        urlsMatch(data.payload.url, url)) {
+      const {body, status, statusText, headers} = data.payload;
+      callback(new Response(NULL_BODY_STATUSES.includes(status) ? null : body,
+          {status, statusText, headers}));
+    }
+  };
+
+  navigator.serviceWorker.addEventListener('message', onMessage);
+  return () => {
+    navigator.serviceWorker.removeEventListener('message', onMessage);
+  };
+}
@@ -614,6 +614,64 @@ describe(`QueueStore`, function() {
     });
   });
 
+  describe(`count`, function() {
+    it(`should return the number of entries in IDB with the right queue name`, async function() {
+      const queueStore1 = new QueueStore('a');
+      const queueStore2 = new QueueStore('b');
+
+      const sr = await StorableRequest.fromRequest(new Request('/one'));
+
+      await queueStore1.pushEntry({requestData: sr.toObject(), timestamp: 1000});
+      await queueStore2.pushEntry({requestData: sr.toObject(), timestamp: 2000});
+      await queueStore1.pushEntry({requestData: sr.toObject(), timestamp: 3000});
+
+      expect(await queueStore1.count()).to.equal(2);
+      expect(await queueStore2.count()).to.equal(1);
+      expect(await new QueueStore('c').count()).to.equal(0);
+    });
+  });
+
+  describe(`updateEntry`, function() {
+    it(`should replace the entry with the same ID`, async function() {
+      const queueStore = new QueueStore('a');
+
+      const sr1 = await StorableRequest.fromRequest(new Request('/one'));
+      const sr2 = await StorableRequest.fromRequest(new Request('/two'));
+
+      await queueStore.pushEntry({
+        requestData: sr1.toObject(),
+        timestamp: 1000,
+      });
+      await queueStore.pushEntry({
+        requestData: sr2.toObject(),
+        timestamp: 2000,
+      });
+
+      const [firstEntry] = await queueStore.getAll();
+      await queueStore.updateEntry(Object.assign(firstEntry, {
+        attempts: 1,
+        nextAttemptTime: 5000,
+      }));
+
+      expect(await db.getAll('requests')).to.deep.equal([
+        {
+          id: firstEntry.id,
+          queueName: 'a',
+          requestData: sr1.toObject(),
+          timestamp: 1000,
+          attempts: 1,
+          nextAttemptTime: 5000,
+        },
+        {
+          id: firstEntry.id + 1,
+          queueName: 'a',
+          requestData: sr2.toObject(),
+          timestamp: 2000,
+        },
+      ]);
+    });
+  });
+
   describe(`delete`, function() {
     it(`should delete an entry for the given ID`, async function() {
       const queueStore = new QueueStore('a');
@@ -0,0 +1,82 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {RequestDataEncryptor} from 'workbox-background-sync/lib/RequestDataEncryptor.mjs';
+
+
+describe(`RequestDataEncryptor`, function() {
+  const generateKey = () => {
+    return crypto.subtle.generateKey(
+        {name: 'AES-GCM', length: 256}, false, ['encrypt', 'decrypt']);
+  };
+
+  const requestData = {
+    url: `${location.origin}/foo`,
+    method: 'POST',
+    headers: {'authorization': 'Bearer secret-token'},
+    body: new TextEncoder().encode('secret body').buffer,
+  };
+
+  describe(`encrypt`, function() {
+    it(`should encrypt the request data with a random IV`, async function() {
+      const encryptor = new RequestDataEncryptor(await generateKey());
+
+      const encrypted1 = await encryptor.encrypt(requestData);
+      const encrypted2 = await encryptor.encrypt(requestData);
+
+      expect(encrypted1.iv).to.be.instanceOf(Uint8Array);
+      expect(encrypted1.iv.byteLength).to.equal(12);
+      expect(encrypted1.data).to.be.instanceOf(ArrayBuffer);
+      expect(encrypted1.iv).to.not.deep.equal(encrypted2.iv);
+    });
+  });
+
+  describe(`decrypt`, function() {
+    it(`should return the encrypted request data`, async function() {
+      const encryptor = new RequestDataEncryptor(await generateKey());
+
+      const decrypted = await encryptor.decrypt(
+          await encryptor.encrypt(requestData));
+
+      expect(decrypted.url).to.equal(requestData.url);
+      expect(decrypted.method).to.equal('POST');
+      expect(decrypted.headers).to.deep.equal(requestData.headers);
+      expect(new TextDecoder().decode(decrypted.body)).to.equal('secret body');
+    });
+
+    it(`should not add a body if there wasn't one`, async function() {
+      const encryptor = new RequestDataEncryptor(await generateKey());
+
+      const decrypted = await encryptor.decrypt(
+          await encryptor.encrypt({url: requestData.url}));
+
+      expect(decrypted).to.deep.equal({url: requestData.url});
+    });
+
+    it(`should try the previous keys`, async function() {
+      const oldKey = await generateKey();
+      const oldEncryptor = new RequestDataEncryptor(oldKey);
+      const encryptor = new RequestDataEncryptor(await generateKey(), [oldKey]);
+
+      const decrypted = await encryptor.decrypt(
+          await oldEncryptor.encrypt(requestData));
+
+      expect(decrypted.url).to.equal(requestData.url);
+    });
+
+    it(`should return undefined if no key can decrypt the data`, async function() {
+      const otherEncryptor = new RequestDataEncryptor(await generateKey());
+      const encryptor = new RequestDataEncryptor(await generateKey());
+
+      const decrypted = await encryptor.decrypt(
+          await otherEncryptor.encrypt(requestData));
+
+      expect(decrypted).to.equal(undefined);
+    });
+  });
+});
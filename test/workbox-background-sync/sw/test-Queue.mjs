@@ -41,12 +41,18 @@ describe(`Queue`, function() {
     }
 
     sandbox.stub(Queue.prototype, 'replayRequests');
+
+    // Spy on the queues created, so their fallback replays can be cancelled.
+    sandbox.spy(Queue.prototype, '_addSyncListener');
   });
 
   afterEach(function() {
     for (const args of self.addEventListener.args) {
       self.removeEventListener(...args);
     }
+    for (const queue of Queue.prototype._addSyncListener.thisValues) {
+      clearTimeout(queue._fallbackReplayTimeout);
+    }
     sandbox.restore();
   });
 
@@ -66,6 +72,14 @@ describe(`Queue`, function() {
       }).not.to.throw();
     });
 
+    it(`throws if an invalid ordering is passed`, async function() {
+      if (process.env.NODE_ENV === 'production') this.skip();
+
+      await expectError(() => {
+        new Queue('foo', {ordering: 'lifo'});
+      }, 'invalid-value');
+    });
+
     it(`adds a sync event listener (if supported) that runs the onSync function when a sync event is dispatched`, async function() {
       if (!('sync' in registration)) this.skip();
 
@@ -269,6 +283,61 @@ describe(`Queue`, function() {
       expect(self.registration.sync.register.calledWith(
           'workbox-background-sync:foo')).to.be.true;
     });
+
+    it(`should replace queued entries with the same key when coalesce is true`, async function() {
+      const queue1 = new Queue('foo', {coalesce: true});
+      const queue2 = new Queue('bar');
+
+      await queue2.pushRequest({
+        request: new Request('/one', {method: 'PUT', body: 'bar'}),
+      });
+      await queue1.pushRequest({
+        request: new Request('/one', {method: 'PUT', body: '1'}),
+      });
+      await queue1.pushRequest({
+        request: new Request('/one', {method: 'POST', body: '...'}),
+      });
+      await queue1.pushRequest({
+        request: new Request('/one', {method: 'PUT', body: '2'}),
+      });
+
+      const entries = await queue1.getAll();
+      expect(entries.length).to.equal(2);
+      expect(entries[0].request.method).to.equal('POST');
+      expect(entries[1].request.method).to.equal('PUT');
+      expect(await entries[1].request.text()).to.equal('2');
+
+      // Entries in other queues aren't replaced.
+      expect(await queue2.getAll()).to.have.lengthOf(1);
+    });
+
+    it(`should use getEntryKey to find the entries to replace`, async function() {
+      const getEntryKey = sandbox.spy(({metadata}) => metadata.doc);
+      const queue = new Queue('foo', {coalesce: true, getEntryKey});
+
+      await queue.pushRequest({
+        request: new Request('/one', {method: 'PUT', body: '...'}),
+        metadata: {doc: 'a'},
+      });
+      await queue.pushRequest({
+        request: new Request('/two', {method: 'PUT', body: '...'}),
+        metadata: {doc: 'b'},
+      });
+      await queue.pushRequest({
+        request: new Request('/three', {method: 'PUT', body: '...'}),
+        metadata: {doc: 'a'},
+      });
+
+      const entries = await queue.getAll();
+      expect(entries.map((entry) => entry.request.url)).to.deep.equal([
+        `${location.origin}/two`,
+        `${location.origin}/three`,
+      ]);
+
+      const [{request, metadata}] = getEntryKey.lastCall.args;
+      expect(request).to.be.an.instanceof(Request);
+      expect(metadata).to.deep.equal({doc: 'b'});
+    });
   });
 
   describe(`unshiftRequest`, function() {
@@ -332,6 +401,28 @@ describe(`Queue`, function() {
       expect(args[0].timestamp <= endTime).to.be.ok;
     });
 
+    it(`should keep the attempts and nextAttemptTime of a shifted entry that's put back`, async function() {
+      const queue = new Queue('foo');
+      await queue.pushRequest({
+        request: new Request('/one', {method: 'POST', body: '...'}),
+      });
+
+      // Simulate a failed replay.
+      const nextAttemptTime = Date.now() + 60 * 1000;
+      const [storeEntry] = await db.getAll('requests');
+      await db.put('requests', {...storeEntry, attempts: 1, nextAttemptTime});
+
+      const entry = await queue.shiftRequest();
+      expect(entry.attempts).to.equal(1);
+      expect(entry.nextAttemptTime).to.equal(nextAttemptTime);
+
+      await queue.unshiftRequest(entry);
+
+      const [unshiftedEntry] = await db.getAll('requests');
+      expect(unshiftedEntry.attempts).to.equal(1);
+      expect(unshiftedEntry.nextAttemptTime).to.equal(nextAttemptTime);
+    });
+
     it(`should register to receive sync events for a unique tag`, async function() {
       if (!('sync' in registration)) this.skip();
 
@@ -618,7 +709,7 @@ describe(`Queue`, function() {
       expect(entries.length).to.equal(0);
     });
 
-    it(`should stop replaying if a request fails`, async function() {
+    it(`should not stop replaying if a request fails, and should keep the failed request queued`, async function() {
       sandbox.stub(self, 'fetch')
           .onCall(3).callsFake(async (request) => {
             // Use the body to ensure everything is cloned beforehand.
@@ -649,10 +740,22 @@ describe(`Queue`, function() {
         return queue.replayRequests(); // The 4th requests should fail.
       }, 'queue-replay-failed');
 
+      // The requests after the failed one are still replayed.
+      expect(self.fetch.callCount).to.equal(5);
+      expect(self.fetch.args.map(([request]) => request.url)).to.deep.equal([
+        `${location.origin}/one`,
+        `${location.origin}/two`,
+        `${location.origin}/three`,
+        `${location.origin}/four`,
+        `${location.origin}/five`,
+      ]);
+
+      // The failed request stays in the queue, with its attempts incremented.
       const entries = await db.getAll('requests');
-      expect(entries.length).to.equal(2);
+      expect(entries.length).to.equal(1);
       expect(entries[0].requestData.url).to.equal(`${location.origin}/four`);
-      expect(entries[1].requestData.url).to.equal(`${location.origin}/five`);
+      expect(entries[0].attempts).to.equal(1);
+      expect(entries[0].nextAttemptTime).to.be.a('number');
     });
 
     it(`should throw WorkboxError if re-fetching fails`, async function() {
@@ -679,6 +782,398 @@ describe(`Queue`, function() {
         return queue.replayRequests();
       }, 'queue-replay-failed');
     });
+
+    it(`should treat any response as a success by default`, async function() {
+      sandbox.stub(self, 'fetch').resolves(new Response('', {status: 500}));
+
+      const queue = new Queue('foo');
+      await queue.pushRequest({request: new Request('/one')});
+
+      await queue.replayRequests();
+
+      expect(await db.getAll('requests')).to.have.lengthOf(0);
+    });
+
+    it(`should keep requests whose response status isn't in successStatuses`, async function() {
+      sandbox.stub(self, 'fetch').callsFake(async (request) => {
+        const status = {
+          [`${location.origin}/one`]: 200,
+          [`${location.origin}/two`]: 304,
+          [`${location.origin}/three`]: 409,
+          [`${location.origin}/four`]: 500,
+        }[request.url];
+        return new Response(null, {status});
+      });
+
+      const queue = new Queue('foo', {
+        successStatuses: [[200, 299], 304],
+      });
+      await queue.pushRequest({request: new Request('/one')});
+      await queue.pushRequest({request: new Request('/two')});
+      await queue.pushRequest({request: new Request('/three')});
+      await queue.pushRequest({request: new Request('/four')});
+
+      await expectError(() => {
+        return queue.replayRequests();
+      }, 'queue-replay-failed');
+
+      const entries = await db.getAll('requests');
+      expect(entries.length).to.equal(2);
+      expect(entries[0].requestData.url).to.equal(`${location.origin}/three`);
+      expect(entries[1].requestData.url).to.equal(`${location.origin}/four`);
+    });
+
+    it(`should use isReplaySuccessful to inspect the responses`, async function() {
+      sandbox.stub(self, 'fetch').resolves(new Response('{"ok":false}'));
+      const isReplaySuccessful = sandbox.stub().callsFake(
+          async ({response}) => (await response.json()).ok);
+
+      const queue = new Queue('foo', {
+        successStatuses: [200],
+        isReplaySuccessful,
+      });
+      await queue.pushRequest({
+        request: new Request('/one'),
+        metadata: {name: 'meta1'},
+      });
+
+      await expectError(() => {
+        return queue.replayRequests();
+      }, 'queue-replay-failed');
+
+      expect(isReplaySuccessful.callCount).to.equal(1);
+      const {request, response, metadata} = isReplaySuccessful.args[0][0];
+      expect(request.url).to.equal(`${location.origin}/one`);
+      expect(response).to.be.an.instanceof(Response);
+      expect(metadata).to.deep.equal({name: 'meta1'});
+
+      expect(await db.getAll('requests')).to.have.lengthOf(1);
+    });
+
+    it(`should count an error thrown by isReplaySuccessful as a failed attempt`, async function() {
+      sandbox.stub(self, 'fetch').callsFake(async () => new Response(''));
+      const isReplaySuccessful = sandbox.stub().callsFake(async ({request}) => {
+        if (request.url.endsWith('/one')) {
+          throw new Error('Injected error.');
+        }
+        return true;
+      });
+
+      const queue = new Queue('foo', {isReplaySuccessful});
+      await queue.pushRequest({request: new Request('/one')});
+      await queue.pushRequest({request: new Request('/two')});
+
+      await expectError(() => {
+        return queue.replayRequests();
+      }, 'queue-replay-failed');
+
+      expect(isReplaySuccessful.callCount).to.equal(2);
+
+      const entries = await db.getAll('requests');
+      expect(entries.length).to.equal(1);
+      expect(entries[0].requestData.url).to.equal(`${location.origin}/one`);
+      expect(entries[0].attempts).to.equal(1);
+      expect(entries[0].nextAttemptTime).to.be.a('number');
+    });
+
+    it(`should move requests to the dead-letter store after maxAttempts`, async function() {
+      sandbox.stub(self, 'fetch').rejects(new Error('network error'));
+
+      const queue = new Queue('foo', {maxAttempts: 2});
+      await queue.pushRequest({
+        request: new Request('/one'),
+        metadata: {name: 'meta1'},
+      });
+
+      await expectError(() => {
+        return queue.replayRequests();
+      }, 'queue-replay-failed');
+      expect(await queue.getDeadLetters()).to.deep.equal([]);
+
+      // The queue is empty after the second attempt, so no error is thrown.
+      await queue.replayRequests();
+
+      expect(await queue.getAll()).to.deep.equal([]);
+
+      const deadLetters = await queue.getDeadLetters();
+      expect(deadLetters.length).to.equal(1);
+      expect(deadLetters[0].request.url).to.equal(`${location.origin}/one`);
+      expect(deadLetters[0].metadata).to.deep.equal({name: 'meta1'});
+      expect(deadLetters[0].attempts).to.equal(2);
+
+      await queue.clearDeadLetters();
+      expect(await queue.getDeadLetters()).to.deep.equal([]);
+    });
+
+    it(`should not replay failed requests again until their backoff delay has passed`, async function() {
+      sandbox.stub(self, 'fetch').rejects(new Error('network error'));
+      const clock = sandbox.useFakeTimers({
+        now: Date.now(),
+        toFake: ['Date'],
+      });
+
+      const queue = new Queue('foo', {
+        retryDelaySeconds: 10,
+        retryBackoffFactor: 3,
+      });
+      await queue.pushRequest({request: new Request('/one')});
+
+      const replay = () => expectError(() => {
+        return queue.replayRequests();
+      }, 'queue-replay-failed');
+
+      await replay();
+      expect(self.fetch.callCount).to.equal(1);
+
+      clock.tick(9 * 1000);
+      await replay();
+      expect(self.fetch.callCount).to.equal(1);
+
+      clock.tick(1 * 1000);
+      await replay();
+      expect(self.fetch.callCount).to.equal(2);
+
+      // The second retry is delayed by 30 seconds.
+      clock.tick(29 * 1000);
+      await replay();
+      expect(self.fetch.callCount).to.equal(2);
+
+      clock.tick(1 * 1000);
+      await replay();
+      expect(self.fetch.callCount).to.equal(3);
+    });
+
+    it(`should replay each key's requests in order when ordering is 'fifo-per-key'`, async function() {
+      const fetched = [];
+      sandbox.stub(self, 'fetch').callsFake(async (request) => {
+        const {pathname} = new URL(request.url);
+        fetched.push(`${request.method} ${pathname}`);
+        if (pathname === '/a') {
+          // Slow down the requests for one key, so the other keys' requests
+          // are replayed in the meantime.
+          await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        if (request.method === 'PATCH' && pathname === '/b') {
+          throw new Error('network error');
+        }
+        return new Response();
+      });
+
+      const queue = new Queue('foo', {ordering: 'fifo-per-key'});
+
+      await queue.pushRequest({
+        request: new Request('/a', {method: 'PUT', body: '...'}),
+      });
+      await queue.pushRequest({
+        request: new Request('/a', {method: 'PUT', body: '...'}),
+      });
+      await queue.pushRequest({
+        request: new Request('/b', {method: 'PATCH', body: '...'}),
+      });
+      await queue.pushRequest({
+        request: new Request('/b', {method: 'PATCH', body: '...'}),
+      });
+      await queue.pushRequest({
+        request: new Request('/c', {method: 'PUT', body: '...'}),
+      });
+
+      await expectError(() => {
+        return queue.replayRequests();
+      }, 'queue-replay-failed');
+
+      expect(fetched).to.deep.equal([
+        'PUT /a',
+        'PATCH /b',
+        'PUT /c',
+        'PUT /a',
+      ]);
+
+      // The second '/b' request isn't replayed, since the first one failed.
+      const entries = await db.getAll('requests');
+      expect(entries.length).to.equal(2);
+      expect(entries[0].requestData.url).to.equal(`${location.origin}/b`);
+      expect(entries[0].attempts).to.equal(1);
+      expect(entries[1].requestData.url).to.equal(`${location.origin}/b`);
+      expect(entries[1].attempts).to.be.undefined;
+    });
+  });
+
+  describe(`addMessageListener()`, function() {
+    const sendMessage = async (type, payload) => {
+      const messageEvent = new ExtendableMessageEvent('message', {
+        data: {type, payload},
+      });
+      const port = {postMessage: sinon.spy()};
+      sandbox.stub(messageEvent, 'ports').value([port]);
+
+      await dispatchAndWaitUntilDone(messageEvent);
+
+      return port.postMessage.callCount ?
+          port.postMessage.args[0][0] : undefined;
+    };
+
+    it(`should reply to GET_QUEUE_ENTRIES messages with the entries`, async function() {
+      const queue = new Queue('foo');
+      queue.addMessageListener();
+
+      await queue.pushRequest({
+        request: new Request('/one', {method: 'POST', body: '...'}),
+        metadata: {name: 'meta1'},
+        timestamp: 1000,
+      });
+      await queue.pushRequest({
+        request: new Request('/two'),
+        timestamp: 2000,
+      });
+
+      const [firstEntry, secondEntry] = await db.getAll('requests');
+      const entries = await sendMessage('GET_QUEUE_ENTRIES', {
+        queueName: 'foo',
+      });
+
+      expect(entries).to.deep.equal([
+        {
+          id: firstEntry.id,
+          url: `${location.origin}/one`,
+          method: 'POST',
+          timestamp: 1000,
+          metadata: {name: 'meta1'},
+          attempts: 0,
+        },
+        {
+          id: secondEntry.id,
+          url: `${location.origin}/two`,
+          method: 'GET',
+          timestamp: 2000,
+          metadata: undefined,
+          attempts: 0,
+        },
+      ]);
+    });
+
+    it(`should ignore messages for other queues`, async function() {
+      const queue = new Queue('foo');
+      queue.addMessageListener();
+
+      await queue.pushRequest({request: new Request('/one')});
+
+      expect(await sendMessage('CLEAR_QUEUE', {queueName: 'bar'}))
+          .to.be.undefined;
+      expect(await sendMessage('UNKNOWN', {queueName: 'foo'}))
+          .to.be.undefined;
+      expect(await db.getAll('requests')).to.have.lengthOf(1);
+    });
+
+    it(`should delete entries in reply to DELETE_QUEUE_ENTRY messages`, async function() {
+      const queue1 = new Queue('foo');
+      const queue2 = new Queue('bar');
+      queue1.addMessageListener();
+
+      await queue1.pushRequest({request: new Request('/one')});
+      await queue2.pushRequest({request: new Request('/two')});
+
+      const [firstEntry, secondEntry] = await db.getAll('requests');
+
+      // Entries in other queues can't be deleted.
+      expect(await sendMessage('DELETE_QUEUE_ENTRY', {
+        queueName: 'foo',
+        id: secondEntry.id,
+      })).to.equal(false);
+
+      expect(await sendMessage('DELETE_QUEUE_ENTRY', {
+        queueName: 'foo',
+        id: firstEntry.id,
+      })).to.equal(true);
+
+      const entries = await db.getAll('requests');
+      expect(entries.length).to.equal(1);
+      expect(entries[0].id).to.equal(secondEntry.id);
+    });
+
+    it(`should replay entries in reply to REPLAY_QUEUE_ENTRY messages`, async function() {
+      sandbox.stub(self, 'fetch')
+          .onCall(0).rejects(new Error('network error'))
+          .onCall(1).resolves(new Response());
+
+      const queue = new Queue('foo', {retryDelaySeconds: 60});
+      queue.addMessageListener();
+
+      await queue.pushRequest({request: new Request('/one')});
+      const [entry] = await db.getAll('requests');
+
+      expect(await sendMessage('REPLAY_QUEUE_ENTRY', {
+        queueName: 'foo',
+        id: entry.id,
+      })).to.equal(false);
+      expect((await db.getAll('requests'))[0].attempts).to.equal(1);
+
+      // The entry is replayed even though it isn't due yet.
+      expect(await sendMessage('REPLAY_QUEUE_ENTRY', {
+        queueName: 'foo',
+        id: entry.id,
+      })).to.equal(true);
+      expect(self.fetch.callCount).to.equal(2);
+      expect(await db.getAll('requests')).to.have.lengthOf(0);
+    });
+
+    it(`should replay the queue in reply to REPLAY_QUEUE messages`, async function() {
+      const queue = new Queue('foo');
+      queue.addMessageListener();
+
+      expect(await sendMessage('REPLAY_QUEUE', {queueName: 'foo'}))
+          .to.equal(true);
+      expect(Queue.prototype.replayRequests.callCount).to.equal(1);
+
+      Queue.prototype.replayRequests.rejects(new Error());
+      expect(await sendMessage('REPLAY_QUEUE', {queueName: 'foo'}))
+          .to.equal(false);
+    });
+
+    it(`should delete all entries in reply to CLEAR_QUEUE messages`, async function() {
+      const queue1 = new Queue('foo');
+      const queue2 = new Queue('bar');
+      queue1.addMessageListener();
+
+      await queue1.pushRequest({request: new Request('/one')});
+      await queue1.pushRequest({request: new Request('/two')});
+      await queue2.pushRequest({request: new Request('/three')});
+
+      expect(await sendMessage('CLEAR_QUEUE', {queueName: 'foo'}))
+          .to.equal(true);
+
+      const entries = await db.getAll('requests');
+      expect(entries.length).to.equal(1);
+      expect(entries[0].queueName).to.equal('bar');
+    });
+
+    it(`should post QUEUE_UPDATED messages to window clients when the queue changes`, async function() {
+      const win = {postMessage: sinon.spy()};
+      sandbox.stub(self.clients, 'matchAll').resolves([win]);
+
+      const queue = new Queue('foo');
+      await queue.pushRequest({request: new Request('/one')});
+
+      // Nothing is posted until the listener is added.
+      expect(win.postMessage.callCount).to.equal(0);
+
+      queue.addMessageListener();
+      await queue.pushRequest({request: new Request('/two')});
+      await queue.shiftRequest();
+
+      expect(self.clients.matchAll.calledWith({type: 'window'})).to.be.true;
+      expect(win.postMessage.args.map((args) => args[0])).to.deep.equal([
+        {
+          type: 'QUEUE_UPDATED',
+          meta: 'workbox-background-sync',
+          payload: {queueName: 'foo', size: 2},
+        },
+        {
+          type: 'QUEUE_UPDATED',
+          meta: 'workbox-background-sync',
+          payload: {queueName: 'foo', size: 1},
+        },
+      ]);
+    });
   });
 
   describe(`registerSync()`, function() {
@@ -699,6 +1194,149 @@ describe(`Queue`, function() {
       const queue = new Queue('a');
       await queue.registerSync();
     });
+
+    it(`should schedule a fallback replay (if sync isn't supported)`, async function() {
+      if ('sync' in registration) this.skip();
+
+      const clock = sandbox.useFakeTimers();
+      const onSync = sandbox.stub().rejects(new Error('sync failed'));
+      const queue = new Queue('foo', {onSync});
+
+      // Wait for the replay on instantiation to finish.
+      await queue._replayPromise;
+      expect(onSync.callCount).to.equal(1);
+
+      // The replay on instantiation failed, so a replay was scheduled in
+      // 30 seconds.
+      clock.tick(29 * 1000);
+      expect(onSync.callCount).to.equal(1);
+      clock.tick(1 * 1000);
+      expect(onSync.callCount).to.equal(2);
+      await queue._replayPromise;
+
+      // The delay doubles after each failure.
+      clock.tick(59 * 1000);
+      expect(onSync.callCount).to.equal(2);
+      clock.tick(1 * 1000);
+      expect(onSync.callCount).to.equal(3);
+      await queue._replayPromise;
+
+      // A successful replay resets the delay.
+      onSync.resolves();
+      await queue._replay('test');
+      await queue.registerSync();
+      clock.tick(30 * 1000);
+      expect(onSync.callCount).to.equal(5);
+    });
+  });
+
+  describe(`replay triggers`, function() {
+    it(`should not replay while a replay is in progress`, async function() {
+      const onSync = sandbox.stub().resolves();
+      const queue = new Queue('foo', {onSync});
+      await queue._replayPromise;
+      onSync.resetHistory();
+
+      let finishReplay;
+      onSync.callsFake(() => {
+        return new Promise((resolve) => finishReplay = resolve);
+      });
+
+      const replayPromise = queue._replay('test');
+      expect(await queue._replay('test')).to.equal(false);
+      expect(onSync.callCount).to.equal(1);
+
+      finishReplay();
+      expect(await replayPromise).to.equal(true);
+
+      queue._replay('test');
+      expect(onSync.callCount).to.equal(2);
+      finishReplay();
+    });
+
+    it(`should register for another replay if requests were added during a replay`, async function() {
+      // Don't let fallback replays run after the test.
+      sandbox.useFakeTimers();
+
+      const onSync = sandbox.stub().callsFake(async ({queue}) => {
+        await queue.pushRequest({request: new Request('/one')});
+      });
+      const queue = new Queue('foo', {onSync});
+      await queue._replayPromise;
+      sandbox.stub(queue, 'registerSync');
+
+      await queue._replay('test');
+
+      expect(queue.registerSync.callCount).to.equal(1);
+    });
+
+    it(`should replay on the next fetch or message event after registerSync() (if sync isn't supported)`, async function() {
+      if ('sync' in registration) this.skip();
+
+      sandbox.useFakeTimers();
+      const onSync = sandbox.stub().resolves();
+      const queue = new Queue('foo', {onSync});
+      await queue._replayPromise;
+      onSync.resetHistory();
+
+      await dispatchAndWaitUntilDone(new ExtendableMessageEvent('message'));
+      expect(onSync.callCount).to.equal(0);
+
+      await queue.registerSync();
+      await dispatchAndWaitUntilDone(new ExtendableMessageEvent('message'));
+      expect(onSync.callCount).to.equal(1);
+
+      await queue.registerSync();
+      await dispatchAndWaitUntilDone(new FetchEvent('fetch', {
+        request: new Request('/'),
+      }));
+      expect(onSync.callCount).to.equal(2);
+    });
+
+    it(`should replay on CLIENT_ONLINE messages (if sync isn't supported)`, async function() {
+      if ('sync' in registration) this.skip();
+
+      const onSync = sandbox.stub().resolves();
+      const queue = new Queue('foo', {onSync});
+      await queue._replayPromise;
+      onSync.resetHistory();
+
+      await dispatchAndWaitUntilDone(new ExtendableMessageEvent('message', {
+        data: {type: 'CLIENT_ONLINE'},
+      }));
+      expect(onSync.callCount).to.equal(1);
+    });
+
+    it(`should replay on periodicsync events when periodicSyncMinInterval is set`, async function() {
+      if ('periodicSync' in registration) {
+        sandbox.stub(registration.periodicSync, 'register').resolves();
+      }
+
+      const onSync = sandbox.stub().resolves();
+      const queue = new Queue('foo', {onSync, periodicSyncMinInterval: 60});
+      await queue._replayPromise;
+      onSync.resetHistory();
+
+      if ('periodicSync' in registration) {
+        expect(registration.periodicSync.register.calledOnceWith(
+            'workbox-background-sync:foo', {minInterval: 60 * 60 * 1000}))
+            .to.be.true;
+      }
+
+      const createPeriodicSyncEvent = (tag) => {
+        const event = new ExtendableEvent('periodicsync');
+        Object.defineProperty(event, 'tag', {value: tag});
+        return event;
+      };
+
+      await dispatchAndWaitUntilDone(
+          createPeriodicSyncEvent('workbox-background-sync:bar'));
+      expect(onSync.callCount).to.equal(0);
+
+      await dispatchAndWaitUntilDone(
+          createPeriodicSyncEvent('workbox-background-sync:foo'));
+      expect(onSync.callCount).to.equal(1);
+    });
   });
 
   describe(`getAll()`, function() {
@@ -757,4 +1395,227 @@ describe(`Queue`, function() {
       expect(await db.getAll('requests')).to.have.lengthOf(2);
     });
   });
+
+  describe(`encryption`, function() {
+    const generateKey = () => {
+      return crypto.subtle.generateKey(
+          {name: 'AES-GCM', length: 256}, false, ['encrypt', 'decrypt']);
+    };
+
+    it(`should throw if encryptionKey isn't a CryptoKey`, async function() {
+      if (process.env.NODE_ENV === 'production') this.skip();
+
+      await expectError(() => {
+        new Queue('foo', {encryptionKey: 'secret'});
+      }, 'incorrect-class');
+    });
+
+    it(`should encrypt the stored request data`, async function() {
+      const queue = new Queue('foo', {encryptionKey: await generateKey()});
+
+      await queue.pushRequest({
+        request: new Request('/one', {
+          method: 'POST',
+          body: 'secret body',
+          headers: {'authorization': 'Bearer secret-token'},
+        }),
+        metadata: {meta: 'data'},
+      });
+
+      const [storeEntry] = await db.getAll('requests');
+      expect(storeEntry.requestData).to.equal(undefined);
+      expect(storeEntry.encryptedRequestData.iv).to.be.instanceOf(Uint8Array);
+      expect(storeEntry.encryptedRequestData.data)
+          .to.be.instanceOf(ArrayBuffer);
+      expect(storeEntry.metadata).to.deep.equal({meta: 'data'});
+    });
+
+    it(`should decrypt the stored request data`, async function() {
+      const queue = new Queue('foo', {encryptionKey: await generateKey()});
+
+      await queue.pushRequest({
+        request: new Request('/one', {
+          method: 'POST',
+          body: 'secret body',
+          headers: {'authorization': 'Bearer secret-token'},
+        }),
+      });
+      await queue.pushRequest({request: new Request('/two')});
+
+      const [entry1, entry2] = await queue.getAll();
+      expect(entry1.request.url).to.equal(`${location.origin}/one`);
+      expect(entry1.request.method).to.equal('POST');
+      expect(entry1.request.headers.get('authorization'))
+          .to.equal('Bearer secret-token');
+      expect(await entry1.request.text()).to.equal('secret body');
+      expect(entry2.request.url).to.equal(`${location.origin}/two`);
+      expect(entry2.request.method).to.equal('GET');
+    });
+
+    it(`should replay encrypted requests`, async function() {
+      Queue.prototype.replayRequests.restore();
+      sandbox.stub(self, 'fetch');
+
+      const queue = new Queue('foo', {encryptionKey: await generateKey()});
+      await queue.pushRequest({
+        request: new Request('/one', {method: 'POST', body: '...'}),
+      });
+
+      await queue.replayRequests();
+
+      expect(self.fetch.callCount).to.equal(1);
+      expect(self.fetch.firstCall.args[0].url)
+          .to.equal(`${location.origin}/one`);
+      expect(await db.getAll('requests')).to.have.lengthOf(0);
+    });
+
+    it(`should replay the other entries, and then throw, when some entries can't be decrypted`, async function() {
+      Queue.prototype.replayRequests.restore();
+      sandbox.stub(self, 'fetch');
+
+      const queue1 = new Queue('foo', {encryptionKey: await generateKey()});
+      await queue1.pushRequest({request: new Request('/one')});
+
+      Queue._queueNames.clear();
+      const queue2 = new Queue('foo', {encryptionKey: await generateKey()});
+      await queue2.pushRequest({request: new Request('/two')});
+
+      await expectError(() => queue2.replayRequests(), 'queue-replay-failed');
+
+      expect(self.fetch.callCount).to.equal(1);
+      expect(self.fetch.firstCall.args[0].url)
+          .to.equal(`${location.origin}/two`);
+      expect(await db.getAll('requests')).to.have.lengthOf(1);
+    });
+
+    it(`should not replay the entries after one that can't be decrypted when ordering is 'fifo-per-key'`, async function() {
+      Queue.prototype.replayRequests.restore();
+      sandbox.stub(self, 'fetch');
+
+      const queue1 = new Queue('foo', {encryptionKey: await generateKey()});
+      await queue1.pushRequest({request: new Request('/one')});
+
+      Queue._queueNames.clear();
+      const queue2 = new Queue('foo', {
+        encryptionKey: await generateKey(),
+        ordering: 'fifo-per-key',
+      });
+      await queue2.pushRequest({request: new Request('/one')});
+
+      await expectError(() => queue2.replayRequests(), 'queue-replay-failed');
+
+      expect(self.fetch.callCount).to.equal(0);
+      expect(await db.getAll('requests')).to.have.lengthOf(2);
+    });
+
+    it(`should skip entries that can't be decrypted`, async function() {
+      const queue1 = new Queue('foo', {encryptionKey: await generateKey()});
+      await queue1.pushRequest({request: new Request('/one')});
+
+      Queue._queueNames.clear();
+      const queue2 = new Queue('foo', {encryptionKey: await generateKey()});
+      await queue2.pushRequest({request: new Request('/two')});
+
+      const entries = await queue2.getAll();
+      expect(entries).to.have.lengthOf(1);
+      expect(entries[0].request.url).to.equal(`${location.origin}/two`);
+
+      const entry = await queue2.shiftRequest();
+      expect(entry.request.url).to.equal(`${location.origin}/two`);
+      expect(await queue2.shiftRequest()).to.equal(undefined);
+    });
+
+    it(`should keep entries that can't be decrypted in the queue when shifting or popping`, async function() {
+      const queue1 = new Queue('foo', {encryptionKey: await generateKey()});
+      await queue1.pushRequest({request: new Request('/one')});
+
+      const [undecryptableEntry] = await db.getAll('requests');
+
+      Queue._queueNames.clear();
+      const queue2 = new Queue('foo', {encryptionKey: await generateKey()});
+      await queue2.pushRequest({request: new Request('/two')});
+
+      const entry2 = await queue2.shiftRequest();
+      expect(entry2.request.url).to.equal(`${location.origin}/two`);
+      expect(await queue2.shiftRequest()).to.equal(undefined);
+      expect(await queue2.popRequest()).to.equal(undefined);
+
+      // The entry is still stored in its original place, and can still be
+      // read with the right key.
+      const storeEntries = await db.getAll('requests');
+      expect(storeEntries).to.have.lengthOf(1);
+      expect(storeEntries[0].id).to.equal(undecryptableEntry.id);
+
+      const [entry] = await queue1.getAll();
+      expect(entry.request.url).to.equal(`${location.origin}/one`);
+    });
+
+    describe(`rotateEncryptionKey()`, function() {
+      it(`should re-encrypt all entries with the new key`, async function() {
+        const oldKey = await generateKey();
+        const newKey = await generateKey();
+
+        const queue1 = new Queue('foo', {encryptionKey: oldKey});
+        await queue1.pushRequest({request: new Request('/one')});
+        await queue1.rotateEncryptionKey(newKey);
+        await queue1.pushRequest({request: new Request('/two')});
+
+        // A queue that only knows the new key can decrypt all the entries.
+        Queue._queueNames.clear();
+        const queue2 = new Queue('foo', {encryptionKey: newKey});
+        const entries = await queue2.getAll();
+        expect(entries.map(({request}) => request.url)).to.deep.equal([
+          `${location.origin}/one`,
+          `${location.origin}/two`,
+        ]);
+      });
+
+      it(`should encrypt entries stored before encryption was enabled`, async function() {
+        const queue = new Queue('foo');
+        await queue.pushRequest({request: new Request('/one')});
+        await queue.rotateEncryptionKey(await generateKey());
+
+        const [storeEntry] = await db.getAll('requests');
+        expect(storeEntry.requestData).to.equal(undefined);
+
+        const [entry] = await queue.getAll();
+        expect(entry.request.url).to.equal(`${location.origin}/one`);
+      });
+
+      it(`should decrypt entries with the previous keys`, async function() {
+        const oldKey = await generateKey();
+
+        const queue1 = new Queue('foo', {encryptionKey: oldKey});
+        await queue1.pushRequest({request: new Request('/one')});
+
+        Queue._queueNames.clear();
+        const queue2 = new Queue('foo', {
+          encryptionKey: await generateKey(),
+          previousEncryptionKeys: [oldKey],
+        });
+        const [entry] = await queue2.getAll();
+        expect(entry.request.url).to.equal(`${location.origin}/one`);
+      });
+    });
+
+    describe(`purgeUndecryptableEntries()`, function() {
+      it(`should delete the entries that can't be decrypted`, async function() {
+        const queue1 = new Queue('foo', {encryptionKey: await generateKey()});
+        await queue1.pushRequest({request: new Request('/one')});
+        await queue1.pushRequest({request: new Request('/two')});
+
+        Queue._queueNames.clear();
+        const queue2 = new Queue('foo', {encryptionKey: await generateKey()});
+        await queue2.pushRequest({request: new Request('/three')});
+
+        expect(await queue2.purgeUndecryptableEntries()).to.equal(2);
+
+        const storeEntries = await db.getAll('requests');
+        expect(storeEntries).to.have.lengthOf(1);
+
+        const [entry] = await queue2.getAll();
+        expect(entry.request.url).to.equal(`${location.origin}/three`);
+      });
+    });
+  });
 });
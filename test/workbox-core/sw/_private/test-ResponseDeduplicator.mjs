@@ -0,0 +1,86 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {ResponseDeduplicator} from 'workbox-core/_private/ResponseDeduplicator.mjs';
+
+
+describe(`ResponseDeduplicator`, function() {
+  const sandbox = sinon.createSandbox();
+  const url = 'https://example.com/test/';
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  describe(`deduplicate()`, function() {
+    it(`should share one in-flight response between equivalent requests, giving each a clone`, async function() {
+      const deduplicator = new ResponseDeduplicator();
+      const response = new Response('response body');
+      const getResponse = sandbox.stub().resolves(response);
+
+      const responses = await Promise.all([
+        deduplicator.deduplicate(new Request(url), getResponse),
+        deduplicator.deduplicate(new Request(url), getResponse),
+      ]);
+
+      expect(getResponse.callCount).to.equal(1);
+      expect(responses[0]).to.not.equal(response);
+      expect(responses[1]).to.not.equal(responses[0]);
+      expect(await responses[0].text()).to.equal('response body');
+      expect(await responses[1].text()).to.equal('response body');
+    });
+
+    it(`should not share responses between requests with different methods, headers or credentials`, async function() {
+      const deduplicator = new ResponseDeduplicator();
+      const getResponse = sandbox.stub().callsFake(async () => {
+        return new Response('response body');
+      });
+
+      await Promise.all([
+        deduplicator.deduplicate(new Request(url), getResponse),
+        deduplicator.deduplicate(new Request(url, {method: 'HEAD'}),
+            getResponse),
+        deduplicator.deduplicate(new Request(url, {
+          headers: {accept: 'application/json'},
+        }), getResponse),
+        deduplicator.deduplicate(new Request(url, {credentials: 'include'}),
+            getResponse),
+      ]);
+
+      expect(getResponse.callCount).to.equal(4);
+    });
+
+    it(`should share errors, including synchronous ones`, async function() {
+      const deduplicator = new ResponseDeduplicator();
+      const error = new Error('Injected error.');
+      const getResponse = sandbox.stub().throws(error);
+
+      const results = await Promise.all([
+        deduplicator.deduplicate(new Request(url), getResponse)
+            .catch((err) => err),
+        deduplicator.deduplicate(new Request(url), getResponse)
+            .catch((err) => err),
+      ]);
+
+      expect(getResponse.callCount).to.equal(1);
+      expect(results).to.eql([error, error]);
+    });
+
+    it(`should call getResponse() again once the in-flight response has settled`, async function() {
+      const deduplicator = new ResponseDeduplicator();
+      const getResponse = sandbox.stub().callsFake(async () => {
+        return new Response('response body');
+      });
+
+      await deduplicator.deduplicate(new Request(url), getResponse);
+      await deduplicator.deduplicate(new Request(url), getResponse);
+
+      expect(getResponse.callCount).to.equal(2);
+    });
+  });
+});
@@ -7,6 +7,7 @@
 */
 
 import {fetchWrapper} from 'workbox-core/_private/fetchWrapper.mjs';
+import {networkStatus} from 'workbox-core/_private/networkStatus.mjs';
 
 
 describe(`fetchWrapper`, function() {
@@ -239,5 +240,39 @@ describe(`fetchWrapper`, function() {
       const finalCount = finalResponse.headers.get('x-count');
       expect(finalCount).to.equal('3');
     });
+
+    it(`should record the outcome of each network request in networkStatus`, async function() {
+      networkStatus.reset();
+      const stub = sandbox.stub(self, 'fetch');
+      stub.onCall(0).rejects(new Error('Injected error'));
+      stub.resolves(new Response());
+
+      for (let i = 0; i < 5; i++) {
+        await fetchWrapper.fetch({request: '/test/networkStatus'})
+            .catch(() => {});
+      }
+
+      expect(networkStatus.getFailureRate()).to.equal(0.2);
+      networkStatus.reset();
+    });
+
+    it(`should not record a failure when a plugin throws`, async function() {
+      networkStatus.reset();
+      sandbox.stub(self, 'fetch').resolves(new Response());
+      sandbox.spy(networkStatus, 'recordFetch');
+
+      await fetchWrapper.fetch({
+        request: '/test/networkStatus',
+        plugins: [{
+          fetchDidSucceed: () => {
+            throw new Error('Injected error');
+          },
+        }],
+      }).catch(() => {});
+
+      expect(networkStatus.recordFetch.callCount).to.equal(1);
+      expect(networkStatus.recordFetch.args[0][0]).to.equal(true);
+      networkStatus.reset();
+    });
   });
 });
@@ -0,0 +1,115 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {FallbackChain} from 'workbox-routing/FallbackChain.mjs';
+
+
+describe(`FallbackChain`, function() {
+  const sandbox = sinon.createSandbox();
+
+  beforeEach(async function() {
+    sandbox.restore();
+
+    const usedCacheNames = await caches.keys();
+    await Promise.all(usedCacheNames.map((cacheName) => {
+      return caches.delete(cacheName);
+    }));
+  });
+
+  after(function() {
+    sandbox.restore();
+  });
+
+  describe(`constructor`, function() {
+    it(`should throw in dev when steps is not an array`, async function() {
+      if (process.env.NODE_ENV === 'production') return this.skip();
+
+      await expectError(
+          () => new FallbackChain({}),
+          'not-an-array',
+          (error) => {
+            expect(error.details).to.have.property('moduleName').that.equals('workbox-routing');
+            expect(error.details).to.have.property('className').that.equals('FallbackChain');
+            expect(error.details).to.have.property('funcName').that.equals('constructor');
+            expect(error.details).to.have.property('paramName').that.equals('steps');
+          }
+      );
+    });
+  });
+
+  describe(`handle()`, function() {
+    it(`should respond with the first step that resolves with a response`, async function() {
+      const step1 = sandbox.stub().rejects(new Error('Injected error'));
+      const step2 = sandbox.stub().resolves(undefined);
+      const step3 = {handle: sandbox.stub().resolves(new Response('step3'))};
+      const step4 = sandbox.stub().resolves(new Response('step4'));
+
+      const fallbackChain = new FallbackChain([step1, step2, step3, step4]);
+
+      const request = new Request(location.href);
+      const event = new FetchEvent('fetch', {request});
+      const url = new URL(request.url);
+      const response = await fallbackChain.handle({url, request, event});
+
+      expect(await response.text()).to.equal('step3');
+      expect(step1.callCount).to.equal(1);
+      expect(step2.callCount).to.equal(1);
+      expect(step3.handle.firstCall.args[0]).to.eql({url, request, event});
+      expect(step4.callCount).to.equal(0);
+    });
+
+    it(`should skip steps whose match callback returns a falsy value`, async function() {
+      const imageHandler = sandbox.stub().resolves(new Response('image'));
+      const documentHandler = sandbox.stub().resolves(new Response('document'));
+
+      const fallbackChain = new FallbackChain([
+        {match: ({request}) => request.destination === 'image', handler: imageHandler},
+        documentHandler,
+      ]);
+
+      const request = new Request(location.href);
+      const url = new URL(request.url);
+      const response = await fallbackChain.handle({url, request});
+
+      expect(await response.text()).to.equal('document');
+      expect(imageHandler.callCount).to.equal(0);
+    });
+
+    it(`should look up string steps in the cache`, async function() {
+      const cache = await caches.open('test-cache');
+      await cache.put('/offline.html', new Response('offline'));
+
+      const fallbackChain = new FallbackChain([
+        () => Promise.reject(new Error('Injected error')),
+        '/not-cached.html',
+        '/offline.html',
+      ]);
+
+      const request = new Request(location.href);
+      const url = new URL(request.url);
+      const response = await fallbackChain.handle({url, request});
+
+      expect(await response.text()).to.equal('offline');
+    });
+
+    it(`should reject with no-response when no step responds`, async function() {
+      const fallbackChain = new FallbackChain([
+        () => Promise.reject(new Error('Injected error')),
+        '/not-cached.html',
+      ]);
+
+      const request = new Request(location.href);
+      const url = new URL(request.url);
+
+      await expectError(
+          () => fallbackChain.handle({url, request}),
+          'no-response',
+      );
+    });
+  });
+});
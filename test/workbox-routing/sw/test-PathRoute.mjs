@@ -0,0 +1,119 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {PathRoute} from 'workbox-routing/PathRoute.mjs';
+
+
+describe(`PathRoute`, function() {
+  const SAME_ORIGIN_URL = new URL('https://example.com');
+  const CROSS_ORIGIN_URL = new URL('https://cross-origin-example.com');
+  const HANDLER = {handle: () => {}};
+
+  const sandbox = sinon.createSandbox();
+  beforeEach(function() {
+    sandbox.restore();
+    sandbox.stub(self, 'location').value(SAME_ORIGIN_URL);
+  });
+  after(function() {
+    sandbox.restore();
+  });
+
+  for (const badPattern of [undefined, null, 123, {}]) {
+    it(`should throw when called with a pattern parameter of ${JSON.stringify(badPattern)} in dev`, async function() {
+      if (process.env.NODE_ENV === 'production') this.skip();
+
+      await expectError(
+          () => new PathRoute(badPattern, HANDLER),
+          'incorrect-type',
+          (error) => {
+            expect(error.details).to.have.property('moduleName').that.equals('workbox-routing');
+            expect(error.details).to.have.property('className').that.equals('PathRoute');
+            expect(error.details).to.have.property('funcName').that.equals('constructor');
+            expect(error.details).to.have.property('paramName').that.equals('pattern');
+          }
+      );
+    });
+  }
+
+  it(`should throw in dev when the pattern doesn't start with '/' or 'http'`, async function() {
+    if (process.env.NODE_ENV === 'production') this.skip();
+
+    await expectError(() => new PathRoute('api/:id', HANDLER), 'invalid-string');
+  });
+
+  it(`should match named params and return them as an object`, function() {
+    const route = new PathRoute('/api/users/:id/posts/:postId', HANDLER);
+
+    const match = route.match({url: new URL('/api/users/123/posts/abc', SAME_ORIGIN_URL)});
+    expect(match).to.deep.equal({id: '123', postId: 'abc'});
+
+    expect(route.match({url: new URL('/api/users/123', SAME_ORIGIN_URL)})).not.to.be.ok;
+    expect(route.match({url: new URL('/api/users/123/posts/abc/extra', SAME_ORIGIN_URL)})).not.to.be.ok;
+  });
+
+  it(`should support optional params`, function() {
+    const route = new PathRoute('/api/users/:id/posts/:postId?', HANDLER);
+
+    expect(route.match({url: new URL('/api/users/123/posts/abc', SAME_ORIGIN_URL)}))
+        .to.deep.equal({id: '123', postId: 'abc'});
+    expect(route.match({url: new URL('/api/users/123/posts', SAME_ORIGIN_URL)}))
+        .to.deep.equal({id: '123'});
+  });
+
+  it(`should support wildcards`, function() {
+    const route = new PathRoute('/static/*/img/*', HANDLER);
+
+    expect(route.match({url: new URL('/static/v1/img/icons/logo.png', SAME_ORIGIN_URL)}))
+        .to.deep.equal({0: 'v1', 1: 'icons/logo.png'});
+    expect(route.match({url: new URL('/other/v1/img/logo.png', SAME_ORIGIN_URL)})).not.to.be.ok;
+  });
+
+  it(`should decode params and ignore the query string and trailing slash`, function() {
+    const route = new PathRoute('/search/:term', HANDLER);
+
+    expect(route.match({url: new URL('/search/hello%20world/?page=2', SAME_ORIGIN_URL)}))
+        .to.deep.equal({term: 'hello world'});
+  });
+
+  it(`should return a truthy value for patterns without params`, function() {
+    const route = new PathRoute('/about', HANDLER);
+
+    expect(route.match({url: new URL('/about', SAME_ORIGIN_URL)})).to.be.ok;
+    expect(route.match({url: new URL('/about-us', SAME_ORIGIN_URL)})).not.to.be.ok;
+  });
+
+  it(`should only match same-origin URLs for patterns starting with '/'`, function() {
+    const route = new PathRoute('/api/:id', HANDLER);
+
+    expect(route.match({url: new URL('/api/123', CROSS_ORIGIN_URL)})).not.to.be.ok;
+  });
+
+  it(`should scope patterns starting with 'http' to their origin`, function() {
+    const route = new PathRoute(`${CROSS_ORIGIN_URL.origin}/api/:id`, HANDLER);
+
+    expect(route.match({url: new URL('/api/123', CROSS_ORIGIN_URL)}))
+        .to.deep.equal({id: '123'});
+    expect(route.match({url: new URL('/api/123', SAME_ORIGIN_URL)})).not.to.be.ok;
+  });
+
+  it(`should support wildcards in the origin`, function() {
+    const route = new PathRoute('https://*.example.com/img/*', HANDLER);
+
+    expect(route.match({url: new URL('https://cdn.example.com/img/a.png')}))
+        .to.deep.equal({0: 'a.png'});
+    expect(route.match({url: new URL('https://cdn.example.org/img/a.png')})).not.to.be.ok;
+  });
+
+  it(`should only be marked as cross-origin for patterns scoped to another origin`, function() {
+    expect(new PathRoute('/api/:id', HANDLER).crossOrigin).to.equal(false);
+    expect(new PathRoute(`${location.origin}/api/:id`, HANDLER).crossOrigin)
+        .to.equal(false);
+    expect(new PathRoute(`${CROSS_ORIGIN_URL.origin}/api/:id`, HANDLER).crossOrigin)
+        .to.equal(true);
+  });
+});
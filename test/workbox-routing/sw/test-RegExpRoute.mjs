@@ -78,6 +78,16 @@ describe(`RegExpRoute`, function() {
     expect(route.match({url: nonMatchingURL})).not.to.be.ok;
   });
 
+  it(`should only be marked as cross-origin if the RegExp starts with 'http'`, function() {
+    expect(new RegExpRoute(/^https:\/\/cdn\.example\.com/, HANDLER).crossOrigin)
+        .to.equal(true);
+    expect(new RegExpRoute(/https?:\/\/cdn\.example\.com/, HANDLER).crossOrigin)
+        .to.equal(true);
+    expect(new RegExpRoute(/\/images\//, HANDLER).crossOrigin).to.equal(false);
+    expect(new RegExpRoute(/\/images\//, HANDLER, 'GET', {crossOrigin: true})
+        .crossOrigin).to.equal(true);
+  });
+
   it(`should properly match URLs with capture groups`, function() {
     const value1 = 'value1';
     const value2 = 'value2';
@@ -112,6 +112,30 @@ describe(`Route`, function() {
   });
 
 
+  it(`should throw when called with an invalid priority in dev`, async function() {
+    if (process.env.NODE_ENV === 'production') return this.skip();
+
+    await expectError(
+        () => new Route(match, handler, method, {priority: '1'}),
+        'incorrect-type',
+        (error) => expect(error.details).to.have.property('paramName').that.equals('options.priority')
+    );
+  });
+
+  it(`should use the priority provided, or a default of 0`, function() {
+    expect(new Route(match, handler).priority).to.equal(0);
+    expect(new Route(match, handler, method, {priority: 10}).priority).to.equal(10);
+  });
+
+
+  it(`should normalize the catchHandler option`, function() {
+    expect(new Route(match, handler).catchHandler).to.equal(undefined);
+    expect(new Route(match, handler, method, {catchHandler: handler}).catchHandler).to.equal(handler);
+    expect(new Route(match, handler, method, {catchHandler: functionHandler}).catchHandler)
+        .to.have.property('handle').that.equals(functionHandler);
+  });
+
+
   it(`should not throw when called with valid handler.handle and match parameters in production`, function() {
     if (process.env.NODE_ENV !== 'production') return this.skip();
 
@@ -137,4 +161,49 @@ describe(`Route`, function() {
     const route = new Route(match, handler);
     expect(route.method).to.equal('GET');
   });
+
+  describe(`isActive()`, function() {
+    const options = {url: new URL(location.href), request: new Request(location.href)};
+
+    it(`should be active by default`, function() {
+      const route = new Route(match, handler);
+      expect(route.isActive(options)).to.equal(true);
+    });
+
+    it(`should only be active between activeFrom and activeUntil`, function() {
+      const now = Date.now();
+
+      const futureRoute = new Route(match, handler, method, {activeFrom: new Date(now + 60000)});
+      const expiredRoute = new Route(match, handler, method, {activeUntil: now - 1});
+      const currentRoute = new Route(match, handler, method, {
+        activeFrom: now - 60000,
+        activeUntil: new Date(now + 60000),
+      });
+
+      expect(futureRoute.activeFrom).to.equal(now + 60000);
+      expect(futureRoute.isActive(options)).to.equal(false);
+      expect(expiredRoute.isActive(options)).to.equal(false);
+      expect(currentRoute.isActive(options)).to.equal(true);
+    });
+
+    it(`should call activeWhen with the match options`, function() {
+      const activeWhen = sinon.stub().returns(false);
+      const route = new Route(match, handler, method, {activeWhen});
+
+      expect(route.isActive(options)).to.equal(false);
+      expect(activeWhen.calledOnceWith(options)).to.equal(true);
+    });
+
+    it(`should throw in dev when activeFrom isn't a Date or number`, async function() {
+      if (process.env.NODE_ENV === 'production') return this.skip();
+
+      await expectError(
+          () => new Route(match, handler, method, {activeFrom: '2019-01-01'}),
+          'incorrect-type',
+          (error) => {
+            expect(error.details).to.have.property('paramName').that.equals('options.activeFrom');
+          }
+      );
+    });
+  });
 });
@@ -6,8 +6,13 @@
   https://opensource.org/licenses/MIT.
 */
 
+import {PathRoute} from 'workbox-routing/PathRoute.mjs';
+import {RegExpRoute} from 'workbox-routing/RegExpRoute.mjs';
 import {Route} from 'workbox-routing/Route.mjs';
 import {Router} from 'workbox-routing/Router.mjs';
+import {matchRequest} from 'workbox-routing/matchRequest.mjs';
+import {logger} from 'workbox-core/_private/logger.mjs';
+import {responseSources} from 'workbox-core/_private/responseSources.mjs';
 import {dispatchAndWaitUntilDone} from '../../../infra/testing/helpers/extendable-event-utils.mjs';
 import generateTestVariants from '../../../infra/testing/generate-variant-tests';
 
@@ -137,6 +142,83 @@ describe(`Router`, function() {
     });
   });
 
+  describe(`getRoutes()`, function() {
+    it(`should return the routes for a method in priority order`, function() {
+      const router = new Router();
+
+      const lowRoute = new Route(MATCH, HANDLER, 'GET', {priority: -1});
+      const defaultRoute1 = new Route(MATCH, HANDLER);
+      const highRoute = new Route(MATCH, HANDLER, 'GET', {priority: 10});
+      const defaultRoute2 = new Route(MATCH, HANDLER);
+      const putRoute = new Route(MATCH, HANDLER, 'PUT');
+
+      for (const route of [lowRoute, defaultRoute1, highRoute, defaultRoute2, putRoute]) {
+        router.registerRoute(route);
+      }
+
+      expect(router.getRoutes()).to.eql([highRoute, defaultRoute1, defaultRoute2, lowRoute]);
+      expect(router.getRoutes('PUT')).to.eql([putRoute]);
+      expect(router.getRoutes('DELETE')).to.eql([]);
+    });
+
+    it(`should return a copy of the route table`, function() {
+      const router = new Router();
+      const route = new Route(MATCH, HANDLER);
+      router.registerRoute(route);
+
+      router.getRoutes().pop();
+
+      expect(router.getRoutes()).to.eql([route]);
+    });
+  });
+
+  describe(`setRoutePriority()`, function() {
+    it(`should update the route's priority and reorder the route table`, function() {
+      const router = new Router();
+
+      const route1 = new Route(MATCH, HANDLER);
+      const route2 = new Route(MATCH, HANDLER);
+      const route3 = new Route(MATCH, HANDLER, 'GET', {priority: 5});
+
+      for (const route of [route1, route2, route3]) {
+        router.registerRoute(route);
+      }
+
+      router.setRoutePriority(route2, 5);
+      expect(route2.priority).to.equal(5);
+      expect(router.getRoutes()).to.eql([route3, route2, route1]);
+
+      router.setRoutePriority(route3, -1);
+      expect(router.getRoutes()).to.eql([route2, route1, route3]);
+    });
+
+    it(`should throw when called with a route that wasn't previously registered`, function() {
+      const router = new Router();
+
+      return expectError(
+          () => router.setRoutePriority(new Route(MATCH, HANDLER), 1),
+          'unregister-route-but-not-found-with-method'
+      );
+    });
+
+    it(`should throw in dev when the priority isn't a number`, async function() {
+      if (process.env.NODE_ENV === 'production') return this.skip();
+
+      const router = new Router();
+      const route = new Route(MATCH, HANDLER);
+      router.registerRoute(route);
+
+      await expectError(
+          () => router.setRoutePriority(route, '1'),
+          'incorrect-type',
+          (error) => {
+            expect(error.details).to.have.property('funcName').that.eql('setRoutePriority');
+            expect(error.details).to.have.property('paramName').that.eql('priority');
+          }
+      );
+    });
+  });
+
   describe(`addFetchListener`, function() {
     it(`should add a listener to respond to fetch events`, async function() {
       const router = new Router();
@@ -320,6 +402,28 @@ describe(`Router`, function() {
     });
   });
 
+  describe(`matchRequest() routes`, function() {
+    it(`should register and unregister the route for each of the methods in its criteria`, async function() {
+      const router = new Router();
+      const route = new Route(
+          matchRequest({method: ['GET', 'HEAD']}),
+          () => new Response(EXPECTED_RESPONSE_BODY));
+
+      router.registerRoute(route);
+      expect(router.routes.get('GET')).to.have.members([route]);
+      expect(router.routes.get('HEAD')).to.have.members([route]);
+
+      const response = await router.handleRequest({
+        request: new Request('/test', {method: 'HEAD'}),
+      });
+      expect(response).to.be.an.instanceof(Response);
+
+      router.unregisterRoute(route);
+      expect(router.routes.get('GET')).to.have.length(0);
+      expect(router.routes.get('HEAD')).to.have.length(0);
+    });
+  });
+
   describe(`setDefaultHandler()`, function() {
     it(`should update the expected internal state`, function() {
       const router = new Router();
@@ -395,6 +499,754 @@ describe(`Router`, function() {
     });
   });
 
+  describe(`route catchHandler`, function() {
+    it(`should return a response from the route's catch handler when the route's handler rejects`, async function() {
+      const router = new Router();
+      const routeCatchHandler = sandbox.stub().resolves(new Response(EXPECTED_RESPONSE_BODY));
+      const globalCatchHandler = sandbox.stub().resolves(new Response('global'));
+      const route = new Route(
+          () => true,
+          () => Promise.reject(new Error('Injected error')),
+          'GET',
+          {catchHandler: routeCatchHandler},
+      );
+      router.registerRoute(route);
+      router.setCatchHandler(globalCatchHandler);
+
+      const request = new Request(location);
+      const event = new FetchEvent('fetch', {request});
+      const response = await router.handleRequest({request, event});
+      const responseBody = await response.text();
+
+      expect(responseBody).to.eql(EXPECTED_RESPONSE_BODY);
+      expect(routeCatchHandler.callCount).to.equal(1);
+      expect(routeCatchHandler.firstCall.args[0].request).to.equal(request);
+      expect(routeCatchHandler.firstCall.args[0].event).to.equal(event);
+      expect(globalCatchHandler.callCount).to.equal(0);
+    });
+
+    it(`should fall back to the router's catch handler when the route's catch handler rejects`, async function() {
+      const router = new Router();
+      const route = new Route(
+          () => true,
+          () => Promise.reject(new Error('Injected error')),
+          'GET',
+          {catchHandler: () => Promise.reject(new Error('Injected error'))},
+      );
+      router.registerRoute(route);
+      router.setCatchHandler(() => new Response(EXPECTED_RESPONSE_BODY));
+
+      const request = new Request(location);
+      const event = new FetchEvent('fetch', {request});
+      const response = await router.handleRequest({request, event});
+      const responseBody = await response.text();
+
+      expect(responseBody).to.eql(EXPECTED_RESPONSE_BODY);
+    });
+
+    it(`should not call the route's catch handler when the route's handler succeeds`, async function() {
+      const router = new Router();
+      const routeCatchHandler = sandbox.stub();
+      const route = new Route(
+          () => true,
+          () => new Response(EXPECTED_RESPONSE_BODY),
+          'GET',
+          {catchHandler: routeCatchHandler},
+      );
+      router.registerRoute(route);
+
+      const request = new Request(location);
+      const response = await router.handleRequest({request});
+      const responseBody = await response.text();
+
+      expect(responseBody).to.eql(EXPECTED_RESPONSE_BODY);
+      expect(routeCatchHandler.callCount).to.equal(0);
+    });
+  });
+
+  describe(`use()`, function() {
+    it(`should throw in dev when middleware is not an object or function`, async function() {
+      if (process.env.NODE_ENV === 'production') return this.skip();
+
+      const router = new Router();
+      await expectError(
+          () => router.use('middleware'),
+          'incorrect-type',
+          (error) => {
+            expect(error.details).to.have.property('funcName').that.eql('use');
+            expect(error.details).to.have.property('paramName').that.eql('middleware');
+          }
+      );
+    });
+
+    it(`should let middleware rewrite the request before the handler runs`, async function() {
+      const router = new Router();
+      const handler = sandbox.stub().resolves(new Response(EXPECTED_RESPONSE_BODY));
+      router.registerRoute(new Route(() => true, handler));
+
+      const rewrittenRequest = new Request('/rewritten', {
+        headers: {Authorization: 'Bearer token'},
+      });
+      router.use(() => rewrittenRequest);
+
+      const request = new Request(location);
+      await router.handleRequest({request});
+
+      expect(handler.callCount).to.equal(1);
+      expect(handler.firstCall.args[0].request).to.equal(rewrittenRequest);
+      expect(handler.firstCall.args[0].url.pathname).to.equal('/rewritten');
+    });
+
+    it(`should let middleware short-circuit the handler with a response`, async function() {
+      const router = new Router();
+      const handler = sandbox.stub().resolves(new Response('handler'));
+      router.registerRoute(new Route(() => true, handler));
+
+      const secondMiddleware = {requestWillBeHandled: sandbox.spy()};
+      router.use({
+        requestWillBeHandled: () => new Response(EXPECTED_RESPONSE_BODY),
+      });
+      router.use(secondMiddleware);
+
+      const request = new Request(location);
+      const response = await router.handleRequest({request});
+
+      expect(await response.text()).to.equal(EXPECTED_RESPONSE_BODY);
+      expect(handler.callCount).to.equal(0);
+      expect(secondMiddleware.requestWillBeHandled.callCount).to.equal(0);
+    });
+
+    it(`should let middleware decorate the response, in reverse order`, async function() {
+      const router = new Router();
+      router.registerRoute(new Route(() => true, () => new Response()));
+
+      const stampHeader = (value) => ({
+        responseWillBeReturned: ({response}) => {
+          const headers = new Headers(response.headers);
+          headers.append('X-Stamp', value);
+          return new Response(response.body, {headers});
+        },
+      });
+      router.use(stampHeader('first'));
+      router.use(stampHeader('second'));
+
+      const request = new Request(location);
+      const response = await router.handleRequest({request});
+
+      expect(response.headers.get('X-Stamp')).to.equal('second, first');
+    });
+
+    it(`should pass responses from catch handlers to responseWillBeReturned`, async function() {
+      const router = new Router();
+      router.registerRoute(new Route(() => true, () => Promise.reject(new Error('Injected error'))));
+      router.setCatchHandler(() => new Response(EXPECTED_RESPONSE_BODY));
+
+      const responseWillBeReturned = sandbox.stub().returns(undefined);
+      router.use({responseWillBeReturned});
+
+      const request = new Request(location);
+      const response = await router.handleRequest({request});
+
+      expect(await response.text()).to.equal(EXPECTED_RESPONSE_BODY);
+      expect(responseWillBeReturned.callCount).to.equal(1);
+    });
+
+    it(`should fall back to the catch handlers when requestWillBeHandled throws`, async function() {
+      const router = new Router();
+      const handler = sandbox.stub().resolves(new Response('handler'));
+      const routeCatchHandler = sandbox.stub().callsFake(
+          () => Promise.reject(new Error('Injected error')));
+      router.registerRoute(new Route(() => true, handler, 'GET',
+          {catchHandler: routeCatchHandler}));
+      router.setCatchHandler(() => new Response(EXPECTED_RESPONSE_BODY));
+
+      const responseWillBeReturned = sandbox.stub().returns(undefined);
+      router.use({
+        requestWillBeHandled: () => {
+          throw new Error('Injected error');
+        },
+        responseWillBeReturned,
+      });
+
+      const request = new Request(location);
+      const response = await router.handleRequest({request});
+
+      expect(await response.text()).to.equal(EXPECTED_RESPONSE_BODY);
+      expect(handler.callCount).to.equal(0);
+      expect(routeCatchHandler.callCount).to.equal(1);
+      expect(responseWillBeReturned.callCount).to.equal(1);
+    });
+
+    it(`should return a function that removes the middleware`, async function() {
+      const router = new Router();
+      router.registerRoute(new Route(() => true, () => new Response()));
+
+      const middleware = sandbox.spy();
+      const removeMiddleware = router.use(middleware);
+
+      await router.handleRequest({request: new Request(location)});
+      removeMiddleware();
+      await router.handleRequest({request: new Request(location)});
+
+      expect(middleware.callCount).to.equal(1);
+    });
+
+    it(`should only run middleware for the given routes and methods`, async function() {
+      const router = new Router();
+      const route1 = new Route(({url}) => url.pathname === '/one', () => new Response());
+      const route2 = new Route(({url}) => url.pathname === '/two', () => new Response());
+      const postRoute = new Route(() => true, () => new Response(), 'POST');
+      router.registerRoute(route1);
+      router.registerRoute(route2);
+      router.registerRoute(postRoute);
+
+      const routeMiddleware = sandbox.spy();
+      const methodMiddleware = sandbox.spy();
+      router.use(routeMiddleware, {routes: [route2]});
+      router.use(methodMiddleware, {methods: ['POST']});
+
+      await router.handleRequest({request: new Request('/one')});
+      await router.handleRequest({request: new Request('/two')});
+      await router.handleRequest({request: new Request('/one', {method: 'POST'})});
+
+      expect(routeMiddleware.callCount).to.equal(1);
+      expect(routeMiddleware.firstCall.args[0].route).to.equal(route2);
+      expect(methodMiddleware.callCount).to.equal(1);
+      expect(methodMiddleware.firstCall.args[0].route).to.equal(postRoute);
+    });
+  });
+
+  describe(`deduplicate`, function() {
+    it(`should share one handler call between concurrent GET requests when enabled on the router`, async function() {
+      const router = new Router({deduplicate: true});
+      const handler = sandbox.stub().callsFake(async () => new Response(EXPECTED_RESPONSE_BODY));
+      router.registerRoute(new Route(() => true, handler));
+
+      const responses = await Promise.all([
+        router.handleRequest({request: new Request('/same-url')}),
+        router.handleRequest({request: new Request('/same-url')}),
+        router.handleRequest({request: new Request('/other-url')}),
+      ]);
+
+      expect(handler.callCount).to.equal(2);
+      for (const response of responses) {
+        expect(await response.text()).to.equal(EXPECTED_RESPONSE_BODY);
+      }
+    });
+
+    it(`should share one handler call when enabled on the route`, async function() {
+      const router = new Router();
+      const handler = sandbox.stub().callsFake(async () => new Response(EXPECTED_RESPONSE_BODY));
+      router.registerRoute(new Route(() => true, handler, 'GET', {deduplicate: true}));
+
+      const [response1, response2] = await Promise.all([
+        router.handleRequest({request: new Request('/same-url')}),
+        router.handleRequest({request: new Request('/same-url')}),
+      ]);
+
+      expect(handler.callCount).to.equal(1);
+      expect(response1).to.not.equal(response2);
+      expect(await response1.text()).to.equal(EXPECTED_RESPONSE_BODY);
+      expect(await response2.text()).to.equal(EXPECTED_RESPONSE_BODY);
+    });
+
+    it(`should call the handler again once the in-flight request has settled`, async function() {
+      const router = new Router({deduplicate: true});
+      const handler = sandbox.stub().callsFake(async () => new Response());
+      router.registerRoute(new Route(() => true, handler));
+
+      await router.handleRequest({request: new Request('/same-url')});
+      await router.handleRequest({request: new Request('/same-url')});
+
+      expect(handler.callCount).to.equal(2);
+    });
+
+    it(`should not deduplicate non-GET requests or range requests`, async function() {
+      const router = new Router({deduplicate: true});
+      const getHandler = sandbox.stub().callsFake(async () => new Response());
+      const postHandler = sandbox.stub().callsFake(async () => new Response());
+      router.registerRoute(new Route(() => true, getHandler));
+      router.registerRoute(new Route(() => true, postHandler, 'POST'));
+
+      await Promise.all([
+        router.handleRequest({request: new Request('/same-url', {method: 'POST'})}),
+        router.handleRequest({request: new Request('/same-url', {method: 'POST'})}),
+        router.handleRequest({request: new Request('/same-url', {headers: {Range: 'bytes=0-1'}})}),
+        router.handleRequest({request: new Request('/same-url', {headers: {Range: 'bytes=2-3'}})}),
+      ]);
+
+      expect(postHandler.callCount).to.equal(2);
+      expect(getHandler.callCount).to.equal(2);
+    });
+
+    it(`should share rejections between concurrent requests`, async function() {
+      const router = new Router({deduplicate: true});
+      const handler = sandbox.stub().callsFake(async () => {
+        throw new Error('Injected error');
+      });
+      router.registerRoute(new Route(() => true, handler));
+
+      const results = await Promise.all([
+        router.handleRequest({request: new Request('/same-url')}).catch((err) => err),
+        router.handleRequest({request: new Request('/same-url')}).catch((err) => err),
+      ]);
+
+      expect(handler.callCount).to.equal(1);
+      expect(results[0]).to.be.an.instanceof(Error);
+      expect(results[1]).to.equal(results[0]);
+    });
+
+    it(`should not share a response between requests with different headers or credentials`, async function() {
+      const router = new Router({deduplicate: true});
+      const handler = sandbox.stub().callsFake(async () => new Response());
+      router.registerRoute(new Route(() => true, handler));
+
+      await Promise.all([
+        router.handleRequest({request: new Request('/same-url')}),
+        router.handleRequest({request: new Request('/same-url', {
+          headers: {Accept: 'application/json'},
+        })}),
+        router.handleRequest({request: new Request('/same-url', {
+          headers: {Authorization: 'Bearer token'},
+        })}),
+        router.handleRequest({request: new Request('/same-url', {
+          credentials: 'omit',
+        })}),
+      ]);
+
+      expect(handler.callCount).to.equal(4);
+    });
+  });
+
+  describe(`getStats()`, function() {
+    it(`should return an empty array before any requests are handled`, function() {
+      const router = new Router();
+      router.registerRoute(new Route(() => true, () => new Response()));
+
+      expect(router.getStats()).to.deep.equal([]);
+    });
+
+    it(`should count matches and the source of each response`, async function() {
+      const router = new Router();
+      const handler = sandbox.stub();
+      handler.onCall(0).callsFake(async () => responseSources.set(new Response(), 'cache'));
+      handler.onCall(1).callsFake(async () => responseSources.set(new Response(), 'network'));
+      handler.onCall(2).callsFake(async () => new Response());
+      router.registerRoute(new Route(() => true, handler, 'GET', {name: 'test-route'}));
+
+      for (let i = 0; i < 3; i++) {
+        await router.handleRequest({request: new Request('/test')});
+      }
+
+      const [stats] = router.getStats();
+      expect(stats.name).to.equal('test-route');
+      expect(stats.method).to.equal('GET');
+      expect(stats.matches).to.equal(3);
+      expect(stats.cacheHits).to.equal(1);
+      expect(stats.networkResponses).to.equal(1);
+      expect(stats.errors).to.equal(0);
+      expect(stats.catchHandlerResponses).to.equal(0);
+      expect(stats.timing.samples).to.equal(3);
+      expect(stats.timing.p50).to.be.a('number');
+      expect(stats.timing.p90).to.be.a('number');
+      expect(stats.timing.p99).to.be.a('number');
+    });
+
+    it(`should count errors and catch handler responses`, async function() {
+      const router = new Router();
+      router.registerRoute(new Route(() => true, () => {
+        throw new Error('Injected error');
+      }, 'GET', {name: 'failing-route'}));
+      router.setCatchHandler(() => new Response());
+
+      await router.handleRequest({request: new Request('/test')});
+
+      const [stats] = router.getStats();
+      expect(stats.matches).to.equal(1);
+      expect(stats.errors).to.equal(1);
+      expect(stats.catchHandlerResponses).to.equal(1);
+    });
+
+    it(`should report requests handled by the default handler separately`, async function() {
+      const router = new Router();
+      router.registerRoute(new Route(({url}) => url.pathname === '/route', () => new Response()));
+      router.setDefaultHandler(() => new Response());
+
+      await router.handleRequest({request: new Request('/route')});
+      await router.handleRequest({request: new Request('/other')});
+
+      const stats = router.getStats();
+      expect(stats).to.have.length(2);
+      expect(stats[0].name).to.equal('GET route');
+      expect(stats[1].name).to.equal('defaultHandler');
+      expect(stats[1].matches).to.equal(1);
+    });
+
+    it(`should default the name of routes created from a RegExp or path`, async function() {
+      const router = new Router();
+      router.registerRoute(new RegExpRoute(/\/regexp$/, () => new Response()));
+      router.registerRoute(new PathRoute('/path/:id', () => new Response()));
+
+      await router.handleRequest({request: new Request('/regexp')});
+      await router.handleRequest({request: new Request('/path/1')});
+
+      expect(router.getStats().map((stats) => stats.name)).to.deep.equal([
+        String(/\/regexp$/),
+        '/path/:id',
+      ]);
+    });
+
+    it(`should clear the stats when resetStats() is called`, async function() {
+      const router = new Router();
+      router.registerRoute(new Route(() => true, () => new Response()));
+
+      await router.handleRequest({request: new Request('/test')});
+      router.resetStats();
+
+      expect(router.getStats()).to.deep.equal([]);
+    });
+  });
+
+  describe(`addStatsListener`, function() {
+    it(`should reply to GET_ROUTER_STATS messages with the stats`, async function() {
+      const router = new Router();
+      router.registerRoute(new Route(() => true, () => new Response()));
+      router.addStatsListener();
+
+      await router.handleRequest({request: new Request('/test')});
+
+      const messageEvent = new ExtendableMessageEvent('message', {
+        data: {type: 'GET_ROUTER_STATS'},
+      });
+      sandbox.stub(messageEvent, 'ports').value([{postMessage: sinon.spy()}]);
+
+      await dispatchAndWaitUntilDone(messageEvent);
+
+      expect(messageEvent.ports[0].postMessage.callCount).to.equal(1);
+      expect(messageEvent.ports[0].postMessage.args[0][0])
+          .to.deep.equal(router.getStats());
+    });
+
+    it(`should ignore other message types`, async function() {
+      const router = new Router();
+      router.addStatsListener();
+      sandbox.spy(router, 'getStats');
+
+      await dispatchAndWaitUntilDone(new ExtendableMessageEvent('message'));
+
+      expect(router.getStats.callCount).to.equal(0);
+    });
+  });
+
+  describe(`scheme and origin policies`, function() {
+    it(`should ignore URLs with other schemes by default`, function() {
+      const router = new Router();
+      router.registerRoute(new Route(() => true, () => new Response()));
+
+      const responsePromise = router.handleRequest({
+        request: new Request('example://test.com/test'),
+      });
+      expect(responsePromise).to.equal(undefined);
+    });
+
+    it(`should handle URLs with schemes listed in the schemes option`, async function() {
+      const router = new Router({schemes: ['http', 'https', 'example:']});
+      router.registerRoute(new Route(() => true, () => new Response()));
+
+      const response = await router.handleRequest({
+        request: new Request('example://test.com/test'),
+      });
+      expect(response).to.be.instanceOf(Response);
+    });
+
+    it(`should not handle requests for denied origins`, function() {
+      const router = new Router({
+        deniedOrigins: ['https://denied.com', /\.tracker\.com$/],
+      });
+      router.registerRoute(new Route(() => true, () => new Response()));
+
+      expect(router.handleRequest({
+        request: new Request('https://denied.com/test'),
+      })).to.equal(undefined);
+      expect(router.handleRequest({
+        request: new Request('https://ads.tracker.com/test'),
+      })).to.equal(undefined);
+      expect(router.handleRequest({
+        request: new Request('https://other.com/test'),
+      })).to.be.instanceOf(Promise);
+    });
+
+    it(`should only handle cross-origin requests for allowed origins`, function() {
+      const router = new Router({
+        allowedOrigins: ['https://allowed.com', /^https:\/\/cdn\./],
+      });
+      router.registerRoute(new Route(() => true, () => new Response()));
+
+      expect(router.handleRequest({
+        request: new Request('https://allowed.com/test'),
+      })).to.be.instanceOf(Promise);
+      expect(router.handleRequest({
+        request: new Request('https://cdn.example.com/test'),
+      })).to.be.instanceOf(Promise);
+      expect(router.handleRequest({
+        request: new Request('/same-origin'),
+      })).to.be.instanceOf(Promise);
+      expect(router.handleRequest({
+        request: new Request('https://other.com/test'),
+      })).to.equal(undefined);
+    });
+
+    it(`should throw in dev if the origin lists aren't arrays`, async function() {
+      if (process.env.NODE_ENV === 'production') this.skip();
+
+      await expectError(() => {
+        new Router({deniedOrigins: 'https://denied.com'});
+      }, 'not-an-array', (err) => {
+        expect(err.details).to.have.property('paramName')
+            .that.equals('options.deniedOrigins');
+      });
+    });
+
+    it(`should handle opaque requests like any other by default`, async function() {
+      const router = new Router();
+      const handler = sandbox.stub().resolves(new Response());
+      router.registerRoute(new Route(() => true, handler));
+
+      await router.handleRequest({
+        request: new Request('https://third-party.com/test', {mode: 'no-cors'}),
+      });
+      expect(handler.callCount).to.equal(1);
+    });
+
+    it(`should leave opaque requests to the browser when opaqueRequests is 'ignore'`, function() {
+      const router = new Router({opaqueRequests: 'ignore'});
+      router.registerRoute(new Route(() => true, () => new Response()));
+
+      expect(router.handleRequest({
+        request: new Request('https://third-party.com/test', {mode: 'no-cors'}),
+      })).to.equal(undefined);
+      expect(router.handleRequest({
+        request: new Request('https://third-party.com/test', {mode: 'cors'}),
+      })).to.be.instanceOf(Promise);
+      expect(router.handleRequest({
+        request: new Request('/same-origin', {mode: 'no-cors'}),
+      })).to.be.instanceOf(Promise);
+    });
+
+    it(`should respond from the network when opaqueRequests is 'network-only'`, async function() {
+      const fetchResponse = new Response('from network');
+      sandbox.stub(self, 'fetch').resolves(fetchResponse);
+
+      const router = new Router({opaqueRequests: 'network-only'});
+      const handler = sandbox.stub().resolves(new Response());
+      router.registerRoute(new Route(() => true, handler));
+
+      const response = await router.handleRequest({
+        request: new Request('https://third-party.com/test', {mode: 'no-cors'}),
+      });
+
+      expect(handler.callCount).to.equal(0);
+      expect(self.fetch.callCount).to.equal(1);
+      expect(response).to.equal(fetchResponse);
+    });
+
+    it(`should respond with the given handler when opaqueRequests is a handler`, async function() {
+      const opaqueHandler = sandbox.stub().resolves(new Response());
+      const router = new Router({opaqueRequests: opaqueHandler});
+      const handler = sandbox.stub().resolves(new Response());
+      router.registerRoute(new Route(() => true, handler));
+
+      await router.handleRequest({
+        request: new Request('https://third-party.com/test', {mode: 'no-cors'}),
+      });
+
+      expect(handler.callCount).to.equal(0);
+      expect(opaqueHandler.callCount).to.equal(1);
+    });
+
+    it(`should warn in dev when a cross-origin route's handler may cache opaque responses`, function() {
+      if (process.env.NODE_ENV === 'production') this.skip();
+
+      const router = new Router();
+      const cachingHandler = {
+        handle: () => new Response(),
+        mayCacheOpaqueResponses: () => true,
+      };
+      router.registerRoute(new RegExpRoute(/^https:\/\/third-party\.com/,
+          cachingHandler, 'GET', {name: 'third-party'}));
+
+      const warnings = logger.warn.args.filter(([message]) => {
+        return message.includes(`The route 'third-party' handles ` +
+            `cross-origin requests with a strategy that may cache opaque ` +
+            `responses`);
+      });
+      expect(warnings).to.have.length(1);
+    });
+
+    it(`should warn in dev when the default handler may cache opaque responses`, function() {
+      if (process.env.NODE_ENV === 'production') this.skip();
+
+      const router = new Router();
+      router.setDefaultHandler({
+        handle: () => new Response(),
+        mayCacheOpaqueResponses: () => true,
+      });
+
+      expect(logger.warn.callCount).to.equal(1);
+      expect(logger.warn.args[0][0]).to.include(`The default handler`);
+    });
+
+    it(`should not warn about routes that can't cache opaque responses`, function() {
+      if (process.env.NODE_ENV === 'production') this.skip();
+
+      const cachingHandler = {
+        handle: () => new Response(),
+        mayCacheOpaqueResponses: () => true,
+      };
+      const nonCachingHandler = {
+        handle: () => new Response(),
+        mayCacheOpaqueResponses: () => false,
+      };
+
+      const router = new Router();
+      // Same-origin routes never receive opaque responses.
+      router.registerRoute(new RegExpRoute(/\/same-origin/, cachingHandler));
+      router.registerRoute(new Route(() => true, cachingHandler));
+      // Handlers without the method, or that return false, don't cache them.
+      router.registerRoute(new RegExpRoute(/^https:\/\/third-party\.com/,
+          () => new Response()));
+      router.registerRoute(new RegExpRoute(/^https:\/\/third-party\.com/,
+          nonCachingHandler));
+
+      // Opaque requests never reach the routes when the policy isn't 'allow'.
+      const networkOnlyRouter = new Router({opaqueRequests: 'network-only'});
+      networkOnlyRouter.registerRoute(new RegExpRoute(
+          /^https:\/\/third-party\.com/, cachingHandler));
+
+      expect(logger.warn.callCount).to.equal(0);
+    });
+  });
+
+  describe(`addRemoteRouteListener`, function() {
+    const dispatchMessage = async (data) => {
+      const messageEvent = new ExtendableMessageEvent('message', {data});
+      sandbox.stub(messageEvent, 'ports').value([{postMessage: sinon.spy()}]);
+      await dispatchAndWaitUntilDone(messageEvent);
+      return messageEvent.ports[0].postMessage.args[0][0];
+    };
+
+    beforeEach(function() {
+      // Spy on all added event listeners so they can be removed.
+      sandbox.spy(self, 'addEventListener');
+    });
+
+    afterEach(function() {
+      for (const args of self.addEventListener.args) {
+        self.removeEventListener(...args);
+      }
+    });
+
+    it(`should register and unregister routes from REGISTER_ROUTE and UNREGISTER_ROUTE messages`, async function() {
+      const router = new Router();
+      const maintenanceHandler = () => new Response('maintenance');
+      router.addRemoteRouteListener({maintenance: maintenanceHandler});
+
+      const registered = await dispatchMessage({
+        type: 'REGISTER_ROUTE',
+        payload: {
+          name: 'maintenance-page',
+          capture: /\/maintenance-test$/,
+          handler: 'maintenance',
+          priority: 10,
+        },
+      });
+
+      expect(registered).to.equal(true);
+      const [route] = router.getRoutes();
+      expect(route.name).to.equal('maintenance-page');
+      expect(route.priority).to.equal(10);
+
+      const response = await router.handleRequest({
+        request: new Request('/maintenance-test'),
+      });
+      expect(await response.text()).to.equal('maintenance');
+
+      const unregistered = await dispatchMessage({
+        type: 'UNREGISTER_ROUTE',
+        payload: {name: 'maintenance-page'},
+      });
+
+      expect(unregistered).to.equal(true);
+      expect(router.getRoutes()).to.have.length(0);
+    });
+
+    it(`should replace a remote route registered with the same name`, async function() {
+      const router = new Router();
+      router.addRemoteRouteListener({handler: () => new Response()});
+
+      await dispatchMessage({
+        type: 'REGISTER_ROUTE',
+        payload: {name: 'promo', capture: '/promo', handler: 'handler'},
+      });
+      await dispatchMessage({
+        type: 'REGISTER_ROUTE',
+        payload: {
+          name: 'promo',
+          capture: '/promo/:id',
+          handler: 'handler',
+          activeUntil: Date.now() + 60000,
+        },
+      });
+
+      const routes = router.getRoutes();
+      expect(routes).to.have.length(1);
+      expect(routes[0].name).to.equal('promo');
+      expect(routes[0].activeUntil).to.be.a('number');
+    });
+
+    it(`should remove the stats of remote routes that are replaced or unregistered`, async function() {
+      const router = new Router();
+      router.addRemoteRouteListener({handler: () => new Response()});
+
+      const register = async (capture) => {
+        await dispatchMessage({
+          type: 'REGISTER_ROUTE',
+          payload: {name: 'promo', capture, handler: 'handler'},
+        });
+        await router.handleRequest({request: new Request(capture)});
+        expect(router.getStats()).to.have.length(1);
+      };
+
+      await register('/promo');
+      await register('/promo-2');
+
+      await dispatchMessage({
+        type: 'UNREGISTER_ROUTE',
+        payload: {name: 'promo'},
+      });
+      expect(router.getStats()).to.deep.equal([]);
+    });
+
+    it(`should reply false for unknown handlers or routes`, async function() {
+      const router = new Router();
+      router.addRemoteRouteListener({handler: () => new Response()});
+      const localRoute = new Route(() => true, () => new Response(), 'GET', {name: 'local'});
+      router.registerRoute(localRoute);
+
+      expect(await dispatchMessage({
+        type: 'REGISTER_ROUTE',
+        payload: {name: 'promo', capture: '/promo', handler: 'unknown'},
+      })).to.equal(false);
+
+      expect(await dispatchMessage({
+        type: 'UNREGISTER_ROUTE',
+        payload: {name: 'local'},
+      })).to.equal(false);
+
+      expect(router.getRoutes()).to.deep.equal([localRoute]);
+    });
+  });
+
   describe(`handleRequest()`, function() {
     it(`should throw in dev when not passed a request`, async function() {
       if (process.env.NODE_ENV === 'production') return this.skip();
@@ -684,6 +1536,24 @@ describe(`Router`, function() {
       expect(route).to.equal(route2);
     });
 
+    it(`should return the highest priority matching route`, function() {
+      const router = new Router();
+
+      const route1 = new Route(() => true, () => new Response());
+      router.registerRoute(route1);
+
+      const route2 = new Route(() => true, () => new Response(), 'GET', {priority: 1});
+      router.registerRoute(route2);
+
+      const url = new URL(location.href);
+      const request = new Request(url);
+      const event = new FetchEvent('fetch', {request});
+
+      const {route} = router.findMatchingRoute({url, request, event});
+
+      expect(route).to.equal(route2);
+    });
+
     it(`should invoke route match functions with the correct arguments`, function() {
       const router = new Router();
 
@@ -755,5 +1625,38 @@ describe(`Router`, function() {
       expect(result6.route).to.equal(route);
       expect(result6.params).to.equal(undefined);
     });
+
+    it(`should skip routes that aren't active`, function() {
+      const router = new Router();
+      const inactiveRoute = new Route(() => true, () => new Response(), 'GET', {
+        priority: 1,
+        activeWhen: () => false,
+      });
+      const activeRoute = new Route(() => true, () => new Response());
+      router.registerRoute(inactiveRoute);
+      router.registerRoute(activeRoute);
+
+      const url = new URL(location.href);
+      const request = new Request(url);
+      const {route} = router.findMatchingRoute({url, request});
+
+      expect(route).to.equal(activeRoute);
+    });
+
+    it(`should treat routes without an isActive() method as active`, function() {
+      const router = new Router();
+      const plainRoute = {
+        match: () => true,
+        handler: {handle: () => new Response()},
+        method: 'GET',
+      };
+      router.registerRoute(plainRoute);
+
+      const url = new URL(location.href);
+      const request = new Request(url);
+      const {route} = router.findMatchingRoute({url, request});
+
+      expect(route).to.equal(plainRoute);
+    });
   });
 });
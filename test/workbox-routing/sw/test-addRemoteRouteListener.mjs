@@ -0,0 +1,41 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {addRemoteRouteListener} from 'workbox-routing/addRemoteRouteListener.mjs';
+import {getOrCreateDefaultRouter} from 'workbox-routing/utils/getOrCreateDefaultRouter.mjs';
+
+describe(`addRemoteRouteListener()`, function() {
+  const sandbox = sinon.createSandbox();
+  let defaultRouter;
+
+  beforeEach(async function() {
+    sandbox.restore();
+
+    // Spy on all added event listeners so they can be removed.
+    sandbox.spy(self, 'addEventListener');
+
+    defaultRouter = getOrCreateDefaultRouter();
+  });
+
+  afterEach(function() {
+    for (const args of self.addEventListener.args) {
+      self.removeEventListener(...args);
+    }
+    sandbox.restore();
+  });
+
+  it(`should call addRemoteRouteListener() on the default router`, function() {
+    sandbox.stub(defaultRouter, 'addRemoteRouteListener');
+
+    const handlers = {maintenance: () => new Response()};
+    addRemoteRouteListener(handlers);
+
+    expect(defaultRouter.addRemoteRouteListener.callCount).to.equal(1);
+    expect(defaultRouter.addRemoteRouteListener.args[0][0]).to.equal(handlers);
+  });
+});
@@ -0,0 +1,123 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {logger} from 'workbox-core/_private/logger.mjs';
+import {matchRequest} from 'workbox-routing/matchRequest.mjs';
+
+
+describe(`matchRequest()`, function() {
+  const SAME_ORIGIN_URL = new URL('https://example.com/path/to/image.png');
+  const CROSS_ORIGIN_URL = new URL('https://cross-origin-example.com/api/data');
+
+  const sandbox = sinon.createSandbox();
+  beforeEach(function() {
+    sandbox.restore();
+    sandbox.stub(self, 'location').value(new URL(SAME_ORIGIN_URL.origin));
+    if (logger) {
+      sandbox.stub(logger, 'debug');
+    }
+  });
+  after(function() {
+    sandbox.restore();
+  });
+
+  // Request objects created in a service worker always have an empty
+  // destination, so use objects with the same interface instead.
+  const createRequest = ({destination = '', mode = 'cors', method = 'GET', headers = {}} = {}) => {
+    return {destination, mode, method, headers: new Headers(headers)};
+  };
+
+  it(`should throw in dev when the criteria isn't an object`, async function() {
+    if (process.env.NODE_ENV === 'production') this.skip();
+
+    await expectError(
+        () => matchRequest('image'),
+        'incorrect-type',
+        (error) => {
+          expect(error.details).to.have.property('moduleName').that.equals('workbox-routing');
+          expect(error.details).to.have.property('funcName').that.equals('matchRequest');
+          expect(error.details).to.have.property('paramName').that.equals('criteria');
+        }
+    );
+  });
+
+  it(`should match everything when no criteria are given`, function() {
+    const match = matchRequest({});
+    expect(match({url: CROSS_ORIGIN_URL, request: createRequest()})).to.be.true;
+  });
+
+  it(`should match on sameOrigin`, function() {
+    const request = createRequest();
+
+    expect(matchRequest({sameOrigin: true})({url: SAME_ORIGIN_URL, request})).to.be.true;
+    expect(matchRequest({sameOrigin: true})({url: CROSS_ORIGIN_URL, request})).to.be.false;
+    expect(matchRequest({sameOrigin: false})({url: CROSS_ORIGIN_URL, request})).to.be.true;
+  });
+
+  it(`should match on origin and pathname strings and RegExps`, function() {
+    const request = createRequest();
+
+    expect(matchRequest({origin: CROSS_ORIGIN_URL.origin})({url: CROSS_ORIGIN_URL, request})).to.be.true;
+    expect(matchRequest({origin: /example\.com$/})({url: CROSS_ORIGIN_URL, request})).to.be.true;
+    expect(matchRequest({pathname: '/api/data'})({url: CROSS_ORIGIN_URL, request})).to.be.true;
+    expect(matchRequest({pathname: /\.png$/})({url: CROSS_ORIGIN_URL, request})).to.be.false;
+  });
+
+  it(`should match on destination, mode and method`, function() {
+    const request = createRequest({destination: 'image', mode: 'no-cors', method: 'HEAD'});
+    const url = SAME_ORIGIN_URL;
+
+    expect(matchRequest({destination: 'image'})({url, request})).to.be.true;
+    expect(matchRequest({destination: ['font', 'image']})({url, request})).to.be.true;
+    expect(matchRequest({destination: 'document'})({url, request})).to.be.false;
+    expect(matchRequest({mode: 'no-cors'})({url, request})).to.be.true;
+    expect(matchRequest({mode: 'navigate'})({url, request})).to.be.false;
+    expect(matchRequest({method: ['GET', 'HEAD']})({url, request})).to.be.true;
+    expect(matchRequest({method: 'GET'})({url, request})).to.be.false;
+  });
+
+  it(`should expose the methods to match, so the Router can register the route for each of them`, function() {
+    expect(matchRequest({method: ['GET', 'HEAD']}).methods).to.deep.equal(['GET', 'HEAD']);
+    expect(matchRequest({method: 'POST'}).methods).to.deep.equal(['POST']);
+    expect(matchRequest({mode: 'navigate'}).methods).to.be.undefined;
+  });
+
+  it(`should match on headers`, function() {
+    const request = createRequest({headers: {accept: 'application/json'}});
+    const url = SAME_ORIGIN_URL;
+
+    expect(matchRequest({headers: {accept: /json/}})({url, request})).to.be.true;
+    expect(matchRequest({headers: {accept: 'application/json'}})({url, request})).to.be.true;
+    expect(matchRequest({headers: {accept: /html/}})({url, request})).to.be.false;
+    expect(matchRequest({headers: {accept: true, authorization: false}})({url, request})).to.be.true;
+    expect(matchRequest({headers: {authorization: true}})({url, request})).to.be.false;
+  });
+
+  it(`should require all criteria to match`, function() {
+    const match = matchRequest({
+      destination: 'image',
+      sameOrigin: true,
+      headers: {accept: /image/},
+    });
+
+    const imageRequest = createRequest({destination: 'image', headers: {accept: 'image/webp'}});
+    expect(match({url: SAME_ORIGIN_URL, request: imageRequest})).to.be.true;
+    expect(match({url: CROSS_ORIGIN_URL, request: imageRequest})).to.be.false;
+    expect(match({url: SAME_ORIGIN_URL, request: createRequest({destination: 'image'})})).to.be.false;
+  });
+
+  it(`should log why a request did not match in dev`, function() {
+    if (process.env.NODE_ENV === 'production') this.skip();
+
+    const request = createRequest({destination: 'script'});
+    matchRequest({destination: 'image'})({url: SAME_ORIGIN_URL, request});
+
+    expect(logger.debug.callCount).to.equal(1);
+    expect(logger.debug.firstCall.args[0]).to.include(`destination was "script"`);
+  });
+});
@@ -8,6 +8,7 @@
 
 import {logger} from 'workbox-core/_private/logger.mjs';
 import {getOrCreateDefaultRouter} from 'workbox-routing/utils/getOrCreateDefaultRouter.mjs';
+import {PathRoute} from 'workbox-routing/PathRoute.mjs';
 import {RegExpRoute} from 'workbox-routing/RegExpRoute.mjs';
 import {registerRoute} from 'workbox-routing/registerRoute.mjs';
 import {Route} from 'workbox-routing/Route.mjs';
@@ -246,6 +247,13 @@ describe(`registerRoute()`, function() {
     expect(handlerSpy.callCount).to.equal(0);
   });
 
+  it(`should pass the priority option to the generated route`, function() {
+    const route = registerRoute(/.*/, sandbox.spy(), 'GET', {priority: 10});
+
+    expect(route.priority).to.equal(10);
+    expect(defaultRouter.getRoutes()[0]).to.equal(route);
+  });
+
   it(`should throw on unexpected capture`, function() {
     return expectError(() => {
       registerRoute([], () => {});
@@ -306,11 +314,50 @@ describe(`registerRoute()`, function() {
     expect(handlerSpy.callCount).to.equal(0);
   });
 
-  it(`should log for express styles routes`, function() {
-    if (process.env.NODE_ENV === 'production') this.skip();
+  it(`should handle an Express-style string and pass named params to the handler`, async function() {
+    const defaultRouter = getOrCreateDefaultRouter();
+    const handlerSpy = sandbox.spy();
+
+    const route = registerRoute('/api/users/:id/posts/:postId?', handlerSpy);
+    expect(route).to.be.an.instanceof(PathRoute);
 
-    registerRoute('/:example/', () => {});
+    const url = new URL('/api/users/123/posts/456', location);
+    const request = new Request(url);
+    const event = new FetchEvent('fetch', {request});
+
+    await defaultRouter.handleRequest({request, event});
+
+    expect(handlerSpy.callCount).to.equal(1);
+    expect(handlerSpy.getCall(0).args[0].params).to.deep.equal({
+      id: '123',
+      postId: '456',
+    });
+
+    sandbox.resetHistory();
+
+    defaultRouter.unregisterRoute(route);
+    await defaultRouter.handleRequest({request, event});
+    expect(handlerSpy.callCount).to.equal(0);
+  });
+
+  it(`should not treat ':' or '*' in the query string or hash as a path pattern`, async function() {
+    const defaultRouter = getOrCreateDefaultRouter();
+    const handlerSpy = sandbox.spy();
+
+    const captures = ['/search?q=a:b', '/search?q=*'];
+    for (const capture of captures) {
+      const route = registerRoute(capture, handlerSpy);
+      expect(route).to.not.be.an.instanceof(PathRoute);
+
+      const request = new Request(new URL(capture, location));
+      const event = new FetchEvent('fetch', {request});
+      await defaultRouter.handleRequest({request, event});
+    }
 
-    expect(logger.debug.callCount).to.be.gt(0);
+    expect(handlerSpy.callCount).to.equal(captures.length);
+    expect(registerRoute('/search#:section', handlerSpy))
+        .to.not.be.an.instanceof(PathRoute);
+    expect(registerRoute('/users/:id?', handlerSpy))
+        .to.be.an.instanceof(PathRoute);
   });
 });
@@ -0,0 +1,44 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {useMiddleware} from 'workbox-routing/useMiddleware.mjs';
+import {getOrCreateDefaultRouter} from 'workbox-routing/utils/getOrCreateDefaultRouter.mjs';
+
+describe(`useMiddleware()`, function() {
+  const sandbox = sinon.createSandbox();
+  let defaultRouter;
+
+  beforeEach(async function() {
+    sandbox.restore();
+
+    // Spy on all added event listeners so they can be removed.
+    sandbox.spy(self, 'addEventListener');
+
+    defaultRouter = getOrCreateDefaultRouter();
+  });
+
+  afterEach(function() {
+    for (const args of self.addEventListener.args) {
+      self.removeEventListener(...args);
+    }
+    sandbox.restore();
+  });
+
+  it(`should call use() on the default router`, function() {
+    const removeMiddleware = () => {};
+    sandbox.stub(defaultRouter, 'use').returns(removeMiddleware);
+
+    const middleware = {requestWillBeHandled: sandbox.spy()};
+    const options = {methods: ['GET']};
+    expect(useMiddleware(middleware, options)).to.equal(removeMiddleware);
+
+    expect(defaultRouter.use.callCount).to.equal(1);
+    expect(defaultRouter.use.args[0][0]).to.equal(middleware);
+    expect(defaultRouter.use.args[0][1]).to.equal(options);
+  });
+});
@@ -12,6 +12,7 @@ import {compareResponses} from '../../../infra/testing/helpers/compareResponses.
 import {eventDoneWaiting, spyOnEvent} from '../../../infra/testing/helpers/extendable-event-utils.mjs';
 import {generateOpaqueResponse} from '../../../infra/testing/helpers/generateOpaqueResponse.mjs';
 import {generateUniqueResponse} from '../../../infra/testing/helpers/generateUniqueResponse.mjs';
+import {sleep} from '../../../infra/testing/helpers/sleep.mjs';
 
 
 describe(`CacheFirst`, function() {
@@ -306,5 +307,68 @@ describe(`CacheFirst`, function() {
       expect(matchStub.calledOnce).to.be.true;
       expect(matchStub.calledWith(request, matchOptions)).to.be.true;
     });
+
+    it(`should share one network request and cache update between concurrent cache misses, when collapseRequests is set`, async function() {
+      const networkResponse = generateUniqueResponse();
+      sandbox.stub(self, 'fetch').callsFake(async () => {
+        await sleep(20);
+        return networkResponse.clone();
+      });
+
+      const plugin = {
+        cacheDidUpdate: sandbox.spy(),
+      };
+      const cacheFirst =
+          new CacheFirst({collapseRequests: true, plugins: [plugin]});
+
+      const request = new Request('http://example.io/test/');
+      const events = [1, 2, 3].map(() => {
+        const event = new FetchEvent('fetch', {request});
+        spyOnEvent(event);
+        return event;
+      });
+
+      const responses = await Promise.all(
+          events.map((event) => cacheFirst.handle({event})));
+      await Promise.all(events.map((event) => eventDoneWaiting(event)));
+
+      expect(self.fetch.callCount).to.equal(1);
+      expect(plugin.cacheDidUpdate.callCount).to.equal(1);
+      for (const response of responses) {
+        await compareResponses(networkResponse, response, true);
+      }
+
+      // Once the first request has finished, another cache miss should make
+      // a new network request.
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.delete(request);
+
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+      await cacheFirst.handle({event});
+      await eventDoneWaiting(event);
+
+      expect(self.fetch.callCount).to.equal(2);
+    });
+
+    it(`should make a network request for each concurrent cache miss by default`, async function() {
+      sandbox.stub(self, 'fetch').callsFake(async () => {
+        await sleep(20);
+        return generateUniqueResponse();
+      });
+
+      const cacheFirst = new CacheFirst();
+      const request = new Request('http://example.io/test/');
+      const events = [1, 2].map(() => {
+        const event = new FetchEvent('fetch', {request});
+        spyOnEvent(event);
+        return event;
+      });
+
+      await Promise.all(events.map((event) => cacheFirst.handle({event})));
+      await Promise.all(events.map((event) => eventDoneWaiting(event)));
+
+      expect(self.fetch.callCount).to.equal(2);
+    });
   });
 });
@@ -0,0 +1,191 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {cacheNames} from 'workbox-core/_private/cacheNames.mjs';
+import {CacheNetworkRace} from 'workbox-strategies/CacheNetworkRace.mjs';
+import {compareResponses} from '../../../infra/testing/helpers/compareResponses.mjs';
+import {eventDoneWaiting, spyOnEvent} from '../../../infra/testing/helpers/extendable-event-utils.mjs';
+import {generateOpaqueResponse} from '../../../infra/testing/helpers/generateOpaqueResponse.mjs';
+import {generateUniqueResponse} from '../../../infra/testing/helpers/generateUniqueResponse.mjs';
+import {sleep} from '../../../infra/testing/helpers/sleep.mjs';
+
+
+describe(`CacheNetworkRace`, function() {
+  const sandbox = sinon.createSandbox();
+
+  beforeEach(async function() {
+    const keys = await caches.keys();
+    await Promise.all(keys.map((key) => caches.delete(key)));
+    sandbox.restore();
+  });
+
+  after(async function() {
+    const keys = await caches.keys();
+    await Promise.all(keys.map((key) => caches.delete(key)));
+    sandbox.restore();
+  });
+
+  describe(`handle()`, function() {
+    it(`should respond with the cached response when the network is slower, and update the cache`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+
+      const cachedResponse = generateUniqueResponse();
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.put(request, cachedResponse.clone());
+
+      const networkResponse = generateUniqueResponse();
+      sandbox.stub(self, 'fetch').callsFake(async () => {
+        await sleep(50);
+        return networkResponse.clone();
+      });
+
+      const cacheNetworkRace = new CacheNetworkRace();
+      const handleResponse = await cacheNetworkRace.handle({event});
+      await compareResponses(cachedResponse, handleResponse, true);
+
+      await eventDoneWaiting(event);
+
+      const updatedResponse = await cache.match(request);
+      await compareResponses(networkResponse, updatedResponse, true);
+    });
+
+    it(`should respond with the network response when the cache is slower`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.put(request, generateUniqueResponse());
+
+      const origMatch = Cache.prototype.match;
+      sandbox.stub(Cache.prototype, 'match').callsFake(async function(...args) {
+        await sleep(50);
+        return origMatch.apply(this, args);
+      });
+
+      const networkResponse = generateUniqueResponse();
+      sandbox.stub(self, 'fetch').resolves(networkResponse.clone());
+
+      const cacheNetworkRace = new CacheNetworkRace();
+      const handleResponse = await cacheNetworkRace.handle({event});
+      await compareResponses(networkResponse, handleResponse, true);
+
+      await eventDoneWaiting(event);
+    });
+
+    it(`should wait for the network response when there's no cached response`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+
+      const networkResponse = generateUniqueResponse();
+      sandbox.stub(self, 'fetch').callsFake(async () => {
+        await sleep(50);
+        return networkResponse.clone();
+      });
+
+      const cacheNetworkRace = new CacheNetworkRace();
+      const handleResponse = await cacheNetworkRace.handle({event});
+      await compareResponses(networkResponse, handleResponse, true);
+
+      await eventDoneWaiting(event);
+
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      const cachedResponse = await cache.match(request);
+      await compareResponses(networkResponse, cachedResponse, true);
+    });
+
+    it(`should wait for the cached response when the network request fails`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+
+      const cachedResponse = generateUniqueResponse();
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.put(request, cachedResponse.clone());
+
+      const origMatch = Cache.prototype.match;
+      sandbox.stub(Cache.prototype, 'match').callsFake(async function(...args) {
+        await sleep(50);
+        return origMatch.apply(this, args);
+      });
+      sandbox.stub(self, 'fetch').rejects(new Error('Injected error.'));
+
+      const cacheNetworkRace = new CacheNetworkRace();
+      const handleResponse = await cacheNetworkRace.handle({event});
+      await compareResponses(cachedResponse, handleResponse, true);
+
+      await eventDoneWaiting(event);
+    });
+
+    it(`should throw when the network request fails and there's no cached response`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+
+      sandbox.stub(self, 'fetch').rejects(new Error('Injected error.'));
+
+      const cacheNetworkRace = new CacheNetworkRace();
+      await expectError(
+          () => cacheNetworkRace.handle({event}),
+          'no-response'
+      );
+
+      await eventDoneWaiting(event);
+    });
+
+    it(`should cache opaque responses by default`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+
+      sandbox.stub(self, 'fetch').resolves(generateOpaqueResponse());
+
+      const cacheNetworkRace = new CacheNetworkRace();
+      const handleResponse = await cacheNetworkRace.handle({event});
+      expect(handleResponse.status).to.equal(0);
+
+      await eventDoneWaiting(event);
+
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      const cachedResponse = await cache.match(request);
+      expect(cachedResponse.status).to.equal(0);
+    });
+
+    it(`should use the plugins, fetchOptions and matchOptions provided`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+
+      sandbox.stub(self, 'fetch').resolves(generateUniqueResponse());
+      const matchSpy = sandbox.spy(Cache.prototype, 'match');
+
+      const plugin = {
+        fetchDidFail: sandbox.spy(),
+        cacheDidUpdate: sandbox.spy(),
+      };
+      const fetchOptions = {credentials: 'include'};
+      const matchOptions = {ignoreSearch: true};
+
+      const cacheNetworkRace = new CacheNetworkRace({
+        plugins: [plugin],
+        fetchOptions,
+        matchOptions,
+      });
+      await cacheNetworkRace.handle({event});
+      await eventDoneWaiting(event);
+
+      expect(plugin.fetchDidFail.callCount).to.equal(0);
+      expect(plugin.cacheDidUpdate.callCount).to.equal(1);
+      expect(self.fetch.calledWith(request, fetchOptions)).to.be.true;
+      expect(matchSpy.calledWith(request, matchOptions)).to.be.true;
+    });
+  });
+});
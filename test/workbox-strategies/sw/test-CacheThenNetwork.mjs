@@ -0,0 +1,186 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {cacheNames} from 'workbox-core/_private/cacheNames.mjs';
+import {CacheThenNetwork} from 'workbox-strategies/CacheThenNetwork.mjs';
+import {compareResponses} from '../../../infra/testing/helpers/compareResponses.mjs';
+import {eventDoneWaiting, spyOnEvent} from '../../../infra/testing/helpers/extendable-event-utils.mjs';
+
+
+describe(`CacheThenNetwork`, function() {
+  const sandbox = sinon.createSandbox();
+
+  beforeEach(async function() {
+    const keys = await caches.keys();
+    await Promise.all(keys.map((key) => caches.delete(key)));
+    sandbox.restore();
+  });
+
+  after(async function() {
+    const keys = await caches.keys();
+    await Promise.all(keys.map((key) => caches.delete(key)));
+    sandbox.restore();
+  });
+
+  const createResponse = (body, etag) => {
+    return new Response(body, {headers: {'etag': etag}});
+  };
+
+  const stubClient = () => {
+    const client = {postMessage: sandbox.spy()};
+    sandbox.stub(self.clients, 'get').resolves(client);
+    return client;
+  };
+
+  describe(`constructor`, function() {
+    it(`should throw when headersToCheck isn't an array`, async function() {
+      if (process.env.NODE_ENV === 'production') this.skip();
+
+      await expectError(
+          () => new CacheThenNetwork({headersToCheck: 'etag'}),
+          'not-an-array'
+      );
+    });
+  });
+
+  describe(`handle()`, function() {
+    it(`should respond with the cached response and post a different network response to the client`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request, clientId: 'client-1'});
+      spyOnEvent(event);
+
+      const cachedResponse = createResponse('cached', '1');
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.put(request, cachedResponse.clone());
+
+      const networkResponse = createResponse('network', '2');
+      sandbox.stub(self, 'fetch').resolves(networkResponse.clone());
+      const client = stubClient();
+
+      const cacheThenNetwork = new CacheThenNetwork();
+      const handleResponse = await cacheThenNetwork.handle({event});
+      await compareResponses(cachedResponse, handleResponse, true);
+
+      await eventDoneWaiting(event);
+
+      expect(self.clients.get.calledOnceWith('client-1')).to.be.true;
+      expect(client.postMessage.callCount).to.equal(1);
+
+      const [message] = client.postMessage.firstCall.args;
+      expect(message.type).to.equal('RESPONSE_UPDATED');
+      expect(message.meta).to.equal('workbox-strategies');
+      expect(message.payload.cacheName).to.equal(cacheNames.getRuntimeName());
+      expect(message.payload.url).to.equal(request.url);
+      expect(message.payload.status).to.equal(200);
+      expect(new TextDecoder().decode(message.payload.body))
+          .to.equal('network');
+
+      const updatedResponse = await cache.match(request);
+      await compareResponses(networkResponse, updatedResponse, true);
+    });
+
+    it(`should not post a message when the network response is the same`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request, clientId: 'client-1'});
+      spyOnEvent(event);
+
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.put(request, createResponse('cached', '1'));
+
+      sandbox.stub(self, 'fetch').resolves(createResponse('network', '1'));
+      const client = stubClient();
+
+      const cacheThenNetwork = new CacheThenNetwork();
+      await cacheThenNetwork.handle({event});
+      await eventDoneWaiting(event);
+
+      expect(client.postMessage.callCount).to.equal(0);
+    });
+
+    it(`should use the headersToCheck option when comparing responses`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request, clientId: 'client-1'});
+      spyOnEvent(event);
+
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.put(request, new Response('cached', {
+        headers: {'etag': '1', 'x-version': '1'},
+      }));
+
+      sandbox.stub(self, 'fetch').resolves(new Response('network', {
+        headers: {'etag': '2', 'x-version': '1'},
+      }));
+      const client = stubClient();
+
+      const cacheThenNetwork = new CacheThenNetwork({
+        headersToCheck: ['x-version'],
+      });
+      await cacheThenNetwork.handle({event});
+      await eventDoneWaiting(event);
+
+      expect(client.postMessage.callCount).to.equal(0);
+    });
+
+    it(`should not post a message when the network request fails`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request, clientId: 'client-1'});
+      spyOnEvent(event);
+
+      const cachedResponse = createResponse('cached', '1');
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.put(request, cachedResponse.clone());
+
+      sandbox.stub(self, 'fetch').rejects(new Error('Injected error.'));
+      const client = stubClient();
+
+      const cacheThenNetwork = new CacheThenNetwork();
+      const handleResponse = await cacheThenNetwork.handle({event});
+      await compareResponses(cachedResponse, handleResponse, true);
+
+      await eventDoneWaiting(event);
+
+      expect(client.postMessage.callCount).to.equal(0);
+    });
+
+    it(`should wait for the network response when there's no cached response`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request, clientId: 'client-1'});
+      spyOnEvent(event);
+
+      const networkResponse = createResponse('network', '1');
+      sandbox.stub(self, 'fetch').resolves(networkResponse.clone());
+      const client = stubClient();
+
+      const cacheThenNetwork = new CacheThenNetwork();
+      const handleResponse = await cacheThenNetwork.handle({event});
+      await compareResponses(networkResponse, handleResponse, true);
+
+      await eventDoneWaiting(event);
+
+      expect(client.postMessage.callCount).to.equal(0);
+
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      const cachedResponse = await cache.match(request);
+      await compareResponses(networkResponse, cachedResponse, true);
+    });
+
+    it(`should throw when the network request fails and there's no cached response`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+
+      sandbox.stub(self, 'fetch').rejects(new Error('Injected error.'));
+
+      const cacheThenNetwork = new CacheThenNetwork();
+      await expectError(
+          () => cacheThenNetwork.handle({event}),
+          'no-response'
+      );
+    });
+  });
+});
@@ -0,0 +1,293 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {networkStatus} from 'workbox-core/_private/networkStatus.mjs';
+import {ConditionalStrategy} from 'workbox-strategies/ConditionalStrategy.mjs';
+import {Strategy} from 'workbox-strategies/Strategy.mjs';
+
+
+describe(`ConditionalStrategy`, function() {
+  const sandbox = sinon.createSandbox();
+
+  let strategy;
+  let constrainedStrategy;
+
+  // `navigator.connection` isn't available in all browsers, so it's shadowed
+  // with an own property rather than stubbed.
+  const stubConnection = (connection) => {
+    Object.defineProperty(navigator, 'connection', {
+      value: connection,
+      configurable: true,
+    });
+  };
+
+  beforeEach(function() {
+    sandbox.restore();
+    networkStatus.reset();
+    stubConnection(undefined);
+
+    strategy = {handle: sandbox.stub().resolves(new Response('default'))};
+    constrainedStrategy = {
+      handle: sandbox.stub().resolves(new Response('constrained')),
+    };
+  });
+
+  after(function() {
+    sandbox.restore();
+    networkStatus.reset();
+    delete navigator.connection;
+  });
+
+  describe(`constructor`, function() {
+    it(`should extend Strategy`, function() {
+      const conditionalStrategy = new ConditionalStrategy({
+        strategy,
+        constrainedStrategy,
+      });
+
+      expect(conditionalStrategy).to.be.an.instanceof(Strategy);
+    });
+
+    it(`should throw in dev if the strategies don't have a handle method`, async function() {
+      if (process.env.NODE_ENV === 'production') this.skip();
+
+      await expectError(() => {
+        new ConditionalStrategy({strategy, constrainedStrategy: {}});
+      }, 'missing-a-method', (err) => {
+        expect(err.details).to.have.property('paramName')
+            .that.equals('options.constrainedStrategy');
+      });
+    });
+
+    it(`should throw in dev if maxFailureRate isn't a number`, async function() {
+      if (process.env.NODE_ENV === 'production') this.skip();
+
+      await expectError(() => {
+        new ConditionalStrategy({
+          strategy,
+          constrainedStrategy,
+          maxFailureRate: '0.5',
+        });
+      }, 'incorrect-type');
+    });
+  });
+
+  describe(`handle()`, function() {
+    it(`should use the default strategy when there are no signals`, async function() {
+      const conditionalStrategy = new ConditionalStrategy({
+        strategy,
+        constrainedStrategy,
+      });
+
+      const request = new Request('/test');
+      const response = await conditionalStrategy.handle({request});
+
+      expect(await response.text()).to.equal('default');
+      expect(strategy.handle.callCount).to.equal(1);
+      expect(strategy.handle.args[0][0].request).to.equal(request);
+      expect(strategy.handle.args[0][0].url.href).to.equal(request.url);
+      expect(constrainedStrategy.handle.callCount).to.equal(0);
+    });
+
+    it(`should use the constrained strategy on a slow effective connection type`, async function() {
+      stubConnection({effectiveType: '2g'});
+
+      const conditionalStrategy = new ConditionalStrategy({
+        strategy,
+        constrainedStrategy,
+      });
+
+      const response = await conditionalStrategy.handle({
+        request: new Request('/test'),
+      });
+
+      expect(await response.text()).to.equal('constrained');
+    });
+
+    it(`should use the configured constrainedEffectiveTypes`, async function() {
+      stubConnection({effectiveType: '3g'});
+
+      const conditionalStrategy = new ConditionalStrategy({
+        strategy,
+        constrainedStrategy,
+        constrainedEffectiveTypes: ['2g', '3g'],
+      });
+
+      const response = await conditionalStrategy.handle({
+        request: new Request('/test'),
+      });
+
+      expect(await response.text()).to.equal('constrained');
+    });
+
+    it(`should use the constrained strategy when saveData is set, unless respectSaveData is false`, async function() {
+      stubConnection({effectiveType: '4g', saveData: true});
+
+      const respectingStrategy = new ConditionalStrategy({
+        strategy,
+        constrainedStrategy,
+      });
+      const ignoringStrategy = new ConditionalStrategy({
+        strategy,
+        constrainedStrategy,
+        respectSaveData: false,
+      });
+
+      const response1 = await respectingStrategy.handle({
+        request: new Request('/test'),
+      });
+      const response2 = await ignoringStrategy.handle({
+        request: new Request('/test'),
+      });
+
+      expect(await response1.text()).to.equal('constrained');
+      expect(await response2.text()).to.equal('default');
+    });
+
+    it(`should use the constrained strategy when the recent failure rate is above maxFailureRate`, async function() {
+      for (let i = 0; i < 4; i++) {
+        networkStatus.recordFetch(false);
+      }
+      networkStatus.recordFetch(true);
+
+      const conditionalStrategy = new ConditionalStrategy({
+        strategy,
+        constrainedStrategy,
+      });
+      const tolerantStrategy = new ConditionalStrategy({
+        strategy,
+        constrainedStrategy,
+        maxFailureRate: 0.9,
+      });
+
+      const response1 = await conditionalStrategy.handle({
+        request: new Request('/test'),
+      });
+      const response2 = await tolerantStrategy.handle({
+        request: new Request('/test'),
+      });
+
+      expect(await response1.text()).to.equal('constrained');
+      expect(await response2.text()).to.equal('default');
+    });
+
+    it(`should forget failures once they're no longer recent`, async function() {
+      const clock = sandbox.useFakeTimers({now: Date.now(), toFake: ['Date']});
+      for (let i = 0; i < 5; i++) {
+        networkStatus.recordFetch(false);
+      }
+
+      const conditionalStrategy = new ConditionalStrategy({
+        strategy,
+        constrainedStrategy,
+      });
+
+      const response1 = await conditionalStrategy.handle({
+        request: new Request('/test'),
+      });
+      clock.tick(2 * 60 * 1000 + 1);
+      const response2 = await conditionalStrategy.handle({
+        request: new Request('/test'),
+      });
+
+      expect(await response1.text()).to.equal('constrained');
+      expect(await response2.text()).to.equal('default');
+    });
+
+    it(`should ignore the failure rate until enough requests have been made`, async function() {
+      networkStatus.recordFetch(false);
+
+      const conditionalStrategy = new ConditionalStrategy({
+        strategy,
+        constrainedStrategy,
+      });
+
+      const response = await conditionalStrategy.handle({
+        request: new Request('/test'),
+      });
+
+      expect(await response.text()).to.equal('default');
+    });
+
+    it(`should let a predicate override the decision`, async function() {
+      stubConnection({effectiveType: '2g', saveData: false});
+      const predicate = sandbox.stub().returns(false);
+
+      const conditionalStrategy = new ConditionalStrategy({
+        strategy,
+        constrainedStrategy,
+        predicate,
+      });
+
+      const request = new Request('/test');
+      const response = await conditionalStrategy.handle({request});
+
+      expect(await response.text()).to.equal('default');
+      expect(predicate.callCount).to.equal(1);
+      expect(predicate.args[0][0]).to.deep.include({
+        request,
+        effectiveType: '2g',
+        saveData: false,
+        failureRate: undefined,
+        isConstrained: true,
+      });
+    });
+
+    it(`should use the built-in decision when the predicate doesn't return a boolean`, async function() {
+      stubConnection({effectiveType: 'slow-2g'});
+
+      const conditionalStrategy = new ConditionalStrategy({
+        strategy,
+        constrainedStrategy,
+        predicate: () => undefined,
+      });
+
+      const response = await conditionalStrategy.handle({
+        request: new Request('/test'),
+      });
+
+      expect(await response.text()).to.equal('constrained');
+    });
+  });
+
+  describe(`plugins`, function() {
+    it(`should run its plugins around the chosen strategy`, async function() {
+      const handlerWillRespond = sandbox.stub().callsFake(
+          () => new Response('plugin'));
+      const conditionalStrategy = new ConditionalStrategy({
+        strategy,
+        constrainedStrategy,
+        plugins: [{handlerWillRespond}],
+      });
+
+      const response = await conditionalStrategy.handle({
+        request: new Request('/test'),
+      });
+
+      expect(await response.text()).to.equal('plugin');
+      expect(handlerWillRespond.callCount).to.equal(1);
+      expect(await handlerWillRespond.args[0][0].response.text())
+          .to.equal('default');
+    });
+  });
+
+  describe(`makeRequest()`, function() {
+    it(`should accept a URL string`, async function() {
+      const conditionalStrategy = new ConditionalStrategy({
+        strategy,
+        constrainedStrategy,
+      });
+
+      await conditionalStrategy.makeRequest({request: '/test'});
+
+      expect(strategy.handle.callCount).to.equal(1);
+      expect(strategy.handle.args[0][0].request.url)
+          .to.equal(`${location.origin}/test`);
+    });
+  });
+});
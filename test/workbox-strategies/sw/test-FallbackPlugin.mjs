@@ -0,0 +1,136 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {cacheNames} from 'workbox-core/_private/cacheNames.mjs';
+import {getCacheKeyForURL} from 'workbox-precaching/getCacheKeyForURL.mjs';
+import {precache} from 'workbox-precaching/precache.mjs';
+import {FallbackPlugin} from 'workbox-strategies/FallbackPlugin.mjs';
+import {NetworkOnly} from 'workbox-strategies/NetworkOnly.mjs';
+
+
+describe(`FallbackPlugin`, function() {
+  const sandbox = sinon.createSandbox();
+
+  const fallbacks = {
+    document: '/offline.html',
+    image: '/offline.svg',
+    json: '/offline.json',
+  };
+
+  beforeEach(async function() {
+    const keys = await caches.keys();
+    await Promise.all(keys.map((key) => caches.delete(key)));
+    sandbox.restore();
+
+    // Spy on all added event listeners so they can be removed.
+    sandbox.spy(self, 'addEventListener');
+
+    precache([
+      {url: '/offline.html', revision: '1'},
+      {url: '/offline.svg', revision: '1'},
+      '/offline.json',
+    ]);
+    const cache = await caches.open(cacheNames.getPrecacheName());
+    for (const url of Object.values(fallbacks)) {
+      await cache.put(getCacheKeyForURL(url), new Response(url));
+    }
+  });
+
+  afterEach(async function() {
+    for (const args of self.addEventListener.args) {
+      self.removeEventListener(...args);
+    }
+    sandbox.restore();
+
+    const keys = await caches.keys();
+    await Promise.all(keys.map((key) => caches.delete(key)));
+  });
+
+  describe(`handlerDidError`, function() {
+    it(`should respond with the precached fallback for the request's destination`, async function() {
+      const plugin = new FallbackPlugin(fallbacks);
+      sandbox.stub(plugin, '_getFallbackURL').returns('/offline.svg');
+
+      const request = new Request('/image.png');
+      const response = await plugin.handlerDidError({request});
+
+      expect(plugin._getFallbackURL.calledOnceWith(request)).to.be.true;
+      expect(await response.text()).to.equal('/offline.svg');
+    });
+
+    it(`should look up fallbacks that aren't precached by URL`, async function() {
+      const cache = await caches.open('other-cache');
+      await cache.put('/not-precached.html', new Response('not precached'));
+
+      const plugin = new FallbackPlugin({document: '/not-precached.html'});
+      const response = await plugin.handlerDidError({
+        request: new Request('/', {headers: {accept: 'text/html'}}),
+      });
+
+      expect(await response.text()).to.equal('not precached');
+    });
+
+    it(`should not return a response when there's no fallback for the request`, async function() {
+      const plugin = new FallbackPlugin({document: '/offline.html'});
+      const response = await plugin.handlerDidError({
+        request: new Request('/data', {headers: {accept: 'application/json'}}),
+      });
+
+      expect(response).to.not.exist;
+    });
+
+    it(`should be used by strategies when they're unable to respond`, async function() {
+      sandbox.stub(self, 'fetch').rejects(new Error('Injected error.'));
+
+      const request = new Request('/api/data', {
+        headers: {accept: 'application/json'},
+      });
+      const event = new FetchEvent('fetch', {request});
+      const networkOnly = new NetworkOnly({
+        plugins: [new FallbackPlugin(fallbacks)],
+      });
+      const response = await networkOnly.handle({event, request});
+
+      expect(await response.text()).to.equal('/offline.json');
+    });
+  });
+
+  describe(`_getFallbackURL`, function() {
+    it(`should use the document fallback for navigations`, async function() {
+      const plugin = new FallbackPlugin(fallbacks);
+      const request = new Request('/');
+      Object.defineProperty(request, 'mode', {value: 'navigate'});
+
+      expect(plugin._getFallbackURL(request)).to.equal('/offline.html');
+    });
+
+    it(`should use the fallback for the request's destination`, async function() {
+      const plugin = new FallbackPlugin(fallbacks);
+      const image = new Request('/image.png');
+      Object.defineProperty(image, 'destination', {value: 'image'});
+      expect(plugin._getFallbackURL(image)).to.equal('/offline.svg');
+
+      const font = new Request('/font.woff2');
+      Object.defineProperty(font, 'destination', {value: 'font'});
+      expect(plugin._getFallbackURL(font)).to.be.undefined;
+    });
+
+    it(`should use the Accept header for requests without a destination`, async function() {
+      const plugin = new FallbackPlugin(fallbacks);
+      const urlFor = (accept) => plugin._getFallbackURL(
+          new Request('/', {headers: {accept}}));
+
+      expect(urlFor('application/json')).to.equal('/offline.json');
+      expect(urlFor('application/vnd.api+json')).to.equal('/offline.json');
+      expect(urlFor('text/html,application/xhtml+xml'))
+          .to.equal('/offline.html');
+      expect(urlFor('image/webp,*/*')).to.equal('/offline.svg');
+      expect(urlFor('text/plain')).to.be.undefined;
+    });
+  });
+});
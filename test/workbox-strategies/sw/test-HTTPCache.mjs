@@ -0,0 +1,372 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {cacheNames} from 'workbox-core/_private/cacheNames.mjs';
+import {HTTPCache} from 'workbox-strategies/HTTPCache.mjs';
+import {eventDoneWaiting, spyOnEvent} from '../../../infra/testing/helpers/extendable-event-utils.mjs';
+
+
+describe(`HTTPCache`, function() {
+  const sandbox = sinon.createSandbox();
+  // Conditional requests are only made for same-origin URLs.
+  const url = new URL('/test/', location.href).href;
+
+  const secondsAgo = (seconds) => {
+    return new Date(Date.now() - (seconds * 1000)).toUTCString();
+  };
+
+  const putInCache = async (body, headers, cacheKey = url) => {
+    const cache = await caches.open(cacheNames.getRuntimeName());
+    await cache.put(cacheKey, new Response(body, {headers}));
+  };
+
+  const handle = async (strategy, request = new Request(url)) => {
+    const event = new FetchEvent('fetch', {request});
+    spyOnEvent(event);
+
+    const response = await strategy.handle({event, request});
+    await eventDoneWaiting(event);
+    return response;
+  };
+
+  beforeEach(async function() {
+    const keys = await caches.keys();
+    await Promise.all(keys.map((key) => caches.delete(key)));
+    sandbox.restore();
+  });
+
+  after(async function() {
+    const keys = await caches.keys();
+    await Promise.all(keys.map((key) => caches.delete(key)));
+    sandbox.restore();
+  });
+
+  describe(`handle()`, function() {
+    it(`should fetch and cache the response on a cache miss, adding a Date header`, async function() {
+      sandbox.stub(self, 'fetch').resolves(new Response('from network', {
+        headers: {'cache-control': 'max-age=60'},
+      }));
+
+      const response = await handle(new HTTPCache());
+      expect(await response.text()).to.equal('from network');
+
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      const cachedResponse = await cache.match(url);
+      expect(await cachedResponse.text()).to.equal('from network');
+      expect(cachedResponse.headers.has('date')).to.be.true;
+    });
+
+    it(`should use a cached response while it's fresh, based on max-age`, async function() {
+      sandbox.stub(self, 'fetch').resolves(new Response('from network'));
+      await putInCache('from cache', {
+        'cache-control': 'max-age=60',
+        'date': secondsAgo(30),
+      });
+
+      const response = await handle(new HTTPCache());
+
+      expect(await response.text()).to.equal('from cache');
+      expect(self.fetch.callCount).to.equal(0);
+    });
+
+    it(`should take the Age header into account`, async function() {
+      sandbox.stub(self, 'fetch').resolves(new Response('from network'));
+      await putInCache('from cache', {
+        'cache-control': 'max-age=60',
+        'date': secondsAgo(30),
+        'age': '40',
+      });
+
+      const response = await handle(new HTTPCache());
+
+      expect(await response.text()).to.equal('from network');
+      expect(self.fetch.callCount).to.equal(1);
+    });
+
+    it(`should use a cached response while it's fresh, based on Expires`, async function() {
+      sandbox.stub(self, 'fetch').resolves(new Response('from network'));
+      await putInCache('from cache', {
+        'date': secondsAgo(30),
+        'expires': new Date(Date.now() + 30 * 1000).toUTCString(),
+      });
+
+      const response = await handle(new HTTPCache());
+
+      expect(await response.text()).to.equal('from cache');
+      expect(self.fetch.callCount).to.equal(0);
+    });
+
+    it(`should use a heuristic freshness lifetime based on Last-Modified`, async function() {
+      sandbox.stub(self, 'fetch').resolves(new Response('from network'));
+      // Last modified 1000 seconds before the response was generated, so it's
+      // fresh for 100 seconds.
+      await putInCache('from cache', {
+        'date': secondsAgo(50),
+        'last-modified': secondsAgo(1050),
+      });
+
+      const response = await handle(new HTTPCache());
+
+      expect(await response.text()).to.equal('from cache');
+      expect(self.fetch.callCount).to.equal(0);
+    });
+
+    it(`should revalidate a stale response with If-None-Match and If-Modified-Since, and update its headers on a 304`, async function() {
+      const lastModified = secondsAgo(1000);
+      await putInCache('from cache', {
+        'cache-control': 'max-age=60',
+        'date': secondsAgo(120),
+        'etag': '"abc"',
+        'last-modified': lastModified,
+        'x-custom': 'old',
+      });
+      sandbox.stub(self, 'fetch').resolves(new Response(null, {
+        status: 304,
+        headers: {'x-custom': 'new'},
+      }));
+
+      const response = await handle(new HTTPCache());
+
+      expect(self.fetch.callCount).to.equal(1);
+      const networkRequest = self.fetch.args[0][0];
+      expect(networkRequest.headers.get('if-none-match')).to.equal('"abc"');
+      expect(networkRequest.headers.get('if-modified-since'))
+          .to.equal(lastModified);
+
+      expect(response.status).to.equal(200);
+      expect(await response.text()).to.equal('from cache');
+      expect(response.headers.get('x-custom')).to.equal('new');
+
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      const cachedResponse = await cache.match(url);
+      expect(await cachedResponse.text()).to.equal('from cache');
+      expect(cachedResponse.headers.get('x-custom')).to.equal('new');
+      expect(cachedResponse.headers.get('etag')).to.equal('"abc"');
+
+      // The refreshed Date means the response is fresh again.
+      await handle(new HTTPCache());
+      expect(self.fetch.callCount).to.equal(1);
+    });
+
+    it(`should keep the request's mode when revalidating`, async function() {
+      await putInCache('from cache', {
+        'cache-control': 'max-age=60',
+        'date': secondsAgo(120),
+        'etag': '"abc"',
+      });
+      sandbox.stub(self, 'fetch').resolves(new Response(null, {status: 304}));
+
+      await handle(new HTTPCache(), new Request(url, {mode: 'same-origin'}));
+
+      const networkRequest = self.fetch.args[0][0];
+      expect(networkRequest.mode).to.equal('same-origin');
+      expect(networkRequest.headers.get('if-none-match')).to.equal('"abc"');
+    });
+
+    it(`should revalidate no-cors and cross-origin requests without conditional headers`, async function() {
+      const crossOriginURL = 'https://cross-origin.example.com/test/';
+      const headers = {
+        'cache-control': 'max-age=60',
+        'date': secondsAgo(120),
+        'etag': '"abc"',
+      };
+      await putInCache('from cache', headers);
+      await putInCache('from cache', headers, crossOriginURL);
+      sandbox.stub(self, 'fetch').callsFake(async () => {
+        return new Response('from network');
+      });
+
+      const noCorsRequest = new Request(url, {mode: 'no-cors'});
+      const crossOriginRequest = new Request(crossOriginURL);
+      const noCorsResponse = await handle(new HTTPCache(), noCorsRequest);
+      const crossOriginResponse =
+          await handle(new HTTPCache(), crossOriginRequest);
+
+      expect(self.fetch.callCount).to.equal(2);
+      for (const [networkRequest] of self.fetch.args) {
+        expect(networkRequest.headers.has('if-none-match')).to.be.false;
+      }
+      expect(self.fetch.args[0][0].mode).to.equal('no-cors');
+      expect(self.fetch.args[1][0].url).to.equal(crossOriginURL);
+      expect(await noCorsResponse.text()).to.equal('from network');
+      expect(await crossOriginResponse.text()).to.equal('from network');
+    });
+
+    it(`should replace a stale response when revalidation returns a new response`, async function() {
+      await putInCache('from cache', {
+        'cache-control': 'max-age=60',
+        'date': secondsAgo(120),
+        'etag': '"abc"',
+      });
+      sandbox.stub(self, 'fetch').resolves(new Response('from network', {
+        headers: {'etag': '"def"'},
+      }));
+
+      const response = await handle(new HTTPCache());
+      expect(await response.text()).to.equal('from network');
+
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      const cachedResponse = await cache.match(url);
+      expect(await cachedResponse.text()).to.equal('from network');
+    });
+
+    it(`should always revalidate responses with no-cache`, async function() {
+      await putInCache('from cache', {
+        'cache-control': 'no-cache, max-age=60',
+        'date': secondsAgo(0),
+        'etag': '"abc"',
+      });
+      sandbox.stub(self, 'fetch').resolves(new Response(null, {status: 304}));
+
+      const response = await handle(new HTTPCache());
+
+      expect(self.fetch.callCount).to.equal(1);
+      expect(await response.text()).to.equal('from cache');
+    });
+
+    it(`should revalidate when the request has no-cache or a lower max-age`, async function() {
+      await putInCache('from cache', {
+        'cache-control': 'max-age=60',
+        'date': secondsAgo(30),
+        'etag': '"abc"',
+      });
+      sandbox.stub(self, 'fetch').resolves(new Response(null, {status: 304}));
+
+      await handle(new HTTPCache(), new Request(url, {
+        headers: {'cache-control': 'no-cache'},
+      }));
+      expect(self.fetch.callCount).to.equal(1);
+
+      await handle(new HTTPCache(), new Request(url, {
+        headers: {'cache-control': 'max-age=0'},
+      }));
+      expect(self.fetch.callCount).to.equal(2);
+    });
+
+    it(`should use a stale response within its stale-while-revalidate window, and revalidate it in the background`, async function() {
+      await putInCache('from cache', {
+        'cache-control': 'max-age=60, stale-while-revalidate=120',
+        'date': secondsAgo(120),
+      });
+      sandbox.stub(self, 'fetch').resolves(new Response('from network', {
+        headers: {'cache-control': 'max-age=60'},
+      }));
+
+      const response = await handle(new HTTPCache());
+
+      expect(await response.text()).to.equal('from cache');
+      expect(self.fetch.callCount).to.equal(1);
+
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      const cachedResponse = await cache.match(url);
+      expect(await cachedResponse.text()).to.equal('from network');
+    });
+
+    it(`should use a stale response with a Warning header when revalidation fails`, async function() {
+      await putInCache('from cache', {
+        'cache-control': 'max-age=60',
+        'date': secondsAgo(120),
+      });
+      sandbox.stub(self, 'fetch').rejects(new Error('Injected error.'));
+
+      const response = await handle(new HTTPCache());
+
+      expect(await response.text()).to.equal('from cache');
+      expect(response.headers.get('warning'))
+          .to.equal('110 - "Response is Stale"');
+    });
+
+    it(`should throw when revalidation fails for a response with must-revalidate`, async function() {
+      await putInCache('from cache', {
+        'cache-control': 'max-age=60, must-revalidate',
+        'date': secondsAgo(120),
+      });
+      sandbox.stub(self, 'fetch').rejects(new Error('Injected error.'));
+
+      const request = new Request(url);
+      const event = new FetchEvent('fetch', {request});
+      await expectError(
+          () => new HTTPCache().handle({event, request}),
+          'no-response'
+      );
+    });
+
+    it(`should not cache responses with no-store`, async function() {
+      sandbox.stub(self, 'fetch').resolves(new Response('from network', {
+        headers: {'cache-control': 'no-store'},
+      }));
+
+      const response = await handle(new HTTPCache());
+      expect(await response.text()).to.equal('from network');
+
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      expect(await cache.match(url)).to.be.undefined;
+    });
+
+    it(`should not split quoted directive values on commas`, async function() {
+      sandbox.stub(self, 'fetch').resolves(new Response('from network', {
+        headers: {'cache-control': 'private="set-cookie, no-store", max-age=60'},
+      }));
+
+      await handle(new HTTPCache());
+
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      const cachedResponse = await cache.match(url);
+      expect(await cachedResponse.text()).to.equal('from network');
+    });
+
+    it(`should bypass the cache for requests with no-store`, async function() {
+      await putInCache('from cache', {
+        'cache-control': 'max-age=60',
+        'date': secondsAgo(0),
+      });
+      sandbox.stub(self, 'fetch').resolves(new Response('from network'));
+
+      const response = await handle(new HTTPCache(), new Request(url, {
+        headers: {'cache-control': 'no-store'},
+      }));
+      expect(await response.text()).to.equal('from network');
+
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      const cachedResponse = await cache.match(url);
+      expect(await cachedResponse.text()).to.equal('from cache');
+    });
+
+    it(`should not cache responses that vary on *`, async function() {
+      sandbox.stub(self, 'fetch').resolves(new Response('from network', {
+        headers: {'cache-control': 'max-age=60', 'vary': '*'},
+      }));
+
+      await handle(new HTTPCache());
+
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      expect(await cache.match(url)).to.be.undefined;
+    });
+
+    it(`should only use cached responses whose Vary headers match the request`, async function() {
+      sandbox.stub(self, 'fetch').callsFake(async (request) => {
+        const language = request.headers.get('accept-language');
+        return new Response(`in ${language}`, {
+          headers: {'cache-control': 'max-age=60', 'vary': 'accept-language'},
+        });
+      });
+
+      const httpCache = new HTTPCache();
+      const english = await handle(httpCache, new Request(url, {
+        headers: {'accept-language': 'en'},
+      }));
+      expect(await english.text()).to.equal('in en');
+
+      const french = await handle(httpCache, new Request(url, {
+        headers: {'accept-language': 'fr'},
+      }));
+      expect(await french.text()).to.equal('in fr');
+      expect(self.fetch.callCount).to.equal(2);
+    });
+  });
+});
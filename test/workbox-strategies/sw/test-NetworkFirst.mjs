@@ -200,6 +200,180 @@ describe(`NetworkFirst`, function() {
       });
     });
 
+    it(`should add a stale Warning header to cached responses used in place of a network response when maxStaleSeconds is set`, async function() {
+      sandbox.stub(self, 'fetch').rejects(new Error('Injected error.'));
+
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+
+      const injectedResponse = new Response('response body', {
+        headers: {'x-custom': 'value'},
+      });
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.put(request, injectedResponse.clone());
+
+      const networkFirst = new NetworkFirst({maxStaleSeconds: 60});
+      const handleResponse = await networkFirst.handle({event});
+
+      await compareResponses(injectedResponse, handleResponse, true);
+      expect(handleResponse.headers.get('warning'))
+          .to.equal('110 - "Response is Stale"');
+      expect(handleResponse.headers.get('x-custom')).to.equal('value');
+    });
+
+    it(`should return cached responses unchanged when maxStaleSeconds isn't set`, async function() {
+      sandbox.stub(self, 'fetch').rejects(new Error('Injected error.'));
+
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.put(request, new Response('response body'));
+
+      const networkFirst = new NetworkFirst();
+      const handleResponse = await networkFirst.handle({event});
+
+      expect(handleResponse.headers.has('warning')).to.be.false;
+    });
+
+    it(`should return the cached response when the network response has one of the failureStatuses`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+
+      const injectedResponse = new Response('response body');
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.put(request, injectedResponse.clone());
+
+      sandbox.stub(self, 'fetch').resolves(
+          new Response('server error', {status: 503}));
+
+      const networkFirst = new NetworkFirst({failureStatuses: [500, 503]});
+      const handleResponse = await networkFirst.handle({event});
+      await eventDoneWaiting(event);
+
+      await compareResponses(injectedResponse, handleResponse, true);
+
+      // The cache shouldn't have been updated.
+      const cachedResponse = await cache.match(request);
+      await compareResponses(injectedResponse, cachedResponse, true);
+    });
+
+    it(`should return the network response when it has one of the failureStatuses, but there is no cached response`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+
+      const networkResponse = new Response('server error', {status: 500});
+      sandbox.stub(self, 'fetch').resolves(networkResponse);
+
+      const networkFirst = new NetworkFirst({failureStatuses: [500]});
+      const handleResponse = await networkFirst.handle({event});
+
+      expect(handleResponse).to.equal(networkResponse);
+    });
+
+    it(`should return network responses with other statuses as-is`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.put(request, new Response('response body'));
+
+      const networkResponse = new Response('not found', {status: 404});
+      sandbox.stub(self, 'fetch').resolves(networkResponse);
+
+      const networkFirst = new NetworkFirst({failureStatuses: [500]});
+      const handleResponse = await networkFirst.handle({event});
+
+      expect(handleResponse).to.equal(networkResponse);
+    });
+
+    it(`should not use cached responses older than maxStaleSeconds`, async function() {
+      sandbox.stub(self, 'fetch').rejects(new Error('Injected error.'));
+
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.put(request, new Response('response body', {
+        headers: {date: new Date(Date.now() - 120 * 1000).toUTCString()},
+      }));
+
+      const networkFirst = new NetworkFirst({maxStaleSeconds: 60});
+      await expectError(
+          () => networkFirst.handle({event}),
+          'no-response'
+      );
+    });
+
+    it(`should use cached responses newer than maxStaleSeconds, or without a Date header`, async function() {
+      sandbox.stub(self, 'fetch').rejects(new Error('Injected error.'));
+
+      const recentRequest = new Request('http://example.io/recent/');
+      const undatedRequest = new Request('http://example.io/undated/');
+
+      const recentResponse = new Response('recent', {
+        headers: {date: new Date(Date.now() - 30 * 1000).toUTCString()},
+      });
+      const undatedResponse = new Response('undated');
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.put(recentRequest, recentResponse.clone());
+      await cache.put(undatedRequest, undatedResponse.clone());
+
+      const networkFirst = new NetworkFirst({maxStaleSeconds: 60});
+
+      const firstResponse = await networkFirst.handle({
+        event: new FetchEvent('fetch', {request: recentRequest}),
+      });
+      await compareResponses(recentResponse, firstResponse, true);
+
+      const secondResponse = await networkFirst.handle({
+        event: new FetchEvent('fetch', {request: undatedRequest}),
+      });
+      await compareResponses(undatedResponse, secondResponse, true);
+    });
+
+    it(`should throw when NetworkFirst() is called with an invalid failureStatuses parameter`, function() {
+      if (process.env.NODE_ENV === 'production') this.skip();
+
+      return expectError(() => new NetworkFirst({failureStatuses: 500}), 'not-an-array', (err) => {
+        expect(err.details.paramName).to.deep.equal('failureStatuses');
+      });
+    });
+
+    it(`should throw when NetworkFirst() is called with an invalid maxStaleSeconds parameter`, function() {
+      if (process.env.NODE_ENV === 'production') this.skip();
+
+      return expectError(() => new NetworkFirst({maxStaleSeconds: 'invalid'}), 'incorrect-type', (err) => {
+        expect(err.details.paramName).to.deep.equal('maxStaleSeconds');
+        expect(err.details.expectedType).to.deep.equal('number');
+      });
+    });
+
+    it(`should not start retries after networkTimeoutSeconds`, async function() {
+      sandbox.stub(self, 'fetch').rejects(new Error('Injected error.'));
+
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+
+      const injectedResponse = new Response('response body');
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.put(request, injectedResponse.clone());
+
+      const networkFirst = new NetworkFirst({
+        networkTimeoutSeconds: 0.14,
+        retry: {maxAttempts: 10, delaySeconds: 0.05, backoffFactor: 1, jitter: 0},
+      });
+      const handleResponse = await networkFirst.handle({event});
+      await compareResponses(injectedResponse, handleResponse, true);
+
+      // Give any further retries a chance to happen.
+      await sleep(200);
+
+      // Attempts at 0ms, 50ms and 100ms. The next would be after the timeout.
+      expect(self.fetch.callCount).to.equal(3);
+    });
+
     it(`should return the network response and update the cache when the network request succeeds`, async function() {
       const request = new Request('http://example.io/test/');
       const event = new FetchEvent('fetch', {request});
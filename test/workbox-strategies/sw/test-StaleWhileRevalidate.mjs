@@ -12,6 +12,7 @@ import {compareResponses} from '../../../infra/testing/helpers/compareResponses.
 import {eventDoneWaiting, spyOnEvent} from '../../../infra/testing/helpers/extendable-event-utils.mjs';
 import {generateOpaqueResponse} from '../../../infra/testing/helpers/generateOpaqueResponse.mjs';
 import {generateUniqueResponse} from '../../../infra/testing/helpers/generateUniqueResponse.mjs';
+import {sleep} from '../../../infra/testing/helpers/sleep.mjs';
 
 
 describe(`StaleWhileRevalidate`, function() {
@@ -219,5 +220,170 @@ describe(`StaleWhileRevalidate`, function() {
           'no-response'
       );
     });
+
+    it(`should not update the cache when the cached response is newer than revalidateAfterSeconds`, async function() {
+      sandbox.stub(self, 'fetch').resolves(generateUniqueResponse());
+
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+
+      const cachedResponse = generateUniqueResponse({
+        headers: {date: new Date(Date.now() - 30 * 1000).toUTCString()},
+      });
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.put(request, cachedResponse.clone());
+
+      const staleWhileRevalidate =
+          new StaleWhileRevalidate({revalidateAfterSeconds: 60});
+      const handleResponse = await staleWhileRevalidate.handle({event});
+      await eventDoneWaiting(event);
+
+      await compareResponses(cachedResponse, handleResponse, true);
+      expect(self.fetch.callCount).to.equal(0);
+    });
+
+    it(`should update the cache when the cached response is older than revalidateAfterSeconds`, async function() {
+      const networkResponse = generateUniqueResponse();
+      sandbox.stub(self, 'fetch').resolves(networkResponse.clone());
+
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+
+      const cachedResponse = generateUniqueResponse({
+        headers: {date: new Date(Date.now() - 120 * 1000).toUTCString()},
+      });
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.put(request, cachedResponse.clone());
+
+      const staleWhileRevalidate =
+          new StaleWhileRevalidate({revalidateAfterSeconds: 60});
+      const handleResponse = await staleWhileRevalidate.handle({event});
+      await eventDoneWaiting(event);
+
+      await compareResponses(cachedResponse, handleResponse, true);
+      expect(self.fetch.callCount).to.equal(1);
+
+      // The updated response should have been given a Date header, so that
+      // it isn't updated again straight away.
+      const updatedResponse = await cache.match(request);
+      await compareResponses(networkResponse, updatedResponse, true);
+      expect(updatedResponse.headers.has('date')).to.be.true;
+
+      await staleWhileRevalidate.handle({event});
+      await eventDoneWaiting(event);
+      expect(self.fetch.callCount).to.equal(1);
+    });
+
+    it(`should not start a background update while one is in progress, when throttleRevalidations is set`, async function() {
+      let resolveFetch;
+      sandbox.stub(self, 'fetch').callsFake(() => {
+        return new Promise((resolve) => resolveFetch = resolve);
+      });
+
+      const request = new Request('http://example.io/test/');
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.put(request, generateUniqueResponse());
+
+      const staleWhileRevalidate =
+          new StaleWhileRevalidate({throttleRevalidations: true});
+
+      const firstEvent = new FetchEvent('fetch', {request});
+      spyOnEvent(firstEvent);
+      await staleWhileRevalidate.handle({event: firstEvent});
+
+      const secondEvent = new FetchEvent('fetch', {request});
+      spyOnEvent(secondEvent);
+      await staleWhileRevalidate.handle({event: secondEvent});
+
+      expect(self.fetch.callCount).to.equal(1);
+
+      resolveFetch(generateUniqueResponse());
+      await eventDoneWaiting(firstEvent);
+      await eventDoneWaiting(secondEvent);
+
+      // Once the update has finished, the next request starts a new one.
+      const thirdEvent = new FetchEvent('fetch', {request});
+      spyOnEvent(thirdEvent);
+      await staleWhileRevalidate.handle({event: thirdEvent});
+
+      expect(self.fetch.callCount).to.equal(2);
+
+      resolveFetch(generateUniqueResponse());
+      await eventDoneWaiting(thirdEvent);
+    });
+
+    it(`should throw when StaleWhileRevalidate() is called with an invalid revalidateAfterSeconds parameter`, function() {
+      if (process.env.NODE_ENV === 'production') this.skip();
+
+      return expectError(() => new StaleWhileRevalidate({revalidateAfterSeconds: 'invalid'}), 'incorrect-type', (err) => {
+        expect(err.details.paramName).to.deep.equal('revalidateAfterSeconds');
+        expect(err.details.expectedType).to.deep.equal('number');
+      });
+    });
+
+    it(`should share one network request and cache update between concurrent cache misses, when collapseRequests is set`, async function() {
+      const networkResponse = generateUniqueResponse();
+      sandbox.stub(self, 'fetch').callsFake(async () => {
+        await sleep(20);
+        return networkResponse.clone();
+      });
+
+      const plugin = {
+        cacheDidUpdate: sandbox.spy(),
+      };
+      const staleWhileRevalidate =
+          new StaleWhileRevalidate({collapseRequests: true, plugins: [plugin]});
+
+      const request = new Request('http://example.io/test/');
+      const events = [1, 2, 3].map(() => {
+        const event = new FetchEvent('fetch', {request});
+        spyOnEvent(event);
+        return event;
+      });
+
+      const responses = await Promise.all(
+          events.map((event) => staleWhileRevalidate.handle({event})));
+      await Promise.all(events.map((event) => eventDoneWaiting(event)));
+
+      expect(self.fetch.callCount).to.equal(1);
+      expect(plugin.cacheDidUpdate.callCount).to.equal(1);
+      for (const response of responses) {
+        await compareResponses(networkResponse, response, true);
+      }
+
+      // Once the first request has finished, another cache miss should make
+      // a new network request.
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      await cache.delete(request);
+
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+      await staleWhileRevalidate.handle({event});
+      await eventDoneWaiting(event);
+
+      expect(self.fetch.callCount).to.equal(2);
+    });
+
+    it(`should make a network request for each concurrent cache miss by default`, async function() {
+      sandbox.stub(self, 'fetch').callsFake(async () => {
+        await sleep(20);
+        return generateUniqueResponse();
+      });
+
+      const staleWhileRevalidate = new StaleWhileRevalidate();
+      const request = new Request('http://example.io/test/');
+      const events = [1, 2].map(() => {
+        const event = new FetchEvent('fetch', {request});
+        spyOnEvent(event);
+        return event;
+      });
+
+      await Promise.all(events.map((event) => staleWhileRevalidate.handle({event})));
+      await Promise.all(events.map((event) => eventDoneWaiting(event)));
+
+      expect(self.fetch.callCount).to.equal(2);
+    });
   });
 });
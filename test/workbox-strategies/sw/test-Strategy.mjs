@@ -0,0 +1,573 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {cacheNames} from 'workbox-core/_private/cacheNames.mjs';
+import {logger} from 'workbox-core/_private/logger.mjs';
+import {responseSources} from 'workbox-core/_private/responseSources.mjs';
+import {Strategy} from 'workbox-strategies/Strategy.mjs';
+import {StrategyHandler} from 'workbox-strategies/StrategyHandler.mjs';
+import {compareResponses} from '../../../infra/testing/helpers/compareResponses.mjs';
+import {eventDoneWaiting, spyOnEvent} from '../../../infra/testing/helpers/extendable-event-utils.mjs';
+import {generateUniqueResponse} from '../../../infra/testing/helpers/generateUniqueResponse.mjs';
+
+
+describe(`Strategy`, function() {
+  const sandbox = sinon.createSandbox();
+
+  // A minimal strategy that responds from the network and caches the
+  // response, used to test the behavior shared by all strategies.
+  class TestStrategy extends Strategy {
+    async _handle(request, handler) {
+      const response = await handler.fetch(request);
+      handler.cachePut(request, response.clone());
+      return response;
+    }
+  }
+
+  beforeEach(async function() {
+    const keys = await caches.keys();
+    await Promise.all(keys.map((key) => caches.delete(key)));
+    sandbox.restore();
+  });
+
+  after(async function() {
+    const keys = await caches.keys();
+    await Promise.all(keys.map((key) => caches.delete(key)));
+    sandbox.restore();
+  });
+
+  describe(`handle()`, function() {
+    it(`should pass a StrategyHandler with the strategy's options to _handle()`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      const params = ['a', 'b'];
+      const plugins = [{}];
+      const fetchOptions = {credentials: 'include'};
+      const matchOptions = {ignoreSearch: true};
+
+      const strategy = new TestStrategy({
+        cacheName: 'test-cache',
+        plugins,
+        fetchOptions,
+        matchOptions,
+      });
+      sandbox.stub(self, 'fetch').resolves(generateUniqueResponse());
+      const handleSpy = sandbox.spy(strategy, '_handle');
+
+      await strategy.handle({event, request, params});
+
+      expect(handleSpy.callCount).to.equal(1);
+      const [handleRequest, handler] = handleSpy.args[0];
+      expect(handleRequest).to.equal(request);
+      expect(handler).to.be.an.instanceOf(StrategyHandler);
+      expect(handler.request).to.equal(request);
+      expect(handler.event).to.equal(event);
+      expect(handler.params).to.equal(params);
+      expect(handler.cacheName).to.equal('test-cache');
+      expect(handler.plugins).to.equal(plugins);
+      expect(handler.fetchOptions).to.equal(fetchOptions);
+      expect(handler.matchOptions).to.equal(matchOptions);
+    });
+
+    it(`should use the default runtime cache name`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+      const injectedResponse = generateUniqueResponse();
+      sandbox.stub(self, 'fetch').resolves(injectedResponse.clone());
+
+      const strategy = new TestStrategy();
+      const handleResponse = await strategy.handle({event});
+      await compareResponses(injectedResponse, handleResponse, true);
+
+      await eventDoneWaiting(event);
+
+      const cache = await caches.open(cacheNames.getRuntimeName());
+      const cachedResponse = await cache.match(request);
+      await compareResponses(injectedResponse, cachedResponse, true);
+    });
+
+    it(`should throw 'no-response' when _handle() doesn't return a response`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+
+      class EmptyStrategy extends Strategy {
+        async _handle() {}
+      }
+
+      const strategy = new EmptyStrategy();
+      await expectError(() => strategy.handle({event}), 'no-response');
+    });
+  });
+
+  describe(`mayCacheOpaqueResponses()`, function() {
+    it(`should only return true when a plugin has a cacheWillUpdate callback`, function() {
+      expect(new TestStrategy().mayCacheOpaqueResponses()).to.equal(false);
+      expect(new TestStrategy({
+        plugins: [{cacheDidUpdate: () => {}}],
+      }).mayCacheOpaqueResponses()).to.equal(false);
+      expect(new TestStrategy({
+        plugins: [{cacheWillUpdate: ({response}) => response}],
+      }).mayCacheOpaqueResponses()).to.equal(true);
+    });
+  });
+
+  describe(`makeRequest()`, function() {
+    it(`should accept a URL string`, async function() {
+      const url = 'http://example.io/test/';
+      const injectedResponse = generateUniqueResponse();
+      sandbox.stub(self, 'fetch').resolves(injectedResponse.clone());
+
+      const strategy = new TestStrategy();
+      const handleResponse = await strategy.makeRequest({request: url});
+
+      await compareResponses(injectedResponse, handleResponse, true);
+      expect(self.fetch.args[0][0].url).to.equal(url);
+    });
+
+    it(`should throw when passed something other than a Request or string`, async function() {
+      if (process.env.NODE_ENV === 'production') this.skip();
+
+      const strategy = new TestStrategy();
+      await expectError(
+          () => strategy.makeRequest({request: {}}),
+          'incorrect-class'
+      );
+    });
+  });
+
+  describe(`plugin lifecycle callbacks`, function() {
+    it(`should call handlerWillStart before handling the request`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      sandbox.stub(self, 'fetch').resolves(generateUniqueResponse());
+
+      const plugin = {
+        handlerWillStart: sandbox.spy(),
+      };
+      const strategy = new TestStrategy({plugins: [plugin]});
+      const handleSpy = sandbox.spy(strategy, '_handle');
+
+      await strategy.handle({event, request});
+
+      expect(plugin.handlerWillStart.callCount).to.equal(1);
+      expect(plugin.handlerWillStart.args[0][0]).to.eql({request, event});
+      expect(plugin.handlerWillStart.calledBefore(handleSpy)).to.be.true;
+    });
+
+    it(`should let handlerWillRespond replace the response, in order`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      const networkResponse = generateUniqueResponse();
+      const firstResponse = generateUniqueResponse();
+      const secondResponse = generateUniqueResponse();
+      sandbox.stub(self, 'fetch').resolves(networkResponse);
+
+      const plugins = [{
+        handlerWillRespond: sandbox.stub().resolves(firstResponse),
+      }, {
+        handlerWillRespond: sandbox.stub().resolves(secondResponse),
+      }];
+      const strategy = new TestStrategy({plugins});
+
+      const handleResponse = await strategy.handle({event, request});
+
+      expect(handleResponse).to.equal(secondResponse);
+      expect(plugins[0].handlerWillRespond.args[0][0]).to.eql({
+        request,
+        response: networkResponse,
+        event,
+      });
+      expect(plugins[1].handlerWillRespond.args[0][0].response)
+          .to.equal(firstResponse);
+    });
+
+    it(`should keep the source of a response replaced by handlerWillRespond`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      const replacementResponse = generateUniqueResponse();
+      sandbox.stub(self, 'fetch').callsFake(async () => {
+        return responseSources.set(generateUniqueResponse(), 'network');
+      });
+
+      const plugin = {
+        handlerWillRespond: sandbox.stub().resolves(replacementResponse),
+      };
+      const strategy = new TestStrategy({plugins: [plugin]});
+
+      const handleResponse = await strategy.handle({event, request});
+
+      expect(handleResponse).to.equal(replacementResponse);
+      expect(responseSources.get(handleResponse)).to.equal('network');
+    });
+
+    it(`should respond with the first response returned by handlerDidError`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      const fallbackResponse = generateUniqueResponse();
+      const error = new Error('Injected error.');
+      sandbox.stub(self, 'fetch').rejects(error);
+
+      const plugins = [{
+        handlerDidError: sandbox.stub().resolves(undefined),
+      }, {
+        handlerDidError: sandbox.stub().resolves(fallbackResponse),
+      }, {
+        handlerDidError: sandbox.stub().resolves(generateUniqueResponse()),
+      }];
+      const strategy = new TestStrategy({plugins});
+
+      const handleResponse = await strategy.handle({event, request});
+
+      expect(handleResponse).to.equal(fallbackResponse);
+      expect(plugins[0].handlerDidError.args[0][0]).to.eql({
+        request,
+        error,
+        event,
+      });
+      expect(plugins[1].handlerDidError.callCount).to.equal(1);
+      expect(plugins[2].handlerDidError.callCount).to.equal(0);
+    });
+
+    it(`should rethrow the error when handlerDidError doesn't return a response`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      const error = new Error('Injected error.');
+      sandbox.stub(self, 'fetch').rejects(error);
+
+      const plugin = {
+        handlerDidError: sandbox.stub().resolves(undefined),
+      };
+      const strategy = new TestStrategy({plugins: [plugin]});
+
+      let thrownError;
+      try {
+        await strategy.handle({event, request});
+      } catch (err) {
+        thrownError = err;
+      }
+      expect(thrownError).to.equal(error);
+      expect(plugin.handlerDidError.callCount).to.equal(1);
+    });
+
+    it(`should call handlerDidComplete after the cache has been updated`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+      const injectedResponse = generateUniqueResponse();
+      sandbox.stub(self, 'fetch').resolves(injectedResponse.clone());
+
+      let cachedResponse;
+      const plugin = {
+        handlerDidComplete: sandbox.stub().callsFake(async () => {
+          const cache = await caches.open(cacheNames.getRuntimeName());
+          cachedResponse = await cache.match(request);
+        }),
+      };
+      const strategy = new TestStrategy({plugins: [plugin]});
+
+      const handleResponse = await strategy.handle({event, request});
+      await eventDoneWaiting(event);
+
+      expect(plugin.handlerDidComplete.callCount).to.equal(1);
+      const {response, error} = plugin.handlerDidComplete.args[0][0];
+      expect(response).to.equal(handleResponse);
+      expect(error).to.be.undefined;
+      await compareResponses(injectedResponse, cachedResponse, true);
+    });
+
+    it(`should pass the error to handlerDidComplete when handling fails`, async function() {
+      const request = new Request('http://example.io/test/');
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+      const error = new Error('Injected error.');
+      sandbox.stub(self, 'fetch').rejects(error);
+
+      const plugin = {
+        handlerDidComplete: sandbox.spy(),
+      };
+      const strategy = new TestStrategy({plugins: [plugin]});
+
+      try {
+        await strategy.handle({event, request});
+      } catch (err) {
+        // Ignore the error, since it's checked via handlerDidComplete.
+      }
+      await eventDoneWaiting(event);
+
+      expect(plugin.handlerDidComplete.callCount).to.equal(1);
+      expect(plugin.handlerDidComplete.args[0][0].error).to.equal(error);
+      expect(plugin.handlerDidComplete.args[0][0].response).to.be.undefined;
+    });
+  });
+
+  describe(`retry`, function() {
+    // Small delays keep the tests fast, without faking timers.
+    const retry = {delaySeconds: 0.01, jitter: 0};
+
+    it(`should retry network errors, up to maxAttempts`, async function() {
+      const networkResponse = generateUniqueResponse();
+      sandbox.stub(self, 'fetch')
+          .onCall(0).rejects(new Error('Injected error.'))
+          .onCall(1).rejects(new Error('Injected error.'))
+          .onCall(2).resolves(networkResponse);
+
+      const strategy = new TestStrategy({
+        retry: Object.assign({maxAttempts: 3}, retry),
+      });
+      const handleResponse =
+          await strategy.makeRequest({request: 'http://example.io/test/'});
+
+      expect(handleResponse).to.equal(networkResponse);
+      expect(self.fetch.callCount).to.equal(3);
+    });
+
+    it(`should throw the last error once maxAttempts is reached`, async function() {
+      const error = new Error('Injected error.');
+      sandbox.stub(self, 'fetch').rejects(error);
+
+      const strategy = new TestStrategy({
+        retry: Object.assign({maxAttempts: 2}, retry),
+      });
+
+      let thrownError;
+      try {
+        await strategy.makeRequest({request: 'http://example.io/test/'});
+      } catch (err) {
+        thrownError = err;
+      }
+      expect(thrownError).to.equal(error);
+      expect(self.fetch.callCount).to.equal(2);
+    });
+
+    it(`should retry responses with one of the retryStatuses`, async function() {
+      const errorResponse = new Response('', {status: 503});
+      const notFoundResponse = new Response('', {status: 404});
+      sandbox.stub(self, 'fetch')
+          .onCall(0).resolves(errorResponse)
+          .onCall(1).resolves(notFoundResponse);
+
+      const strategy = new TestStrategy({
+        retry: Object.assign({retryStatuses: [503]}, retry),
+      });
+      const handleResponse =
+          await strategy.makeRequest({request: 'http://example.io/test/'});
+
+      expect(handleResponse).to.equal(notFoundResponse);
+      expect(self.fetch.callCount).to.equal(2);
+    });
+
+    it(`should return the last response once maxAttempts is reached`, async function() {
+      sandbox.stub(self, 'fetch').callsFake(async () => {
+        return new Response('', {status: 500});
+      });
+
+      const strategy = new TestStrategy({
+        retry: Object.assign({maxAttempts: 3}, retry),
+      });
+      const handleResponse =
+          await strategy.makeRequest({request: 'http://example.io/test/'});
+
+      expect(handleResponse.status).to.equal(500);
+      expect(self.fetch.callCount).to.equal(3);
+    });
+
+    it(`should not retry requests whose method isn't one of the retryMethods`, async function() {
+      sandbox.stub(self, 'fetch').rejects(new Error('Injected error.'));
+
+      const request = new Request('http://example.io/test/', {method: 'HEAD'});
+      const strategy = new TestStrategy({
+        retry: Object.assign({retryMethods: ['GET']}, retry),
+      });
+
+      try {
+        await strategy.makeRequest({request});
+      } catch (err) {
+        // The error is expected.
+      }
+      expect(self.fetch.callCount).to.equal(1);
+    });
+
+    it(`should not retry once maxRetryTimeSeconds has passed`, async function() {
+      sandbox.stub(self, 'fetch').rejects(new Error('Injected error.'));
+
+      const strategy = new TestStrategy({
+        retry: {
+          maxAttempts: 5,
+          delaySeconds: 0.05,
+          backoffFactor: 1,
+          jitter: 0,
+          maxRetryTimeSeconds: 0.14,
+        },
+      });
+
+      try {
+        await strategy.makeRequest({request: 'http://example.io/test/'});
+      } catch (err) {
+        // The error is expected.
+      }
+      // Attempts at 0ms, 50ms and 100ms. The next would be at 150ms.
+      expect(self.fetch.callCount).to.equal(3);
+    });
+
+    it(`should throw when passed invalid retry options`, async function() {
+      if (process.env.NODE_ENV === 'production') this.skip();
+
+      await expectError(() => {
+        return new TestStrategy({retry: {maxAttempts: 'invalid'}});
+      }, 'incorrect-type', (err) => {
+        expect(err.details.paramName).to.equal('retry.maxAttempts');
+      });
+
+      await expectError(() => {
+        return new TestStrategy({retry: {retryStatuses: 500}});
+      }, 'not-an-array', (err) => {
+        expect(err.details.paramName).to.equal('retry.retryStatuses');
+      });
+    });
+  });
+
+  describe(`cacheNames`, function() {
+    class CacheStrategy extends Strategy {
+      _handle(request, handler) {
+        return handler.cacheMatch(request);
+      }
+    }
+
+    const url = 'http://example.io/test/';
+
+    const putInCache = async (cacheName, body) => {
+      const cache = await caches.open(cacheName);
+      await cache.put(url, new Response(body));
+    };
+
+    it(`should return the response from the first cache that has a match`, async function() {
+      await putInCache('hot', 'from hot');
+      await putInCache('cold', 'from cold');
+
+      const strategy = new CacheStrategy({cacheNames: ['hot', 'cold']});
+      const response = await strategy.makeRequest({request: url});
+      expect(await response.text()).to.equal('from hot');
+    });
+
+    it(`should look up responses in the later caches in turn`, async function() {
+      await putInCache('precache', 'from precache');
+
+      const strategy =
+          new CacheStrategy({cacheNames: ['hot', 'cold', 'precache']});
+      const response = await strategy.makeRequest({request: url});
+      expect(await response.text()).to.equal('from precache');
+
+      // It shouldn't be copied to the first cache by default.
+      const hotCache = await caches.open('hot');
+      expect(await hotCache.match(url)).to.be.undefined;
+    });
+
+    it(`should copy responses found in later caches to the first cache, when promoteToFirstCache is set`, async function() {
+      const request = new Request(url);
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+
+      await putInCache('cold', 'from cold');
+
+      const strategy = new CacheStrategy({
+        cacheNames: ['hot', 'cold'],
+        promoteToFirstCache: true,
+      });
+      const response = await strategy.handle({event, request});
+      expect(await response.text()).to.equal('from cold');
+
+      await eventDoneWaiting(event);
+
+      const hotCache = await caches.open('hot');
+      const promotedResponse = await hotCache.match(url);
+      expect(await promotedResponse.text()).to.equal('from cold');
+    });
+
+    it(`should still return the response, and log a warning, when promoting it fails`, async function() {
+      const request = new Request(url);
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+
+      await putInCache('cold', 'from cold');
+
+      const error = new Error('Injected error.');
+      const plugin = {
+        cacheDidUpdate: sandbox.stub().rejects(error),
+      };
+      const strategy = new CacheStrategy({
+        cacheNames: ['hot', 'cold'],
+        promoteToFirstCache: true,
+        plugins: [plugin],
+      });
+      const response = await strategy.handle({event, request});
+      expect(await response.text()).to.equal('from cold');
+
+      await eventDoneWaiting(event);
+
+      expect(plugin.cacheDidUpdate.callCount).to.equal(1);
+      if (process.env.NODE_ENV !== 'production') {
+        expect(logger.warn.callCount).to.equal(1);
+        expect(logger.warn.args[0][1]).to.equal(error);
+      }
+    });
+
+    it(`should apply the plugins and matchOptions to each cache`, async function() {
+      await putInCache('hot', 'from hot');
+      await putInCache('cold', 'from cold');
+
+      const matchSpy = sandbox.spy(Cache.prototype, 'match');
+      const plugin = {
+        // Treat the response in the first cache as expired.
+        cachedResponseWillBeUsed: sandbox.stub().callsFake(
+            ({cacheName, cachedResponse}) => {
+              return cacheName === 'hot' ? null : cachedResponse;
+            }),
+      };
+      const matchOptions = {ignoreSearch: true};
+
+      const strategy = new CacheStrategy({
+        cacheNames: ['hot', 'cold'],
+        plugins: [plugin],
+        matchOptions,
+      });
+      const response = await strategy.makeRequest({request: url});
+      expect(await response.text()).to.equal('from cold');
+
+      expect(plugin.cachedResponseWillBeUsed.callCount).to.equal(2);
+      expect(matchSpy.callCount).to.equal(2);
+      for (const args of matchSpy.args) {
+        expect(args[1]).to.equal(matchOptions);
+      }
+    });
+
+    it(`should write responses to the first cache`, async function() {
+      const request = new Request(url);
+      const event = new FetchEvent('fetch', {request});
+      spyOnEvent(event);
+
+      sandbox.stub(self, 'fetch').resolves(new Response('from network'));
+
+      const strategy = new TestStrategy({cacheNames: ['hot', 'cold']});
+      await strategy.handle({event, request});
+      await eventDoneWaiting(event);
+
+      const hotCache = await caches.open('hot');
+      const cachedResponse = await hotCache.match(url);
+      expect(await cachedResponse.text()).to.equal('from network');
+    });
+
+    it(`should throw when passed an empty array`, async function() {
+      if (process.env.NODE_ENV === 'production') this.skip();
+
+      await expectError(() => {
+        return new CacheStrategy({cacheNames: []});
+      }, 'invalid-value');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {cacheNames} from 'workbox-core/_private/cacheNames.mjs';
+import {getCacheKeyForURL} from 'workbox-precaching/getCacheKeyForURL.mjs';
+import {precache} from 'workbox-precaching/precache.mjs';
+import {NetworkOnly} from 'workbox-strategies/NetworkOnly.mjs';
+import {withFallback} from 'workbox-strategies/withFallback.mjs';
+
+
+describe(`withFallback()`, function() {
+  const sandbox = sinon.createSandbox();
+  const request = new Request('/', {headers: {accept: 'text/html'}});
+
+  beforeEach(async function() {
+    const keys = await caches.keys();
+    await Promise.all(keys.map((key) => caches.delete(key)));
+    sandbox.restore();
+
+    // Spy on all added event listeners so they can be removed.
+    sandbox.spy(self, 'addEventListener');
+
+    precache([{url: '/offline.html', revision: '1'}]);
+    const cache = await caches.open(cacheNames.getPrecacheName());
+    await cache.put(getCacheKeyForURL('/offline.html'),
+        new Response('offline'));
+  });
+
+  afterEach(async function() {
+    for (const args of self.addEventListener.args) {
+      self.removeEventListener(...args);
+    }
+    sandbox.restore();
+
+    const keys = await caches.keys();
+    await Promise.all(keys.map((key) => caches.delete(key)));
+  });
+
+  it(`should respond with the wrapped handler's response when there is one`, async function() {
+    sandbox.stub(self, 'fetch').resolves(new Response('from network'));
+
+    const handler = withFallback(new NetworkOnly(), {
+      document: '/offline.html',
+    });
+    const response = await handler.handle({request});
+
+    expect(await response.text()).to.equal('from network');
+  });
+
+  it(`should respond with the fallback when the wrapped strategy rejects`, async function() {
+    sandbox.stub(self, 'fetch').rejects(new Error('Injected error.'));
+
+    const handler = withFallback(new NetworkOnly(), {
+      document: '/offline.html',
+    });
+    const response = await handler.handle({request});
+
+    expect(await response.text()).to.equal('offline');
+  });
+
+  it(`should respond with the fallback when a handler callback resolves without a response`, async function() {
+    const handler = withFallback(async () => undefined, {
+      document: '/offline.html',
+    });
+    const response = await handler.handle({request});
+
+    expect(await response.text()).to.equal('offline');
+  });
+
+  it(`should rethrow the original error when there's no fallback`, async function() {
+    const error = new Error('Injected error.');
+    const handler = withFallback(() => Promise.reject(error), {
+      image: '/offline.svg',
+    });
+
+    try {
+      await handler.handle({request});
+      throw new Error('Expected handle() to reject.');
+    } catch (err) {
+      expect(err).to.equal(error);
+    }
+  });
+
+  it(`should throw a no-response error when there's neither a response nor a fallback`, async function() {
+    const handler = withFallback(async () => undefined, {
+      image: '/offline.svg',
+    });
+
+    await expectError(() => handler.handle({request}), 'no-response');
+  });
+});
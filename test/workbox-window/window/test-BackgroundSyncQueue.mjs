@@ -0,0 +1,221 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {BackgroundSyncQueue} from '/__WORKBOX/buildFile/workbox-window';
+
+
+// A fake service worker that replies to every message sent over a
+// `MessageChannel` with `reply`.
+const createFakeSW = (reply) => {
+  return {
+    postMessage: sinon.spy((data, transfer) => {
+      if (transfer) {
+        transfer[0].postMessage(reply);
+      }
+    }),
+  };
+};
+
+describe(`BackgroundSyncQueue`, function() {
+  const sandbox = sinon.createSandbox();
+  let queues = [];
+
+  // Tracks the queues created, so their listeners can be removed.
+  const createQueue = (...args) => {
+    const queue = new BackgroundSyncQueue(...args);
+    queues.push(queue);
+    return queue;
+  };
+
+  afterEach(function() {
+    for (const queue of queues) {
+      queue.removeListeners();
+    }
+    queues = [];
+    sandbox.restore();
+  });
+
+  describe(`constructor`, function() {
+    it(`should store the queue name`, function() {
+      const queue = createQueue('my-queue');
+      expect(queue.queueName).to.equal('my-queue');
+    });
+  });
+
+  describe(`getEntries`, function() {
+    it(`should send a GET_QUEUE_ENTRIES message and resolve with the reply`, async function() {
+      const entries = [{id: 1, url: '/one', method: 'POST', attempts: 0}];
+      const sw = createFakeSW(entries);
+      const queue = createQueue('my-queue', {sw});
+
+      expect(await queue.getEntries()).to.deep.equal(entries);
+      expect(sw.postMessage.firstCall.args[0]).to.deep.equal({
+        type: 'GET_QUEUE_ENTRIES',
+        payload: {queueName: 'my-queue'},
+      });
+    });
+  });
+
+  describe(`deleteEntry`, function() {
+    it(`should send a DELETE_QUEUE_ENTRY message with the ID`, async function() {
+      const sw = createFakeSW(true);
+      const queue = createQueue('my-queue', {sw});
+
+      expect(await queue.deleteEntry(3)).to.equal(true);
+      expect(sw.postMessage.firstCall.args[0]).to.deep.equal({
+        type: 'DELETE_QUEUE_ENTRY',
+        payload: {queueName: 'my-queue', id: 3},
+      });
+    });
+  });
+
+  describe(`replayEntry`, function() {
+    it(`should send a REPLAY_QUEUE_ENTRY message with the ID`, async function() {
+      const sw = createFakeSW(false);
+      const queue = createQueue('my-queue', {sw});
+
+      expect(await queue.replayEntry(3)).to.equal(false);
+      expect(sw.postMessage.firstCall.args[0]).to.deep.equal({
+        type: 'REPLAY_QUEUE_ENTRY',
+        payload: {queueName: 'my-queue', id: 3},
+      });
+    });
+  });
+
+  describe(`replay`, function() {
+    it(`should send a REPLAY_QUEUE message`, async function() {
+      const sw = createFakeSW(true);
+      const queue = createQueue('my-queue', {sw});
+
+      expect(await queue.replay()).to.equal(true);
+      expect(sw.postMessage.firstCall.args[0]).to.deep.equal({
+        type: 'REPLAY_QUEUE',
+        payload: {queueName: 'my-queue'},
+      });
+    });
+  });
+
+  describe(`clear`, function() {
+    it(`should send a CLEAR_QUEUE message`, async function() {
+      const sw = createFakeSW(true);
+      const queue = createQueue('my-queue', {sw});
+
+      expect(await queue.clear()).to.equal(true);
+      expect(sw.postMessage.firstCall.args[0]).to.deep.equal({
+        type: 'CLEAR_QUEUE',
+        payload: {queueName: 'my-queue'},
+      });
+    });
+  });
+
+  describe(`events`, function() {
+    it(`should dispatch an updated event for QUEUE_UPDATED messages for its queue`, function() {
+      const queue = createQueue('my-queue');
+      const updatedSpy = sandbox.spy();
+      queue.addEventListener('updated', updatedSpy);
+
+      const dispatch = (data) => {
+        navigator.serviceWorker.dispatchEvent(
+            new MessageEvent('message', {data}));
+      };
+
+      dispatch({
+        type: 'QUEUE_UPDATED',
+        meta: 'workbox-background-sync',
+        payload: {queueName: 'other-queue', size: 1},
+      });
+      dispatch({type: 'QUEUE_UPDATED', payload: {queueName: 'my-queue'}});
+      dispatch({
+        type: 'QUEUE_UPDATED',
+        meta: 'workbox-background-sync',
+        payload: {queueName: 'my-queue', size: 3},
+      });
+
+      expect(updatedSpy.callCount).to.equal(1);
+
+      const event = updatedSpy.args[0][0];
+      expect(event.type).to.equal('updated');
+      expect(event.target).to.equal(queue);
+      expect(event.data).to.deep.equal({queueName: 'my-queue', size: 3});
+      expect(event.originalEvent).to.be.an.instanceof(MessageEvent);
+    });
+
+    it(`should relay online events to the service worker`, async function() {
+      const sw = createFakeSW();
+      createQueue('my-queue', {sw});
+
+      dispatchEvent(new Event('online'));
+      // Wait for the service worker to be resolved.
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(sw.postMessage.callCount).to.equal(1);
+      expect(sw.postMessage.firstCall.args[0]).to.deep.equal({
+        type: 'CLIENT_ONLINE',
+      });
+    });
+  });
+
+  describe(`without an active service worker`, function() {
+    beforeEach(function() {
+      sandbox.stub(ServiceWorkerContainer.prototype, 'ready')
+          .get(() => Promise.resolve({active: null}));
+    });
+
+    it(`should not relay online events`, async function() {
+      const queue = createQueue('my-queue');
+
+      // This shouldn't reject.
+      await queue._onOnline();
+    });
+
+    it(`should reject messages`, async function() {
+      const queue = createQueue('my-queue');
+
+      let error;
+      try {
+        await queue.getEntries();
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.an.instanceof(Error);
+    });
+  });
+
+  it(`should catch errors when relaying online events`, async function() {
+    const sw = {postMessage: sinon.stub().throws(new Error('Injected error.'))};
+    const queue = createQueue('my-queue', {sw});
+
+    // This shouldn't reject.
+    await queue._onOnline();
+    expect(sw.postMessage.callCount).to.equal(1);
+  });
+
+  describe(`removeListeners`, function() {
+    it(`should stop dispatching updated events and relaying online events`, async function() {
+      const sw = createFakeSW();
+      const queue = createQueue('my-queue', {sw});
+      const updatedSpy = sandbox.spy();
+      queue.addEventListener('updated', updatedSpy);
+
+      queue.removeListeners();
+
+      navigator.serviceWorker.dispatchEvent(new MessageEvent('message', {
+        data: {
+          type: 'QUEUE_UPDATED',
+          meta: 'workbox-background-sync',
+          payload: {queueName: 'my-queue', size: 3},
+        },
+      }));
+      dispatchEvent(new Event('online'));
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(updatedSpy.callCount).to.equal(0);
+      expect(sw.postMessage.callCount).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/*
+  Copyright 2019 Google LLC
+
+  Use of this source code is governed by an MIT-style
+  license that can be found in the LICENSE file or at
+  https://opensource.org/licenses/MIT.
+*/
+
+import {onResponseUpdate} from '/__WORKBOX/buildFile/workbox-window';
+
+
+describe(`onResponseUpdate`, function() {
+  const sandbox = sinon.createSandbox();
+  const removeListeners = [];
+
+  const dispatch = (data) => {
+    navigator.serviceWorker.dispatchEvent(new MessageEvent('message', {data}));
+  };
+
+  const createPayload = (url, body = 'updated') => {
+    return {
+      cacheName: 'my-cache',
+      url: new URL(url, location.href).href,
+      status: 200,
+      statusText: 'OK',
+      headers: [['x-custom', 'value']],
+      body,
+    };
+  };
+
+  afterEach(function() {
+    for (const removeListener of removeListeners.splice(0)) {
+      removeListener();
+    }
+    sandbox.restore();
+  });
+
+  it(`should call the callback with a Response for RESPONSE_UPDATED messages for the URL`, async function() {
+    const callback = sandbox.spy();
+    removeListeners.push(onResponseUpdate('/api/data', callback));
+
+    dispatch({
+      type: 'RESPONSE_UPDATED',
+      meta: 'workbox-strategies',
+      payload: createPayload('/api/data'),
+    });
+
+    expect(callback.callCount).to.equal(1);
+
+    const response = callback.args[0][0];
+    expect(response).to.be.an.instanceof(Response);
+    expect(response.status).to.equal(200);
+    expect(response.headers.get('x-custom')).to.equal('value');
+    expect(await response.text()).to.equal('updated');
+  });
+
+  it(`should call the callback for updates with a null body status`, async function() {
+    const callback = sandbox.spy();
+    removeListeners.push(onResponseUpdate('/api/data', callback));
+
+    dispatch({
+      type: 'RESPONSE_UPDATED',
+      meta: 'workbox-strategies',
+      payload: Object.assign(createPayload('/api/data', new ArrayBuffer(0)), {
+        status: 204,
+        statusText: 'No Content',
+      }),
+    });
+
+    expect(callback.callCount).to.equal(1);
+
+    const response = callback.args[0][0];
+    expect(response.status).to.equal(204);
+    expect(response.headers.get('x-custom')).to.equal('value');
+    expect(await response.text()).to.equal('');
+  });
+
+  it(`should ignore other messages`, function() {
+    const callback = sandbox.spy();
+    removeListeners.push(onResponseUpdate('/api/data', callback));
+
+    // A different URL.
+    dispatch({
+      type: 'RESPONSE_UPDATED',
+      meta: 'workbox-strategies',
+      payload: createPayload('/api/other'),
+    });
+    // A different message type, e.g. from workbox-broadcast-update.
+    dispatch({
+      type: 'CACHE_UPDATED',
+      meta: 'workbox-broadcast-update',
+      payload: {cacheName: 'my-cache', updatedURL: '/api/data'},
+    });
+    // A message from another library.
+    dispatch({
+      type: 'RESPONSE_UPDATED',
+      meta: 'other-library',
+      payload: createPayload('/api/data'),
+    });
+    dispatch(null);
+
+    expect(callback.callCount).to.equal(0);
+  });
+
+  it(`should return a function that removes the listener`, function() {
+    const callback = sandbox.spy();
+    const removeListener = onResponseUpdate('/api/data', callback);
+    removeListener();
+
+    dispatch({
+      type: 'RESPONSE_UPDATED',
+      meta: 'workbox-strategies',
+      payload: createPayload('/api/data'),
+    });
+
+    expect(callback.callCount).to.equal(0);
+  });
+});